@@ -28,6 +28,14 @@ const COMMANDS = {
   publish: {
     description: 'Upload video to YouTube',
     module: '../src/commands/publish.js'
+  },
+  batch: {
+    description: 'Create videos for every product in a CSV or JSON file',
+    module: '../src/commands/batch.js'
+  },
+  experiment: {
+    description: 'Rotate title/thumbnail variants and pick the winner',
+    module: '../src/commands/experiment.js'
   }
 };
 
@@ -44,6 +52,8 @@ Commands:
   create <amazon-url-or-id>  Create affiliate video from Amazon product
   promote <video-url>        Promote video on social media platforms  
   publish <video-path>       Upload video to YouTube
+  batch <file>               Create videos for every product in a CSV or JSON file
+  experiment <subcommand>    Rotate title/thumbnail variants and pick the winner
   help                       Show this help message
 
 Options:
@@ -63,10 +73,18 @@ Examples:
   # Upload video to YouTube
   aff publish ./output/my-video.mp4 --title "Product Review"
 
+  # Create videos for a list of products
+  aff batch products.csv --auto-upload --privacy unlisted
+
+  # Rotate the title variants of uploaded videos (run on a schedule)
+  aff experiment rotate
+
 Get help for specific commands:
   aff create --help
   aff promote --help
   aff publish --help
+  aff batch --help
+  aff experiment --help
 
 For more information, visit: https://github.com/your-repo/amazon-affiliate
 `);
@@ -0,0 +1,167 @@
+import { detectMarketplaceFromUrl, resolveMarketplace, buildProductUrl } from './utils/marketplaces.js';
+
+/**
+ * Amazon URL resolution
+ * Turns anything a user may paste - an ASIN, a product page, a mobile or
+ * legacy link, or an amzn.to / a.co short link - into an ASIN and marketplace.
+ */
+
+/**
+ * Hosts of Amazon link shorteners (SiteStripe, app share links)
+ */
+export const AMAZON_SHORTENER_HOSTS = ['amzn.to', 'a.co', 'amzn.eu', 'amzn.asia'];
+
+/**
+ * Path patterns that carry the ASIN on Amazon pages
+ */
+const ASIN_PATH_PATTERNS = [
+  /\/dp\/(?:product\/)?([A-Z0-9]{10})(?=[/?]|$)/i,
+  /\/gp\/product\/(?:glance\/)?([A-Z0-9]{10})(?=[/?]|$)/i,
+  /\/gp\/aw\/d\/([A-Z0-9]{10})(?=[/?]|$)/i,
+  /\/gp\/offer-listing\/([A-Z0-9]{10})(?=[/?]|$)/i,
+  /\/exec\/obidos\/(?:ASIN|tg\/detail\/-)\/([A-Z0-9]{10})(?=[/?]|$)/i,
+  /\/product-reviews\/([A-Z0-9]{10})(?=[/?]|$)/i,
+  /\/o\/ASIN\/([A-Z0-9]{10})(?=[/?]|$)/i
+];
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/;
+
+const DEFAULT_MAX_REDIRECTS = 5;
+
+/**
+ * Parses a URL, returning null for anything that is not an http(s) URL
+ * @param {string} input - URL
+ * @returns {URL|null} Parsed URL
+ */
+const parseHttpUrl = (input) => {
+  try {
+    const url = new URL(input);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Checks whether the input is an Amazon short link that needs resolving
+ * @param {string} input - URL or ASIN
+ * @returns {boolean} True for amzn.to, a.co and similar links
+ */
+export const isAmazonShortLink = (input) => {
+  const url = parseHttpUrl(input);
+  return Boolean(url) && AMAZON_SHORTENER_HOSTS.includes(url.hostname.toLowerCase().replace(/^www\./, ''));
+};
+
+/**
+ * Extracts the ASIN and marketplace from an Amazon product URL (no network access)
+ * @param {string} input - Amazon URL
+ * @returns {Object} { asin, marketplace } where marketplace is a code, or null for an unlisted Amazon domain
+ * @throws {Error} When the URL is not an Amazon product URL
+ */
+export const parseAmazonUrl = (input) => {
+  const url = parseHttpUrl(input);
+
+  if (!url || !url.hostname.toLowerCase().includes('amazon.')) {
+    throw new Error(`Not an Amazon URL: ${input}`);
+  }
+
+  const pathname = decodeURIComponent(url.pathname);
+  const match = ASIN_PATH_PATTERNS.map(pattern => pathname.match(pattern)).find(Boolean);
+
+  if (!match) {
+    throw new Error(`ASIN not found in URL: ${input}`);
+  }
+
+  return {
+    asin: match[1].toUpperCase(),
+    marketplace: detectMarketplaceFromUrl(url.href)
+  };
+};
+
+/**
+ * Default HTTP client: requests a URL without following redirects
+ * @param {string} url - URL to request
+ * @returns {Promise<Object>} { status, location }
+ */
+export const fetchRedirect = async (url) => {
+  const response = await fetch(url, {
+    method: 'GET',
+    redirect: 'manual',
+    signal: AbortSignal.timeout(10000)
+  });
+
+  // The body is never needed, only the redirect target
+  await response.body?.cancel();
+
+  return {
+    status: response.status,
+    location: response.headers.get('location')
+  };
+};
+
+/**
+ * Follows short link redirects until an Amazon URL is reached
+ * @param {string} shortUrl - Short link
+ * @param {Function} httpClient - Client resolving to { status, location }
+ * @param {number} maxRedirects - Maximum redirects to follow
+ * @returns {Promise<string>} Amazon URL
+ * @throws {Error} When the link does not redirect to Amazon
+ */
+const followShortLink = async (shortUrl, httpClient, maxRedirects) => {
+  let currentUrl = shortUrl;
+
+  for (let redirects = 0; redirects < maxRedirects; redirects++) {
+    const { status, location } = await httpClient(currentUrl);
+
+    if (status < 300 || status >= 400 || !location) {
+      throw new Error(`Short link did not redirect to an Amazon product (${currentUrl} returned ${status})`);
+    }
+
+    currentUrl = new URL(location, currentUrl).href;
+
+    if (!isAmazonShortLink(currentUrl)) {
+      return currentUrl;
+    }
+  }
+
+  throw new Error(`Too many redirects resolving ${shortUrl}`);
+};
+
+/**
+ * Resolves an ASIN, Amazon URL or short link to an ASIN and marketplace
+ * @param {string} input - ASIN, Amazon product URL or amzn.to / a.co link
+ * @param {Object} options - Resolution options
+ * @param {string} [options.marketplace] - Explicit marketplace code (wins over the URL domain)
+ * @param {Function} [options.httpClient] - Client used for short links, (url) => Promise<{ status, location }>
+ * @param {number} [options.maxRedirects] - Maximum redirects to follow (default: 5)
+ * @returns {Promise<Object>} { asin, marketplace, url } with the marketplace code and canonical product URL
+ * @throws {Error} When the input cannot be resolved to an Amazon product
+ */
+export const resolveAmazonUrl = async (input, options = {}) => {
+  const {
+    marketplace: marketplaceCode = null,
+    httpClient = fetchRedirect,
+    maxRedirects = DEFAULT_MAX_REDIRECTS
+  } = options;
+
+  if (!input || typeof input !== 'string') {
+    throw new Error('Amazon product URL or ASIN is required');
+  }
+
+  let productUrl = input.trim();
+
+  if (ASIN_PATTERN.test(productUrl)) {
+    const marketplace = resolveMarketplace({ marketplace: marketplaceCode });
+    return { asin: productUrl, marketplace: marketplace.code, url: buildProductUrl(productUrl, marketplace) };
+  }
+
+  if (isAmazonShortLink(productUrl)) {
+    console.log(`🔗 Resolving short link: ${productUrl}`);
+    productUrl = await followShortLink(productUrl, httpClient, maxRedirects);
+  }
+
+  const { asin } = parseAmazonUrl(productUrl);
+  const marketplace = resolveMarketplace({ marketplace: marketplaceCode, url: productUrl });
+
+  return { asin, marketplace: marketplace.code, url: buildProductUrl(asin, marketplace) };
+};
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import { sumStatsInWindow } from './stats.js';
+
+/**
+ * JSON file analytics source
+ * Reads stats you export yourself (e.g. from YouTube Studio, which reports
+ * thumbnail impressions and click-through rate), keyed by video ID:
+ *
+ *   { "VIDEO_ID": [{ "date": "2026-10-19", "impressions": 1200, "clicks": 54, "views": 61 }] }
+ *
+ * Rows cover a UTC day (`date`) or an explicit `start` and `end`.
+ */
+
+export const name = 'file';
+
+const DEFAULT_ANALYTICS_FILE = './analytics.json';
+
+/**
+ * Fetches a video's stats for a time window
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - Query options
+ * @param {Date} options.start - Window start
+ * @param {Date} options.end - Window end
+ * @param {string} [options.analyticsFile] - Stats file (default: ANALYTICS_FILE env or ./analytics.json)
+ * @returns {Promise<Object>} { views, watchMinutes, impressions, clicks }
+ * @throws {Error} When the file can't be read or parsed
+ */
+export const fetchVideoStats = async (videoId, { start, end, analyticsFile } = {}) => {
+  const filePath = analyticsFile || process.env.ANALYTICS_FILE || DEFAULT_ANALYTICS_FILE;
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read analytics file ${filePath}: ${error.message}`);
+  }
+
+  return sumStatsInWindow(Array.isArray(data[videoId]) ? data[videoId] : [], start, end);
+};
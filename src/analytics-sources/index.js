@@ -0,0 +1,41 @@
+import * as youtube from './youtube.js';
+import * as file from './file.js';
+
+/**
+ * Analytics source registry
+ * An analytics source is a module exporting `name` and
+ * `fetchVideoStats(videoId, { start, end, ...options })`, resolving to the
+ * video's totals for that window as { views, watchMinutes, impressions,
+ * clicks }. Metrics a source doesn't report are null.
+ */
+
+export const ANALYTICS_SOURCES = {
+  [youtube.name]: youtube,
+  [file.name]: file
+};
+
+export const DEFAULT_ANALYTICS_SOURCE = youtube.name;
+
+/**
+ * Resolves which analytics source to use
+ * @param {Object} options - Source options
+ * @param {string} [options.analyticsSource] - Explicit source name
+ * @returns {string} Source name (option, then ANALYTICS_SOURCE env, then youtube)
+ */
+export const resolveAnalyticsSourceName = (options = {}) => {
+  return (options.analyticsSource || process.env.ANALYTICS_SOURCE || DEFAULT_ANALYTICS_SOURCE).toLowerCase();
+};
+
+/**
+ * Gets an analytics source by name
+ * @param {string} sourceName - Source name
+ * @returns {Object} Analytics source module
+ * @throws {Error} When the source is unknown
+ */
+export const getAnalyticsSource = (sourceName) => {
+  const source = ANALYTICS_SOURCES[sourceName];
+  if (!source) {
+    throw new Error(`Unknown analytics source: ${sourceName}. Available sources: ${Object.keys(ANALYTICS_SOURCES).join(', ')}`);
+  }
+  return source;
+};
@@ -0,0 +1,58 @@
+/**
+ * Shared helpers for analytics sources
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Metrics an analytics source can report
+ */
+export const STAT_METRICS = ['views', 'watchMinutes', 'impressions', 'clicks'];
+
+/**
+ * Gets the time range a stats row covers
+ * @param {Object} row - Row with a date (YYYY-MM-DD, a UTC day) or a start and end
+ * @returns {Object} { start, end } in milliseconds
+ * @throws {Error} When the row has neither
+ */
+const getRowRange = (row) => {
+  if (row.date) {
+    const start = Date.parse(`${row.date}T00:00:00Z`);
+    return { start, end: start + DAY_MS };
+  }
+  if (row.start && row.end) {
+    return { start: Date.parse(row.start), end: Date.parse(row.end) };
+  }
+  throw new Error('Stats rows need a date or a start and end');
+};
+
+/**
+ * Sums the stats rows that fall in a time window
+ * A row that only partly overlaps the window counts in proportion to the
+ * overlap, so a daily report still splits between variants that were live on
+ * the same day. Metrics missing from every overlapping row stay null.
+ * @param {Object[]} rows - Rows as { date } or { start, end } plus metrics
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {Object} { views, watchMinutes, impressions, clicks }
+ */
+export const sumStatsInWindow = (rows, start, end) => {
+  const totals = Object.fromEntries(STAT_METRICS.map(metric => [metric, null]));
+
+  for (const row of rows) {
+    const range = getRowRange(row);
+    const overlap = Math.min(range.end, end.getTime()) - Math.max(range.start, start.getTime());
+    if (overlap <= 0 || range.end <= range.start) {
+      continue;
+    }
+
+    const share = overlap / (range.end - range.start);
+    for (const metric of STAT_METRICS) {
+      if (typeof row[metric] === 'number') {
+        totals[metric] = (totals[metric] || 0) + row[metric] * share;
+      }
+    }
+  }
+
+  return totals;
+};
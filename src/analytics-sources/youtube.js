@@ -0,0 +1,52 @@
+import { google } from 'googleapis';
+import { createYouTubeAuth } from '../youtube-publisher.js';
+import { sumStatsInWindow } from './stats.js';
+
+/**
+ * YouTube Analytics API source
+ * Reports views and watch time per day for videos on the authenticated
+ * channel. The API doesn't expose thumbnail impressions, so winners are
+ * picked by views per hour; rotate in whole days for clean attribution.
+ * Needs the yt-analytics.readonly scope (run youtube-auth.js again if your
+ * token predates it).
+ */
+
+export const name = 'youtube';
+
+/**
+ * Formats a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Fetches a video's stats for a time window
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - Query options
+ * @param {Date} options.start - Window start
+ * @param {Date} options.end - Window end
+ * @param {Object} [options.auth] - OAuth2 client (default: from the YOUTUBE_* environment)
+ * @returns {Promise<Object>} { views, watchMinutes, impressions: null, clicks: null }
+ * @throws {Error} When the report request fails
+ */
+export const fetchVideoStats = async (videoId, { start, end, auth } = {}) => {
+  const youtubeAnalytics = google.youtubeAnalytics({ version: 'v2', auth: auth || createYouTubeAuth() });
+
+  let response;
+  try {
+    response = await youtubeAnalytics.reports.query({
+      ids: 'channel==MINE',
+      startDate: toDay(start),
+      endDate: toDay(end),
+      metrics: 'views,estimatedMinutesWatched',
+      dimensions: 'day',
+      filters: `video==${videoId}`
+    });
+  } catch (error) {
+    throw new Error(`YouTube Analytics request failed: ${error.message}`);
+  }
+
+  const rows = (response.data.rows || []).map(([date, views, watchMinutes]) => ({ date, views, watchMinutes }));
+  return sumStatsInWindow(rows, start, end);
+};
@@ -0,0 +1,612 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getMarketplace } from './utils/marketplaces.js';
+import { TRANSITION_SETS } from './transitions.js';
+
+/**
+ * Batch runner for creating affiliate videos from a list of products
+ * Reads a CSV or JSON file of ASINs/URLs with optional per-row overrides,
+ * processes the rows with a concurrency limit and keeps a JSON report on disk
+ * so a re-run skips rows that already completed.
+ */
+
+const VALID_QUALITIES = ['low', 'medium', 'high', 'ultra'];
+const VALID_VOICE_GENDERS = ['male', 'female'];
+const VALID_PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+
+/**
+ * Column aliases accepted in batch files (normalized to camelCase keys)
+ */
+const COLUMN_ALIASES = {
+  asin: 'product',
+  url: 'product',
+  product: 'product',
+  quality: 'quality',
+  voice: 'voice',
+  voice_gender: 'voice',
+  voicegender: 'voice',
+  short: 'short',
+  short_video: 'short',
+  shortvideo: 'short',
+  privacy: 'privacy',
+  privacy_status: 'privacy',
+  privacystatus: 'privacy',
+  max_images: 'maxImages',
+  maximages: 'maxImages',
+  marketplace: 'marketplace',
+  transitions: 'transitions',
+  theme: 'theme'
+};
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted values
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+/**
+ * Normalizes a raw row (CSV record or JSON entry) to known keys
+ * @param {Object|string} raw - Raw row
+ * @returns {Object} Row with product and override keys
+ */
+const normalizeRawRow = (raw) => {
+  if (typeof raw === 'string') {
+    return { product: raw.trim() };
+  }
+
+  const row = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const normalizedKey = COLUMN_ALIASES[key.toLowerCase().replace(/[\s-]/g, '_')]
+      || COLUMN_ALIASES[key.toLowerCase()];
+    if (normalizedKey && value !== '' && value !== null && value !== undefined) {
+      row[normalizedKey] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  return row;
+};
+
+/**
+ * Parses a CSV batch file (header row required, or a single column of ASINs)
+ * @param {string} content - CSV content
+ * @returns {Object[]} Raw rows
+ */
+export const parseBatchCsv = (content) => {
+  const lines = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[0]).map(column => column.toLowerCase());
+  const hasHeader = header.some(column => COLUMN_ALIASES[column.replace(/[\s-]/g, '_')]);
+
+  // Headerless files are a plain list of ASINs/URLs
+  if (!hasHeader) {
+    return lines.map(line => ({ product: splitCsvLine(line)[0] }));
+  }
+
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    const record = {};
+    header.forEach((column, index) => {
+      record[column] = values[index] ?? '';
+    });
+    return record;
+  });
+};
+
+/**
+ * Parses a JSON batch file (array of ASIN strings/objects, or { products: [...] })
+ * @param {string} content - JSON content
+ * @returns {Array} Raw rows
+ * @throws {Error} When the JSON is invalid or has no product list
+ */
+export const parseBatchJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid batch JSON: ${error.message}`);
+  }
+
+  const rows = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(rows)) {
+    throw new Error('Batch JSON must be an array or an object with a "products" array');
+  }
+
+  return rows;
+};
+
+/**
+ * Parses a boolean-like override value
+ * @param {*} value - Value from the batch file
+ * @returns {boolean|undefined} Parsed boolean, undefined when not recognized
+ */
+const parseBooleanValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = String(value).toLowerCase();
+  if (['true', 'yes', 'y', '1', 'on'].includes(normalized)) {
+    return true;
+  }
+  if (['false', 'no', 'n', '0', 'off'].includes(normalized)) {
+    return false;
+  }
+  return undefined;
+};
+
+/**
+ * Validates a normalized batch row
+ * @param {Object} row - Normalized row
+ * @param {number} index - Row index (0-based)
+ * @returns {Object} Validated row with parsed override values
+ * @throws {Error} When the row is invalid
+ */
+const validateBatchRow = (row, index) => {
+  const label = `Row ${index + 1}`;
+
+  if (!row.product) {
+    throw new Error(`${label}: missing ASIN or URL`);
+  }
+
+  const validated = { product: row.product };
+
+  if (row.quality !== undefined) {
+    const quality = String(row.quality).toLowerCase();
+    if (!VALID_QUALITIES.includes(quality)) {
+      throw new Error(`${label}: invalid quality "${row.quality}". Valid options: ${VALID_QUALITIES.join(', ')}`);
+    }
+    validated.quality = quality;
+  }
+
+  if (row.voice !== undefined) {
+    const voice = String(row.voice).toLowerCase();
+    if (!VALID_VOICE_GENDERS.includes(voice)) {
+      throw new Error(`${label}: invalid voice "${row.voice}". Valid options: ${VALID_VOICE_GENDERS.join(', ')}`);
+    }
+    validated.voice = voice;
+  }
+
+  if (row.short !== undefined) {
+    const short = parseBooleanValue(row.short);
+    if (short === undefined) {
+      throw new Error(`${label}: invalid short value "${row.short}". Use yes/no or true/false`);
+    }
+    validated.short = short;
+  }
+
+  if (row.privacy !== undefined) {
+    const privacy = String(row.privacy).toLowerCase();
+    if (!VALID_PRIVACY_STATUSES.includes(privacy)) {
+      throw new Error(`${label}: invalid privacy "${row.privacy}". Valid options: ${VALID_PRIVACY_STATUSES.join(', ')}`);
+    }
+    validated.privacy = privacy;
+  }
+
+  if (row.maxImages !== undefined) {
+    const maxImages = Number(row.maxImages);
+    if (!Number.isInteger(maxImages) || maxImages < 1 || maxImages > 20) {
+      throw new Error(`${label}: max_images must be between 1 and 20`);
+    }
+    validated.maxImages = maxImages;
+  }
+
+  if (row.marketplace !== undefined) {
+    try {
+      validated.marketplace = getMarketplace(row.marketplace).code;
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+
+  if (row.transitions !== undefined) {
+    const transitions = String(row.transitions).toLowerCase();
+    if (!(transitions in TRANSITION_SETS)) {
+      throw new Error(`${label}: invalid transitions "${row.transitions}". Valid options: ${Object.keys(TRANSITION_SETS).join(', ')}`);
+    }
+    validated.transitions = transitions;
+  }
+
+  // Theme names are checked when the theme is loaded, as they depend on the themes directory
+  if (row.theme !== undefined) {
+    validated.theme = String(row.theme).trim();
+  }
+
+  return validated;
+};
+
+/**
+ * Parses batch file content into validated rows
+ * @param {string} content - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object[]} Validated rows
+ * @throws {Error} When the content is invalid
+ */
+export const parseBatchRows = (content, format) => {
+  let rawRows;
+  if (format === 'json') {
+    rawRows = parseBatchJson(content);
+  } else if (format === 'csv') {
+    rawRows = parseBatchCsv(content);
+  } else {
+    throw new Error(`Unsupported batch file format: ${format}. Use .csv or .json`);
+  }
+
+  const rows = rawRows.map((raw, index) => validateBatchRow(normalizeRawRow(raw), index));
+
+  if (rows.length === 0) {
+    throw new Error('Batch file does not contain any products');
+  }
+
+  return rows;
+};
+
+/**
+ * Reads and parses a batch file; the format is taken from the file extension
+ * @param {string} filePath - Path to .csv or .json file
+ * @returns {Promise<Object[]>} Validated rows
+ */
+export const readBatchFile = async (filePath) => {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const format = path.extname(filePath).slice(1).toLowerCase();
+  return parseBatchRows(content, format);
+};
+
+/**
+ * Builds the key identifying a row in the report
+ * @param {Object} row - Validated row
+ * @returns {string} Row key
+ */
+export const getRowKey = (row) => row.product;
+
+/**
+ * Merges per-row overrides into the base createAffiliateVideo options
+ * @param {Object} row - Validated row
+ * @param {Object} baseOptions - Options shared by every row
+ * @returns {Object} Options for createAffiliateVideo
+ */
+export const buildRowOptions = (row, baseOptions = {}) => {
+  const options = { ...baseOptions };
+
+  if (row.quality) {
+    options.videoQuality = row.quality;
+  }
+  if (row.voice) {
+    options.voiceGender = row.voice;
+  }
+  if (row.short !== undefined) {
+    options.createShortVideo = row.short;
+  }
+  if (row.privacy) {
+    options.privacyStatus = row.privacy;
+  }
+  if (row.maxImages) {
+    options.maxImages = row.maxImages;
+  }
+  if (row.marketplace) {
+    options.marketplace = row.marketplace;
+  }
+  if (row.transitions) {
+    options.transitions = row.transitions;
+  }
+  if (row.theme) {
+    options.theme = row.theme;
+  }
+
+  return options;
+};
+
+/**
+ * Gets the default report path next to the batch file
+ * @param {string} filePath - Batch file path
+ * @returns {string} Report path
+ */
+export const getDefaultReportPath = (filePath) => {
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}.report.json`);
+};
+
+/**
+ * Loads an existing batch report, or creates an empty one
+ * @param {string} reportPath - Report path
+ * @param {string} source - Batch file path
+ * @returns {Promise<Object>} Report
+ */
+export const loadBatchReport = async (reportPath, source) => {
+  try {
+    const content = await fs.readFile(reportPath, 'utf-8');
+    const report = JSON.parse(content);
+    report.rows = report.rows || {};
+    return report;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read batch report: ${error.message}`);
+    }
+  }
+
+  return {
+    source,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    summary: { total: 0, completed: 0, failed: 0, pending: 0 },
+    rows: {}
+  };
+};
+
+/**
+ * Recomputes the report summary for the current rows
+ * @param {Object} report - Report
+ * @param {Object[]} rows - Validated rows
+ */
+const updateReportSummary = (report, rows) => {
+  const statuses = rows.map(row => report.rows[getRowKey(row)]?.status);
+  report.summary = {
+    total: rows.length,
+    completed: statuses.filter(status => status === 'completed').length,
+    failed: statuses.filter(status => status === 'failed').length,
+    pending: statuses.filter(status => status !== 'completed' && status !== 'failed').length
+  };
+};
+
+/**
+ * Writes the report to disk (atomically via rename)
+ * @param {string} reportPath - Report path
+ * @param {Object} report - Report
+ * @returns {Promise<void>}
+ */
+const saveBatchReport = async (reportPath, report) => {
+  report.updatedAt = new Date().toISOString();
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+
+  const tempPath = `${reportPath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(report, null, 2), 'utf-8');
+  await fs.rename(tempPath, reportPath);
+};
+
+/**
+ * Extracts the YouTube video IDs and URLs from a createAffiliateVideo result
+ * @param {Object} result - createAffiliateVideo result
+ * @returns {Object|null} YouTube information, null when nothing was uploaded
+ */
+const extractYouTubeInfo = (result) => {
+  if (result.dualUpload) {
+    return {
+      videoId: result.longVideo?.videoId || null,
+      url: result.longVideo?.url || null,
+      shortVideoId: result.shortVideo?.videoId || null,
+      shortUrl: result.shortVideo?.url || null
+    };
+  }
+
+  if (result.videoId) {
+    return { videoId: result.videoId, url: result.youtubeUrl || null };
+  }
+
+  return null;
+};
+
+/**
+ * Gets the per-row overrides of a row
+ * @param {Object} row - Validated row
+ * @returns {Object} Row values other than the product
+ */
+const getRowOverrides = (row) => Object.fromEntries(Object.entries(row).filter(([key]) => key !== 'product'));
+
+/**
+ * Checks whether two sets of row overrides are the same
+ * @param {Object} a - Row overrides
+ * @param {Object} b - Row overrides
+ * @returns {boolean} True when both have the same values
+ */
+const isSameOverrides = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * Builds the report entry for a finished row
+ * @param {Object} row - Validated row
+ * @param {Object} result - createAffiliateVideo result
+ * @param {number} startedAt - Start timestamp
+ * @param {string} [resumedSessionId] - Session the row resumed, kept when the result has none
+ * @returns {Object} Report entry
+ */
+const createRowEntry = (row, result, startedAt, resumedSessionId = null) => {
+  const entry = {
+    product: row.product,
+    overrides: getRowOverrides(row),
+    status: result.success ? 'completed' : 'failed',
+    sessionId: result.sessionId || resumedSessionId,
+    seed: result.seed || null,
+    durationMs: Date.now() - startedAt,
+    finishedAt: new Date().toISOString()
+  };
+
+  if (result.success) {
+    entry.videoTitle = result.videoTitle || null;
+    entry.outputs = {
+      video: result.files?.video || null,
+      shortVideo: result.files?.shortVideo || null,
+      thumbnail: result.files?.thumbnail || null,
+      description: result.files?.description || null
+    };
+    entry.youtube = extractYouTubeInfo(result);
+    entry.uploadSkipped = Boolean(result.skippedUpload);
+  } else {
+    entry.error = result.error || 'Unknown error';
+  }
+
+  return entry;
+};
+
+/**
+ * Runs async tasks with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel tasks
+ * @param {Function} worker - Async function called for each item
+ * @returns {Promise<void>}
+ */
+const runWithConcurrency = async (items, concurrency, worker) => {
+  let nextIndex = 0;
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+
+  const runners = Array.from({ length: limit }, async () => {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex++];
+      await worker(item);
+    }
+  });
+
+  await Promise.all(runners);
+};
+
+/**
+ * Processes every row of a batch, skipping rows the report marks as completed
+ * Failed rows are retried on the next run and resume their previous session,
+ * so finished steps (scraping, scripts, TTS) are not paid for twice. A resumed
+ * session keeps the options it started with, so a row whose overrides changed
+ * since starts a new session instead.
+ * @param {Object[]} rows - Validated rows
+ * @param {Object} options - Batch options
+ * @param {Function} options.createVideo - createAffiliateVideo (injectable for tests)
+ * @param {string} options.reportPath - Report path
+ * @param {string} [options.source] - Batch file path recorded in the report
+ * @param {Object} [options.baseOptions] - Options shared by every row
+ * @param {number} [options.concurrency] - Rows processed in parallel (default: 1)
+ * @param {Function} [options.onRowComplete] - Called with (row, entry) after each row
+ * @returns {Promise<Object>} Final report
+ */
+export const runBatch = async (rows, options) => {
+  const {
+    createVideo,
+    reportPath,
+    source = null,
+    baseOptions = {},
+    concurrency = 1,
+    onRowComplete = null
+  } = options;
+
+  if (typeof createVideo !== 'function') {
+    throw new Error('runBatch requires a createVideo function');
+  }
+  if (!reportPath) {
+    throw new Error('runBatch requires a reportPath');
+  }
+
+  const report = await loadBatchReport(reportPath, source);
+  const seenKeys = new Set();
+
+  const pendingRows = rows.filter(row => {
+    const key = getRowKey(row);
+    if (seenKeys.has(key)) {
+      console.warn(`⚠️ Duplicate batch row skipped: ${key}`);
+      return false;
+    }
+    seenKeys.add(key);
+
+    if (report.rows[key]?.status === 'completed') {
+      console.log(`⏭️ Skipping completed row: ${key}`);
+      return false;
+    }
+    return true;
+  });
+
+  updateReportSummary(report, rows);
+  await saveBatchReport(reportPath, report);
+
+  // Report writes are serialized so parallel rows never interleave
+  let saveQueue = Promise.resolve();
+  const queueSave = () => {
+    saveQueue = saveQueue.then(() => {
+      updateReportSummary(report, rows);
+      return saveBatchReport(reportPath, report);
+    });
+    return saveQueue;
+  };
+
+  await runWithConcurrency(pendingRows, concurrency, async row => {
+    const key = getRowKey(row);
+    const previous = report.rows[key];
+    const startedAt = Date.now();
+
+    const rowOptions = buildRowOptions(row, baseOptions);
+    const overrides = getRowOverrides(row);
+    // A row still running was interrupted, so its session is resumed like a failed one's
+    if (previous?.sessionId && ['failed', 'running'].includes(previous.status)) {
+      if (previous.overrides && !isSameOverrides(previous.overrides, overrides)) {
+        console.log(`🔄 Starting a new session for ${key}: its row changed since session ${previous.sessionId}`);
+      } else {
+        rowOptions.resumeSessionId = previous.sessionId;
+        console.log(`♻️ Resuming session ${previous.sessionId} for ${key}`);
+      }
+    }
+
+    console.log(`\n🎬 Processing ${key}`);
+    report.rows[key] = {
+      product: row.product,
+      overrides,
+      status: 'running',
+      sessionId: rowOptions.resumeSessionId || null,
+      startedAt: new Date().toISOString()
+    };
+    await queueSave();
+
+    let result;
+    try {
+      result = await createVideo(row.product, rowOptions);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const entry = createRowEntry(row, result || { success: false }, startedAt, rowOptions.resumeSessionId || null);
+    report.rows[key] = entry;
+    await queueSave();
+
+    if (entry.status === 'completed') {
+      console.log(`✅ Completed ${key}`);
+    } else {
+      console.error(`❌ Failed ${key}: ${entry.error}`);
+    }
+
+    if (onRowComplete) {
+      onRowComplete(row, entry);
+    }
+  });
+
+  await saveQueue;
+  return report;
+};
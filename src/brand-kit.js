@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Channel brand kits
+ * A brand kit describes how a channel looks and sounds: its name, logo and
+ * watermark, palette, fonts, intro image or video, intro and outro voice lines
+ * and the layout of the QR outro. Kits are JSON files in a brands directory
+ * (brands/ by default) and override the default kit section by section, so a
+ * kit only lists what differs. Asset paths are relative to the kit file.
+ */
+
+export const DEFAULT_BRAND_DIR = fileURLToPath(new URL('../brands', import.meta.url));
+
+export const DEFAULT_BRAND = 'default';
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * QR outro layouts
+ * qr: the QR code alone; card: logo above the QR code, headline below it;
+ * split: QR code on the left, logo and headline on the right (stacked like
+ * card in vertical frames)
+ */
+export const OUTRO_LAYOUTS = ['qr', 'card', 'split'];
+
+/**
+ * Sections merged key by key over the default kit
+ */
+const BRAND_SECTIONS = ['watermark', 'palette', 'fonts', 'intro', 'outro'];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File path
+ * @param {string} label - What the file is, for the error message
+ * @returns {Promise<Object>} Parsed content
+ * @throws {Error} When the file can't be read or parsed
+ */
+const readJsonFile = async (filePath, label) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load ${label} from ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Resolves the asset paths of a kit against a directory
+ * @param {Object} kit - Brand kit or overrides
+ * @param {string} dir - Directory the paths are relative to
+ * @returns {Object} Kit with absolute asset paths
+ */
+const resolveAssetPaths = (kit, dir) => {
+  const resolveAsset = value => (typeof value === 'string' && value ? path.resolve(dir, value) : value);
+  const resolved = { ...kit };
+
+  if ('logo' in kit) {
+    resolved.logo = resolveAsset(kit.logo);
+  }
+  if (kit.intro) {
+    resolved.intro = { ...kit.intro };
+    for (const key of ['image', 'video']) {
+      if (key in kit.intro) {
+        resolved.intro[key] = resolveAsset(kit.intro[key]);
+      }
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Merges kit overrides over the default kit
+ * @param {Object} defaults - Default kit
+ * @param {Object} overrides - Kit overrides
+ * @returns {Object} Merged kit
+ */
+const mergeBrandKit = (defaults, overrides) => {
+  const kit = { ...defaults, ...overrides };
+  for (const section of BRAND_SECTIONS) {
+    kit[section] = { ...defaults[section], ...overrides[section] };
+  }
+  return kit;
+};
+
+/**
+ * Validates a merged brand kit
+ * @param {Object} kit - Brand kit
+ * @throws {Error} When a color, position, layout or size is invalid
+ */
+const validateBrandKit = (kit) => {
+  const fail = message => {
+    throw new Error(`Invalid brand kit ${kit.id}: ${message}`);
+  };
+  const isShare = value => typeof value === 'number' && value > 0 && value <= 1;
+
+  for (const [name, color] of Object.entries(kit.palette)) {
+    if (!COLOR_PATTERN.test(color)) {
+      fail(`palette.${name} must be a #RRGGBB color, got ${color}`);
+    }
+  }
+  if (!WATERMARK_POSITIONS.includes(kit.watermark.position)) {
+    fail(`unknown watermark position ${kit.watermark.position}. Available positions: ${WATERMARK_POSITIONS.join(', ')}`);
+  }
+  if (!isShare(kit.watermark.opacity) || !isShare(kit.watermark.size) || !(kit.watermark.margin >= 0 && kit.watermark.margin < 0.5)) {
+    fail('watermark opacity and size must be above 0 and at most 1, and margin from 0 to 0.5');
+  }
+  if (!OUTRO_LAYOUTS.includes(kit.outro.layout)) {
+    fail(`unknown outro layout ${kit.outro.layout}. Available layouts: ${OUTRO_LAYOUTS.join(', ')}`);
+  }
+  if (!isShare(kit.outro.qrSize)) {
+    fail('outro qrSize must be above 0 and at most 1');
+  }
+  if (!(kit.intro.duration > 0) || !(kit.outro.duration > 0)) {
+    fail('intro and outro durations must be positive');
+  }
+};
+
+/**
+ * Loads a brand kit
+ * A kit is the name of a file in the brands directory or the path of a JSON
+ * file; its sections override the default kit's key by key.
+ * @param {string|Object} [brand] - Kit name, JSON file path or kit object (default: BRAND_KIT env or default)
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.dir] - Brands directory (default: BRAND_DIR env or brands/)
+ * @returns {Promise<Object>} Brand kit with its id and absolute asset paths
+ * @throws {Error} When the kit can't be loaded or is invalid
+ */
+export const loadBrandKit = async (brand, options = {}) => {
+  const dir = path.resolve(options.dir || process.env.BRAND_DIR || DEFAULT_BRAND_DIR);
+  const source = brand || process.env.BRAND_KIT || DEFAULT_BRAND;
+  const defaults = resolveAssetPaths(await readJsonFile(path.join(dir, `${DEFAULT_BRAND}.json`), 'the default brand kit'), dir);
+
+  let id;
+  let overrides;
+  if (typeof source === 'object') {
+    id = source.id || 'custom';
+    overrides = resolveAssetPaths(source, process.cwd());
+  } else {
+    const isFile = source.endsWith('.json') || source.includes('/') || source.includes(path.sep);
+    const filePath = isFile ? path.resolve(source) : path.join(dir, `${source}.json`);
+    id = path.basename(source, '.json');
+    overrides = id === DEFAULT_BRAND && !isFile
+      ? {}
+      : resolveAssetPaths(await readJsonFile(filePath, `brand kit ${id}`), path.dirname(filePath));
+  }
+
+  const kit = { ...mergeBrandKit(defaults, overrides), id };
+  validateBrandKit(kit);
+  return kit;
+};
+
+/**
+ * Picks a voice line for a language
+ * @param {string|Object|null} line - Line for every language, or lines by language code
+ * @param {string} languageCode - Video language
+ * @returns {string|null} Line, or null when the kit has none for the language
+ */
+const pickVoiceLine = (line, languageCode) => (line && typeof line === 'object' ? line[languageCode] : line) || null;
+
+/**
+ * Gets the intro and outro options of a brand kit for a video language
+ * Voice lines the kit leaves out are the language's own, with the intro
+ * naming the kit's channel.
+ * @param {Object} kit - Brand kit
+ * @param {Object} language - Video language (from getLanguage)
+ * @returns {Object} Intro/outro options (see createIntroOutroSegments)
+ */
+export const getBrandIntroOutroOptions = (kit, language) => {
+  const introLine = pickVoiceLine(kit.intro.voiceLine, language.code) || language.strings.intro;
+  const outroLine = pickVoiceLine(kit.outro.voiceLine, language.code) || language.strings.outro;
+
+  return {
+    introImagePath: kit.intro.image,
+    introVideoPath: kit.intro.video,
+    introDuration: kit.intro.duration,
+    introVoiceoverText: introLine.replace('{channel}', kit.name),
+    outroVoiceoverText: outroLine.replace('{channel}', kit.name),
+    outroDuration: kit.outro.duration,
+    outroLayout: {
+      layout: kit.outro.layout,
+      headline: kit.outro.headline,
+      qrSize: kit.outro.qrSize,
+      logoPath: kit.logo,
+      background: kit.palette.background,
+      textColor: kit.palette.text,
+      font: kit.fonts.heading
+    }
+  };
+};
+
+/**
+ * Gets the thumbnail text style and logo of a brand kit
+ * @param {Object} kit - Brand kit
+ * @returns {Object} createStylishThumbnail options
+ */
+export const getBrandThumbnailStyle = (kit) => ({
+  fontFamily: kit.fonts.heading,
+  textColor: kit.palette.text,
+  strokeColor: kit.palette.outline,
+  shadowColor: kit.palette.outline,
+  logoPath: kit.watermark.enabled ? kit.logo : null,
+  logoPosition: kit.watermark.position,
+  logoOpacity: kit.watermark.opacity,
+  logoSize: kit.watermark.size,
+  logoMargin: kit.watermark.margin
+});
+
+/**
+ * Gets the caption style properties a brand kit sets
+ * @param {Object} kit - Brand kit
+ * @returns {Object} Caption style overrides for every format
+ */
+export const getBrandCaptionStyle = (kit) => ({
+  fontName: kit.fonts.body,
+  primaryColor: kit.palette.text,
+  highlightColor: kit.palette.accent,
+  outlineColor: kit.palette.outline
+});
+
+/**
+ * Converts a #RRGGBB color to an FFmpeg color
+ * @param {string} color - Color as #RRGGBB
+ * @returns {string} Color as 0xRRGGBB
+ */
+export const toFfmpegColor = (color) => `0x${String(color).replace('#', '')}`;
+
+/**
+ * Creates the FFmpeg filter laying the logo watermark over a video stream
+ * The logo is scaled to its share of the shorter side of the frame.
+ * @param {Object} watermark - Watermark settings of the kit
+ * @param {Object} options - Filter options
+ * @param {number} options.inputIndex - FFmpeg input index of the logo
+ * @param {string} options.input - Video stream label, e.g. [concat_v]
+ * @param {string} options.output - Output stream label, e.g. [final_v]
+ * @param {string} options.resolution - Video resolution as WIDTHxHEIGHT
+ * @param {number} [options.start] - Second the watermark appears
+ * @param {number|null} [options.end] - Second it disappears (null = the end of the video)
+ * @returns {string} Filter
+ */
+export const createWatermarkFilter = (watermark, { inputIndex, input, output, resolution, start = 0, end = null }) => {
+  const [width, height] = resolution.split('x').map(Number);
+  const shorterSide = Math.min(width, height);
+  const logoWidth = Math.round(shorterSide * watermark.size);
+  const margin = Math.round(shorterSide * watermark.margin);
+  const [vertical, horizontal] = watermark.position.split('-');
+  const x = horizontal === 'left' ? margin : `W-w-${margin}`;
+  const y = vertical === 'top' ? margin : `H-h-${margin}`;
+  const enable = end === null ? `gte(t,${start})` : `between(t,${start},${end})`;
+
+  return `[${inputIndex}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[brand_logo];` +
+    `${input}[brand_logo]overlay=${x}:${y}:enable='${enable}'${output};`;
+};
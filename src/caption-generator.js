@@ -0,0 +1,375 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Caption generator
+ * Turns voiceover word timings into captions: ASS subtitles with the spoken
+ * word highlighted, burned into the video with FFmpeg, plus SRT and WebVTT
+ * files next to the video for upload.
+ */
+
+/**
+ * Caption styles per video format
+ * Colors are #RRGGBB. safeArea is the share of the frame height kept clear
+ * between the captions and the edge they are positioned at, so platform UI
+ * (Shorts/TikTok buttons and descriptions) doesn't cover them.
+ */
+export const CAPTION_STYLES = {
+  short: {
+    fontName: 'Arial',
+    fontSize: 78,
+    bold: true,
+    primaryColor: '#FFFFFF',
+    highlightColor: '#FFD400',
+    outlineColor: '#000000',
+    outline: 5,
+    shadow: 0,
+    highlightScale: 112, // Spoken word grows slightly (percent)
+    position: 'bottom',
+    safeArea: 0.28,
+    marginH: 80,
+    maxWordsPerLine: 3
+  },
+  long: {
+    fontName: 'Arial',
+    fontSize: 46,
+    bold: false,
+    primaryColor: '#FFFFFF',
+    highlightColor: '#FFD400',
+    outlineColor: '#000000',
+    outline: 3,
+    shadow: 1,
+    highlightScale: 100,
+    position: 'bottom',
+    safeArea: 0.07,
+    marginH: 160,
+    maxWordsPerLine: 7
+  }
+};
+
+const CAPTION_POSITIONS = ['bottom', 'middle', 'top'];
+
+/**
+ * Longest pause (seconds) inside one caption; a longer pause starts a new one
+ */
+const MAX_CAPTION_PAUSE = 0.7;
+
+/**
+ * Merges style overrides into the default style of a format
+ * @param {string} format - Video format ('short' or 'long')
+ * @param {Object} overrides - Style properties to change
+ * @returns {Object} Caption style
+ * @throws {Error} When the format, a property or the position is unknown
+ */
+export const resolveCaptionStyle = (format, overrides = {}) => {
+  const defaults = CAPTION_STYLES[format];
+  if (!defaults) {
+    throw new Error(`Unknown caption format: ${format}. Available formats: ${Object.keys(CAPTION_STYLES).join(', ')}`);
+  }
+
+  const unknown = Object.keys(overrides || {}).filter(key => !(key in defaults));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown caption style option(s) for ${format}: ${unknown.join(', ')}`);
+  }
+
+  const style = { ...defaults, ...overrides };
+  if (!CAPTION_POSITIONS.includes(style.position)) {
+    throw new Error(`Invalid caption position: ${style.position}. Valid options: ${CAPTION_POSITIONS.join(', ')}`);
+  }
+
+  return style;
+};
+
+/**
+ * Loads per-format caption style overrides
+ * @param {Object|string|null} source - { short, long } overrides, or the path of a JSON file with them
+ * @param {Object} [base] - Overrides of every format that the source overrides in turn (e.g. the brand kit's)
+ * @returns {Promise<Object>} { short, long } caption styles
+ * @throws {Error} When the file can't be read or a style is invalid
+ */
+export const loadCaptionStyles = async (source = null, base = {}) => {
+  let overrides = source || {};
+
+  if (typeof source === 'string') {
+    try {
+      overrides = JSON.parse(await fs.readFile(source, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load caption styles from ${source}: ${error.message}`);
+    }
+  }
+
+  return {
+    short: resolveCaptionStyle('short', { ...base, ...overrides.short }),
+    long: resolveCaptionStyle('long', { ...base, ...overrides.long })
+  };
+};
+
+/**
+ * Groups timed words into caption cues
+ * A cue ends after maxWordsPerLine words, at the end of a sentence or before a long pause.
+ * @param {Object[]} words - Words as { word, start, end }
+ * @param {Object} options - Cue options
+ * @param {number} [options.maxWordsPerLine] - Words per cue (default: 5)
+ * @param {number} [options.offset] - Seconds added to every timing (e.g. the intro length)
+ * @returns {Object[]} Cues as { start, end, words }
+ */
+export const buildCaptionCues = (words, { maxWordsPerLine = 5, offset = 0 } = {}) => {
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      cues.push({ start: current[0].start, end: current[current.length - 1].end, words: current });
+      current = [];
+    }
+  };
+
+  words.forEach((word, index) => {
+    current.push({ ...word, start: word.start + offset, end: word.end + offset });
+
+    const next = words[index + 1];
+    if (current.length >= maxWordsPerLine || /[.!?]["')\]]*$/.test(word.word) || (next && next.start - word.end > MAX_CAPTION_PAUSE)) {
+      flush();
+    }
+  });
+  flush();
+
+  return cues;
+};
+
+/**
+ * Formats seconds as a subtitle timestamp
+ * @param {number} seconds - Seconds
+ * @param {string} format - 'srt', 'vtt' or 'ass'
+ * @returns {string} Timestamp
+ */
+const formatTimestamp = (seconds, format) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  if (format === 'ass') {
+    return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(Math.floor(ms / 10))}`;
+  }
+  const separator = format === 'srt' ? ',' : '.';
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * Creates SubRip (.srt) captions
+ * @param {Object[]} cues - Cues from buildCaptionCues
+ * @returns {string} SRT content
+ */
+export const createSrt = (cues) => {
+  const body = cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, 'srt')} --> ${formatTimestamp(cue.end, 'srt')}`,
+    cue.words.map(word => word.word).join(' ')
+  ].join('\n')).join('\n\n');
+
+  return `${body}\n`;
+};
+
+/**
+ * Creates WebVTT (.vtt) captions
+ * @param {Object[]} cues - Cues from buildCaptionCues
+ * @returns {string} WebVTT content
+ */
+export const createVtt = (cues) => {
+  const body = cues.map(cue => [
+    `${formatTimestamp(cue.start, 'vtt')} --> ${formatTimestamp(cue.end, 'vtt')}`,
+    cue.words.map(word => word.word).join(' ')
+  ].join('\n')).join('\n\n');
+
+  return `WEBVTT\n\n${body}\n`;
+};
+
+/**
+ * Converts a #RRGGBB color to an ASS &HAABBGGRR color
+ * @param {string} color - Color as #RRGGBB
+ * @returns {string} ASS color
+ */
+const toAssColor = (color) => {
+  const hex = String(color).replace('#', '').padStart(6, '0');
+  return `&H00${hex.substring(4, 6)}${hex.substring(2, 4)}${hex.substring(0, 2)}`.toUpperCase();
+};
+
+/**
+ * Escapes caption text for ASS (braces start override tags)
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeAssText = (text) => text.replace(/\\/g, '').replace(/\{/g, '(').replace(/\}/g, ')');
+
+/**
+ * Creates ASS subtitles that highlight each word while it is spoken
+ * @param {Object[]} cues - Cues from buildCaptionCues
+ * @param {Object} style - Caption style from resolveCaptionStyle
+ * @param {Object} options - Video options
+ * @param {number} options.width - Video width
+ * @param {number} options.height - Video height
+ * @returns {string} ASS content
+ */
+export const createAss = (cues, style, { width, height }) => {
+  const alignment = { bottom: 2, middle: 5, top: 8 }[style.position];
+  const marginV = style.position === 'middle' ? 0 : Math.round(height * style.safeArea);
+
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Caption,${style.fontName},${style.fontSize},${toAssColor(style.primaryColor)},${toAssColor(style.highlightColor)},${toAssColor(style.outlineColor)},&H80000000,${style.bold ? -1 : 0},0,0,0,100,100,0,0,1,${style.outline},${style.shadow},${alignment},${style.marginH},${style.marginH},${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const highlight = `{\\c${toAssColor(style.highlightColor)}&${style.highlightScale !== 100 ? `\\fscx${style.highlightScale}\\fscy${style.highlightScale}` : ''}}`;
+
+  const events = cues.flatMap(cue => cue.words.map((word, index) => {
+    // Each event shows the whole cue with the word being spoken highlighted
+    const start = index === 0 ? cue.start : word.start;
+    const end = index < cue.words.length - 1 ? cue.words[index + 1].start : cue.end;
+    const text = cue.words
+      .map((item, itemIndex) => (itemIndex === index ? `${highlight}${escapeAssText(item.word)}{\\r}` : escapeAssText(item.word)))
+      .join(' ');
+
+    return `Dialogue: 0,${formatTimestamp(start, 'ass')},${formatTimestamp(end, 'ass')},Caption,,0,0,0,,${text}`;
+  }));
+
+  return `${[...header, ...events].join('\n')}\n`;
+};
+
+/**
+ * Writes SRT and WebVTT captions next to a video (<name>.srt and <name>.vtt)
+ * @param {Object[]} cues - Cues from buildCaptionCues
+ * @param {string} videoPath - Video path
+ * @returns {Promise<Object>} { srtPath, vttPath }
+ */
+export const writeCaptionFiles = async (cues, videoPath) => {
+  const basePath = path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)));
+  const srtPath = `${basePath}.srt`;
+  const vttPath = `${basePath}.vtt`;
+
+  await fs.writeFile(srtPath, createSrt(cues));
+  await fs.writeFile(vttPath, createVtt(cues));
+
+  return { srtPath, vttPath };
+};
+
+/**
+ * Burns ASS subtitles into a video, replacing it
+ * @param {string} videoPath - Video path
+ * @param {string} assPath - ASS subtitles path
+ * @returns {Promise<void>}
+ * @throws {Error} When FFmpeg fails
+ */
+const burnSubtitles = async (videoPath, assPath) => {
+  // FFmpeg runs in the subtitles directory, so the video paths must be absolute
+  const inputPath = path.resolve(videoPath);
+  const captionedPath = `${inputPath}.captioned.mp4`;
+
+  const burn = new Promise((resolve, reject) => {
+    // Running next to the subtitles keeps the filter argument free of path escaping
+    const ffmpegProcess = spawn('ffmpeg', [
+      '-y',
+      '-i', inputPath,
+      '-vf', `subtitles=${path.basename(assPath)}`,
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '18',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'copy',
+      '-movflags', '+faststart',
+      captionedPath
+    ], {
+      cwd: path.dirname(assPath),
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      ffmpegProcess.kill('SIGTERM');
+      reject(new Error('Caption burn-in timed out after 300 seconds'));
+    }, 300000);
+
+    ffmpegProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Caption burn-in failed with exit code ${code}: ${stderr.slice(-500)}`));
+      }
+    });
+
+    ffmpegProcess.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to start caption burn-in: ${error.message}`));
+    });
+  });
+
+  try {
+    await burn;
+  } catch (error) {
+    await fs.unlink(captionedPath).catch(() => {});
+    throw error;
+  }
+
+  await fs.rename(captionedPath, inputPath);
+};
+
+/**
+ * Adds captions to a rendered video: burns in highlighted captions and
+ * exports SRT and WebVTT files next to it
+ * @param {string} videoPath - Rendered video
+ * @param {Object} captions - Caption options
+ * @param {string} captions.timingsPath - Voiceover timings JSON (from generateVoiceoverTrack)
+ * @param {Object} captions.style - Caption style from resolveCaptionStyle
+ * @param {Object} options - Video options
+ * @param {string} options.resolution - Video resolution as WIDTHxHEIGHT
+ * @param {number} [options.offset] - Seconds before the voiceover starts (intro)
+ * @returns {Promise<Object>} { srtPath, vttPath, cueCount }
+ * @throws {Error} When the timings can't be read or FFmpeg fails
+ */
+export const addCaptionsToVideo = async (videoPath, captions, { resolution, offset = 0 }) => {
+  const { words = [] } = JSON.parse(await fs.readFile(captions.timingsPath, 'utf8'));
+  const cues = buildCaptionCues(words, { maxWordsPerLine: captions.style.maxWordsPerLine, offset });
+
+  if (cues.length === 0) {
+    throw new Error('No timed words to caption');
+  }
+
+  const [width, height] = resolution.split('x').map(Number);
+  const assPath = path.join(path.dirname(videoPath), `${path.basename(videoPath, path.extname(videoPath))}.ass`);
+
+  // Export first so the caption files exist even if burning in fails
+  const { srtPath, vttPath } = await writeCaptionFiles(cues, videoPath);
+  console.log(`📝 Captions exported: ${path.basename(srtPath)}, ${path.basename(vttPath)}`);
+
+  console.log(`💬 Burning in ${cues.length} captions...`);
+  await fs.writeFile(assPath, createAss(cues, captions.style, { width, height }));
+
+  try {
+    await burnSubtitles(videoPath, assPath);
+  } finally {
+    await fs.unlink(assPath).catch(() => {});
+  }
+  console.log('✅ Captions burned in');
+
+  return { srtPath, vttPath, cueCount: cues.length };
+};
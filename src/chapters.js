@@ -0,0 +1,129 @@
+/**
+ * Video chapters
+ * Times the labeled sections of a review script against the voiceover's word
+ * timings and formats them as YouTube chapters. YouTube only shows chapters
+ * when the list starts at 0:00, has at least three entries and every chapter
+ * lasts at least ten seconds, so a list that can't meet those rules is dropped
+ * rather than published half-broken.
+ */
+
+const MIN_CHAPTER_DURATION = 10;
+const MIN_CHAPTERS = 3;
+
+/**
+ * Counts the spoken words in text, ignoring pause markers
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+const countWords = (text) => String(text || '').split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+
+/**
+ * Finds when each script section is spoken
+ * Sections map to the timed words by their share of the script's words, which
+ * tolerates the small rewrites made for speech synthesis.
+ * @param {Object[]} sections - Script sections as { title, text }
+ * @param {Object[]} words - Voiceover words as { word, start, end }
+ * @returns {Object[]} Sections as { title, start, end } in voiceover time
+ */
+export const timeScriptSections = (sections, words) => {
+  const counts = sections.map(section => countWords(section.text));
+  const totalWords = counts.reduce((total, count) => total + count, 0);
+
+  if (!words?.length || totalWords === 0) {
+    return [];
+  }
+
+  const ratio = words.length / totalWords;
+  const wordAt = (index) => words[Math.min(words.length - 1, Math.max(0, index))];
+  let spoken = 0;
+
+  return sections.map((section, index) => {
+    const first = Math.round(spoken * ratio);
+    spoken += counts[index];
+    const last = Math.max(first, Math.round(spoken * ratio) - 1);
+
+    return { title: section.title, start: wordAt(first).start, end: wordAt(last).end };
+  });
+};
+
+/**
+ * Builds YouTube chapters for a rendered video
+ * The first chapter starts at 0:00 and covers the intro; chapters shorter than
+ * ten seconds merge into the one before them.
+ * @param {Object[]} sections - Script sections as { title, text }
+ * @param {Object[]} words - Voiceover words as { word, start, end }
+ * @param {Object} options - Chapter options
+ * @param {number} [options.offset] - Seconds before the voiceover starts (intro)
+ * @param {number} [options.duration] - Video duration (default: end of the voiceover plus the offset)
+ * @returns {Object[]} Chapters as { title, start }, or an empty list when YouTube wouldn't show them
+ */
+export const buildChapters = (sections, words, { offset = 0, duration = null } = {}) => {
+  const timed = timeScriptSections(sections, words);
+  if (timed.length < MIN_CHAPTERS) {
+    return [];
+  }
+
+  const videoEnd = duration ?? timed[timed.length - 1].end + offset;
+  const candidates = timed.map((section, index) => ({
+    title: section.title,
+    start: index === 0 ? 0 : Math.floor(section.start + offset)
+  }));
+
+  const chapters = [candidates[0]];
+  candidates.slice(1).forEach((chapter, index) => {
+    const nextStart = candidates[index + 2]?.start ?? videoEnd;
+    const previous = chapters[chapters.length - 1];
+    if (nextStart - chapter.start >= MIN_CHAPTER_DURATION && chapter.start - previous.start >= MIN_CHAPTER_DURATION) {
+      chapters.push(chapter);
+    }
+  });
+
+  return chapters.length >= MIN_CHAPTERS ? chapters : [];
+};
+
+/**
+ * Formats seconds as a chapter timestamp (m:ss or h:mm:ss)
+ * @param {number} seconds - Seconds
+ * @returns {string} Timestamp
+ */
+export const formatChapterTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Formats chapters as a description block
+ * @param {Object[]} chapters - Chapters as { title, start }
+ * @returns {string} Chapter block, or an empty string without chapters
+ */
+export const formatChapters = (chapters) => {
+  if (!chapters?.length) {
+    return '';
+  }
+
+  return `⏰ Chapters:\n${chapters.map(chapter => `${formatChapterTime(chapter.start)} ${chapter.title}`).join('\n')}`;
+};
+
+/**
+ * Adds chapters to a video description, before its closing hashtags
+ * @param {string} description - Video description
+ * @param {Object[]} chapters - Chapters as { title, start }
+ * @returns {string} Description with chapters
+ */
+export const insertChapters = (description, chapters) => {
+  const block = formatChapters(chapters);
+  if (!block) {
+    return description;
+  }
+
+  const paragraphs = String(description || '').trim().split(/\n{2,}/);
+  const hashtagsAtEnd = paragraphs.length > 1 && /^#\w/.test(paragraphs[paragraphs.length - 1].trim());
+  const insertAt = hashtagsAtEnd ? paragraphs.length - 1 : paragraphs.length;
+
+  paragraphs.splice(insertAt, 0, block);
+  return paragraphs.filter(Boolean).join('\n\n');
+};
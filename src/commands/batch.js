@@ -0,0 +1,215 @@
+/**
+ * Batch command - Creates affiliate videos for every product in a CSV or JSON file
+ */
+
+import path from 'path';
+import { createAffiliateVideo, createLocalizedVideos } from '../index.js';
+import { ensureYouTubeAuthentication } from '../youtube-auth-utils.js';
+import { VIDEO_FLAG_DEFINITIONS, VIDEO_OPTIONS_HELP, validateVideoOptions, convertToVideoOptions } from './video-options.js';
+import {
+  readBatchFile,
+  runBatch,
+  getDefaultReportPath
+} from '../batch-runner.js';
+import {
+  parseCommandArgs,
+  validateRequiredArgs,
+  displaySuccess,
+  displayWarning,
+  exitWithError,
+  validateFile
+} from './utils.js';
+
+/**
+ * Flag definitions for the batch command
+ */
+const FLAG_DEFINITIONS = {
+  'concurrency': {
+    type: 'number',
+    default: 1,
+    description: 'Number of products processed in parallel'
+  },
+  'report': {
+    type: 'string',
+    description: 'Path of the JSON report (default: <batch-file>.report.json)'
+  },
+  ...VIDEO_FLAG_DEFINITIONS
+};
+
+/**
+ * Display help information for the batch command
+ */
+export const displayHelp = () => {
+  console.log(`
+📦 Batch Create Affiliate Videos
+
+Usage: aff batch <file.csv|file.json> [options]
+
+Arguments:
+  <file>                      CSV or JSON list of Amazon ASINs or URLs
+
+File format:
+  CSV with a header row. Only the asin (or url) column is required:
+    asin,quality,voice,short,privacy,max_images
+    B0CPZKLJX1,high,female,yes,unlisted,5
+    B08N5WRWNW,,,no,,
+
+  JSON array of ASIN strings or objects with the same keys:
+    ["B0CPZKLJX1", { "asin": "B08N5WRWNW", "quality": "high", "short": false }]
+
+  Per-row values override the command-line options for that product.
+
+Options:
+  --concurrency <number>      Products processed in parallel (default: 1)
+  --report <path>             JSON report path (default: <file>.report.json)
+${VIDEO_OPTIONS_HELP}
+
+The report is updated after every product. Re-running the same command skips
+products that already completed and resumes the sessions of failed ones.
+
+Examples:
+  # Create videos for every product, uploading them as unlisted
+  aff batch products.csv --auto-upload --privacy unlisted
+
+  # Process two products at a time without uploading
+  aff batch products.json --concurrency 2 --quality high
+`);
+};
+
+/**
+ * Validates batch command arguments and options
+ * @param {string[]} args - Command arguments
+ * @param {Object} options - Parsed options
+ */
+const validateBatchArgs = (args, options) => {
+  validateRequiredArgs(args, 1, 'aff batch <file.csv|file.json> [options]');
+
+  const extension = path.extname(args[0]).toLowerCase();
+  if (!['.csv', '.json'].includes(extension)) {
+    exitWithError(`Unsupported batch file: ${args[0]}. Use a .csv or .json file`);
+  }
+
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    exitWithError('concurrency must be a positive integer');
+  }
+
+  validateVideoOptions(options);
+};
+
+/**
+ * Converts CLI options to the createAffiliateVideo options shared by every row
+ * @param {Object} cliOptions - CLI options
+ * @returns {Object} - Base options for createAffiliateVideo
+ */
+const convertToBaseOptions = (cliOptions) => ({
+  ...convertToVideoOptions(cliOptions),
+  autoPromote: false,
+  interactive: false // Never prompt in the middle of a batch
+});
+
+/**
+ * Picks the function creating the video of a row
+ * With --languages, every row is created in every language. A language's
+ * session can't be resumed on its own, so failed rows start over.
+ * @param {Object} cliOptions - CLI options
+ * @returns {Function} createAffiliateVideo, or createLocalizedVideos with the languages
+ */
+const getVideoCreator = (cliOptions) => {
+  if (!cliOptions.languages) {
+    return createAffiliateVideo;
+  }
+
+  return (product, rowOptions) => createLocalizedVideos(product, {
+    ...rowOptions,
+    resumeSessionId: null,
+    languages: cliOptions.languages,
+    localizedUploads: cliOptions['localized-uploads']
+  });
+};
+
+/**
+ * Displays the batch summary
+ * @param {Object} report - Batch report
+ * @param {string} reportPath - Report path
+ */
+const displaySummary = (report, reportPath) => {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('📊 Batch Summary:');
+  console.log(`   Total: ${report.summary.total}`);
+  console.log(`   ✅ Completed: ${report.summary.completed}`);
+  console.log(`   ❌ Failed: ${report.summary.failed}`);
+
+  Object.values(report.rows)
+    .filter(entry => entry.status === 'failed')
+    .forEach(entry => {
+      console.log(`   ❌ ${entry.product}: ${entry.error}`);
+    });
+
+  console.log(`\n📋 Report: ${reportPath}`);
+
+  if (report.summary.failed > 0) {
+    displayWarning('Some products failed. Run the same command again to retry them.');
+  } else {
+    displaySuccess('All products processed successfully!');
+  }
+};
+
+/**
+ * Main batch command function
+ * @param {string[]} args - Command arguments
+ */
+const batchCommand = async (args) => {
+  try {
+    const { options, args: remainingArgs } = parseCommandArgs(args, FLAG_DEFINITIONS);
+
+    validateBatchArgs(remainingArgs, options);
+
+    const batchFile = remainingArgs[0];
+    await validateFile(batchFile, 'Batch file');
+
+    const rows = await readBatchFile(batchFile);
+    const reportPath = options.report || getDefaultReportPath(batchFile);
+
+    console.log('🚀 Starting batch video creation...');
+    console.log(`📦 Products: ${rows.length}`);
+    console.log(`⚙️  Concurrency: ${options.concurrency}`);
+    console.log(`📁 Output directory: ${options['output-dir']}`);
+    console.log(`📋 Report: ${reportPath}`);
+
+    if (options['auto-upload']) {
+      console.log(`📤 Auto-upload: Enabled (${options.privacy})`);
+
+      // Authenticate once up front instead of failing on every row
+      try {
+        await ensureYouTubeAuthentication();
+      } catch (error) {
+        exitWithError(`YouTube authentication failed: ${error.message}`);
+      }
+    }
+
+    console.log('');
+
+    const report = await runBatch(rows, {
+      createVideo: getVideoCreator(options),
+      reportPath,
+      source: batchFile,
+      baseOptions: convertToBaseOptions(options),
+      concurrency: options.concurrency
+    });
+
+    displaySummary(report, reportPath);
+
+    if (report.summary.failed > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    exitWithError(`Batch command failed: ${error.message}`);
+  }
+};
+
+// Export the main function as default
+export default batchCommand;
+
+// Also export as named export for consistency
+export { batchCommand as run };
@@ -2,8 +2,10 @@
  * Create command - Creates affiliate videos from Amazon product URLs or IDs
  */
 
-import { createAffiliateVideo } from '../index.js';
+import { createAffiliateVideo, createLocalizedVideos } from '../index.js';
 import { ensureYouTubeAuthentication } from '../youtube-auth-utils.js';
+import { getLanguage, parseLanguages } from '../utils/languages.js';
+import { VIDEO_FLAG_DEFINITIONS, VIDEO_OPTIONS_HELP, validateVideoOptions, convertToVideoOptions } from './video-options.js';
 import {
   parseCommandArgs,
   validateRequiredArgs,
@@ -20,36 +22,7 @@ import { youtubeReadyBeep } from '../utils/system-notifications.js';
  * Flag definitions for the create command
  */
 const FLAG_DEFINITIONS = {
-  'max-images': {
-    type: 'number',
-    default: 5,
-    description: 'Maximum number of images to download'
-  },
-  'quality': {
-    type: 'string',
-    default: 'medium',
-    description: 'Video quality: low, medium, high, ultra'
-  },
-  'temp-dir': {
-    type: 'string',
-    default: './temp',
-    description: 'Temporary directory for processing files'
-  },
-  'output-dir': {
-    type: 'string',
-    default: './output',
-    description: 'Output directory for generated files'
-  },
-  'no-cleanup': {
-    type: 'boolean',
-    default: false,
-    description: 'Don\'t cleanup temporary files after processing'
-  },
-  'auto-upload': {
-    type: 'boolean',
-    default: false,
-    description: 'Automatically upload to YouTube without confirmation'
-  },
+  ...VIDEO_FLAG_DEFINITIONS,
   'auto-promote': {
     type: 'boolean',
     default: false,
@@ -60,40 +33,14 @@ const FLAG_DEFINITIONS = {
     default: ['reddit', 'pinterest', 'twitter', 'x', 'tiktok'],
     description: 'Comma-separated list of promotion platforms'
   },
-  'create-short-video': {
-    type: 'boolean',
-    default: true,
-    description: 'Create a 30-second short video for social media'
-  },
-  'no-short-video': {
-    type: 'boolean',
-    default: false,
-    description: 'Disable short video creation'
-  },
-  'publish-both-videos': {
-    type: 'boolean',
-    default: true,
-    description: 'Publish both long and short videos to YouTube'
-  },
-  'no-dual-publish': {
-    type: 'boolean',
-    default: false,
-    description: 'Disable dual publishing (upload only long video)'
-  },
   'headless': {
     type: 'boolean',
     default: false,
     description: 'Run browser automation in headless mode'
   },
-  'male': {
-    type: 'boolean',
-    default: false,
-    description: 'Use male voice for voiceover generation'
-  },
-  'female': {
-    type: 'boolean',
-    default: false,
-    description: 'Use female voice for voiceover generation'
+  'resume': {
+    type: 'string',
+    description: 'Resume a previous session by ID, reusing its finished steps'
   }
 };
 
@@ -105,29 +52,22 @@ export const displayHelp = () => {
 🎬 Create Affiliate Video
 
 Usage: aff create <amazon-product-url-or-id> [options]
+       aff create --resume <session-id> [options]
 
 Arguments:
-  <amazon-product-url-or-id>  Either a full Amazon URL or just the product ID
+  <amazon-product-url-or-id>  An Amazon URL, short link or just the product ID
                               Examples:
                                 • https://www.amazon.com/dp/B0CPZKLJX1
+                                • https://amzn.to/3xYzAbC
                                 • B0CPZKLJX1
 
 Options:
-  --max-images <number>       Maximum number of images to download (default: 5)
-  --quality <level>           Video quality: low, medium, high, ultra (default: medium)
-  --temp-dir <path>           Temporary directory (default: ./temp)
-  --output-dir <path>         Output directory (default: ./output)
-  --no-cleanup               Don't cleanup temporary files
-  --auto-upload              Automatically upload to YouTube without confirmation
+${VIDEO_OPTIONS_HELP}
   --auto-promote             Automatically promote video on social media after upload
   --promotion-platforms <list> Comma-separated platforms (reddit,pinterest,twitter,x,tiktok)
-  --create-short-video       Create a 30-second short video for social media (default: true)
-  --no-short-video           Disable short video creation
-  --publish-both-videos      Publish both long and short videos to YouTube (default: true)
-  --no-dual-publish          Disable dual publishing (upload only long video)
   --headless                 Run browser automation in headless mode
-  --male                     Use male voice for voiceover generation
-  --female                   Use female voice for voiceover generation
+  --resume <session-id>      Resume a failed or unfinished session; finished steps
+                             (scrape, script, voiceover, renders...) are reused
 
 Examples:
   # Create video from product ID with high quality
@@ -144,6 +84,30 @@ Examples:
 
   # Create with custom directories
   aff create B0CPZKLJX1 --temp-dir ./custom-temp --output-dir ./custom-output
+
+  # Build a video offline from saved product pages in ./fixtures/products
+  aff create B0CPZKLJX1 --product-source fixture
+
+  # Create English, Spanish and German videos from one product scrape
+  aff create B0CPZKLJX1 --languages en,es,de
+
+  # Upload one video with Spanish and German titles and descriptions
+  aff create B0CPZKLJX1 --languages en,es,de --localized-uploads localizations
+
+  # Upload the best of 3 title/thumbnail pairs and rotate the others in every 2 days
+  aff create B0CPZKLJX1 --auto-upload --title-variants 3 --rotate-every 48
+
+  # A 90-second video and a 60-second Short, within 2 seconds either way
+  aff create B0CPZKLJX1 --target-duration 90 --short-duration 60 --duration-tolerance 2
+
+  # Cut with a storyboard file: its transition set, with single cuts overridden
+  aff create B0CPZKLJX1 --transitions ./storyboards/launch.json
+
+  # Render again with the voice, music and other random choices of an earlier run
+  aff create B0CPZKLJX1 --seed 9f3a61c2
+
+  # Resume a session whose upload failed (session ID is printed at startup)
+  aff create --resume lq2k3m9x-1a2b3c4d --auto-upload
 `);
 };
 
@@ -153,75 +117,34 @@ Examples:
  * @param {Object} options - Parsed options
  */
 const validateCreateArgs = (args, options) => {
-  validateRequiredArgs(args, 1, 'aff create <amazon-product-url-or-id> [options]');
-
-  // Validate quality option
-  const validQualities = ['low', 'medium', 'high', 'ultra'];
-  if (options.quality && !validQualities.includes(options.quality)) {
-    exitWithError(`Invalid quality: ${options.quality}. Valid options: ${validQualities.join(', ')}`);
-  }
-
-  // Validate max-images
-  if (options['max-images'] && (options['max-images'] < 1 || options['max-images'] > 20)) {
-    exitWithError('max-images must be between 1 and 20');
+  // The product input is stored in the session manifest when resuming
+  if (!options.resume) {
+    validateRequiredArgs(args, 1, 'aff create <amazon-product-url-or-id> [options]');
   }
 
-  // Handle conflicting short video options
-  if (options['no-short-video']) {
-    options['create-short-video'] = false;
-  }
+  validateVideoOptions(options);
 
-  // Handle conflicting dual publishing options
-  if (options['no-dual-publish']) {
-    options['publish-both-videos'] = false;
-  }
-
-  // Handle conflicting voice options
-  if (options.male && options.female) {
-    exitWithError('Cannot specify both --male and --female voice options. Choose one or neither for random selection.');
+  if (options.languages && options.resume) {
+    exitWithError('Cannot combine --languages with --resume. Resume each language\'s session on its own.');
   }
 };
 
 /**
  * Converts CLI options to createAffiliateVideo options format
  * @param {Object} cliOptions - CLI options
+ * @param {string} productInput - Product URL or ID
  * @returns {Object} - Options for createAffiliateVideo function
  */
-const convertToVideoOptions = (cliOptions, productInput) => {
-  // Determine voice gender preference
-  let voiceGender = null;
-  if (cliOptions.male) {
-    voiceGender = 'male';
-  } else if (cliOptions.female) {
-    voiceGender = 'female';
-  }
-
-  return {
-    maxImages: cliOptions['max-images'],
-    videoQuality: cliOptions.quality,
-    tempDir: cliOptions['temp-dir'],
-    outputDir: cliOptions['output-dir'],
-    cleanup: !cliOptions['no-cleanup'],
-    autoUpload: cliOptions['auto-upload'],
-    autoPromote: cliOptions['auto-promote'],
-    promotionPlatforms: cliOptions['promotion-platforms'],
-    createShortVideo: cliOptions['create-short-video'],
-    publishBothVideos: cliOptions['publish-both-videos'],
-    headless: cliOptions.headless,
-    voiceGender: voiceGender,
-    // FIXED: Re-enable background music with proper audio level controls
-    enableBackgroundMusic: true, // Re-enable background music with fixed audio levels
-    enableIntroOutro: true, // Re-enable outro for QR code feature
-    enableIntro: false, // Keep intro disabled to prevent introEnd variable errors
-    // FIXED: Pass Amazon URL to enable QR code outro functionality
-    amazonUrl: productInput, // Pass the product input (URL or ID) for QR code generation
-    introOutroOptions: {
-      enableQROutro: true, // Explicitly enable QR code outro
-      outroDuration: 10.0  // 10-second QR code outro
-    },
-    onProgress: createProgressCallback()
-  };
-};
+const convertToCreateOptions = (cliOptions, productInput) => ({
+  ...convertToVideoOptions(cliOptions),
+  autoPromote: cliOptions['auto-promote'],
+  promotionPlatforms: cliOptions['promotion-platforms'],
+  headless: cliOptions.headless,
+  resumeSessionId: cliOptions.resume,
+  // FIXED: Pass Amazon URL to enable QR code outro functionality
+  amazonUrl: productInput, // Pass the product input (URL or ID) for QR code generation
+  onProgress: createProgressCallback()
+});
 
 /**
  * Displays the final result summary
@@ -266,6 +189,21 @@ const displayResult = (result) => {
       console.log(`   📝 Description: ${result.files.description}`);
     }
 
+    if (result.seed) {
+      console.log(`   🎲 Seed: ${result.seed} (--seed ${result.seed} makes the same choices)`);
+    }
+
+    // Display the title variants and their experiment
+    if (result.titleVariants) {
+      console.log('\n🧪 Title Variants:');
+      result.titleVariants.forEach((variant, index) => {
+        console.log(`   ${String.fromCharCode(65 + index)}. ${variant.title} (score ${variant.score})`);
+      });
+      if (result.titleExperiment) {
+        console.log(`   Experiment: ${result.titleExperiment}`);
+      }
+    }
+
     // Display statistics
     if (result.stats) {
       console.log('\n📊 Statistics:');
@@ -295,6 +233,21 @@ const displayResult = (result) => {
       });
     }
 
+    // Display the videos of the other languages
+    if (result.localizedResults?.length > 0) {
+      console.log('\n🌐 Localized Videos:');
+      result.localizedResults.forEach(localized => {
+        const name = getLanguage(localized.language).name;
+        if (!localized.success) {
+          console.log(`   ❌ ${name}: ${localized.error}`);
+        } else if (localized.youtubeUrl) {
+          console.log(`   ✅ ${name}: ${localized.youtubeUrl}`);
+        } else {
+          console.log(`   ✅ ${name}: ${localized.files.video}`);
+        }
+      });
+    }
+
   } else {
     console.error(`❌ Failed to create video: ${result.error}`);
     
@@ -321,7 +274,15 @@ const createCommand = async (args) => {
     const productInput = remainingArgs[0];
     
     console.log('🚀 Starting affiliate video creation...');
-    console.log(`📦 Product: ${productInput}`);
+    if (options.resume) {
+      console.log(`♻️ Resuming session: ${options.resume}`);
+    }
+    if (productInput) {
+      console.log(`📦 Product: ${productInput}`);
+    }
+    if (options.languages) {
+      console.log(`🌐 Languages: ${parseLanguages(options.languages).map(code => getLanguage(code).name).join(', ')} (${options['localized-uploads']} uploads)`);
+    }
     console.log(`⚙️  Quality: ${options.quality}`);
     console.log(`🖼️  Max images: ${options['max-images']}`);
     console.log(`📁 Output directory: ${options['output-dir']}`);
@@ -348,10 +309,16 @@ const createCommand = async (args) => {
     }
 
     // Convert CLI options to video creation options
-    const videoOptions = convertToVideoOptions(options, productInput);
+    const videoOptions = convertToCreateOptions(options, productInput);
     
-    // Create the video
-    const result = await createAffiliateVideo(productInput, videoOptions);
+    // Create the video, or one per language
+    const result = options.languages
+      ? await createLocalizedVideos(productInput, {
+        ...videoOptions,
+        languages: options.languages,
+        localizedUploads: options['localized-uploads']
+      })
+      : await createAffiliateVideo(productInput, videoOptions);
     
     // Display results
     displayResult(result);
@@ -0,0 +1,289 @@
+/**
+ * Experiment command - Rotates title/thumbnail variants and picks the winner
+ */
+
+import { updateVideoMetadata } from '../youtube-publisher.js';
+import { ANALYTICS_SOURCES, getAnalyticsSource, resolveAnalyticsSourceName } from '../analytics-sources/index.js';
+import {
+  DEFAULT_EXPERIMENT_DIR,
+  WINNER_METRICS,
+  collectVariantStats,
+  finishTitleExperiment,
+  getLiveVariant,
+  getScheduledVariant,
+  listTitleExperiments,
+  loadTitleExperiment,
+  rotateTitleExperiment,
+  saveTitleExperiment
+} from '../title-experiments.js';
+import {
+  parseCommandArgs,
+  validateRequiredArgs,
+  displaySuccess,
+  displayWarning,
+  exitWithError
+} from './utils.js';
+
+/**
+ * Flag definitions for the experiment command
+ */
+const FLAG_DEFINITIONS = {
+  'dir': {
+    type: 'string',
+    default: DEFAULT_EXPERIMENT_DIR,
+    description: 'Directory of the experiment files'
+  },
+  'analytics-source': {
+    type: 'string',
+    description: 'Where variant stats come from: youtube, file (default: ANALYTICS_SOURCE env or youtube)'
+  },
+  'analytics-file': {
+    type: 'string',
+    description: 'Stats file for the file analytics source (default: ANALYTICS_FILE env or ./analytics.json)'
+  },
+  'metric': {
+    type: 'string',
+    description: 'Winner metric: ctr, viewsPerHour, watchMinutesPerHour (default: ctr when available)'
+  }
+};
+
+/**
+ * Available subcommands
+ */
+const SUBCOMMANDS = ['list', 'rotate', 'stats', 'finish'];
+
+/**
+ * Display help information for the experiment command
+ */
+export const displayHelp = () => {
+  console.log(`
+🧪 Title and Thumbnail Experiments
+
+Usage: aff experiment <subcommand> [video-id] [options]
+
+Subcommands:
+  list                        Show every experiment and its live variant (default)
+  rotate [video-id]           Put the scheduled variant live on every running experiment
+                              (or one video). Safe to run often, e.g. hourly from cron
+  stats <video-id>            Show the stats of each variant over the time it was live
+  finish <video-id>           Pick the winner, keep it live and end the experiment
+
+Options:
+  --dir <path>                Directory of the experiment files (default: ${DEFAULT_EXPERIMENT_DIR})
+  --analytics-source <name>   Where variant stats come from: ${Object.keys(ANALYTICS_SOURCES).join(', ')}
+                              (default: ANALYTICS_SOURCE env or youtube)
+  --analytics-file <path>     Stats file for the file source (default: ANALYTICS_FILE env or ./analytics.json)
+  --metric <name>             Winner metric: ${WINNER_METRICS.join(', ')}
+                              (default: ctr when the source reports impressions, else viewsPerHour)
+
+Experiments start when "aff create --title-variants <n>" uploads a video.
+
+Examples:
+  # Rotate every running experiment (crontab: 0 * * * * aff experiment rotate)
+  aff experiment rotate
+
+  # Compare the variants with stats exported from YouTube Studio
+  aff experiment stats dQw4w9WgXcQ --analytics-source file --analytics-file ./ctr.json
+
+  # Keep the variant with the most views per hour
+  aff experiment finish dQw4w9WgXcQ --metric viewsPerHour
+`);
+};
+
+/**
+ * Validates experiment command arguments and options
+ * @param {string[]} args - Command arguments
+ * @param {Object} options - Parsed options
+ */
+const validateExperimentArgs = (args, options) => {
+  const subcommand = args[0] || 'list';
+  if (!SUBCOMMANDS.includes(subcommand)) {
+    exitWithError(`Unknown experiment subcommand: ${subcommand}. Available: ${SUBCOMMANDS.join(', ')}`);
+  }
+
+  if (subcommand === 'stats' || subcommand === 'finish') {
+    validateRequiredArgs(args.slice(1), 1, `aff experiment ${subcommand} <video-id> [options]`);
+  }
+
+  if (options['analytics-source'] && !ANALYTICS_SOURCES[options['analytics-source']]) {
+    exitWithError(`Invalid analytics source: ${options['analytics-source']}. Valid options: ${Object.keys(ANALYTICS_SOURCES).join(', ')}`);
+  }
+
+  if (options.metric && !WINNER_METRICS.includes(options.metric)) {
+    exitWithError(`Invalid metric: ${options.metric}. Valid options: ${WINNER_METRICS.join(', ')}`);
+  }
+};
+
+/**
+ * Loads one experiment or exits
+ * @param {string} videoId - YouTube video ID
+ * @param {string} dir - Experiments directory
+ * @returns {Promise<Object>} Experiment
+ */
+const requireExperiment = async (videoId, dir) => {
+  const experiment = await loadTitleExperiment(videoId, dir);
+  if (!experiment) {
+    exitWithError(`No title experiment for video ${videoId} in ${dir}`);
+  }
+  return experiment;
+};
+
+/**
+ * Formats a metric value for display
+ * @param {number|null} value - Metric value
+ * @param {string} metric - Metric name
+ * @returns {string} Display value
+ */
+const formatMetric = (value, metric) => {
+  if (value == null) {
+    return 'n/a';
+  }
+  return metric === 'ctr' ? `${(value * 100).toFixed(2)}%` : value.toFixed(2);
+};
+
+/**
+ * Prints variant stats as a table
+ * @param {Object[]} stats - Stats by variant (from collectVariantStats)
+ */
+const displayStats = (stats) => {
+  stats.forEach(entry => {
+    console.log(`${entry.variant}. ${entry.title}`);
+    console.log(`   Live: ${entry.hours}h | Views: ${Math.round(entry.views)} | Views/hour: ${formatMetric(entry.viewsPerHour)}`);
+    console.log(`   Impressions: ${entry.impressions == null ? 'n/a' : Math.round(entry.impressions)} | CTR: ${formatMetric(entry.ctr, 'ctr')} | Watch minutes/hour: ${formatMetric(entry.watchMinutesPerHour)}`);
+  });
+};
+
+/**
+ * Lists the experiments
+ * @param {Object} options - Command options
+ */
+const runList = async (options) => {
+  const experiments = await listTitleExperiments(options.dir);
+  if (experiments.length === 0) {
+    console.log(`No title experiments in ${options.dir}.`);
+    return;
+  }
+
+  console.log('🧪 Title Experiments:\n');
+  experiments.forEach(experiment => {
+    const live = getLiveVariant(experiment);
+    console.log(`${experiment.videoId} (${experiment.status})`);
+    console.log(`   Live: ${live.id}. ${live.title}`);
+    if (experiment.status === 'running') {
+      const scheduled = getScheduledVariant(experiment);
+      console.log(`   Variants: ${experiment.variants.length}, rotating every ${experiment.rotationHours}h since ${new Date(experiment.startedAt).toLocaleString()}`);
+      if (scheduled.id !== live.id) {
+        console.log(`   ⏭️ Due: ${scheduled.id} (run "aff experiment rotate")`);
+      }
+    } else if (experiment.winner) {
+      console.log(`   Winner: ${experiment.winner.variant} by ${experiment.winner.metric} (${formatMetric(experiment.winner.value, experiment.winner.metric)})`);
+    }
+    console.log('');
+  });
+};
+
+/**
+ * Rotates running experiments
+ * @param {string} [videoId] - Only rotate this video's experiment
+ * @param {Object} options - Command options
+ */
+const runRotate = async (videoId, options) => {
+  const experiments = videoId
+    ? [await requireExperiment(videoId, options.dir)]
+    : (await listTitleExperiments(options.dir)).filter(experiment => experiment.status === 'running');
+
+  if (experiments.length === 0) {
+    console.log('No running title experiments.');
+    return;
+  }
+
+  let failed = 0;
+  for (const experiment of experiments) {
+    try {
+      const { changed, variant } = await rotateTitleExperiment(experiment, { updateMetadata: updateVideoMetadata });
+      if (changed) {
+        await saveTitleExperiment(experiment, options.dir);
+        console.log(`🔄 ${experiment.videoId}: variant ${variant.id} is live - "${variant.title}"`);
+      } else {
+        console.log(`⏸️ ${experiment.videoId}: variant ${variant.id} stays live`);
+      }
+    } catch (error) {
+      failed++;
+      displayWarning(`${experiment.videoId}: rotation failed: ${error.message}`);
+    }
+  }
+
+  if (failed > 0) {
+    exitWithError(`${failed}/${experiments.length} experiments failed to rotate`);
+  }
+};
+
+/**
+ * Shows the stats of an experiment's variants
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - Command options
+ */
+const runStats = async (videoId, options) => {
+  const experiment = await requireExperiment(videoId, options.dir);
+  const source = getAnalyticsSource(resolveAnalyticsSourceName({ analyticsSource: options['analytics-source'] }));
+
+  console.log(`📊 Variant stats for ${videoId} (${source.name} analytics):\n`);
+  const stats = experiment.stats || await collectVariantStats(experiment, source, { analyticsFile: options['analytics-file'] });
+  displayStats(stats);
+};
+
+/**
+ * Ends an experiment with its winner
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - Command options
+ */
+const runFinish = async (videoId, options) => {
+  const experiment = await requireExperiment(videoId, options.dir);
+  const source = getAnalyticsSource(resolveAnalyticsSourceName({ analyticsSource: options['analytics-source'] }));
+
+  const { winner, stats } = await finishTitleExperiment(experiment, source, {
+    updateMetadata: updateVideoMetadata,
+    metric: options.metric,
+    analyticsFile: options['analytics-file']
+  });
+
+  displayStats(stats);
+  if (!winner) {
+    displayWarning('No stats for any variant yet; the experiment keeps running');
+    return;
+  }
+
+  await saveTitleExperiment(experiment, options.dir);
+  const variant = experiment.variants.find(entry => entry.id === winner.variant);
+  displaySuccess(`Winner: ${variant.id}. "${variant.title}" by ${winner.metric} (${formatMetric(winner.value, winner.metric)}) - it stays live`);
+};
+
+/**
+ * Main experiment command function
+ * @param {string[]} args - Command arguments
+ */
+const experimentCommand = async (args) => {
+  try {
+    const { options, args: remainingArgs } = parseCommandArgs(args, FLAG_DEFINITIONS);
+    validateExperimentArgs(remainingArgs, options);
+
+    const [subcommand = 'list', videoId] = remainingArgs;
+    if (subcommand === 'list') {
+      await runList(options);
+    } else if (subcommand === 'rotate') {
+      await runRotate(videoId, options);
+    } else if (subcommand === 'stats') {
+      await runStats(videoId, options);
+    } else {
+      await runFinish(videoId, options);
+    }
+  } catch (error) {
+    exitWithError(`Experiment command failed: ${error.message}`);
+  }
+};
+
+// Export the main function as default
+export default experimentCommand;
+
+// Also export as named export for consistency
+export { experimentCommand as run };
@@ -386,6 +386,12 @@ const runPromotion = async (videoUrl, options) => {
       } else {
         console.log(`   Error: ${result.error}`);
       }
+      if (result.complianceViolations?.length > 0) {
+        console.log(`   ⚠️ Compliance violations (${result.complianceViolations.length}):`);
+        result.complianceViolations.forEach(violation => {
+          console.log(`   • ${violation.type} (${violation.rule}): ${violation.message}`);
+        });
+      }
       console.log('');
     });
 
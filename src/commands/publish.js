@@ -2,7 +2,7 @@
  * Publish command - Uploads videos to YouTube
  */
 
-import { uploadToYouTube, uploadToYouTubeShorts, getUploadQuota, updateVideoMetadata } from '../youtube-publisher.js';
+import { uploadToYouTube, uploadToYouTubeShorts, getUploadQuota, updateVideoMetadata, findCaptionTracks } from '../youtube-publisher.js';
 import {
   parseCommandArgs,
   validateRequiredArgs,
@@ -71,6 +71,11 @@ const FLAG_DEFINITIONS = {
     type: 'boolean',
     default: false,
     description: 'Optimize upload for YouTube Shorts (adds #Shorts hashtag and validates format)'
+  },
+  'no-captions': {
+    type: 'boolean',
+    default: false,
+    description: 'Don\'t upload the .srt/.vtt caption files found next to the video'
   }
 };
 
@@ -123,6 +128,8 @@ Options:
   --auto-confirm             Skip confirmation prompts
   --check-quota              Check upload quota before uploading
   --shorts                   Optimize upload for YouTube Shorts (adds #Shorts hashtag)
+  --no-captions              Don't upload caption tracks (video.srt, video.es.vtt...
+                             next to the video are uploaded automatically)
 
 Privacy Options:
   public                      Video is visible to everyone
@@ -743,12 +750,16 @@ const runUpload = async (videoPath, options) => {
     // Load description from file if specified
     const description = await loadDescription(completeOptions);
 
+    // Caption tracks exported next to the video (video.srt, video.es.vtt...)
+    const captions = completeOptions['no-captions'] ? [] : await findCaptionTracks(videoPath);
+
     // Prepare upload options
     const uploadOptions = {
       tags: completeOptions.tags,
       categoryId: completeOptions.category,
       privacyStatus: completeOptions.privacy,
       thumbnailPath: completeOptions.thumbnail,
+      captions,
       onProgress: (progress) => {
         const bar = '█'.repeat(Math.floor(progress.percent / 5)) + 
                     '░'.repeat(20 - Math.floor(progress.percent / 5));
@@ -767,6 +778,9 @@ const runUpload = async (videoPath, options) => {
     if (completeOptions.thumbnail) {
       console.log(`   Thumbnail: ${completeOptions.thumbnail}`);
     }
+    if (captions.length > 0) {
+      console.log(`   Captions: ${captions.map(track => `${track.language} (${track.path})`).join(', ')}`);
+    }
     if (completeOptions['product-url']) {
       console.log(`   Product URL: ${completeOptions['product-url']}`);
     }
@@ -825,6 +839,21 @@ const runUpload = async (videoPath, options) => {
       displayWarning('Custom thumbnail upload failed - using auto-generated thumbnail');
     }
 
+    if (result.captionsUploaded?.length > 0) {
+      displaySuccess(`Captions uploaded: ${result.captionsUploaded.join(', ')}`);
+    }
+    if (result.captionsUploaded?.length < captions.length) {
+      displayWarning('Some caption tracks failed to upload - add them in YouTube Studio');
+    }
+
+    // Disclosure and price fixes are applied automatically; the rest need a manual edit
+    if (result.complianceViolations?.length > 0) {
+      displayWarning('Compliance issues to fix in YouTube Studio:');
+      result.complianceViolations.forEach(violation => console.log(`   • ${violation.message} (${violation.rule})`));
+    } else {
+      displaySuccess('Title and description passed the FTC and Amazon Associates compliance checks');
+    }
+
     console.log('\n🎉 Your video is now live on YouTube!');
     console.log(`🔗 Share this link: ${result.url}`);
 
@@ -0,0 +1,449 @@
+/**
+ * Video options shared by the create and batch commands
+ * Both commands run createAffiliateVideo, so they take the same video flags;
+ * each command adds its own (create: --resume, promotion; batch: --concurrency, --report).
+ */
+
+import { PRODUCT_SOURCES } from '../product-sources/index.js';
+import { getMarketplace } from '../utils/marketplaces.js';
+import { LLM_PROVIDERS } from '../llm/index.js';
+import { TTS_PROVIDERS } from '../tts/index.js';
+import { FACT_CHECK_LEVELS, DEFAULT_FACT_CHECK_LEVEL } from '../fact-checker.js';
+import { DEFAULT_ROTATION_HOURS } from '../title-experiments.js';
+import { DEFAULT_DURATION_TOLERANCE, SHORT_DURATIONS } from '../duration-fitter.js';
+import { DEFAULT_MOTION_STYLE, MOTION_STYLES } from '../image-motion.js';
+import { DEFAULT_TRANSITION_SET, TRANSITION_SETS } from '../transitions.js';
+import { BUNDLED_THEMES } from '../themes.js';
+import { LOCALIZED_UPLOAD_MODES, DEFAULT_LOCALIZED_UPLOAD_MODE, parseLanguages, parseLanguageVoices } from '../utils/languages.js';
+import { exitWithError } from './utils.js';
+
+const VALID_QUALITIES = ['low', 'medium', 'high', 'ultra'];
+
+const VALID_PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+
+/**
+ * Flag definitions of the video options
+ */
+export const VIDEO_FLAG_DEFINITIONS = {
+  'max-images': {
+    type: 'number',
+    default: 5,
+    description: 'Maximum number of images to download'
+  },
+  'quality': {
+    type: 'string',
+    default: 'medium',
+    description: 'Video quality: low, medium, high, ultra'
+  },
+  'temp-dir': {
+    type: 'string',
+    default: './temp',
+    description: 'Temporary directory for processing files'
+  },
+  'output-dir': {
+    type: 'string',
+    default: './output',
+    description: 'Output directory for generated files'
+  },
+  'no-cleanup': {
+    type: 'boolean',
+    default: false,
+    description: 'Don\'t cleanup temporary files after processing'
+  },
+  'auto-upload': {
+    type: 'boolean',
+    default: false,
+    description: 'Upload to YouTube without asking'
+  },
+  'privacy': {
+    type: 'string',
+    default: 'public',
+    description: 'YouTube privacy status: public, unlisted, private'
+  },
+  'create-short-video': {
+    type: 'boolean',
+    default: true,
+    description: 'Create a 30-second short video for social media'
+  },
+  'no-short-video': {
+    type: 'boolean',
+    default: false,
+    description: 'Disable short video creation'
+  },
+  'publish-both-videos': {
+    type: 'boolean',
+    default: true,
+    description: 'Publish both long and short videos to YouTube'
+  },
+  'no-dual-publish': {
+    type: 'boolean',
+    default: false,
+    description: 'Disable dual publishing (upload only long video)'
+  },
+  'male': {
+    type: 'boolean',
+    default: false,
+    description: 'Use male voice for voiceover generation'
+  },
+  'female': {
+    type: 'boolean',
+    default: false,
+    description: 'Use female voice for voiceover generation'
+  },
+  'marketplace': {
+    type: 'string',
+    description: 'Amazon marketplace: US, UK, DE, FR, IT, ES, CA, MX, JP, AU, IN (default: detected from URL)'
+  },
+  'llm-provider': {
+    type: 'string',
+    description: 'LLM provider for scripts, titles and descriptions: openai, anthropic, openai-compatible'
+  },
+  'llm-model': {
+    type: 'string',
+    description: 'Model of the LLM provider (default: LLM_MODEL env or the provider default)'
+  },
+  'tts-provider': {
+    type: 'string',
+    description: 'Text-to-speech provider: elevenlabs, openai, local (default: TTS_PROVIDER env or elevenlabs)'
+  },
+  'no-captions': {
+    type: 'boolean',
+    default: false,
+    description: 'Don\'t burn captions into the videos or export SRT/VTT files'
+  },
+  'caption-style': {
+    type: 'string',
+    description: 'JSON file with caption style overrides for the short and long videos'
+  },
+  'scenes': {
+    type: 'boolean',
+    default: false,
+    description: 'Write the script as scenes that pick the photo and callout shown while each is narrated'
+  },
+  'fact-check': {
+    type: 'string',
+    default: DEFAULT_FACT_CHECK_LEVEL,
+    description: 'Check script claims against the product data: off, warn, rewrite, strict'
+  },
+  'no-reviews': {
+    type: 'boolean',
+    default: false,
+    description: 'Don\'t fetch customer reviews and Q&A for the script'
+  },
+  'product-source': {
+    type: 'string',
+    description: 'Product data source: rainforest, paapi, fixture (default: PRODUCT_SOURCE env or rainforest)'
+  },
+  'persona': {
+    type: 'string',
+    description: 'Channel persona: a name in the prompts personas directory or a JSON file (default: PROMPT_PERSONA env or default)'
+  },
+  'prompt-dir': {
+    type: 'string',
+    description: 'Prompt templates directory (default: PROMPT_DIR env or the bundled prompts/)'
+  },
+  'brand': {
+    type: 'string',
+    description: 'Channel brand kit: a name in the brands directory or a JSON file (default: BRAND_KIT env or default)'
+  },
+  'brand-dir': {
+    type: 'string',
+    description: 'Brand kits directory (default: BRAND_DIR env or the bundled brands/)'
+  },
+  'theme': {
+    type: 'string',
+    description: 'Video theme: a name in the themes directory or a JSON file (default: THEME env or default)'
+  },
+  'theme-dir': {
+    type: 'string',
+    description: 'Themes directory (default: THEME_DIR env or the bundled themes/)'
+  },
+  'title-variants': {
+    type: 'number',
+    default: 1,
+    description: 'Candidate title/thumbnail pairs to A/B test after upload'
+  },
+  'title-keywords': {
+    type: 'array',
+    description: 'Comma-separated keywords the title variants are scored on (default: review)'
+  },
+  'rotate-every': {
+    type: 'number',
+    default: DEFAULT_ROTATION_HOURS,
+    description: 'Hours each title variant stays live per turn'
+  },
+  'target-duration': {
+    type: 'number',
+    description: 'Length of the long video in seconds, intro and QR outro included'
+  },
+  'short-duration': {
+    type: 'number',
+    description: 'Length of the short video in seconds: 30, 45, 60'
+  },
+  'duration-tolerance': {
+    type: 'number',
+    default: DEFAULT_DURATION_TOLERANCE,
+    description: 'Seconds a video may be off its target length'
+  },
+  'motion': {
+    type: 'string',
+    description: 'Ken Burns motion of the photos: none, subtle, dynamic, zoom-in, zoom-out (default: the theme\'s)'
+  },
+  'transitions': {
+    type: 'string',
+    description: 'Transitions between photos: clean, energetic, minimal, none, or a storyboard .json file (default: the theme\'s)'
+  },
+  'languages': {
+    type: 'string',
+    description: 'Comma-separated video languages, source first: en, es, de, fr, it, pt (default: en)'
+  },
+  'localized-uploads': {
+    type: 'string',
+    default: DEFAULT_LOCALIZED_UPLOAD_MODE,
+    description: 'How localized videos are uploaded: separate, localizations'
+  },
+  'language-voices': {
+    type: 'string',
+    description: 'Voice ID per language as language=voice pairs (e.g. es=VOICE_ID,de=VOICE_ID)'
+  },
+  'seed': {
+    type: 'string',
+    description: 'Seed of the random creative choices, to reproduce a video'
+  }
+};
+
+/**
+ * Help text of the video options
+ */
+export const VIDEO_OPTIONS_HELP = `  --max-images <number>       Maximum number of images to download (default: 5)
+  --quality <level>           Video quality: low, medium, high, ultra (default: medium)
+  --temp-dir <path>           Temporary directory (default: ./temp)
+  --output-dir <path>         Output directory (default: ./output)
+  --no-cleanup               Don't cleanup temporary files
+  --auto-upload              Upload to YouTube without asking
+  --privacy <status>          YouTube privacy: public, unlisted, private (default: public)
+  --create-short-video       Create a short video for social media (default: true)
+  --no-short-video           Disable short video creation
+  --publish-both-videos      Publish both long and short videos to YouTube (default: true)
+  --no-dual-publish          Disable dual publishing (upload only long video)
+  --male                     Use male voice for voiceover generation
+  --female                   Use female voice for voiceover generation
+  --marketplace <code>        Amazon marketplace: US, UK, DE, FR, IT, ES, CA, MX, JP, AU, IN
+                             (default: detected from the URL, then AMAZON_MARKETPLACE or US)
+  --product-source <name>     Product data source: rainforest, paapi, fixture
+                              (default: PRODUCT_SOURCE env or rainforest)
+  --no-reviews                Don't ground the script in customer reviews and Q&A
+  --llm-provider <name>       LLM provider: openai, anthropic, openai-compatible
+                              (default: LLM_PROVIDER env or openai)
+  --llm-model <name>          Model of the LLM provider (e.g. gpt-4o, llama3.1)
+  --tts-provider <name>       Text-to-speech provider: elevenlabs, openai, local
+                              (default: TTS_PROVIDER env or elevenlabs)
+  --no-captions               Don't burn in captions or export SRT/VTT files
+  --caption-style <file>      JSON caption style overrides: { "short": {...}, "long": {...} }
+  --scenes                    Script in scenes: each photo and callout stays while its scene is narrated
+  --fact-check <level>        Check script claims against the product data: off, warn, rewrite, strict (default: warn)
+  --persona <name|file>       Channel persona for the prompts: name, tone, catchphrases, CTA wording
+                              (default: PROMPT_PERSONA env or default)
+  --prompt-dir <path>         Prompt templates directory (default: PROMPT_DIR env or the bundled prompts/)
+  --brand <name|file>         Channel brand kit: logo watermark, palette, fonts, intro, outro voice
+                              lines and layout (default: BRAND_KIT env or default)
+  --brand-dir <path>          Brand kits directory (default: BRAND_DIR env or the bundled brands/)
+  --theme <name|file>         Video theme: photo framing, text styles, lower third, transitions,
+                              motion, music mood, QR badge and outro layout
+                              (${BUNDLED_THEMES.join(', ')} or a JSON file; default: THEME env or default)
+  --theme-dir <path>          Themes directory (default: THEME_DIR env or the bundled themes/)
+  --title-variants <n>        Generate n scored title/thumbnail pairs; the best is uploaded and the
+                              others rotate in (see aff experiment) (default: 1)
+  --title-keywords <list>     Keywords the title variants are scored on (default: review)
+  --rotate-every <hours>      Hours each title variant stays live per turn (default: ${DEFAULT_ROTATION_HOURS})
+  --target-duration <seconds> Fit the long video to this length, intro and QR outro included: the
+                              script is synthesized, measured and rewritten until it fits
+  --short-duration <seconds>  Fit the short video to 30, 45 or 60 seconds (default: a ~30s script, unfitted)
+  --duration-tolerance <sec>  Seconds a fitted video may be off its target (default: ${DEFAULT_DURATION_TOLERANCE})
+  --motion <style>            Zoom and pan each photo toward its subject: ${Object.keys(MOTION_STYLES).join(', ')}
+                              (default: the theme's, ${DEFAULT_MOTION_STYLE} in the default theme)
+  --transitions <set|file>    Transitions between photos: ${Object.keys(TRANSITION_SETS).join(', ')}
+                              (default: the theme's, ${DEFAULT_TRANSITION_SET} in the default theme), or a storyboard .json file
+                              that overrides single cuts (see README)
+  --languages <list>          Video languages, source first: en, es, de, fr, it, pt (default: en)
+                              Other languages reuse the scrape and translate the script and metadata
+  --localized-uploads <mode>  separate: upload every language as its own video (default)
+                              localizations: upload the first language with the others' titles and
+                              descriptions as YouTube localizations
+  --language-voices <pairs>   Voice ID per language, e.g. es=VOICE_ID,de=VOICE_ID
+  --seed <value>              Seed of the random choices (voice, music, fallback lines, promoter
+                              prefixes); printed at startup and kept in the session manifest`;
+
+/**
+ * Validates the video options, folding the --no-* flags into their positive flags
+ * @param {Object} options - Parsed options
+ */
+export const validateVideoOptions = (options) => {
+  // Validate quality option
+  if (options.quality && !VALID_QUALITIES.includes(options.quality)) {
+    exitWithError(`Invalid quality: ${options.quality}. Valid options: ${VALID_QUALITIES.join(', ')}`);
+  }
+
+  // Validate privacy status
+  if (!VALID_PRIVACY_STATUSES.includes(options.privacy)) {
+    exitWithError(`Invalid privacy: ${options.privacy}. Valid options: ${VALID_PRIVACY_STATUSES.join(', ')}`);
+  }
+
+  // Validate marketplace
+  if (options.marketplace) {
+    try {
+      getMarketplace(options.marketplace);
+    } catch (error) {
+      exitWithError(error.message);
+    }
+  }
+
+  // Validate LLM provider
+  const validLLMProviders = Object.keys(LLM_PROVIDERS);
+  if (options['llm-provider'] && !validLLMProviders.includes(options['llm-provider'])) {
+    exitWithError(`Invalid LLM provider: ${options['llm-provider']}. Valid options: ${validLLMProviders.join(', ')}`);
+  }
+
+  // Validate TTS provider
+  const validTTSProviders = Object.keys(TTS_PROVIDERS);
+  if (options['tts-provider'] && !validTTSProviders.includes(options['tts-provider'])) {
+    exitWithError(`Invalid TTS provider: ${options['tts-provider']}. Valid options: ${validTTSProviders.join(', ')}`);
+  }
+
+  // Validate fact check level
+  if (options['fact-check'] && !FACT_CHECK_LEVELS.includes(options['fact-check'])) {
+    exitWithError(`Invalid fact check level: ${options['fact-check']}. Valid options: ${FACT_CHECK_LEVELS.join(', ')}`);
+  }
+
+  // Validate title experiment options
+  if (!Number.isInteger(options['title-variants']) || options['title-variants'] < 1 || options['title-variants'] > 5) {
+    exitWithError('title-variants must be between 1 and 5');
+  }
+  if (!(options['rotate-every'] > 0)) {
+    exitWithError('rotate-every must be a positive number of hours');
+  }
+
+  // Validate duration targets
+  if (options['target-duration'] !== undefined && !(options['target-duration'] > 0)) {
+    exitWithError('target-duration must be a positive number of seconds');
+  }
+  if (options['short-duration'] !== undefined && !SHORT_DURATIONS.includes(options['short-duration'])) {
+    exitWithError(`short-duration must be one of: ${SHORT_DURATIONS.join(', ')}`);
+  }
+  if (!(options['duration-tolerance'] > 0)) {
+    exitWithError('duration-tolerance must be a positive number of seconds');
+  }
+
+  // Validate motion style
+  if (options.motion !== undefined && !Object.keys(MOTION_STYLES).includes(options.motion)) {
+    exitWithError(`Invalid motion style: ${options.motion}. Valid options: ${Object.keys(MOTION_STYLES).join(', ')}`);
+  }
+
+  // Validate transitions: a set name or a storyboard file
+  if (options.transitions !== undefined && !Object.keys(TRANSITION_SETS).includes(options.transitions) && !options.transitions.toLowerCase().endsWith('.json')) {
+    exitWithError(`Invalid transitions: ${options.transitions}. Use a storyboard .json file or one of: ${Object.keys(TRANSITION_SETS).join(', ')}`);
+  }
+
+  // Validate languages, their voices and the localized upload mode
+  try {
+    if (options.languages) {
+      parseLanguages(options.languages);
+    }
+    if (options['language-voices']) {
+      parseLanguageVoices(options['language-voices']);
+    }
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  if (options['localized-uploads'] && !LOCALIZED_UPLOAD_MODES.includes(options['localized-uploads'])) {
+    exitWithError(`Invalid localized upload mode: ${options['localized-uploads']}. Valid options: ${LOCALIZED_UPLOAD_MODES.join(', ')}`);
+  }
+
+  // Validate product source
+  const validSources = Object.keys(PRODUCT_SOURCES);
+  if (options['product-source'] && !validSources.includes(options['product-source'])) {
+    exitWithError(`Invalid product source: ${options['product-source']}. Valid options: ${validSources.join(', ')}`);
+  }
+
+  // Validate max-images
+  if (options['max-images'] && (options['max-images'] < 1 || options['max-images'] > 20)) {
+    exitWithError('max-images must be between 1 and 20');
+  }
+
+  // Handle conflicting short video options
+  if (options['no-short-video']) {
+    options['create-short-video'] = false;
+  }
+
+  // Handle conflicting dual publishing options
+  if (options['no-dual-publish']) {
+    options['publish-both-videos'] = false;
+  }
+
+  // Handle conflicting voice options
+  if (options.male && options.female) {
+    exitWithError('Cannot specify both --male and --female voice options. Choose one or neither for random selection.');
+  }
+};
+
+/**
+ * Converts the video options to createAffiliateVideo options
+ * @param {Object} cliOptions - Options checked by validateVideoOptions
+ * @returns {Object} Options for createAffiliateVideo
+ */
+export const convertToVideoOptions = (cliOptions) => {
+  // Determine voice gender preference
+  let voiceGender = null;
+  if (cliOptions.male) {
+    voiceGender = 'male';
+  } else if (cliOptions.female) {
+    voiceGender = 'female';
+  }
+
+  return {
+    maxImages: cliOptions['max-images'],
+    videoQuality: cliOptions.quality,
+    tempDir: cliOptions['temp-dir'],
+    outputDir: cliOptions['output-dir'],
+    cleanup: !cliOptions['no-cleanup'],
+    autoUpload: cliOptions['auto-upload'],
+    privacyStatus: cliOptions.privacy,
+    createShortVideo: cliOptions['create-short-video'],
+    publishBothVideos: cliOptions['publish-both-videos'],
+    voiceGender,
+    seed: cliOptions.seed || null,
+    productSource: cliOptions['product-source'] || null,
+    marketplace: cliOptions.marketplace || null,
+    includeReviews: !cliOptions['no-reviews'],
+    llmProvider: cliOptions['llm-provider'] || null,
+    llmModel: cliOptions['llm-model'] || null,
+    ttsProvider: cliOptions['tts-provider'] || null,
+    captions: !cliOptions['no-captions'],
+    captionStyles: cliOptions['caption-style'] || null,
+    sceneScript: cliOptions.scenes,
+    factCheck: cliOptions['fact-check'],
+    persona: cliOptions.persona || null,
+    promptDir: cliOptions['prompt-dir'] || null,
+    brand: cliOptions.brand || null,
+    brandDir: cliOptions['brand-dir'] || null,
+    theme: cliOptions.theme || null,
+    themeDir: cliOptions['theme-dir'] || null,
+    titleVariants: cliOptions['title-variants'],
+    titleKeywords: cliOptions['title-keywords'] || null,
+    rotationHours: cliOptions['rotate-every'],
+    targetDuration: cliOptions['target-duration'] || null,
+    shortDuration: cliOptions['short-duration'] || null,
+    durationTolerance: cliOptions['duration-tolerance'],
+    motion: cliOptions.motion || null,
+    transitions: cliOptions.transitions || null,
+    languageVoices: cliOptions['language-voices'] ? parseLanguageVoices(cliOptions['language-voices']) : null,
+    // FIXED: Re-enable background music with proper audio level controls
+    enableBackgroundMusic: true, // Re-enable background music with fixed audio levels
+    enableIntroOutro: true, // Re-enable outro for QR code feature
+    enableIntro: false, // Keep intro disabled to prevent introEnd variable errors
+    introOutroOptions: {
+      enableQROutro: true, // Explicitly enable QR code outro
+      outroDuration: 10.0  // 10-second QR code outro
+    }
+  };
+};
@@ -0,0 +1,221 @@
+/**
+ * FTC and Amazon Associates compliance linter
+ * Checks generated copy (video titles and descriptions, social posts) against
+ * a rule set before it is published or posted, fixes what can be fixed
+ * automatically and reports the rest. A rule is { id, description,
+ * appliesTo(context), check(text, context), fix(text, context) }: check
+ * returns a violation message or null, and fix (optional) returns the
+ * corrected text. The context is { type, platform, maxLength, date, language },
+ * where type is title, description, post or reply (a later post of a thread,
+ * covered by the disclosure of its first post). Fixes are written in the copy's
+ * language, and the localized disclosures and price notes count as compliant.
+ */
+
+import { LANGUAGES, getLanguage, formatPriceDate } from './utils/languages.js';
+
+/**
+ * The disclosure Amazon requires from Associates
+ */
+export const AFFILIATE_DISCLOSURE = LANGUAGES.en.strings.disclosure;
+
+/**
+ * Hashtags every post on a hashtag platform must carry
+ */
+export const REQUIRED_POST_HASHTAGS = ['#ad'];
+
+/**
+ * Platforms whose posts disclose with hashtags rather than a sentence
+ */
+const HASHTAG_PLATFORMS = ['twitter', 'x', 'tiktok', 'pinterest', 'instagram'];
+
+/**
+ * Characters of a description visible before "Show more"
+ */
+const ABOVE_THE_FOLD = 150;
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Pattern matching the text literally
+ */
+const escapePattern = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const LOCALIZED = Object.values(LANGUAGES).filter(language => language.code !== 'en');
+const LOCALIZED_DISCLOSURES = LOCALIZED.map(language => escapePattern(language.strings.disclosure.replace(/^\S+\s/, '')));
+const LOCALIZED_PRICE_DATES = LOCALIZED.map(language => escapePattern(language.strings.priceDate.split('{date}')[0].trim()));
+
+const DISCLOSURE_PATTERN = new RegExp(`as an amazon associate|affiliate links?|earn (?:a (?:small )?)?commission|paid links?|(?:^|\\s)#(?:ad|affiliate|sponsored)\\b|${LOCALIZED_DISCLOSURES.join('|')}`, 'i');
+const PRICE_PATTERN = /[$£€¥₹]\s?\d[\d,]*(?:\.\d{2})?|\b\d[\d.]*,\d{2}\s?[€£$]|\b\d[\d,]*(?:\.\d{2})?\s?(?:USD|EUR|GBP|CAD|AUD|INR|dollars|euros)\b/i;
+const PRICE_DATE_PATTERN = new RegExp(`\\b(?:as of|prices? (?:accurate|correct|valid) (?:as of|on)|at the time of (?:writing|posting|publishing))\\b|${LOCALIZED_PRICE_DATES.join('|')}`, 'i');
+const PRICE_GUARANTEE_PATTERN = /\b(?:the[ \t]+)?(?:best|lowest|cheapest)[ \t]+price(?:[ \t]+(?:guaranteed|anywhere|ever|online))?\b|\bguaranteed[ \t]+(?:best|lowest)[ \t]+price\b|\bprice[ \t]+guarantee\b/gi;
+
+/**
+ * Finds the line holding a disclosure
+ * @param {string} text - Copy
+ * @returns {Object|null} { line, index } or null without a disclosure
+ */
+const findDisclosureLine = (text) => {
+  const match = DISCLOSURE_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const start = text.lastIndexOf('\n', match.index) + 1;
+  const end = text.indexOf('\n', match.index);
+  return { line: text.slice(start, end === -1 ? undefined : end), index: match.index };
+};
+
+/**
+ * Shortens text to a length at a word boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text within the limit
+ */
+const fitToLength = (text, maxLength) => {
+  if (!maxLength || text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.substring(0, maxLength);
+  const lastSpace = cut.search(/\s\S*$/);
+  return (lastSpace > maxLength * 0.6 ? cut.substring(0, lastSpace) : cut).trim();
+};
+
+export const COMPLIANCE_RULES = [
+  {
+    id: 'affiliate-disclosure',
+    description: 'Descriptions and posts disclose the affiliate relationship',
+    appliesTo: ({ type, platform }) => type === 'description' || (type === 'post' && !HASHTAG_PLATFORMS.includes(platform)),
+    check: (text) => (DISCLOSURE_PATTERN.test(text) ? null : 'No affiliate disclosure'),
+    fix: (text, { language }) => `${getLanguage(language).strings.disclosure}\n\n${text}`.trim()
+  },
+  {
+    id: 'disclosure-above-fold',
+    description: `Description disclosures start within the first ${ABOVE_THE_FOLD} characters`,
+    appliesTo: ({ type }) => type === 'description',
+    check: (text) => {
+      const disclosure = findDisclosureLine(text);
+      return disclosure && disclosure.index > ABOVE_THE_FOLD
+        ? `Affiliate disclosure starts at character ${disclosure.index}, below the fold`
+        : null;
+    },
+    fix: (text) => {
+      const { line } = findDisclosureLine(text);
+      const rest = text.replace(line, '').replace(/\n{3,}/g, '\n\n').trim();
+      return `${line.trim()}\n\n${rest}`;
+    }
+  },
+  {
+    id: 'ad-hashtag',
+    description: `Posts on ${HASHTAG_PLATFORMS.join(', ')} carry ${REQUIRED_POST_HASHTAGS.join(' ')}`,
+    appliesTo: ({ type, platform }) => type === 'post' && HASHTAG_PLATFORMS.includes(platform),
+    check: (text) => {
+      const missing = REQUIRED_POST_HASHTAGS.filter(hashtag => !new RegExp(`(?:^|\\s)${hashtag}\\b`, 'i').test(text));
+      return missing.length > 0 ? `Missing required hashtag(s): ${missing.join(' ')}` : null;
+    },
+    fix: (text) => {
+      const missing = REQUIRED_POST_HASHTAGS.filter(hashtag => !new RegExp(`(?:^|\\s)${hashtag}\\b`, 'i').test(text));
+      return `${missing.join(' ')} ${text}`;
+    }
+  },
+  {
+    id: 'dated-price',
+    description: 'Prices come with the date they were checked',
+    appliesTo: () => true,
+    check: (text) => {
+      const price = text.match(PRICE_PATTERN);
+      return price && !PRICE_DATE_PATTERN.test(text) ? `Price "${price[0]}" has no date` : null;
+    },
+    fix: (text, { type, date, maxLength, language }) => {
+      // Titles have no room for a date, so their prices go
+      if (type === 'title') {
+        return text.replace(new RegExp(PRICE_PATTERN.source, 'gi'), '').replace(/\s{2,}/g, ' ').replace(/^[\s\-–|:,]+|[\s\-–|:,]+$/g, '');
+      }
+      const note = formatPriceDate(language, date);
+      return `${fitToLength(text, maxLength && maxLength - note.length - 2)}\n\n${note}`;
+    }
+  },
+  {
+    id: 'price-guarantee',
+    description: 'No "best price" or lowest price guarantees',
+    appliesTo: () => true,
+    check: (text) => {
+      const guarantee = text.match(PRICE_GUARANTEE_PATTERN);
+      return guarantee ? `Price guarantee: "${guarantee[0].trim()}"` : null;
+    },
+    fix: (text) => text.replace(PRICE_GUARANTEE_PATTERN, 'a great price')
+  }
+];
+
+/**
+ * Fills in the defaults of a compliance context
+ * @param {Object} context - { type, platform, maxLength, date, language }
+ * @returns {Object} Complete context
+ * @throws {Error} When the copy type or language is unknown
+ */
+const resolveContext = (context = {}) => {
+  const { type = 'description', platform = 'youtube', maxLength = null, date = new Date().toISOString().slice(0, 10), language = 'en' } = context;
+  if (!['title', 'description', 'post', 'reply'].includes(type)) {
+    throw new Error(`Unknown copy type: ${type}. Use title, description, post or reply`);
+  }
+  return { type, platform: String(platform).toLowerCase(), maxLength, date, language: getLanguage(language).code };
+};
+
+/**
+ * Lists the compliance violations of a piece of copy
+ * @param {string} text - Copy
+ * @param {Object} context - { type, platform, maxLength, date, language }
+ * @returns {Object[]} Violations as { rule, message }
+ */
+export const lintCopy = (text, context = {}) => {
+  const resolved = resolveContext(context);
+  const copy = String(text || '');
+
+  return COMPLIANCE_RULES
+    .filter(rule => rule.appliesTo(resolved))
+    .map(rule => ({ rule: rule.id, message: rule.check(copy, resolved) }))
+    .filter(violation => violation.message);
+};
+
+/**
+ * Fixes the violations of a piece of copy that can be fixed and reports the rest
+ * Fixed copy is kept within maxLength, trimming words from the end.
+ * @param {string} text - Copy
+ * @param {Object} context - { type, platform, maxLength, date, language }
+ * @returns {Object} { text, fixed, violations } with the compliant copy, the ids of the
+ *   fixed rules and the violations left
+ */
+export const enforceCompliance = (text, context = {}) => {
+  const resolved = resolveContext(context);
+  let copy = String(text || '');
+  const fixed = [];
+
+  for (const rule of COMPLIANCE_RULES.filter(candidate => candidate.appliesTo(resolved))) {
+    if (rule.fix && rule.check(copy, resolved)) {
+      const fixedCopy = fitToLength(rule.fix(copy, resolved), resolved.maxLength);
+      if (fixedCopy !== copy) {
+        copy = fixedCopy;
+        fixed.push(rule.id);
+      }
+    }
+  }
+
+  return { text: copy, fixed, violations: lintCopy(copy, resolved) };
+};
+
+/**
+ * Logs a compliance result
+ * @param {Object} result - Result of enforceCompliance
+ * @param {string} label - What the copy is, for the log (e.g. "YouTube description")
+ * @param {Object} [logger] - Logger with info and warn (default: console)
+ * @returns {Object[]} The violations left
+ */
+export const reportCompliance = (result, label, logger = console) => {
+  if (result.fixed.length > 0) {
+    logger.info(`🛡️ Compliance fixes for the ${label}: ${result.fixed.join(', ')}`);
+  }
+  result.violations.forEach(violation => {
+    logger.warn(`⚠️ Compliance violation in the ${label} (${violation.rule}): ${violation.message}`);
+  });
+  return result.violations;
+};
@@ -0,0 +1,200 @@
+import { generateText } from './llm/index.js';
+import { mergeScenesIntoSections } from './openai-script-generator.js';
+import { getAudioDuration } from './video-creator.js';
+
+/**
+ * Script duration fitter
+ * The LLM only estimates how long a script takes to read, and voices differ,
+ * so a duration target is met by measuring: the script is synthesized, the
+ * final video length (the voiceover plus the intro and QR outro) is measured,
+ * and the script is tightened or extended to the word count the measured
+ * speaking rate calls for, until the video lands within the tolerance.
+ */
+
+/**
+ * Short video lengths offered by the CLI, in seconds
+ */
+export const SHORT_DURATIONS = [30, 45, 60];
+
+/**
+ * Longest short video YouTube Shorts accepts, in seconds
+ */
+export const MAX_SHORT_DURATION = 60;
+
+export const DEFAULT_DURATION_TOLERANCE = 3;
+
+export const DEFAULT_FIT_ATTEMPTS = 3;
+
+/**
+ * Counts the spoken words of a script
+ * Pause marks ("..", "...") and emphasis asterisks are not words.
+ * @param {string} text - Script text
+ * @returns {number} Word count
+ */
+export const countWords = (text) => String(text || '')
+  .replace(/\.{2,}|\*/g, ' ')
+  .split(/\s+/)
+  .filter(word => /[\p{L}\p{N}]/u.test(word))
+  .length;
+
+/**
+ * Synthesizes a script, measures it and rewrites it until the video fits
+ * When no attempt lands within the tolerance, the attempt closest to the target
+ * (and under the maximum) is used, synthesized again if a later attempt
+ * replaced its audio.
+ * @param {Object} options - Fit options
+ * @param {*} options.script - Script, in whatever form synthesize and revise take
+ * @param {Function} options.synthesize - (script, attempt) => Promise of the voiceover track
+ * @param {Function} options.revise - (script, targetWords) => Promise of the rewritten script
+ * @param {Function} [options.measure] - track => Promise of the speech seconds (default: the audio duration of track.path)
+ * @param {Function} [options.countWords] - script => spoken words (default: countWords of a string script)
+ * @param {number} options.targetDuration - Target video length in seconds
+ * @param {number} [options.fixedDuration] - Seconds the video adds around the voiceover (intro and outro)
+ * @param {number} [options.tolerance] - Accepted distance from the target in seconds (default: 3)
+ * @param {number} [options.maxDuration] - Hard limit of the video length in seconds
+ * @param {number} [options.maxAttempts] - Syntheses before giving up (default: 3)
+ * @param {string} [options.label] - Video name for logs
+ * @returns {Promise<Object>} { script, track, duration, speechDuration, attempts, fitted }
+ * @throws {Error} When the target leaves no time for speech, or no attempt is under the maximum
+ */
+export const fitScriptToDuration = async (options) => {
+  const {
+    script,
+    synthesize,
+    revise,
+    measure = track => getAudioDuration(track.path),
+    countWords: countScriptWords = countWords,
+    targetDuration,
+    fixedDuration = 0,
+    tolerance = DEFAULT_DURATION_TOLERANCE,
+    maxDuration = Infinity,
+    maxAttempts = DEFAULT_FIT_ATTEMPTS,
+    label = 'video'
+  } = options;
+
+  // A target at the hard limit aims a little under it, so the fit doesn't overshoot
+  const aimDuration = Math.min(targetDuration, maxDuration - tolerance / 2);
+  if (aimDuration - fixedDuration <= 0) {
+    throw new Error(`A ${targetDuration}s ${label} leaves no time for narration after ${fixedDuration}s of intro and outro`);
+  }
+
+  const isWithinTolerance = duration => Math.abs(duration - targetDuration) <= tolerance && duration <= maxDuration;
+  let current = script;
+  let best = null;
+  let last = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const track = await synthesize(current, attempt);
+    const speechDuration = await measure(track);
+    const duration = speechDuration + fixedDuration;
+    last = { script: current, track, duration, speechDuration, attempts: attempt };
+    console.log(`⏱️ ${label} attempt ${attempt}: ${duration.toFixed(1)}s (target ${targetDuration}s ± ${tolerance}s)`);
+
+    if (isWithinTolerance(duration)) {
+      return { ...last, fitted: true };
+    }
+    if (duration <= maxDuration && (!best || Math.abs(duration - targetDuration) < Math.abs(best.duration - targetDuration))) {
+      best = last;
+    }
+    if (attempt === maxAttempts) {
+      break;
+    }
+
+    // The measured speaking rate turns the missing or extra seconds into words
+    const words = countScriptWords(current);
+    const targetWords = Math.max(1, Math.round(words / speechDuration * (aimDuration - fixedDuration)));
+    console.log(`${duration > targetDuration ? '✂️ Tightening' : '➕ Extending'} the ${label} script: ${words} → ${targetWords} words`);
+    current = await revise(current, targetWords);
+  }
+
+  if (!best) {
+    throw new Error(`The ${label} is still ${last.duration.toFixed(1)}s after ${maxAttempts} attempts, over the ${maxDuration}s limit`);
+  }
+
+  console.warn(`⚠️ The ${label} missed the ${targetDuration}s target; using the ${best.duration.toFixed(1)}s attempt`);
+  if (best !== last) {
+    best = { ...best, track: await synthesize(best.script, maxAttempts + 1) };
+  }
+  return { ...best, fitted: false };
+};
+
+/**
+ * Rewrites texts to a total word count
+ * The words are shared out in proportion to the texts' current lengths, and
+ * each text keeps its language, facts and "..." pauses.
+ * @param {string[]} texts - Texts to rewrite
+ * @param {number} targetWords - Total word count of the rewritten texts
+ * @param {Object} options - LLM options
+ * @param {string} [options.task] - LLM task whose provider and model are used (default: script)
+ * @param {string} [options.provider] - LLM provider
+ * @param {string} [options.model] - Model name
+ * @returns {Promise<string[]>} Rewritten texts, in order
+ * @throws {Error} When the rewrite fails
+ */
+export const resizeTexts = async (texts, targetWords, options = {}) => {
+  const { task = 'script' } = options;
+  const wordCounts = texts.map(countWords);
+  const totalWords = wordCounts.reduce((total, count) => total + count, 0) || 1;
+  const requests = texts.map((text, index) => ({
+    text,
+    words: Math.max(3, Math.round(targetWords * wordCounts[index] / totalWords))
+  }));
+
+  try {
+    const response = await generateText(task, {
+      system: 'You are an editor for YouTube product review voiceovers. You make narration shorter or longer without changing what it says about the product. Respond with a JSON array of strings only.',
+      prompt: `Rewrite each text below to about the given number of words, so the voiceover fits the video length.
+
+To shorten, cut repetition and filler before facts. To lengthen, expand on what the text already says; don't add product facts, figures or claims that aren't in it. Keep the language, the tone, product names, prices, the "..." pauses and any closing call to action.
+
+TEXTS:
+${JSON.stringify(requests, null, 2)}
+
+Respond with a JSON array of ${texts.length} rewritten text(s), in order.`,
+      maxTokens: Math.max(500, targetWords * 3),
+      temperature: 0.4
+    }, options);
+
+    const start = response.indexOf('[');
+    const end = response.lastIndexOf(']');
+    const resized = start === -1 ? null : JSON.parse(response.slice(start, end + 1));
+    if (!Array.isArray(resized) || resized.length !== texts.length) {
+      throw new Error(`expected ${texts.length} rewritten text(s)`);
+    }
+
+    return resized.map(text => String(text || '').trim());
+  } catch (error) {
+    throw new Error(`Script length rewrite failed: ${error.message}`);
+  }
+};
+
+/**
+ * Rewrites a review script with its sections, and its scenes for scene scripts, to a word count
+ * @param {Object} reviewScript - { script, sections, scenes } from the script generators
+ * @param {number} targetWords - Total word count of the narration
+ * @param {Object} options - LLM options (see resizeTexts)
+ * @returns {Promise<Object>} Rewritten { script, sections, scenes }
+ * @throws {Error} When the rewrite fails
+ */
+export const resizeReviewScript = async (reviewScript, targetWords, options = {}) => {
+  if (reviewScript.scenes) {
+    const narrations = await resizeTexts(reviewScript.scenes.map(scene => scene.narration), targetWords, options);
+    const scenes = reviewScript.scenes.map((scene, index) => ({ ...scene, narration: narrations[index] }));
+
+    return {
+      ...reviewScript,
+      script: scenes.map(scene => scene.narration).join(' ... '),
+      sections: mergeScenesIntoSections(scenes),
+      scenes
+    };
+  }
+
+  const texts = await resizeTexts(reviewScript.sections.map(section => section.text), targetWords, options);
+  const sections = reviewScript.sections.map((section, index) => ({ ...section, text: texts[index] }));
+
+  return {
+    ...reviewScript,
+    script: sections.map(section => section.text).join(' ... '),
+    sections
+  };
+};
@@ -0,0 +1,413 @@
+import { generateText } from './llm/index.js';
+import { formatReviewInsights } from './review-summarizer.js';
+
+/**
+ * Script fact checker
+ * Finds the factual claims in a generated script (numbers with units, specs,
+ * hands-on experience and comparisons with named products) and checks them
+ * against the product data the script was written from. Unsupported claims
+ * are flagged, rewritten with the LLM, or block the run, depending on the
+ * strictness level.
+ */
+
+/**
+ * Strictness levels, from least to most strict
+ * off: no check, warn: log unsupported claims, rewrite: rewrite the sentences
+ * making them, strict: rewrite them and fail when any remain
+ */
+export const FACT_CHECK_LEVELS = ['off', 'warn', 'rewrite', 'strict'];
+
+export const DEFAULT_FACT_CHECK_LEVEL = 'warn';
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const SCALES = { thousand: 1000, million: 1000000 };
+
+/**
+ * Words after a spelled-out number that make it a factual claim
+ */
+const UNIT_PATTERN = /^(?:percent|%|watts?|volts?|amps?|mah|wh|kwh|hours?|hrs?|minutes?|mins?|seconds?|days?|weeks?|months?|years?|inch(?:es)?|feet|foot|ft|cm|mm|meters?|pounds?|lbs?|ounces?|oz|kg|kilograms?|grams?|liters?|litres?|ml|quarts?|cups?|gallons?|speeds?|settings?|modes?|levels?|gb|tb|mb|mph|rpm|degrees?|stars?|reviews?|ratings?|dollars?|bucks|cents?|euros?|rupees?|yen|pesos?|pieces?|pack|count|times)$/i;
+
+/**
+ * Sentences claiming hands-on use the channel cannot back up
+ */
+const EXPERIENCE_PATTERNS = [
+  /\b(?:I|we)(?:'ve| have| had)?\s+(?:been\s+)?(?:using|used|testing|tested|owned|living with)\b/i,
+  /\b(?:I|we)\s+(?:measured|timed|dropped|ran it|put it through)\b/i,
+  /\bin (?:my|our) (?:testing|tests|experience|kitchen|home|house|office)\b/i,
+  /\bafter (?:\w+\s+){0,2}(?:days|weeks|months|years) of (?:use|using|testing)\b/i
+];
+
+/**
+ * Comparisons whose target is worth checking
+ */
+const COMPARISON_PATTERN = /\b(?:(?!rather\b|other\b)\w+er|more \w+|less \w+)\s+than\s+([^,.;!?]+)|\b(?:compared (?:to|with)|versus|vs\.?|outperforms|beats)\s+([^,.;!?]+)/i;
+
+/**
+ * Approximate wording before a number and the product values it allows
+ */
+const QUALIFIERS = [
+  { pattern: /\b(?:over|more than|at least|upwards of)\s*$/i, matches: (value, actual) => actual >= value && actual <= value * 2 },
+  { pattern: /\b(?:nearly|almost|just under)\s*$/i, matches: (value, actual) => actual <= value && actual >= value * 0.9 },
+  { pattern: /\b(?:under|less than|below|up to)\s*$/i, matches: (value, actual) => actual <= value && actual >= value * 0.5 },
+  { pattern: /\b(?:about|around|roughly|approximately|close to)\s*$/i, matches: (value, actual) => Math.abs(actual - value) <= actual * 0.1 }
+];
+
+/**
+ * Checks whether a stated number equals a product value (1% tolerance for rounding)
+ * @param {number} value - Stated number
+ * @param {number} actual - Product value
+ * @returns {boolean} True when they match
+ */
+const isSameNumber = (value, actual) => Math.abs(actual - value) <= Math.max(0.01, actual * 0.01);
+
+/**
+ * Checks whether a spelled-out number word can extend the number before it
+ * ("forty" + "nine" can, "forty-nine" + "ninety" starts a new number)
+ * @param {number} current - Number so far (below the current scale)
+ * @param {number} value - Value of the next word
+ * @returns {boolean} True when the word extends the number
+ */
+const canExtend = (current, value) => {
+  const lastTwo = current % 100;
+  return value < 10 ? lastTwo % 10 === 0 && (lastTwo === 0 || lastTwo >= 20) : lastTwo === 0;
+};
+
+/**
+ * Finds the numbers in text, in digits or spelled out
+ * @param {string} text - Text
+ * @returns {Object[]} Numbers as { value, start, end, spelled } with character offsets
+ */
+export const extractNumbers = (text) => {
+  const source = String(text || '');
+  const tokens = [...source.matchAll(/\d[\d,]*(?:\.\d+)?|[A-Za-z]+/g)];
+  const numbers = [];
+  let spelled = null;
+
+  const flush = () => {
+    if (spelled) {
+      const fraction = spelled.fraction ? Number(`0.${spelled.fraction}`) : 0;
+      numbers.push({ value: spelled.total + spelled.current + fraction, start: spelled.start, end: spelled.end, spelled: true });
+      spelled = null;
+    }
+  };
+
+  tokens.forEach((token, index) => {
+    const word = token[0].toLowerCase();
+    const nextWord = tokens[index + 1]?.[0].toLowerCase();
+    const end = token.index + token[0].length;
+    const value = SMALL_NUMBERS[word] ?? TENS[word];
+
+    if (/^\d/.test(word)) {
+      flush();
+      numbers.push({ value: parseFloat(word.replace(/,/g, '')), start: token.index, end, spelled: false });
+    } else if (spelled?.fraction !== undefined) {
+      // Digits after "point" ("four point five")
+      if (value !== undefined && value < 10) {
+        spelled.fraction += value;
+        spelled.end = end;
+      } else {
+        flush();
+      }
+    } else if (value !== undefined) {
+      if (spelled && !canExtend(spelled.current, value)) {
+        flush();
+      }
+      spelled = spelled || { total: 0, current: 0, start: token.index };
+      spelled.current += value;
+      spelled.end = end;
+    } else if (spelled && word === 'hundred') {
+      spelled.current = (spelled.current || 1) * 100;
+      spelled.end = end;
+    } else if (spelled && SCALES[word]) {
+      spelled.total += (spelled.current || 1) * SCALES[word];
+      spelled.current = 0;
+      spelled.end = end;
+    } else if (spelled && word === 'point' && SMALL_NUMBERS[nextWord] < 10) {
+      spelled.fraction = '';
+    } else if (!(spelled && word === 'and' && (SMALL_NUMBERS[nextWord] ?? TENS[nextWord]) !== undefined)) {
+      // "and" continues a number like "two hundred and fifty"
+      flush();
+    }
+  });
+  flush();
+
+  return numbers;
+};
+
+/**
+ * Collects the text the script may draw facts from
+ * @param {Object} productData - Product information
+ * @returns {string} Product facts as text
+ */
+const getProductText = (productData = {}) => {
+  const { title, price, rating, reviewCount, features, description } = productData;
+
+  return [
+    title,
+    price,
+    rating && `${rating} stars`,
+    reviewCount && `${reviewCount} reviews`,
+    ...(Array.isArray(features) ? features : []),
+    description,
+    formatReviewInsights(productData.reviewInsights)
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Collects the numbers the script may state
+ * Decimals also allow their whole and cent parts, since prices are spoken as
+ * "forty-nine ninety-nine", and their rounded value.
+ * @param {string} productText - Product facts as text
+ * @returns {number[]} Product values
+ */
+const getProductNumbers = (productText) => {
+  const values = new Set();
+
+  for (const { value } of extractNumbers(productText)) {
+    values.add(value);
+    if (!Number.isInteger(value)) {
+      const [whole, fraction] = String(value).split('.');
+      values.add(Number(whole));
+      values.add(Number(fraction.padEnd(2, '0')));
+      values.add(Math.round(value));
+    }
+  }
+
+  return [...values];
+};
+
+/**
+ * Splits a script into sentences, skipping pause markers
+ * @param {string} script - Script
+ * @returns {string[]} Sentences
+ */
+const splitSentences = (script) => String(script || '')
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => /[A-Za-z0-9]/.test(sentence));
+
+/**
+ * Finds the factual claims of a script
+ * Numbers count as claims when written in digits or followed by a unit;
+ * spelled-out numbers without one ("one thing I like") are left alone.
+ * @param {string} script - Script
+ * @returns {Object[]} Claims as { type, text, sentence, value, qualifier }; type is number, experience or comparison
+ */
+export const extractClaims = (script) => {
+  const claims = [];
+
+  for (const sentence of splitSentences(script)) {
+    const plain = sentence.replace(/\*/g, '');
+
+    for (const number of extractNumbers(plain)) {
+      const unit = plain.slice(number.end).match(/^[\s-]*([A-Za-z%]+)/);
+      const hasUnit = Boolean(unit) && UNIT_PATTERN.test(unit[1]);
+      if (number.spelled && !hasUnit) {
+        continue;
+      }
+
+      const before = plain.slice(0, number.start).replace(/[$£€¥₹]\s*$/, '');
+      claims.push({
+        type: 'number',
+        text: plain.slice(number.start, number.end + (hasUnit ? unit[0].length : 0)),
+        sentence,
+        value: number.value,
+        qualifier: QUALIFIERS.find(({ pattern }) => pattern.test(before)) || null
+      });
+    }
+
+    const experience = EXPERIENCE_PATTERNS.map(pattern => plain.match(pattern)).find(Boolean);
+    if (experience) {
+      claims.push({ type: 'experience', text: experience[0], sentence });
+    }
+
+    const comparison = plain.match(COMPARISON_PATTERN);
+    if (comparison) {
+      claims.push({ type: 'comparison', text: comparison[0].trim(), sentence, target: (comparison[1] || comparison[2]).trim() });
+    }
+  }
+
+  return claims;
+};
+
+/**
+ * Checks claims against the product data
+ * @param {Object[]} claims - Claims from extractClaims
+ * @param {Object} productData - Product information the script was written from
+ * @returns {Object[]} Claims with { supported, reason }
+ */
+export const checkClaims = (claims, productData) => {
+  const productText = getProductText(productData);
+  const productWords = new Set(productText.toLowerCase().match(/[a-z0-9]+/g) || []);
+  const productNumbers = getProductNumbers(productText);
+
+  return claims.map(claim => {
+    if (claim.type === 'experience') {
+      return { ...claim, supported: false, reason: 'claims hands-on use the channel cannot back up' };
+    }
+
+    if (claim.type === 'comparison') {
+      const names = (claim.target.match(/\b[A-Z][A-Za-z0-9-]*\b/g) || [])
+        .filter(name => name !== 'I' && !productWords.has(name.toLowerCase()));
+      return names.length > 0
+        ? { ...claim, supported: false, reason: `compares with ${names.join(' ')}, which the product data doesn't mention` }
+        : { ...claim, supported: true, reason: null };
+    }
+
+    const matches = claim.qualifier ? claim.qualifier.matches : isSameNumber;
+    const supported = productNumbers.some(actual => isSameNumber(claim.value, actual) || matches(claim.value, actual));
+    return { ...claim, supported, reason: supported ? null : `${claim.value} is not in the product data` };
+  });
+};
+
+/**
+ * Finds the unsupported claims of a script
+ * @param {string} script - Script
+ * @param {Object} productData - Product information the script was written from
+ * @returns {Object} { claims, unsupported } with every checked claim and the unsupported ones
+ */
+export const factCheckScript = (script, productData) => {
+  const claims = checkClaims(extractClaims(script), productData);
+  return { claims, unsupported: claims.filter(claim => !claim.supported) };
+};
+
+/**
+ * Asks the LLM to rewrite the sentences making unsupported claims
+ * @param {Object[]} unsupported - Unsupported claims
+ * @param {Object} productData - Product information
+ * @param {Object} options - LLM options ({ provider, model })
+ * @returns {Promise<Object[]>} Rewrites as { sentence, replacement }; an empty replacement drops the sentence
+ */
+const rewriteSentences = async (unsupported, productData, options) => {
+  const sentences = [...new Set(unsupported.map(claim => claim.sentence))];
+  const problems = sentences.map((sentence, index) => {
+    const reasons = unsupported.filter(claim => claim.sentence === sentence).map(claim => claim.reason);
+    return `${index + 1}. ${sentence}\n   Problem: ${reasons.join('; ')}`;
+  });
+
+  const response = await generateText('factCheck', {
+    system: 'You are a compliance editor for product review videos. You rewrite narration sentences so they only state facts found in the product data, keeping the tone and meaning otherwise. Respond with a JSON array of strings only.',
+    prompt: `PRODUCT DATA:
+${getProductText(productData).substring(0, 3000)}
+
+SENTENCES WITH UNSUPPORTED CLAIMS:
+${problems.join('\n')}
+
+Rewrite each sentence so it makes no claim missing from the product data: use the real figures, drop invented specs, and turn hands-on experience ("I've used it for months") into what the listing or customers say. Keep numbers spelled the way the sentence spells them. Use an empty string to drop a sentence that has nothing left to say.
+
+Respond with a JSON array of ${sentences.length} rewritten sentence(s), in order.`,
+    maxTokens: 600,
+    temperature: 0.2
+  }, options);
+
+  const start = response.indexOf('[');
+  const end = response.lastIndexOf(']');
+  const rewritten = start === -1 ? null : JSON.parse(response.slice(start, end + 1));
+  if (!Array.isArray(rewritten) || rewritten.length !== sentences.length) {
+    throw new Error(`expected ${sentences.length} rewritten sentence(s)`);
+  }
+
+  return sentences.map((sentence, index) => ({ sentence, replacement: String(rewritten[index] || '').trim() }));
+};
+
+/**
+ * Applies sentence rewrites to text
+ * @param {string} text - Script text
+ * @param {Object[]} rewrites - Rewrites as { sentence, replacement }
+ * @returns {string} Rewritten text
+ */
+export const applyRewrites = (text, rewrites) => rewrites.reduce((result, { sentence, replacement }) => {
+  if (!result.includes(sentence)) {
+    return result;
+  }
+  return replacement
+    ? result.replace(sentence, replacement)
+    : result.replace(sentence, '').replace(/^\s*(?:\.\.\.\s*)+/, '').replace(/(?:\s*\.\.\.)+\s*$/, '').replace(/\s+(?:\.\.\.\s+){2,}/g, ' ... ').trim();
+}, String(text || ''));
+
+/**
+ * Fact-checks a script and handles unsupported claims by strictness level
+ * When the rewrite fails, the sentences with unsupported claims are dropped.
+ * @param {string} script - Script
+ * @param {Object} productData - Product information the script was written from
+ * @param {Object} options - Check options (also passed to the LLM)
+ * @param {string} [options.strictness] - off, warn, rewrite or strict (default: warn)
+ * @param {string} [options.label] - Script name for logs
+ * @returns {Promise<Object>} { script, unsupported, rewrites } with the checked script, its
+ *   remaining unsupported claims and the rewrites applied
+ * @throws {Error} When the level is unknown, or when strict and unsupported claims remain
+ */
+export const guardScript = async (script, productData, options = {}) => {
+  const { strictness = DEFAULT_FACT_CHECK_LEVEL, label = 'script' } = options;
+  if (!FACT_CHECK_LEVELS.includes(strictness)) {
+    throw new Error(`Unknown fact check level: ${strictness}. Available levels: ${FACT_CHECK_LEVELS.join(', ')}`);
+  }
+
+  if (strictness === 'off') {
+    return { script, unsupported: [], rewrites: [] };
+  }
+
+  const check = factCheckScript(script, productData);
+  let { unsupported } = check;
+  console.log(`🔎 Fact check of the ${label}: ${check.claims.length} claim(s), ${unsupported.length} unsupported`);
+
+  let checkedScript = script;
+  let rewrites = [];
+  if (unsupported.length > 0 && strictness !== 'warn') {
+    try {
+      rewrites = await rewriteSentences(unsupported, productData, options);
+    } catch (error) {
+      console.warn(`⚠️ Claim rewrite failed, dropping the sentences instead: ${error.message}`);
+      rewrites = [...new Set(unsupported.map(claim => claim.sentence))].map(sentence => ({ sentence, replacement: '' }));
+    }
+
+    checkedScript = applyRewrites(script, rewrites);
+    console.log(`✏️ Rewrote ${rewrites.length} sentence(s) with unsupported claims`);
+    ({ unsupported } = factCheckScript(checkedScript, productData));
+  }
+
+  unsupported.forEach(claim => {
+    console.warn(`⚠️ Unsupported ${claim.type} claim in the ${label}: "${claim.text}" (${claim.reason})`);
+  });
+
+  if (unsupported.length > 0 && strictness === 'strict') {
+    throw new Error(`Fact check failed: ${unsupported.length} unsupported claim(s) in the ${label}: ${unsupported.map(claim => `"${claim.text}"`).join(', ')}`);
+  }
+
+  return { script: checkedScript, unsupported, rewrites };
+};
+
+/**
+ * Fact-checks a review script with sections (and scenes), keeping them in step
+ * @param {Object} reviewScript - { script, sections, scenes } from the review script generators
+ * @param {Object} productData - Product information the script was written from
+ * @param {Object} options - Check options (see guardScript)
+ * @returns {Promise<Object>} Review script with the rewrites applied to every part
+ * @throws {Error} When strict and unsupported claims remain
+ */
+export const guardReviewScript = async (reviewScript, productData, options = {}) => {
+  const { script, rewrites } = await guardScript(reviewScript.script, productData, { label: 'review script', ...options });
+  if (rewrites.length === 0) {
+    return reviewScript;
+  }
+
+  return {
+    ...reviewScript,
+    script,
+    sections: reviewScript.sections
+      .map(section => ({ ...section, text: applyRewrites(section.text, rewrites) }))
+      .filter(section => section.text),
+    ...(reviewScript.scenes && {
+      scenes: reviewScript.scenes
+        .map(scene => ({ ...scene, narration: applyRewrites(scene.narration, rewrites) }))
+        .filter(scene => scene.narration)
+    })
+  };
+};
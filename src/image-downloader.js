@@ -1,17 +1,18 @@
 import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { createTempFilePath } from './utils/temp-file-manager.js';
 
 /**
- * Validates if a URL is a valid HTTP/HTTPS URL
+ * Validates if a URL is a valid HTTP/HTTPS URL (or a local file URL from product fixtures)
  * @param {string} url - The URL to validate
- * @returns {boolean} - True if valid HTTP/HTTPS URL
+ * @returns {boolean} - True if valid HTTP/HTTPS/file URL
  */
 const isValidUrl = url => {
   try {
     const urlObj = new URL(url);
-    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:' || urlObj.protocol === 'file:';
   } catch {
     return false;
   }
@@ -58,6 +59,18 @@ const getImageQualityVersions = imageUrl => {
  * @returns {Promise<boolean>} - True if download successful
  */
 const downloadSingleImage = async (url, filePath, retries = 2) => {
+  // Local fixture images are copied instead of downloaded
+  if (url.startsWith('file:')) {
+    try {
+      await fs.copyFile(fileURLToPath(url), filePath);
+      console.log(`✅ Copied local image: ${fileURLToPath(url)}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to copy local image: ${error.message}`);
+      return false;
+    }
+  }
+
   const qualityVersions = getImageQualityVersions(url);
   
   console.log(`🔍 Original URL: ${url}`);
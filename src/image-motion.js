@@ -0,0 +1,229 @@
+import sharp from 'sharp';
+
+/**
+ * Ken Burns image motion
+ * Every slideshow photo slowly zooms in on, or out from, its subject. The
+ * subject is found with a simple saliency estimate: the bounding box of the
+ * pixels that differ from the photo's border color, which for product shots
+ * is the plain studio background. The motion runs on the padded frame, so the
+ * letterbox bars move with the photo instead of being padded again on every
+ * frame, and on a supersampled copy of it, so zoompan's whole-pixel crop
+ * positions don't make the picture jitter.
+ */
+
+/**
+ * Motion styles by name
+ * zoom: how far the photo zooms over its time on screen; direction: in (toward
+ * the subject), out (away from it) or alternate (in, then out on the next photo)
+ */
+export const MOTION_STYLES = {
+  none: null,
+  subtle: { zoom: 1.08, direction: 'alternate' },
+  dynamic: { zoom: 1.2, direction: 'alternate' },
+  'zoom-in': { zoom: 1.12, direction: 'in' },
+  'zoom-out': { zoom: 1.12, direction: 'out' }
+};
+
+export const DEFAULT_MOTION_STYLE = 'subtle';
+
+const MOTION_DIRECTIONS = ['in', 'out', 'alternate'];
+
+/**
+ * Times the frame is enlarged before zoompan crops it, to smooth the pan
+ */
+const SUPERSAMPLE = 2;
+
+/**
+ * Side of the thumbnail the saliency estimate looks at, in pixels
+ */
+const SALIENCY_SIZE = 64;
+
+const CENTER = { x: 0.5, y: 0.5 };
+
+/**
+ * Resolves a motion style
+ * @param {string|Object|boolean} [motion] - Style name, { zoom, direction } or false for none
+ *   (default: subtle)
+ * @returns {Object|null} { zoom, direction }, or null for no motion
+ * @throws {Error} When the style is unknown or invalid
+ */
+export const resolveMotion = (motion = DEFAULT_MOTION_STYLE) => {
+  if (motion && typeof motion === 'object') {
+    const style = { ...MOTION_STYLES[DEFAULT_MOTION_STYLE], ...motion };
+    if (!(style.zoom >= 1) || !MOTION_DIRECTIONS.includes(style.direction)) {
+      throw new Error(`Invalid motion style: zoom must be 1 or more and direction one of ${MOTION_DIRECTIONS.join(', ')}`);
+    }
+    return style;
+  }
+
+  const name = motion ? String(motion).toLowerCase() : 'none';
+  if (!(name in MOTION_STYLES)) {
+    throw new Error(`Unknown motion style: ${motion}. Available styles: ${Object.keys(MOTION_STYLES).join(', ')}`);
+  }
+  return MOTION_STYLES[name] && { ...MOTION_STYLES[name] };
+};
+
+/**
+ * Finds the bounding box of the pixels that differ from the border color
+ * @param {Buffer|Uint8Array} pixels - Raw pixels, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Channels per pixel
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.threshold] - Channel difference that counts as subject (default: 40)
+ * @returns {Object|null} { left, top, right, bottom } as fractions of the image, or null when
+ *   nothing stands out from the background
+ */
+export const findSubjectBox = (pixels, width, height, channels, options = {}) => {
+  const { threshold = 40 } = options;
+  const colorChannels = Math.min(channels, 3);
+  const pixelAt = (x, y) => pixels.subarray((y * width + x) * channels, (y * width + x) * channels + colorChannels);
+
+  // The background is the average color of the border
+  const background = new Array(colorChannels).fill(0);
+  let borderCount = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        pixelAt(x, y).forEach((value, channel) => { background[channel] += value; });
+        borderCount++;
+      }
+    }
+  }
+  background.forEach((total, channel) => { background[channel] = total / borderCount; });
+
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = pixelAt(x, y);
+      if (background.some((value, channel) => Math.abs(pixel[channel] - value) > threshold)) {
+        left = Math.min(left, x);
+        top = Math.min(top, y);
+        right = Math.max(right, x);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  if (right < 0) {
+    return null;
+  }
+  return { left: left / width, top: top / height, right: (right + 1) / width, bottom: (bottom + 1) / height };
+};
+
+/**
+ * Maps a point of a photo to the frame the photo is framed into
+ * The photo is fitted into the frame, or scaled to fill it and center-cropped
+ * under crop framing (see createFramingFilter in themes.js); a point cropped
+ * away is moved to the nearest frame edge.
+ * @param {Object} point - { x, y } as fractions of the photo
+ * @param {Object} image - Photo size as { width, height }
+ * @param {Object} frame - Frame size as { width, height }
+ * @param {Object} [framing] - Framing section of the theme (default: fitted and padded)
+ * @returns {Object} { x, y } as fractions of the frame
+ */
+export const mapToFrame = (point, image, frame, framing = { mode: 'pad' }) => {
+  const fitScale = framing.mode === 'crop' ? Math.max : Math.min;
+  const scale = fitScale(frame.width / image.width, frame.height / image.height);
+  const scaledWidth = image.width * scale;
+  const scaledHeight = image.height * scale;
+  const clamp = value => Math.min(1, Math.max(0, value));
+
+  return {
+    x: clamp(((frame.width - scaledWidth) / 2 + point.x * scaledWidth) / frame.width),
+    y: clamp(((frame.height - scaledHeight) / 2 + point.y * scaledHeight) / frame.height)
+  };
+};
+
+/**
+ * Estimates the focal point of a photo in the video frame
+ * Falls back to the center when the photo can't be read or has no clear subject.
+ * @param {string} imagePath - Photo path
+ * @param {string} resolution - Video resolution (e.g. 1920x1080)
+ * @param {Object} [framing] - Framing section of the theme (see mapToFrame)
+ * @returns {Promise<Object>} { x, y } as fractions of the frame
+ */
+export const estimateFocalPoint = async (imagePath, resolution, framing) => {
+  const [width, height] = resolution.split('x').map(Number);
+
+  try {
+    const image = sharp(imagePath);
+    const metadata = await image.metadata();
+    const { data, info } = await image
+      .resize(SALIENCY_SIZE, SALIENCY_SIZE, { fit: 'fill' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const box = findSubjectBox(data, info.width, info.height, info.channels);
+    const point = box ? { x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 } : CENTER;
+    return mapToFrame(point, metadata, { width, height }, framing);
+  } catch (error) {
+    console.warn(`⚠️ Could not estimate the focal point of ${imagePath}: ${error.message}`);
+    return { ...CENTER };
+  }
+};
+
+/**
+ * Creates the zoompan filter of one photo
+ * The filter takes the padded frame at the video fps and returns it at the
+ * same size and fps, zoomed over the photo's duration toward the focal point;
+ * the crop window stays inside the frame.
+ * @param {Object} options - Filter options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {number} options.fps - Frame rate
+ * @param {number} options.duration - Seconds the photo is shown
+ * @param {Object} options.motion - Motion style (from resolveMotion)
+ * @param {Object} [options.focus] - Focal point as fractions of the frame (default: center)
+ * @param {number} [options.index] - Position of the photo, for alternating directions
+ * @returns {string} FFmpeg filter chain
+ */
+export const createMotionFilter = (options) => {
+  const { width, height, fps, duration, motion, focus = CENTER, index = 0 } = options;
+  const frames = Math.max(2, Math.round(duration * fps));
+  const zoomIn = motion.direction === 'in' || (motion.direction === 'alternate' && index % 2 === 0);
+  const progress = `min(on/${frames - 1},1)`;
+  const range = (motion.zoom - 1).toFixed(4);
+  const zoom = zoomIn ? `1+${range}*${progress}` : `${motion.zoom}-${range}*${progress}`;
+  const x = `max(0,min(iw-iw/zoom,iw*${focus.x.toFixed(4)}-iw/zoom/2))`;
+  const y = `max(0,min(ih-ih/zoom,ih*${focus.y.toFixed(4)}-ih/zoom/2))`;
+
+  return `scale=${width * SUPERSAMPLE}:${height * SUPERSAMPLE},zoompan=z='${zoom}':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${fps},setsar=1:1`;
+};
+
+/**
+ * Creates the motion filters of a slideshow's photos
+ * @param {string[]} imagePaths - Photo paths, in slide order
+ * @param {number[]} durations - Seconds each photo is shown
+ * @param {Object} options - Video options
+ * @param {string|Object|boolean} [options.motion] - Motion style (see resolveMotion)
+ * @param {string} options.resolution - Video resolution (e.g. 1080x1920)
+ * @param {number} options.fps - Frame rate
+ * @param {Object} [options.framing] - Framing section of the theme (default: fitted and padded)
+ * @returns {Promise<Array<string|null>>} Filter chain by photo, null for no motion
+ * @throws {Error} When the style is unknown
+ */
+export const createMotionFilters = async (imagePaths, durations, options) => {
+  const motion = resolveMotion(options.motion);
+  if (!motion) {
+    return imagePaths.map(() => null);
+  }
+
+  const [width, height] = options.resolution.split('x').map(Number);
+  const focalPoints = await Promise.all(imagePaths.map(imagePath => estimateFocalPoint(imagePath, options.resolution, options.framing)));
+  console.log(`🎥 Image motion: zoom ${motion.zoom}x (${motion.direction}) toward ${focalPoints.map(point => `${Math.round(point.x * 100)}%/${Math.round(point.y * 100)}%`).join(', ')}`);
+
+  return imagePaths.map((_, index) => createMotionFilter({
+    width,
+    height,
+    fps: options.fps,
+    duration: durations[index],
+    motion,
+    focus: focalPoints[index],
+    index
+  }));
+};
@@ -171,12 +171,23 @@ export async function processImagesWithSmartBackground(imagePaths, tempDir, targ
   return processedPaths;
 }
 
+/**
+ * ImageMagick gravity of each logo corner
+ */
+const LOGO_GRAVITY = {
+  'top-left': 'northwest',
+  'top-right': 'northeast',
+  'bottom-left': 'southwest',
+  'bottom-right': 'southeast'
+};
+
 /**
  * Creates a stylish thumbnail with text overlay using ImageMagick
  * @param {string} imagePath - Path to the base image
  * @param {string} title - Title text to overlay
  * @param {string} outputPath - Path for the output thumbnail
  * @param {Object} options - Styling options
+ * @param {string} [options.logoPath] - Channel logo stamped in a corner (see getBrandThumbnailStyle)
  * @returns {Promise<string>} Path to the created thumbnail
  */
 export async function createStylishThumbnail(imagePath, title, outputPath, options = {}) {
@@ -191,10 +202,26 @@ export async function createStylishThumbnail(imagePath, title, outputPath, optio
     shadowOffset = 6,
     shadowBlur = 12,
     shadowOpacity = 0.9,
+    shadowColor = 'black',
     position = 'center', // 'top', 'bottom', 'center'
-    maxLines = 2
+    maxLines = 2,
+    logoPath = null,         // Brand logo, left out when missing
+    logoPosition = 'top-right',
+    logoOpacity = 0.7,
+    logoSize = 0.12,         // Logo width as a share of the shorter side
+    logoMargin = 0.03        // Margin as a share of the shorter side
   } = options;
 
+  let logo = null;
+  if (logoPath) {
+    try {
+      await fs.access(logoPath);
+      logo = logoPath;
+    } catch {
+      console.warn(`⚠️ Brand logo not found, leaving it off the thumbnail: ${logoPath}`);
+    }
+  }
+
   try {
     // First, create the base thumbnail with proper sizing
     const tempBasePath = outputPath.replace('.jpg', '-base.jpg');
@@ -293,7 +320,7 @@ export async function createStylishThumbnail(imagePath, title, outputPath, optio
       textArgs.push(
         '(',
         '+clone',
-        '-background', 'black',
+        '-background', shadowColor,
         '-shadow', `${Math.round(shadowOpacity * 100)}x${shadowBlur}+${shadowOffset}+${shadowOffset}`,
         ')',
         '+swap',
@@ -324,6 +351,19 @@ export async function createStylishThumbnail(imagePath, title, outputPath, optio
         );
       });
 
+      // Stamp the channel logo in its corner
+      if (logo) {
+        const shorterSide = Math.min(width, height);
+        const margin = Math.round(shorterSide * logoMargin);
+        textArgs.push(
+          '(', logo, '-resize', `${Math.round(shorterSide * logoSize)}x`,
+          '-alpha', 'set', '-channel', 'A', '-evaluate', 'multiply', logoOpacity.toString(), '+channel', ')',
+          '-gravity', LOGO_GRAVITY[logoPosition] || 'northeast',
+          '-geometry', `+${margin}+${margin}`,
+          '-composite'
+        );
+      }
+
       textArgs.push(outputPath);
 
       console.log(`🎨 Creating stylish thumbnail with text: "${displayTitle}"`);
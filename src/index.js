@@ -1,16 +1,46 @@
 import 'dotenv/config';
 import { scrapeAmazonProduct } from './amazon-scraper.js';
+import { resolveAmazonUrl } from './amazon-url-resolver.js';
 import { downloadImages, cleanupImages } from './image-downloader.js';
-import { generateVoiceover } from './voiceover-generator.js';
-import { generateAIReviewScript, generateAIVideoTitle, generateAIVideoDescription, generateAIShortVideoScript } from './openai-script-generator.js';
-import { createSlideshow, createShortVideo, createVideoWithAffiliateOverlay } from './video-creator.js';
+import { generateThumbnailTitle } from './image-processor.js';
+import { generateVoiceoverTrack, getRandomVoice } from './voiceover-generator.js';
+import { generateAIReviewScriptSections, generateAIReviewScenes, generateAIVideoTitle, generateAIVideoTitleVariants, generateAIVideoDescription, generateAIShortVideoScript } from './openai-script-generator.js';
+import { createSlideshow, createShortVideo, createVideoWithAffiliateOverlay, createIntroOutroSegments, getIntroOutroDuration } from './video-creator.js';
+import { loadTransitions, planTransitions } from './transitions.js';
+import { createRandom, generateSeed } from './utils/random.js';
+import { loadBrandKit, getBrandIntroOutroOptions, getBrandCaptionStyle } from './brand-kit.js';
+import { loadTheme, getThemeOutroLayout } from './themes.js';
+import { DEFAULT_DURATION_TOLERANCE, MAX_SHORT_DURATION, countWords, fitScriptToDuration, resizeReviewScript, resizeTexts } from './duration-fitter.js';
+import { buildChapters, insertChapters } from './chapters.js';
+import { buildSceneTimeline } from './scene-timeline.js';
+import { guardScript, guardReviewScript } from './fact-checker.js';
+import { translateText, translateReviewScript } from './translator.js';
+import { enforceCompliance, reportCompliance } from './compliance.js';
+import { loadCaptionStyles } from './caption-generator.js';
+import { loadPromptTemplates } from './prompt-templates.js';
 import { createThumbnail } from './thumbnail-generator.js';
-import { uploadToYouTube, uploadBothVideosToYouTube } from './youtube-publisher.js';
+import { DEFAULT_EXPERIMENT_DIR, DEFAULT_ROTATION_HOURS, createTitleExperiment, loadTitleExperiment, saveTitleExperiment } from './title-experiments.js';
+import { uploadToYouTube, uploadBothVideosToYouTube, findCaptionTracks } from './youtube-publisher.js';
 import { addCompleteInteractiveElements } from './youtube-interactive-elements.js';
 import { PromotionManager } from './promotion-manager.js';
 import { writeVideoDescription } from './description-writer.js';
 import { videoCompletionBeep, youtubeReadyBeep } from './utils/system-notifications.js';
 import { generateSessionId, createVoiceoverFilePaths, createOutputFilePaths } from './utils/temp-file-manager.js';
+import {
+  createSessionManifest,
+  loadSessionManifest,
+  saveSessionManifest,
+  runManifestStep,
+  isStepReusable
+} from './utils/session-manifest.js';
+import { resolveMarketplace, getAffiliateTag } from './utils/marketplaces.js';
+import {
+  DEFAULT_LANGUAGE,
+  DEFAULT_LOCALIZED_UPLOAD_MODE,
+  LOCALIZED_UPLOAD_MODES,
+  getLanguage,
+  parseLanguages
+} from './utils/languages.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -31,54 +61,67 @@ const DEFAULT_OPTIONS = {
   enableAffiliateOverlay: false, // New option to enable affiliate text overlay on videos
   setupInteractiveElements: false, // New option to setup YouTube Cards and End Screens
   enableBackgroundMusic: true, // Enable background music by default
-  enableIntroOutro: true // Enable intro/outro by default
+  enableIntroOutro: true, // Enable intro/outro by default
+  privacyStatus: 'public', // YouTube privacy status for uploads
+  productSource: null, // Product data source: rainforest, paapi or fixture (null = PRODUCT_SOURCE env or rainforest)
+  fixtureDir: null, // Fixture directory for the fixture product source
+  marketplace: null, // Amazon marketplace code (null = detect from URL, then AMAZON_MARKETPLACE env or US)
+  includeReviews: true, // Ground scripts in summarized customer reviews and Q&A when the source provides them
+  llmProvider: null, // LLM provider for every generator: openai, anthropic, openai-compatible (null = LLM_* env or openai)
+  llmModel: null, // Model for llmProvider (null = LLM_* env or the provider default)
+  ttsProvider: null, // Text-to-speech provider: elevenlabs, openai, local (null = TTS_PROVIDER env or elevenlabs)
+  captions: true, // Burn word-highlighted captions into both videos and export SRT/VTT next to them
+  captionStyles: null, // Caption style overrides as { short, long }, or the path of a JSON file with them
+  sceneScript: false, // Generate the script as JSON scenes that pick the photo and callout shown while each is narrated
+  factCheck: 'warn', // Check script claims against the product data: off, warn, rewrite or strict (fail the run)
+  language: DEFAULT_LANGUAGE, // Language of the voiceover, title, description and thumbnail (copy is written in English, then translated)
+  languageVoices: null, // Voice ID by language code, e.g. { es: 'VOICE_ID' } (null = a random voice of the gender)
+  sourceSessionId: null, // Session whose scrape and images a localized video reuses and whose copy it translates
+  localizations: null, // Translated { title, description, shortDescription } by language code, uploaded as YouTube localizations
+  promptDir: null, // Prompt templates directory (null = PROMPT_DIR env or prompts/)
+  persona: null, // Channel persona: a name in <promptDir>/personas/ or a JSON file path (null = PROMPT_PERSONA env or default)
+  brand: null, // Channel brand kit (logo, palette, fonts, intro, outro): a name in <brandDir>/ or a JSON file path (null = BRAND_KIT env or default)
+  brandDir: null, // Brand kits directory (null = BRAND_DIR env or brands/)
+  theme: null, // Video theme (framing, text styles, lower third, transitions, motion, music mood, QR badge, outro): a name in <themeDir>/ or a JSON file path (null = THEME env or default)
+  themeDir: null, // Themes directory (null = THEME_DIR env or themes/)
+  titleVariants: 1, // Candidate title/thumbnail pairs; with more than one, the best scored is uploaded and the others rotate in
+  titleKeywords: null, // Keywords the title variants are scored on (null = review)
+  rotationHours: DEFAULT_ROTATION_HOURS, // Hours each title variant stays live per turn of the experiment
+  experimentDir: DEFAULT_EXPERIMENT_DIR, // Directory of the title experiment files
+  targetDuration: null, // Long video length in seconds, intro and QR outro included; the script is rewritten until it fits (null = no target)
+  shortDuration: null, // Short video length in seconds, fitted the same way and never over 60 (null = a ~30 second script, unfitted)
+  durationTolerance: DEFAULT_DURATION_TOLERANCE, // Seconds a fitted video may be off its target
+  motion: null, // Ken Burns motion of the photos: none, subtle, dynamic, zoom-in, zoom-out or { zoom, direction } (null = the theme's)
+  transitions: null, // Transitions between photos: clean, energetic, minimal, none, or a storyboard { set, duration, cuts } or its .json path (null = the theme's)
+  seed: null, // Seed of every random creative choice (voice, music, fallback lines, promoter prefixes); null = a new seed, recorded in the session manifest
+  interactive: true // Prompt before uploading; when false, upload only if autoUpload is set
 };
 
 /**
  * Validates and normalizes Amazon product URL or product ID
- * @param {string} input - URL or product ID to validate
- * @returns {string} - Normalized Amazon URL
+ * Short links (amzn.to, a.co) are followed to the product page.
+ * @param {string} input - URL, short link or product ID to validate
+ * @param {string} marketplaceCode - Marketplace code (e.g. UK); defaults to the URL domain or AMAZON_MARKETPLACE
+ * @returns {Promise<string>} - Canonical Amazon product URL on the marketplace
  * @throws {Error} When input is invalid
  */
-const validateAndNormalizeAmazonUrl = input => {
+const validateAndNormalizeAmazonUrl = async (input, marketplaceCode = null) => {
   if (!input || typeof input !== 'string') {
     throw new Error('Amazon product URL or product ID is required');
   }
 
-  const trimmedInput = input.trim();
-
-  // Check if it's already a full URL
-  if (trimmedInput.startsWith('http')) {
-    try {
-      const urlObj = new URL(trimmedInput);
-      if (!urlObj.hostname.includes('amazon.') ||
-          (!trimmedInput.includes('/dp/') && !trimmedInput.includes('/gp/product/'))) {
-        throw new Error('Invalid Amazon URL format');
-      }
-      return trimmedInput;
-    } catch {
-      throw new Error('Invalid Amazon URL format');
-    }
-  }
-
-  // Check if it's a product ID (ASIN format: typically 10 characters, alphanumeric)
-  const productIdPattern = /^[A-Z0-9]{10}$/;
-  if (productIdPattern.test(trimmedInput)) {
-    // Convert product ID to full Amazon URL
-    const amazonUrl = `https://www.amazon.com/dp/${trimmedInput}`;
-    console.log(`📦 Converted product ID "${trimmedInput}" to URL: ${amazonUrl}`);
-    return amazonUrl;
+  let resolved;
+  try {
+    resolved = await resolveAmazonUrl(input, { marketplace: marketplaceCode });
+  } catch (error) {
+    throw new Error(`Invalid Amazon URL or product ID (e.g., B0CPZKLJX1): ${error.message}`);
   }
 
-  // Check for other common ASIN patterns (sometimes shorter or with different characters)
-  const flexibleProductIdPattern = /^[A-Z0-9]{8,12}$/;
-  if (flexibleProductIdPattern.test(trimmedInput)) {
-    const amazonUrl = `https://www.amazon.com/dp/${trimmedInput}`;
-    console.log(`📦 Converted product ID "${trimmedInput}" to URL: ${amazonUrl}`);
-    return amazonUrl;
+  if (resolved.url !== input.trim()) {
+    console.log(`📦 Resolved "${input.trim()}" to product URL: ${resolved.url}`);
   }
 
-  throw new Error('Invalid input. Please provide either a full Amazon URL or a valid product ID (e.g., B0CPZKLJX1)');
+  return resolved.url;
 };
 
 // Export for testing
@@ -149,43 +192,6 @@ const generateSafeFilename = videoTitle => {
   return `${shortName}-${timestamp}`;
 };
 
-/**
- * Generates video description from product description
- * @param {string} productDescription - Original product description
- * @param {string} productTitle - Product title
- * @returns {string} - Optimized video description
- */
-const generateVideoDescription = (productDescription, productTitle) => {
-  let description = `In this video, I review the ${productTitle}.\n\n`;
-  
-  // Add key features from product description
-  if (productDescription && productDescription.length > 0) {
-    // Extract bullet points or key features
-    const features = productDescription
-      .split(/[•·\n]/)
-      .map(line => line.trim())
-      .filter(line => line.length > 10 && line.length < 200)
-      .slice(0, 5); // Limit to 5 key features
-
-    if (features.length > 0) {
-      description += 'Key Features:\n';
-      features.forEach(feature => {
-        description += `• ${feature}\n`;
-      });
-      description += '\n';
-    }
-  }
-
-  description += 'Watch the full review to see if this product is right for you!\n\n';
-  description += '⏰ Timestamps:\n';
-  description += '0:00 Introduction\n';
-  description += '0:30 Product Overview\n';
-  description += '1:00 Key Features\n';
-  description += '2:00 Final Thoughts\n\n';
-
-  return description;
-};
-
 /**
  * Generates affiliate URL from product URL
  * @param {string} productUrl - Original Amazon product URL
@@ -212,10 +218,12 @@ const generateAffiliateUrl = (productUrl, affiliateTag) => {
  * @param {string} baseDescription - Base description text
  * @param {string} productUrl - Amazon product URL
  * @param {string} affiliateTag - Amazon affiliate tag
- * @returns {string} - Complete description with affiliate link
+ * @param {string} language - Language code of the affiliate lines (default: en)
+ * @returns {string} - Complete description with affiliate link, passed through the compliance linter
  */
-const buildCompleteDescription = (baseDescription, productUrl, affiliateTag) => {
+const buildCompleteDescription = (baseDescription, productUrl, affiliateTag, language = DEFAULT_LANGUAGE) => {
   let description = baseDescription || '';
+  const { strings } = getLanguage(language);
 
   if (productUrl && affiliateTag) {
     const affiliateUrl = generateAffiliateUrl(productUrl, affiliateTag);
@@ -224,12 +232,15 @@ const buildCompleteDescription = (baseDescription, productUrl, affiliateTag) =>
       description += '\n\n';
     }
     
-    description += `🛒 Get this product here: ${affiliateUrl}\n\n`;
-    description += '⚠️ As an Amazon Associate, I earn from qualifying purchases.\n';
-    description += 'This helps support the channel at no extra cost to you!';
+    description += `${strings.getProduct} ${affiliateUrl}\n\n`;
+    description += `${strings.disclosure}\n`;
+    description += strings.support;
   }
 
-  return description;
+  // Moves the disclosure above the fold and dates prices before the description is saved or published
+  const compliance = enforceCompliance(description, { type: 'description', maxLength: 5000, language });
+  reportCompliance(compliance, 'video description');
+  return compliance.text;
 };
 
 /**
@@ -284,27 +295,202 @@ const promptUserConfirmation = async (message, autoConfirm = false) => {
   });
 };
 
+/**
+ * Options that only affect the current run and are never restored from a session manifest
+ */
+const RUNTIME_OPTIONS = [
+  'onProgress',
+  'interactive',
+  'cleanup',
+  'autoUpload',
+  'autoPromote',
+  'promotionPlatforms',
+  'headless',
+  'resumeSessionId',
+  'localizations'
+];
+
+/**
+ * Extracts the options worth persisting in a session manifest
+ * @param {Object} config - Full configuration
+ * @returns {Object} Serializable options without runtime-only settings
+ */
+const getPersistableOptions = config => {
+  const persistable = Object.fromEntries(
+    Object.entries(config).filter(([key, value]) =>
+      !RUNTIME_OPTIONS.includes(key) && typeof value !== 'function'
+    )
+  );
+  return JSON.parse(JSON.stringify(persistable));
+};
+
+/**
+ * Gets a completed step output of a source session
+ * @param {Object|null} sourceManifest - Manifest of the source session
+ * @param {string} step - Step name
+ * @returns {*} Step output, or null when there is no source or the step didn't complete
+ */
+const getSourceOutput = (sourceManifest, step) => {
+  const entry = sourceManifest?.steps[step];
+  return entry?.status === 'completed' ? entry.output : null;
+};
+
+/**
+ * Copies the images of a source session into a session
+ * Each session owns its files, so cleaning one up never breaks the other.
+ * @param {string[]} imagePaths - Image paths of the source session
+ * @param {string} sourceSessionId - Source session ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string[]>} Image paths of the session
+ */
+const copySessionImages = (imagePaths, sourceSessionId, sessionId) => Promise.all(imagePaths.map(async imagePath => {
+  const copyPath = path.join(path.dirname(imagePath), path.basename(imagePath).replace(sourceSessionId, sessionId));
+  await fs.copyFile(imagePath, copyPath);
+  return copyPath;
+}));
+
+/**
+ * Gets the thumbnail path of a title variant
+ * @param {string} thumbnailPath - Path of the main thumbnail
+ * @param {string} variantId - Variant ID (B, C, ...)
+ * @returns {string} Thumbnail path with the variant ID before the session ID
+ */
+const getVariantThumbnailPath = (thumbnailPath, variantId) =>
+  thumbnailPath.replace(/-thumbnail-/, `-thumbnail-${variantId.toLowerCase()}-`);
+
+/**
+ * Starts the title experiment of an uploaded video
+ * A resumed session keeps the experiment it already started.
+ * @param {Object} params - Experiment parameters
+ * @param {string} params.videoId - YouTube video ID
+ * @param {Object[]} params.titleVariants - Title variants, uploaded one first
+ * @param {string[]} params.variantThumbnails - Thumbnail path of each variant
+ * @param {string} params.sessionId - Session ID
+ * @param {Object} params.config - Configuration
+ * @returns {Promise<string|null>} Experiment file path, or null when it couldn't start
+ */
+const startTitleExperiment = async ({ videoId, titleVariants, variantThumbnails, sessionId, config }) => {
+  try {
+    const existing = await loadTitleExperiment(videoId, config.experimentDir);
+    const experiment = existing || createTitleExperiment({
+      videoId,
+      sessionId,
+      rotationHours: config.rotationHours,
+      variants: titleVariants.map((variant, index) => ({
+        title: variant.title,
+        score: variant.score,
+        thumbnailPath: variantThumbnails[index] || null
+      }))
+    });
+    const experimentPath = await saveTitleExperiment(experiment, config.experimentDir);
+
+    if (!existing) {
+      console.log(`🧪 Title experiment started: ${experiment.variants.length} variants, rotating every ${experiment.rotationHours}h`);
+      console.log('💡 Run "aff experiment rotate" on a schedule (e.g. hourly from cron) and "aff experiment finish" to pick the winner');
+    }
+    return experimentPath;
+  } catch (error) {
+    console.warn(`⚠️ Title experiment could not start: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Main function to create affiliate video from Amazon product URL or product ID
- * @param {string} productInput - Amazon product URL or product ID
+ *
+ * Every step records its result in a session manifest (see utils/session-manifest.js).
+ * Passing `resumeSessionId` reloads that manifest and skips steps whose artifacts are
+ * still valid, so a failed upload or render does not re-run scraping, OpenAI or TTS.
+ *
+ * Videos in another language than English translate the generated copy. With
+ * `sourceSessionId`, they reuse that session's scrape and images and translate
+ * its script, short script, title and description; the source already passed
+ * the fact check, so the translations are not checked again.
+ *
+ * @param {string} productInput - Amazon product URL or product ID (optional when resuming)
  * @param {Object} options - Configuration options
+ * @param {string} options.resumeSessionId - Session ID of a previous run to resume
  * @returns {Promise<Object>} - Result object with success status and details
  */
 export const createAffiliateVideo = async (productInput, options = {}) => {
-  const config = { ...DEFAULT_OPTIONS, ...options };
+  let config = { ...DEFAULT_OPTIONS, ...options };
   const timings = {};
   let tempFiles = [];
+  let manifest = null;
 
   try {
-    // Validate and normalize input (convert product ID to URL if needed)
-    const productUrl = validateAndNormalizeAmazonUrl(productInput);
-    
+    if (config.resumeSessionId) {
+      manifest = await loadSessionManifest(config.tempDir, config.resumeSessionId);
+      // Creative options come from the original run so reused artifacts stay consistent
+      config = { ...DEFAULT_OPTIONS, ...options, ...manifest.options };
+      productInput = productInput || manifest.productInput;
+      console.log(`♻️ Resuming session ${manifest.sessionId}`);
+    }
+
+    // Localized videos reuse the scrape and images of their source session and translate its copy
+    const language = getLanguage(config.language);
+    config.language = language.code;
+    const sourceManifest = config.sourceSessionId
+      ? await loadSessionManifest(config.tempDir, config.sourceSessionId)
+      : null;
+    const translating = language.code !== (sourceManifest?.options.language || DEFAULT_LANGUAGE);
+    productInput = productInput || sourceManifest?.productInput;
+    console.log(`🗣️ Language: ${language.name}${sourceManifest ? ` (translated from session ${sourceManifest.sessionId})` : ''}`);
+
+    // Validate and normalize input (convert product ID or short link to a product URL)
+    const productUrl = await validateAndNormalizeAmazonUrl(productInput, config.marketplace);
+
+    // Resolve the marketplace (explicit option, URL domain or AMAZON_MARKETPLACE) and record it
+    const marketplace = resolveMarketplace({ marketplace: config.marketplace, url: productUrl });
+    config.marketplace = marketplace.code;
+    console.log(`🌍 Marketplace: ${marketplace.code} (${marketplace.domain})`);
+
+    // Provider and model for every text generator (unset values fall back to the LLM_* environment)
+    const llmOptions = { provider: config.llmProvider, model: config.llmModel };
+
+    // Load the brand kit, theme, caption styles, prompt templates and transitions before any paid work so a bad file fails fast
+    const brandKit = await loadBrandKit(config.brand, { dir: config.brandDir });
+    console.log(`🎨 Brand kit: ${brandKit.id} (${brandKit.name})`);
+    const theme = await loadTheme(config.theme, { dir: config.themeDir });
+    console.log(`🎨 Theme: ${theme.id} (${theme.name})`);
+    // Motion and transitions follow the theme unless configured
+    const motion = config.motion ?? theme.motion;
+    // Captions take the brand fonts and colors unless their own styles set them
+    const captionStyles = config.captions ? await loadCaptionStyles(config.captionStyles, getBrandCaptionStyle(brandKit)) : null;
+    const prompts = await loadPromptTemplates({ dir: config.promptDir, persona: config.persona });
+    console.log(`🧾 Prompts: version ${prompts.version}, persona ${prompts.persona.id}`);
+    const transitions = await loadTransitions(config.transitions ?? theme.transitions);
+    console.log(`🎬 Transitions: ${transitions.set}${Object.keys(transitions.cuts).length > 0 ? ` with ${Object.keys(transitions.cuts).length} storyboard cut(s)` : ''}`);
+
     reportProgress(config.onProgress, 'validation', 5, 'Validating Amazon input');
 
     // Generate unique session ID for this video creation session
-    const sessionId = generateSessionId();
+    const sessionId = manifest ? manifest.sessionId : generateSessionId();
     console.log(`🔑 Session ID: ${sessionId}`);
 
+    // Draw the seed up front so it is recorded and a re-render makes the same choices
+    config.seed = config.seed === null || config.seed === undefined ? generateSeed() : String(config.seed);
+    console.log(`🎲 Seed: ${config.seed}`);
+
+    // Select the voice up front so it is recorded and reused on resume
+    if (!config.selectedVoiceId) {
+      config.selectedVoiceId = config.languageVoices?.[language.code] || getRandomVoice(config.voiceGender, createRandom(config.seed, 'voice'));
+      console.log(`🎤 Voice selected for consistency: ${config.selectedVoiceId}`);
+    }
+
+    if (!manifest) {
+      manifest = createSessionManifest({
+        sessionId,
+        tempDir: config.tempDir,
+        productInput,
+        options: getPersistableOptions(config),
+        prompts: { version: prompts.version, persona: prompts.persona.id }
+      });
+    } else if (manifest.prompts && manifest.prompts.version !== prompts.version) {
+      // Reused steps keep the copy of the original prompts; steps that rerun use the current ones
+      console.warn(`⚠️ Prompt templates changed since session ${sessionId} started (${manifest.prompts.version} → ${prompts.version})`);
+    }
+
     // Create unique file paths for this session (will be updated with meaningful name later)
     const voiceoverPaths = createVoiceoverFilePaths(config.tempDir, {
       includeMain: true,
@@ -315,15 +501,22 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     // Ensure directories exist
     await fs.mkdir(config.tempDir, { recursive: true });
     await fs.mkdir(config.outputDir, { recursive: true });
+    await saveSessionManifest(manifest);
 
     console.log(`🚀 Starting affiliate video creation for: ${productUrl}`);
 
     // Step 1: Scrape Amazon product
     reportProgress(config.onProgress, 'scraping', 10, 'Scraping product information');
     timings.scraping = { start: Date.now() };
-    
-    const productData = await scrapeAmazonProduct(productUrl);
-    
+
+    const productData = await runManifestStep(manifest, 'scrape', async () =>
+      getSourceOutput(sourceManifest, 'scrape') || scrapeAmazonProduct(productUrl, {
+        productSource: config.productSource,
+        fixtureDir: config.fixtureDir,
+        marketplace: config.marketplace,
+        includeReviews: config.includeReviews
+      }));
+
     timings.scraping.end = Date.now();
     console.log(`✅ Product scraped: ${productData.title}`);
 
@@ -334,65 +527,165 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     // Step 2: Download images
     reportProgress(config.onProgress, 'imageDownload', 25, 'Downloading product images');
     timings.imageDownload = { start: Date.now() };
-    
-    const imagesToDownload = productData.images.slice(0, config.maxImages);
-    const imagePaths = await downloadImages(imagesToDownload, config.tempDir, 3, { sessionId });
-    
+
+    const imagePaths = await runManifestStep(manifest, 'images', async () => {
+      const sourceImages = getSourceOutput(sourceManifest, 'images');
+      if (sourceImages) {
+        return copySessionImages(sourceImages, sourceManifest.sessionId, sessionId);
+      }
+
+      const imagesToDownload = productData.images.slice(0, config.maxImages);
+      const downloaded = await downloadImages(imagesToDownload, config.tempDir, 3, { sessionId });
+
+      if (downloaded.length === 0) {
+        throw new Error('No images were downloaded successfully');
+      }
+
+      return downloaded;
+    }, paths => paths);
+
     timings.imageDownload.end = Date.now();
     tempFiles.push(...imagePaths);
 
-    if (imagePaths.length === 0) {
-      throw new Error('No images were downloaded successfully');
-    }
-
     console.log(`✅ Downloaded ${imagePaths.length} images`);
 
+    // Generate affiliate URL for use in video creation and QR codes
+    const affiliateTag = getAffiliateTag(marketplace);
+    const affiliateUrl = generateAffiliateUrl(productUrl, affiliateTag);
+
+    // The intro and QR outro follow the brand kit and the theme's outro layout, their lines spoken in the video language unless configured
+    const brandIntroOutroOptions = getBrandIntroOutroOptions(brandKit, language);
+    const introOutroOptions = {
+      ...brandIntroOutroOptions,
+      outroLayout: getThemeOutroLayout(theme, brandIntroOutroOptions.outroLayout),
+      ...config.introOutroOptions
+    };
+
+    // Duration targets cover the whole video, so the intro and QR outro are taken off the narration
+    const introOutroDuration = await getIntroOutroDuration({ enableIntroOutro: config.enableIntroOutro, amazonUrl: affiliateUrl, introOutroOptions });
+    const videoExtraDuration = config.enableAffiliateOverlay ? 0 : introOutroDuration;
+
     // Step 3: Generate AI-powered review script
     reportProgress(config.onProgress, 'scriptGeneration', 35, 'Generating AI review script');
     timings.scriptGeneration = { start: Date.now() };
-    
-    const voiceoverText = await generateAIReviewScript(productData, {
+
+    // The script comes in labeled sections, which become the video chapters.
+    // Scene scripts also choose the photo and callout of every section.
+    const scriptOptions = {
+      ...llmOptions,
+      prompts,
       reviewStyle: 'conversational',
-      temperature: 0.7
+      temperature: 0.7,
+      targetDuration: config.targetDuration ? config.targetDuration - videoExtraDuration : null
+    };
+    // Claims missing from the product data are flagged, rewritten or fail the run
+    const reviewScript = await runManifestStep(manifest, 'script', async () => {
+      let sourceScript = getSourceOutput(sourceManifest, 'script');
+      if (!sourceScript) {
+        const generatedScript = config.sceneScript
+          ? await generateAIReviewScenes(productData, { ...scriptOptions, imageCount: imagePaths.length })
+          : await generateAIReviewScriptSections(productData, scriptOptions);
+        sourceScript = await guardReviewScript(generatedScript, productData, { ...llmOptions, strictness: config.factCheck });
+      }
+      return translating ? translateReviewScript(sourceScript, language.code, llmOptions) : sourceScript;
     });
-    
+    const voiceoverText = reviewScript.script;
+
     timings.scriptGeneration.end = Date.now();
     console.log(`✅ AI script generated: ${voiceoverText.length} characters`);
 
     // Step 4: Generate voiceover
     reportProgress(config.onProgress, 'voiceoverGeneration', 50, 'Generating AI voiceover');
     timings.voiceoverGeneration = { start: Date.now() };
-    
-    const voiceoverPath = await generateVoiceover(
-      voiceoverText,
+
+    // The track reports which text landed at which timestamp: per synthesis chunk,
+    // and per word and sentence (also saved as JSON next to the audio)
+    const synthesizeReviewScript = script => generateVoiceoverTrack(
+      script.script,
       voiceoverPaths.paths.main,
       undefined, // Use default voice settings
-      config.voiceGender
+      config.voiceGender,
+      config.selectedVoiceId,
+      { provider: config.ttsProvider, language: language.code, timings: true }
     );
-    
-    // Store the selected voice ID for consistency across all voiceovers
-    if (!config.selectedVoiceId) {
-      const { getRandomVoice } = await import('./voiceover-generator.js');
-      config.selectedVoiceId = getRandomVoice();
-      console.log(`🎤 Voice selected for consistency: ${config.selectedVoiceId}`);
-    }
-    
+    // With a target duration, the script is rewritten until the measured video fits;
+    // the track then carries the script it narrates
+    const voiceoverTrack = await runManifestStep(manifest, 'voiceover', async () => {
+      if (!config.targetDuration) {
+        return synthesizeReviewScript(reviewScript);
+      }
+
+      const fit = await fitScriptToDuration({
+        script: reviewScript,
+        synthesize: synthesizeReviewScript,
+        revise: async (script, targetWords) => guardReviewScript(
+          await resizeReviewScript(script, targetWords, llmOptions),
+          productData,
+          { ...llmOptions, strictness: config.factCheck }
+        ),
+        countWords: script => countWords(script.script),
+        targetDuration: config.targetDuration,
+        fixedDuration: videoExtraDuration,
+        tolerance: config.durationTolerance,
+        label: 'video'
+      });
+      return { ...fit.track, script: fit.script, duration: fit.duration };
+    },
+    track => [track.path, track.timingsPath]);
+    const voiceoverPath = voiceoverTrack.path;
+    const narratedScript = voiceoverTrack.script || reviewScript;
+
     timings.voiceoverGeneration.end = Date.now();
-    tempFiles.push(voiceoverPath);
+    tempFiles.push(voiceoverPath, voiceoverTrack.timingsPath);
     console.log(`✅ Voiceover generated: ${voiceoverPath}`);
 
     // Step 5: Generate AI-optimized video title
     reportProgress(config.onProgress, 'titleGeneration', 60, 'Generating AI-optimized video title');
     timings.titleGeneration = { start: Date.now() };
-    
-    const videoTitle = await generateAIVideoTitle(productData, {
-      temperature: 0.8
+
+    // The safe filename is stored with the title so resumed sessions keep their output paths
+    const { videoTitle, safeFilename, titleVariants } = await runManifestStep(manifest, 'title', async () => {
+      const sourceTitle = getSourceOutput(sourceManifest, 'title');
+      const experimenting = config.titleVariants > 1;
+
+      // With title variants, the best scored candidate is uploaded and the others rotate in later
+      const candidates = experimenting
+        ? sourceTitle?.titleVariants || await generateAIVideoTitleVariants(productData, {
+          ...llmOptions,
+          prompts,
+          count: config.titleVariants,
+          keywords: config.titleKeywords || undefined
+        })
+        : [{
+          title: sourceTitle?.videoTitle || await generateAIVideoTitle(productData, {
+            ...llmOptions,
+            prompts,
+            seed: config.seed,
+            temperature: 0.8
+          })
+        }];
+
+      const variants = [];
+      for (const candidate of candidates) {
+        const localizedTitle = translating ? await translateText(candidate.title, language.code, llmOptions) : candidate.title;
+        const compliance = enforceCompliance(localizedTitle, { type: 'title', maxLength: 100, language: language.code });
+        reportCompliance(compliance, 'video title');
+        const thumbnailText = translating && candidate.thumbnailText
+          ? await translateText(candidate.thumbnailText, language.code, llmOptions)
+          : candidate.thumbnailText;
+        variants.push({ ...candidate, title: compliance.text, thumbnailText });
+      }
+
+      const title = variants[0].title;
+      return {
+        videoTitle: title,
+        safeFilename: generateSafeFilename(title),
+        titleVariants: experimenting && variants.length > 1 ? variants : null
+      };
     });
-    
+
     timings.titleGeneration.end = Date.now();
     console.log(`✅ AI video title generated: "${videoTitle}"`);
-    
-    const safeFilename = generateSafeFilename(videoTitle);
 
     // Create output file paths with meaningful filename
     const outputPaths = createOutputFilePaths(config.outputDir, safeFilename, {
@@ -403,17 +696,22 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     // Step 6: Create video
     reportProgress(config.onProgress, 'videoCreation', 70, 'Creating slideshow video');
     timings.videoCreation = { start: Date.now() };
-    
+
     // Ensure output directory exists
     await fs.mkdir(config.outputDir, { recursive: true });
-    
+
     const videoPath = outputPaths.paths.video;
-    
+
     console.log(`📁 Output directory: ${config.outputDir}`);
     console.log(`📄 Video filename: ${path.basename(videoPath)}`);
-    
+
     const videoOptions = {
       quality: config.videoQuality,
+      seed: config.seed, // Background music and fallback voice follow the session seed
+      brand: brandKit, // Brand background and logo watermark
+      theme, // Framing, text styles, lower third, music mood and QR badge
+      product: productData, // Fields of the theme's lower third
+      tempDir: config.tempDir, // Smart-framed photos go with the other working files
       onProgress: progress => {
         const overallProgress = 70 + (progress.percent || 0) * 0.10;
         reportProgress(config.onProgress, 'videoCreation', overallProgress,
@@ -421,46 +719,47 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
       }
     };
 
-    let finalVideoPath;
-    
-    // Generate affiliate URL for use in video creation and QR codes
-    const affiliateTag = process.env.AFFILIATE_TAG;
-    const affiliateUrl = generateAffiliateUrl(productUrl, affiliateTag);
-    
-    // Use affiliate overlay video creation if enabled
-    if (config.enableAffiliateOverlay) {
-      console.log('🎯 Creating video with affiliate overlay...');
-      
-      const productDataForOverlay = {
-        affiliateUrl,
-        title: productData.title,
-        price: productData.price || 'Check Amazon for current price'
-      };
-      
-      finalVideoPath = await createVideoWithAffiliateOverlay(
-        imagePaths,
-        voiceoverPath,
-        videoPath,
-        productDataForOverlay,
-        {
-          ...videoOptions,
-          overlayOptions: {
-            position: 'bottom',
-            startTime: 15,
-            duration: 8,
-            fontSize: 28,
-            backgroundColor: 'black@0.8',
-            textColor: 'white'
+    const finalVideoPath = await runManifestStep(manifest, 'video', async () => {
+      // Use affiliate overlay video creation if enabled
+      if (config.enableAffiliateOverlay) {
+        console.log('🎯 Creating video with affiliate overlay...');
+
+        const productDataForOverlay = {
+          affiliateUrl,
+          title: productData.title,
+          price: productData.price || 'Check Amazon for current price'
+        };
+
+        return await createVideoWithAffiliateOverlay(
+          imagePaths,
+          voiceoverPath,
+          videoPath,
+          productDataForOverlay,
+          {
+            ...videoOptions,
+            overlayOptions: {
+              position: 'bottom',
+              startTime: 15,
+              duration: 8,
+              fontSize: 28,
+              backgroundColor: 'black@0.8',
+              textColor: 'white'
+            }
           }
-        }
-      );
-    } else {
+        );
+      }
+
       console.log(`🎬 Creating slideshow with QR code outro options:`);
       console.log(`   enableIntroOutro: ${config.enableIntroOutro}`);
       console.log(`   amazonUrl: ${affiliateUrl}`);
-      console.log(`   introOutroOptions:`, JSON.stringify(config.introOutroOptions || {}, null, 2));
-      
-      finalVideoPath = await createSlideshow(
+      console.log(`   introOutroOptions:`, JSON.stringify(introOutroOptions, null, 2));
+
+      // The transition sequence is recorded with the session
+      const sceneTimeline = narratedScript.scenes ? buildSceneTimeline(narratedScript.scenes, voiceoverTrack.words, imagePaths.length) : [];
+      const videoTransitions = planTransitions(sceneTimeline.length || imagePaths.length, transitions);
+      manifest.transitions = { ...manifest.transitions, video: videoTransitions };
+
+      return await createSlideshow(
         imagePaths,
         voiceoverPath,
         videoPath,
@@ -468,14 +767,21 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           ...videoOptions,
           enableBackgroundMusic: config.enableBackgroundMusic,
           enableIntroOutro: config.enableIntroOutro,
-          introOutroOptions: config.introOutroOptions || {},
+          introOutroOptions,
+          motion, // Zoom and pan each photo toward its subject
+          transitions: videoTransitions, // Cut between photos with the chosen transition set
           amazonUrl: affiliateUrl, // Pass Amazon URL for QR code generation
           selectedVoiceId: config.selectedVoiceId, // Pass voice ID for consistency
-          voiceGender: config.voiceGender // Pass voice gender for consistency
+          ttsProvider: config.ttsProvider, // Intro and outro voiceovers use the same provider
+          language: language.code, // Intro and outro voiceovers speak the video language
+          voiceGender: config.voiceGender, // Pass voice gender for consistency
+          sentenceTimings: voiceoverTrack.sentences.map(({ start, end }) => ({ start, end })), // Change slides between sentences
+          sceneTimeline, // Show each scene's photo while it is narrated
+          captions: captionStyles ? { timingsPath: voiceoverTrack.timingsPath, style: captionStyles.long } : null
         }
       );
-    }
-    
+    }, filePath => [filePath]);
+
     timings.videoCreation.end = Date.now();
     console.log(`✅ Video created: ${finalVideoPath}`);
 
@@ -485,36 +791,82 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     if (config.createShortVideo) {
       reportProgress(config.onProgress, 'shortVideoCreation', 75, 'Creating short video for social media');
       timings.shortVideoCreation = { start: Date.now() };
-      
+
       try {
-        // Generate short video script (~30 seconds)
+        // Generate short video script, written for the short's length without the intro and outro
         console.log('📱 Generating short video script...');
-        const shortVideoScript = await generateAIShortVideoScript(productData, {
-          targetDuration: 30,
-          temperature: 0.8
+        // A short script that fails a strict fact check skips the short video
+        const shortVideoScript = await runManifestStep(manifest, 'shortScript', async () => {
+          let sourceScript = getSourceOutput(sourceManifest, 'shortScript');
+          if (!sourceScript) {
+            const generatedScript = await generateAIShortVideoScript(productData, {
+              ...llmOptions,
+              prompts,
+              targetDuration: config.shortDuration ? config.shortDuration - introOutroDuration : 30,
+              temperature: 0.8
+            });
+            ({ script: sourceScript } = await guardScript(generatedScript, productData, {
+              ...llmOptions,
+              strictness: config.factCheck,
+              label: 'short script'
+            }));
+          }
+          return translating ? translateText(sourceScript, language.code, llmOptions) : sourceScript;
         });
         console.log(`✅ Short video script generated: ${shortVideoScript.length} characters`);
-        
+
         // Generate short video voiceover with unique naming
         console.log('🎤 Generating short video voiceover...');
-        shortVoiceoverPath = await generateVoiceover(
-          shortVideoScript,
+        const synthesizeShortScript = script => generateVoiceoverTrack(
+          script,
           voiceoverPaths.paths.short,
           undefined, // Use default voice settings
           config.voiceGender,
-          config.selectedVoiceId // Use the same voice as main video
+          config.selectedVoiceId, // Use the same voice as main video
+          { provider: config.ttsProvider, language: language.code, timings: true } // Timings drive the captions
         );
-        tempFiles.push(shortVoiceoverPath);
+        // Shorts are fitted to their length and never exceed the Shorts limit
+        const shortVoiceoverTrack = await runManifestStep(manifest, 'shortVoiceover', async () => {
+          if (!config.shortDuration) {
+            return synthesizeShortScript(shortVideoScript);
+          }
+
+          const fit = await fitScriptToDuration({
+            script: shortVideoScript,
+            synthesize: synthesizeShortScript,
+            revise: async (script, targetWords) => {
+              const [resized] = await resizeTexts([script], targetWords, { ...llmOptions, task: 'shortScript' });
+              const { script: checkedScript } = await guardScript(resized, productData, {
+                ...llmOptions,
+                strictness: config.factCheck,
+                label: 'short script'
+              });
+              return checkedScript;
+            },
+            targetDuration: config.shortDuration,
+            fixedDuration: introOutroDuration,
+            tolerance: config.durationTolerance,
+            maxDuration: MAX_SHORT_DURATION,
+            label: 'short video'
+          });
+          return { ...fit.track, script: fit.script, duration: fit.duration };
+        },
+        track => [track.path, track.timingsPath]);
+        shortVoiceoverPath = shortVoiceoverTrack.path;
+        tempFiles.push(shortVoiceoverPath, shortVoiceoverTrack.timingsPath);
         console.log(`✅ Short video voiceover generated: ${shortVoiceoverPath}`);
-        
+
         // Create short video
-        shortVideoPath = outputPaths.paths.shortVideo;
-        
-        console.log(`📱 Creating short video: ${path.basename(shortVideoPath)}`);
-        
+        console.log(`📱 Creating short video: ${path.basename(outputPaths.paths.shortVideo)}`);
+
         const shortVideoOptions = {
           resolution: '1080x1920', // Vertical format for mobile
           quality: config.videoQuality,
+          seed: config.seed, // Background music and fallback voice follow the session seed
+          brand: brandKit, // Brand background and logo watermark
+          theme, // Framing, text styles, lower third, music mood and QR badge
+          product: productData, // Fields of the theme's lower third
+          tempDir: config.tempDir, // Smart-framed photos go with the other working files
           onProgress: progress => {
             const overallProgress = 75 + (progress.percent || 0) * 0.05;
             reportProgress(config.onProgress, 'shortVideoCreation', overallProgress,
@@ -524,32 +876,42 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
 
         // Use the same images for both videos (the original downloaded images)
         console.log(`📱 Using original images for short video (same as main video)`);
-        
+
         console.log(`📱 Creating short video with QR code outro options:`);
         console.log(`   enableIntroOutro: ${config.enableIntroOutro}`);
         console.log(`   amazonUrl: ${affiliateUrl}`);
-        console.log(`   introOutroOptions:`, JSON.stringify(config.introOutroOptions || {}, null, 2));
-        
-        shortVideoPath = await createShortVideo(
-          imagePaths,
-          shortVoiceoverPath,
-          shortVideoPath,
-          {
-            ...shortVideoOptions,
-            enableBackgroundMusic: config.enableBackgroundMusic,
-            enableIntroOutro: config.enableIntroOutro,
-            introOutroOptions: config.introOutroOptions || {},
-            amazonUrl: affiliateUrl, // Pass Amazon URL for QR code generation
-            selectedVoiceId: config.selectedVoiceId, // Pass voice ID for consistency
-            voiceGender: config.voiceGender // Pass voice gender for consistency
-          }
-        );
-        
+        console.log(`   introOutroOptions:`, JSON.stringify(introOutroOptions, null, 2));
+
+        shortVideoPath = await runManifestStep(manifest, 'shortVideo', () => {
+          const shortTransitions = planTransitions(imagePaths.length, transitions);
+          manifest.transitions = { ...manifest.transitions, shortVideo: shortTransitions };
+
+          return createShortVideo(
+            imagePaths,
+            shortVoiceoverPath,
+            outputPaths.paths.shortVideo,
+            {
+              ...shortVideoOptions,
+              enableBackgroundMusic: config.enableBackgroundMusic,
+              enableIntroOutro: config.enableIntroOutro,
+              introOutroOptions,
+              motion, // Zoom and pan each photo toward its subject
+              transitions: shortTransitions, // Cut between photos with the chosen transition set
+              amazonUrl: affiliateUrl, // Pass Amazon URL for QR code generation
+              selectedVoiceId: config.selectedVoiceId, // Pass voice ID for consistency
+              ttsProvider: config.ttsProvider, // Intro and outro voiceovers use the same provider
+              language: language.code, // Intro and outro voiceovers speak the video language
+              voiceGender: config.voiceGender, // Pass voice gender for consistency
+              captions: captionStyles ? { timingsPath: shortVoiceoverTrack.timingsPath, style: captionStyles.short } : null
+            }
+          );
+        }, filePath => [filePath]);
+
         timings.shortVideoCreation.end = Date.now();
         console.log(`✅ Short video created: ${shortVideoPath}`);
-        
+
         // Note: Short video thumbnail and descriptions will be created after the main video description is generated
-        
+
       } catch (error) {
         console.warn(`⚠️ Short video creation failed: ${error.message}`);
         console.log('📹 Continuing with main video only...');
@@ -563,42 +925,117 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     // This happens after both main video and short video (if enabled) are created
     await videoCompletionBeep();
 
-    // Step 7: Create thumbnail
+    // Step 7: Create thumbnails
     reportProgress(config.onProgress, 'thumbnailCreation', 82, 'Creating YouTube thumbnail');
     timings.thumbnailCreation = { start: Date.now() };
-    
-    const thumbnailPath = outputPaths.paths.thumbnail;
+
     let finalThumbnailPath = null;
     let promotionThumbnailPath = null;
-    
+    let shortThumbnailPath = null;
+    let variantThumbnails = [];
+
     try {
-      finalThumbnailPath = await createThumbnail(
-        productData,
-        thumbnailPath,
-        {
-          tempDir: config.tempDir,
-          sessionId: sessionId
+      ({
+        thumbnail: finalThumbnailPath,
+        promotionThumbnail: promotionThumbnailPath,
+        shortThumbnail: shortThumbnailPath,
+        variantThumbnails = []
+      } = await runManifestStep(manifest, 'thumbnail', async () => {
+        // Title variants bring their own thumbnail text; otherwise text in another
+        // language is translated, keeping the product name
+        const thumbnailTitle = titleVariants
+          ? titleVariants[0].thumbnailText || undefined
+          : language.code === DEFAULT_LANGUAGE
+            ? undefined
+            : await translateText(generateThumbnailTitle(productData.title || 'Product Review'), language.code, llmOptions)
+              .catch(error => {
+                console.warn(`⚠️ Thumbnail text translation failed, keeping it untranslated: ${error.message}`);
+                return undefined;
+              });
+
+        const thumbnail = await createThumbnail(
+          productData,
+          outputPaths.paths.thumbnail,
+          {
+            tempDir: config.tempDir,
+            sessionId,
+            title: thumbnailTitle,
+            brand: brandKit
+          }
+        );
+
+        // Only create PNG version if promotion is enabled
+        let promotionThumbnail = null;
+        if (thumbnail && config.autoPromote) {
+          try {
+            // Import sharp for image conversion
+            const sharp = (await import('sharp')).default;
+            promotionThumbnail = `${config.outputDir}/${safeFilename}-${sessionId}.png`;
+
+            await sharp(thumbnail)
+              .png()
+              .toFile(promotionThumbnail);
+
+            console.log(`✅ Promotion thumbnail created: ${promotionThumbnail}`);
+          } catch (conversionError) {
+            console.warn(`⚠️ Failed to create PNG thumbnail for promotions: ${conversionError.message}`);
+            promotionThumbnail = null;
+          }
         }
-      );
-      
-      // Only create PNG version if promotion is enabled
-      if (finalThumbnailPath && config.autoPromote) {
-        try {
-          // Import sharp for image conversion
-          const sharp = (await import('sharp')).default;
-          promotionThumbnailPath = `${config.outputDir}/${safeFilename}-${sessionId}.png`;
-          
-          await sharp(finalThumbnailPath)
-            .png()
-            .toFile(promotionThumbnailPath);
-          
-          console.log(`✅ Promotion thumbnail created: ${promotionThumbnailPath}`);
-        } catch (conversionError) {
-          console.warn(`⚠️ Failed to create PNG thumbnail for promotions: ${conversionError.message}`);
-          promotionThumbnailPath = null;
+
+        // Create short video thumbnail if short video was created
+        let shortThumbnail = null;
+        if (shortVideoPath) {
+          try {
+            shortThumbnail = await createThumbnail(
+              productData,
+              outputPaths.paths.shortThumbnail,
+              {
+                isVertical: true,
+                tempDir: config.tempDir,
+                sessionId,
+                title: thumbnailTitle,
+                brand: brandKit
+              }
+            );
+            console.log(`✅ Short video thumbnail created: ${shortThumbnail}`);
+          } catch (error) {
+            console.warn(`⚠️ Short video thumbnail creation failed: ${error.message}`);
+          }
         }
-      }
-      
+
+        // Every other title variant gets a thumbnail with its own text, to rotate in as a pair
+        const variantThumbnails = [thumbnail];
+        for (const variant of (titleVariants || []).slice(1)) {
+          const variantId = String.fromCharCode(65 + variantThumbnails.length);
+          try {
+            variantThumbnails.push(await createThumbnail(
+              productData,
+              getVariantThumbnailPath(outputPaths.paths.thumbnail, variantId),
+              {
+                tempDir: config.tempDir,
+                sessionId,
+                title: variant.thumbnailText || undefined,
+                brand: brandKit
+              }
+            ));
+          } catch (error) {
+            console.warn(`⚠️ Thumbnail for title variant ${variantId} failed, it will rotate with the main thumbnail: ${error.message}`);
+            variantThumbnails.push(thumbnail);
+          }
+        }
+        if (titleVariants) {
+          console.log(`✅ Created thumbnails for ${titleVariants.length} title variants`);
+        }
+
+        return { thumbnail, promotionThumbnail, shortThumbnail, variantThumbnails: titleVariants ? variantThumbnails : [] };
+      }, result => [
+        result.thumbnail,
+        result.promotionThumbnail,
+        result.shortThumbnail,
+        ...result.variantThumbnails.filter(file => file !== result.thumbnail)
+      ]));
+
       timings.thumbnailCreation.end = Date.now();
       console.log(`✅ Thumbnail created: ${finalThumbnailPath}`);
     } catch (error) {
@@ -607,80 +1044,81 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
       timings.thumbnailCreation = { start: timings.thumbnailCreation.start, end: Date.now() };
     }
 
-    // Step 8: Generate AI-optimized video description
+    // Step 8: Generate AI-optimized video description and save it to file
     reportProgress(config.onProgress, 'descriptionGeneration', 84, 'Generating AI-optimized video description');
     timings.descriptionGeneration = { start: Date.now() };
-    
-    const baseVideoDescription = await generateAIVideoDescription(productData, videoTitle, {
-      temperature: 0.7,
-      includeTimestamps: true,
-      includeHashtags: true
-    });
-    
-    // Build complete description with affiliate link
-    const videoDescription = buildCompleteDescription(baseVideoDescription, productUrl, affiliateTag);
-    
-    timings.descriptionGeneration.end = Date.now();
-    console.log(`✅ AI video description generated (${videoDescription.length} characters)`);
 
-    // Step 9: Save video description to file
-    reportProgress(config.onProgress, 'descriptionSaving', 86, 'Saving video description to file');
-    let descriptionFilePath = null;
-    
-    try {
-      const descriptionResult = await writeVideoDescription(
-        videoDescription,
-        videoTitle,
-        config.outputDir
-      );
-      descriptionFilePath = descriptionResult.filePath;
-      console.log(`✅ Video description saved: ${descriptionResult.filename}`);
-    } catch (error) {
-      console.warn(`⚠️ Failed to save video description: ${error.message}`);
-      console.log('📹 Continuing...');
-    }
+    const { videoDescription, shortDescription, descriptionFilePath } = await runManifestStep(manifest, 'description', async () => {
+      const sourceDescription = getSourceOutput(sourceManifest, 'description')?.baseDescription || await generateAIVideoDescription(productData, videoTitle, {
+        ...llmOptions,
+        prompts,
+        temperature: 0.7,
+        includeHashtags: true
+      });
+      const baseVideoDescription = translating ? await translateText(sourceDescription, language.code, llmOptions) : sourceDescription;
+
+      // Chapters follow the timed voiceover, which starts after the intro
+      const introOutro = config.enableIntroOutro
+        ? await createIntroOutroSegments(null, { ...introOutroOptions, enableQROutro: false })
+        : null;
+      const chapters = buildChapters(narratedScript.sections, voiceoverTrack.words, {
+        offset: introOutro?.intro.enabled ? introOutro.intro.duration : 0
+      });
+      if (chapters.length === 0) {
+        console.log('⏰ Not enough script sections for YouTube chapters, leaving them out');
+      }
+
+      // Build complete description with affiliate link (Shorts don't show chapters)
+      const description = buildCompleteDescription(insertChapters(baseVideoDescription, chapters), productUrl, affiliateTag, language.code);
+      const shortDescription = buildCompleteDescription(baseVideoDescription, productUrl, affiliateTag, language.code);
+      console.log(`✅ AI video description generated (${description.length} characters)`);
+
+      // Step 9: Save video description to file
+      reportProgress(config.onProgress, 'descriptionSaving', 86, 'Saving video description to file');
+      let filePath = null;
 
-    // Step 9.5: Create short video files (thumbnail and descriptions) if short video was created
-    if (shortVideoPath) {
-      reportProgress(config.onProgress, 'shortVideoFiles', 88, 'Creating short video thumbnail and descriptions');
-      
-      // Create short video thumbnail
       try {
-        const shortThumbnailPath = outputPaths.paths.shortThumbnail;
-        const shortThumbnailResult = await createThumbnail(
-          productData,
-          shortThumbnailPath,
-          {
-            isVertical: true,
-            tempDir: config.tempDir,
-            sessionId: sessionId
-          }
+        const descriptionResult = await writeVideoDescription(
+          description,
+          videoTitle,
+          config.outputDir
         );
-        console.log(`✅ Short video thumbnail created: ${shortThumbnailResult}`);
+        filePath = descriptionResult.filePath;
+        console.log(`✅ Video description saved: ${descriptionResult.filename}`);
       } catch (error) {
-        console.warn(`⚠️ Short video thumbnail creation failed: ${error.message}`);
+        console.warn(`⚠️ Failed to save video description: ${error.message}`);
+        console.log('📹 Continuing...');
       }
-      
-      // Create short video descriptions
-      try {
-        const shortDescriptionResult = await writeVideoDescription(
-          videoDescription,
-          `${videoTitle} - Short`,
-          config.outputDir,
-          {
-            filenameSuffix: '-short',
-            isShortVideo: true
-          }
-        );
-        console.log(`✅ Short video descriptions created: ${shortDescriptionResult.filename}`);
-      } catch (error) {
-        console.warn(`⚠️ Short video description creation failed: ${error.message}`);
+
+      // Step 9.5: Create short video descriptions if short video was created
+      if (shortVideoPath) {
+        reportProgress(config.onProgress, 'shortVideoFiles', 88, 'Creating short video descriptions');
+
+        try {
+          const shortDescriptionResult = await writeVideoDescription(
+            shortDescription,
+            `${videoTitle} - Short`,
+            config.outputDir,
+            {
+              filenameSuffix: '-short',
+              isShortVideo: true
+            }
+          );
+          console.log(`✅ Short video descriptions created: ${shortDescriptionResult.filename}`);
+        } catch (error) {
+          console.warn(`⚠️ Short video description creation failed: ${error.message}`);
+        }
       }
-    }
+
+      // The base description is what localized videos translate
+      return { videoDescription: description, shortDescription, baseDescription: baseVideoDescription, descriptionFilePath: filePath };
+    }, result => [result.descriptionFilePath]);
+
+    timings.descriptionGeneration.end = Date.now();
 
     // Step 10: Review video before upload
     reportProgress(config.onProgress, 'review', 87, 'Video ready for review');
-    
+
     console.log('\n🎬 Video creation completed successfully!');
     console.log('📹 Video details:');
     console.log(`   📁 Full video: ${finalVideoPath}`);
@@ -689,13 +1127,13 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     }
     console.log(`   📏 Title: ${videoTitle}`);
     console.log(`   ⏱️ Duration: ~${Math.round(timings.videoCreation.end - timings.videoCreation.start) / 1000}s to create`);
-    
+
     // Get video file stats
     try {
       const videoStats = await fs.stat(finalVideoPath);
       const videoSizeMB = Math.round(videoStats.size / (1024 * 1024) * 10) / 10;
       console.log(`   📊 Full video size: ${videoSizeMB}MB`);
-      
+
       if (shortVideoPath) {
         const shortVideoStats = await fs.stat(shortVideoPath);
         const shortVideoSizeMB = Math.round(shortVideoStats.size / (1024 * 1024) * 10) / 10;
@@ -704,85 +1142,109 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     } catch (error) {
       console.log('   📊 File size: Unable to determine');
     }
-    
-    console.log('\n🔍 Please review your video before uploading to YouTube:');
-    console.log(`   🎥 Local file: ${finalVideoPath}`);
-    console.log('   💡 You can open this file in any video player to preview it');
-    
-    // Prompt user for upload confirmation
-    const shouldUpload = await promptUserConfirmation(
-      '\n📤 Do you want to upload this video to YouTube now?',
-      config.autoUpload
-    );
-    
+
+    const uploadAlreadyDone = await isStepReusable(manifest, 'upload');
+
+    if (!uploadAlreadyDone) {
+      console.log('\n🔍 Please review your video before uploading to YouTube:');
+      console.log(`   🎥 Local file: ${finalVideoPath}`);
+      console.log('   💡 You can open this file in any video player to preview it');
+    }
+
+    // Prompt user for upload confirmation (non-interactive runs such as batches never prompt)
+    const shouldUpload = uploadAlreadyDone || (config.interactive === false
+      ? Boolean(config.autoUpload)
+      : await promptUserConfirmation(
+        '\n📤 Do you want to upload this video to YouTube now?',
+        config.autoUpload
+      ));
+
     if (shouldUpload) {
       // Step 11: Upload to YouTube
       reportProgress(config.onProgress, 'youtubeUpload', 90, 'Uploading to YouTube');
       timings.youtubeUpload = { start: Date.now() };
-      
-      // Use clean description for YouTube (read from .txt file if available)
-      let youtubeDescription = videoDescription;
-      if (descriptionFilePath) {
-        try {
-          // Read the clean .txt version for YouTube
-          const txtFilePath = descriptionFilePath.replace('.md', '.txt');
-          const txtContent = await fs.readFile(txtFilePath, 'utf-8');
-          const lines = txtContent.split('\n');
-          youtubeDescription = lines.slice(1).join('\n').trim(); // Skip title line
-        } catch (error) {
-          console.warn('⚠️ Could not read clean description file, using original');
+
+      const uploadResult = await runManifestStep(manifest, 'upload', async () => {
+        // Use clean description for YouTube (read from .txt file if available)
+        let youtubeDescription = videoDescription;
+        if (descriptionFilePath) {
+          try {
+            // Read the clean .txt version for YouTube
+            const txtFilePath = descriptionFilePath.replace('.md', '.txt');
+            const txtContent = await fs.readFile(txtFilePath, 'utf-8');
+            const lines = txtContent.split('\n');
+            youtubeDescription = lines.slice(1).join('\n').trim(); // Skip title line
+          } catch (error) {
+            console.warn('⚠️ Could not read clean description file, using original');
+          }
         }
-      }
 
-      let uploadResult;
+        // Translations of this video, uploaded as YouTube localizations
+        const localizations = Object.entries(config.localizations || {});
+        const videoLocalizations = Object.fromEntries(localizations.map(([code, localization]) =>
+          [code, { title: localization.title, description: localization.description }]));
+        const shortLocalizations = Object.fromEntries(localizations.map(([code, localization]) =>
+          [code, { title: localization.title, description: localization.shortDescription || localization.description }]));
+
+        // Check if we should upload both videos (when short video exists and dual publishing is enabled)
+        if (shortVideoPath && config.publishBothVideos) {
+          console.log('🎬 Dual video upload enabled - uploading both long and short videos');
+
+          const dualUploadOptions = {
+            thumbnailPath: finalThumbnailPath,
+            shortThumbnailPath: shortThumbnailPath,
+            captions: await findCaptionTracks(finalVideoPath, language.code), // SRT/VTT exported next to each video
+            shortCaptions: await findCaptionTracks(shortVideoPath, language.code),
+            defaultLanguage: language.code,
+            localizations: videoLocalizations,
+            shortLocalizations,
+            tags: ['Amazon', 'Affiliate', 'Review'],
+            categoryId: '26',
+            privacyStatus: config.privacyStatus,
+            affiliateTag,
+            onProgress: progress => {
+              const overallProgress = 90 + (progress.percent || 0) * 0.10;
+              reportProgress(config.onProgress, 'youtubeUpload', overallProgress,
+                progress.message || `Uploading: ${Math.round(progress.percent || 0)}%`);
+            }
+          };
 
-      // Check if we should upload both videos (when short video exists and dual publishing is enabled)
-      if (shortVideoPath && config.publishBothVideos) {
-        console.log('🎬 Dual video upload enabled - uploading both long and short videos');
-        
-        const dualUploadOptions = {
-          thumbnailPath: finalThumbnailPath,
-          shortThumbnailPath: shortVideoPath ? outputPaths.paths.shortThumbnail : null,
-          tags: ['Amazon', 'Affiliate', 'Review'],
-          categoryId: '26',
-          privacyStatus: 'public',
-          onProgress: progress => {
-            const overallProgress = 90 + (progress.percent || 0) * 0.10;
-            reportProgress(config.onProgress, 'youtubeUpload', overallProgress,
-              progress.message || `Uploading: ${Math.round(progress.percent || 0)}%`);
-          }
-        };
+          const dualResult = await uploadBothVideosToYouTube(
+            finalVideoPath,
+            shortVideoPath,
+            videoTitle,
+            youtubeDescription,
+            productUrl,
+            dualUploadOptions
+          );
 
-        uploadResult = await uploadBothVideosToYouTube(
-          finalVideoPath,
-          shortVideoPath,
-          videoTitle,
-          youtubeDescription,
-          productUrl,
-          dualUploadOptions
-        );
-        
-        timings.youtubeUpload.end = Date.now();
-        
-        if (uploadResult.success) {
-          if (uploadResult.longVideo && uploadResult.shortVideo) {
-            console.log(`✅ Both videos uploaded successfully!`);
-            console.log(`📹 Long video: ${uploadResult.longVideo.url}`);
-            console.log(`📱 Short video: ${uploadResult.shortVideo.url}`);
-          } else if (uploadResult.longVideo) {
-            console.log(`✅ Long video uploaded: ${uploadResult.longVideo.url}`);
-            console.warn('⚠️ Short video upload failed');
-          } else if (uploadResult.shortVideo) {
-            console.log(`✅ Short video uploaded: ${uploadResult.shortVideo.url}`);
-            console.warn('⚠️ Long video upload failed');
+          if (dualResult.success) {
+            if (dualResult.longVideo && dualResult.shortVideo) {
+              console.log(`✅ Both videos uploaded successfully!`);
+              console.log(`📹 Long video: ${dualResult.longVideo.url}`);
+              console.log(`📱 Short video: ${dualResult.shortVideo.url}`);
+            } else if (dualResult.longVideo) {
+              console.log(`✅ Long video uploaded: ${dualResult.longVideo.url}`);
+              console.warn('⚠️ Short video upload failed');
+            } else if (dualResult.shortVideo) {
+              console.log(`✅ Short video uploaded: ${dualResult.shortVideo.url}`);
+              console.warn('⚠️ Long video upload failed');
+            }
+          } else {
+            throw new Error('Both video uploads failed');
           }
-        } else {
-          throw new Error('Both video uploads failed');
+
+          return dualResult;
         }
-      } else {
+
         // Single video upload (original behavior)
         const uploadOptions = {
           thumbnailPath: finalThumbnailPath,
+          captions: await findCaptionTracks(finalVideoPath, language.code),
+          defaultLanguage: language.code,
+          localizations: videoLocalizations,
+          privacyStatus: config.privacyStatus,
+          affiliateTag,
           onProgress: progress => {
             const overallProgress = 90 + (progress.percent || 0) * 0.10;
             reportProgress(config.onProgress, 'youtubeUpload', overallProgress,
@@ -790,32 +1252,34 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           }
         };
 
-        uploadResult = await uploadToYouTube(
+        const singleResult = await uploadToYouTube(
           finalVideoPath,
           videoTitle,
           youtubeDescription,
           productUrl,
           uploadOptions
         );
-        
-        timings.youtubeUpload.end = Date.now();
-        console.log(`✅ Video uploaded to YouTube: ${uploadResult.url}`);
-      }
+
+        console.log(`✅ Video uploaded to YouTube: ${singleResult.url}`);
+        return singleResult;
+      });
+
+      timings.youtubeUpload.end = Date.now();
 
       // Step 11.5: Setup interactive elements (if enabled)
       if (config.setupInteractiveElements && uploadResult.videoId) {
         reportProgress(config.onProgress, 'interactiveElements', 92, 'Setting up YouTube interactive elements');
-        
+
         try {
           console.log('\n🎯 Setting up YouTube interactive elements...');
           const interactiveAffiliateUrl = generateAffiliateUrl(productUrl, affiliateTag);
-          
+
           const productDataForInteractive = {
             affiliateUrl: interactiveAffiliateUrl,
             title: productData.title,
             price: productData.price || 'Check Amazon for current price'
           };
-          
+
           const interactiveResult = await addCompleteInteractiveElements(
             uploadResult.videoId,
             productDataForInteractive,
@@ -826,7 +1290,7 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
               includeEndScreen: true
             }
           );
-          
+
           if (interactiveResult.success) {
             console.log('✅ Interactive elements configuration prepared');
             console.log('📋 Manual setup required in YouTube Studio:');
@@ -839,7 +1303,13 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           console.log('📹 Video was uploaded successfully, but interactive elements need manual setup');
         }
       }
-      
+
+      // Step 11.6: Start rotating the title variants on the long video
+      const uploadedVideoId = uploadResult.longVideo?.videoId || uploadResult.videoId;
+      const titleExperiment = titleVariants && uploadedVideoId
+        ? await startTitleExperiment({ videoId: uploadedVideoId, titleVariants, variantThumbnails, sessionId, config })
+        : null;
+
       // Step 11: Promote video (if enabled)
       let promotionResults = null;
       if (config.autoPromote) {
@@ -847,40 +1317,41 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           '\n📢 Do you want to promote this video on social media now?',
           config.autoPromote
         );
-        
+
         if (shouldPromote) {
           reportProgress(config.onProgress, 'promotion', 95, 'Promoting video on social media');
           timings.promotion = { start: Date.now() };
-          
+
           try {
             console.log('\n🚀 Starting social media promotion...');
-            
+
             const promotionManager = new PromotionManager({
               headless: config.headless ?? false, // Show browser windows by default for easier login
-              enabledPlatforms: config.promotionPlatforms
+              enabledPlatforms: config.promotionPlatforms,
+              seed: config.seed // Post prefixes and hooks follow the session seed
             });
-            
+
             // Extract tags from product data for better targeting
             const tags = [
               ...productData.title.toLowerCase().split(' ').filter(word => word.length > 3),
               'review', 'amazon', 'product'
             ].slice(0, 10);
-            
+
             const promotionData = {
               title: videoTitle,
-              url: uploadResult.url,
+              url: uploadResult.url || uploadResult.longVideo?.url || uploadResult.shortVideo?.url,
               description: videoDescription,
               tags,
               thumbnailPath: finalThumbnailPath
             };
-            
+
             promotionResults = await promotionManager.promoteVideo(promotionData);
-            
+
             timings.promotion.end = Date.now();
-            
+
             const successfulPromotions = promotionResults.filter(r => r.success).length;
             console.log(`✅ Promotion completed: ${successfulPromotions}/${promotionResults.length} platforms successful`);
-            
+
             // Display promotion results
             promotionResults.forEach(result => {
               if (result.success) {
@@ -889,7 +1360,7 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
                 console.log(`   ❌ ${result.platform.toUpperCase()}: ${result.error}`);
               }
             });
-            
+
           } catch (error) {
             console.warn(`⚠️ Promotion failed: ${error.message}`);
             console.log('📹 Video was uploaded successfully, but promotion encountered issues');
@@ -900,13 +1371,22 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           console.log('💡 You can promote your video later using: node src/promotion-cli.js promote');
         }
       }
-      
+
       // Return success result with YouTube URL(s)
       const successResult = {
         success: true,
+        sessionId,
+        seed: config.seed,
         productTitle: productData.title,
         videoTitle,
+        language: language.code,
+        promptVersion: prompts.version,
+        titleVariants,
+        titleExperiment,
+        videoDescription,
+        shortDescription,
         timing: createTimingInfo(timings),
+        voiceoverChunks: voiceoverTrack.chunks, // Which script text is spoken when
         promotionResults,
         files: {
           images: imagePaths,
@@ -917,6 +1397,7 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           promotionThumbnail: promotionThumbnailPath,
           description: descriptionFilePath
         },
+        tempFiles, // Working files of the session (removed by cleanup)
         stats: {
           imagesDownloaded: imagePaths.length,
           totalImages: productData.images.length,
@@ -938,7 +1419,7 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
         successResult.videoId = uploadResult.videoId;
         successResult.youtubeUrl = uploadResult.url;
       }
-      
+
       // Cleanup temporary files (after all video creation is complete)
       if (config.cleanup) {
         reportProgress(config.onProgress, 'cleanup', 98, 'Cleaning up temporary files');
@@ -948,19 +1429,29 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
 
       reportProgress(config.onProgress, 'complete', 100, 'Video creation and upload completed successfully');
       return successResult;
-      
+
     } else {
       console.log('\n⏸️ Upload skipped by user choice');
       console.log('💡 Your video is ready and saved locally');
       console.log('📤 You can upload it manually to YouTube later');
-      
+      console.log(`♻️ Or resume this session to upload: aff create --resume ${sessionId}`);
+
       // Return success result without YouTube URL
+      // Temporary files are kept so the session can still be resumed for upload
       const localResult = {
         success: true,
         skippedUpload: true,
+        sessionId,
+        seed: config.seed,
         productTitle: productData.title,
         videoTitle,
+        language: language.code,
+        promptVersion: prompts.version,
+        titleVariants,
+        videoDescription,
+        shortDescription,
         timing: createTimingInfo(timings),
+        voiceoverChunks: voiceoverTrack.chunks, // Which script text is spoken when
         files: {
           images: imagePaths,
           voiceover: voiceoverPath,
@@ -968,24 +1459,18 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
           video: finalVideoPath,
           shortVideo: shortVideoPath,
           thumbnail: finalThumbnailPath,
-          shortThumbnail: shortVideoPath ? outputPaths.paths.shortThumbnail : null,
+          shortThumbnail: shortThumbnailPath,
           promotionThumbnail: promotionThumbnailPath,
           description: descriptionFilePath,
           shortDescription: shortVideoPath ? `${config.outputDir}/${path.basename(shortVideoPath, '.mp4')}.md` : null
         },
+        tempFiles, // Working files of the session (removed by cleanup)
         stats: {
           imagesDownloaded: imagePaths.length,
           totalImages: productData.images.length,
           videoSize: await fs.stat(finalVideoPath).then(s => s.size).catch(() => 0)
         }
       };
-      
-      // Cleanup temporary files (after all video creation is complete)
-      if (config.cleanup) {
-        reportProgress(config.onProgress, 'cleanup', 98, 'Cleaning up temporary files');
-        await cleanupImages(tempFiles);
-        console.log('✅ Temporary files cleaned up');
-      }
 
       reportProgress(config.onProgress, 'complete', 100, 'Video creation completed successfully');
       return localResult;
@@ -994,14 +1479,9 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
   } catch (error) {
     console.error('❌ Video creation failed:', error.message);
 
-    // Cleanup on failure
-    if (config.cleanup && tempFiles.length > 0) {
-      try {
-        await cleanupImages(tempFiles);
-        console.log('🧹 Cleaned up temporary files after failure');
-      } catch (cleanupError) {
-        console.warn('⚠️ Failed to cleanup temporary files:', cleanupError.message);
-      }
+    // Temporary files are kept on failure so the session can be resumed
+    if (manifest) {
+      console.log(`♻️ Resume this session with: aff create --resume ${manifest.sessionId}`);
     }
 
     reportProgress(config.onProgress, 'error', 0, `Error: ${error.message}`);
@@ -1009,6 +1489,8 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
     return {
       success: false,
       error: error.message,
+      sessionId: manifest?.sessionId || null,
+      seed: config.seed || null,
       timing: Object.keys(timings).length > 0 ? createTimingInfo(timings) : null,
       files: {
         images: tempFiles.filter(f => f.includes('image')),
@@ -1019,6 +1501,94 @@ export const createAffiliateVideo = async (productInput, options = {}) => {
   }
 };
 
+/**
+ * Creates a video per language from one product scrape
+ *
+ * The first language is the source: its video is created as usual, and every
+ * other language reuses its scrape and images and translates its script, short
+ * script, title and description (see `sourceSessionId`). With the `separate`
+ * upload mode every language is uploaded as its own video; with
+ * `localizations` only the first language's video is uploaded, carrying the
+ * other languages' titles and descriptions as YouTube localizations.
+ *
+ * @param {string} productInput - Amazon product URL or product ID
+ * @param {Object} options - createAffiliateVideo options, plus:
+ * @param {string[]|string} options.languages - Language codes, source first (e.g. "en,es,de")
+ * @param {string} [options.localizedUploads] - Upload mode: separate or localizations (default: separate)
+ * @returns {Promise<Object>} Result of the first language, with the results of the other
+ *   languages as `localizedResults`
+ * @throws {Error} When a language or the upload mode is unknown
+ */
+export const createLocalizedVideos = async (productInput, options = {}) => {
+  const { languages, localizedUploads = DEFAULT_LOCALIZED_UPLOAD_MODE, ...videoOptions } = options;
+  const [sourceLanguage, ...otherLanguages] = parseLanguages(languages);
+
+  if (!LOCALIZED_UPLOAD_MODES.includes(localizedUploads)) {
+    throw new Error(`Unknown localized upload mode: ${localizedUploads}. Available modes: ${LOCALIZED_UPLOAD_MODES.join(', ')}`);
+  }
+
+  const cleanup = videoOptions.cleanup ?? DEFAULT_OPTIONS.cleanup;
+  const withLocalizations = localizedUploads === 'localizations';
+  // Every language shares one seed, so they make the same music and voice choices
+  const seed = videoOptions.seed ?? generateSeed();
+  // Localizations are uploaded with the source video, once every language is ready
+  const runOptions = withLocalizations
+    ? { ...videoOptions, seed, autoUpload: false, interactive: false }
+    : { ...videoOptions, seed };
+
+  console.log(`🌐 Creating videos in ${[sourceLanguage, ...otherLanguages].map(code => getLanguage(code).name).join(', ')}`);
+
+  // The source session keeps its files until every language has reused them
+  const sourceResult = await createAffiliateVideo(productInput, { ...runOptions, language: sourceLanguage, cleanup: false });
+  if (!sourceResult.success) {
+    return { ...sourceResult, localizedResults: [] };
+  }
+
+  const localizedResults = [];
+  for (const language of otherLanguages) {
+    console.log(`\n🌐 Creating the ${getLanguage(language).name} video...`);
+    const result = await createAffiliateVideo(productInput, {
+      ...runOptions,
+      language,
+      sourceSessionId: sourceResult.sessionId,
+      cleanup: withLocalizations ? false : cleanup
+    });
+    if (!result.success) {
+      console.warn(`⚠️ ${getLanguage(language).name} video failed: ${result.error}`);
+    }
+    localizedResults.push({ language, ...result });
+  }
+
+  if (!withLocalizations) {
+    if (cleanup && !sourceResult.skippedUpload) {
+      await cleanupImages(sourceResult.tempFiles);
+    }
+    return { ...sourceResult, localizedResults };
+  }
+
+  const localizations = Object.fromEntries(localizedResults
+    .filter(result => result.success)
+    .map(result => [result.language, {
+      title: result.videoTitle,
+      description: result.videoDescription,
+      shortDescription: result.shortDescription
+    }]));
+
+  console.log(`\n🌐 Uploading the ${getLanguage(sourceLanguage).name} video with ${Object.keys(localizations).length} localization(s)...`);
+  const primaryResult = await createAffiliateVideo(productInput, {
+    ...videoOptions,
+    resumeSessionId: sourceResult.sessionId,
+    localizations
+  });
+
+  // The localized videos were never uploaded themselves, so their working files can go with the source's
+  if (cleanup && primaryResult.success && !primaryResult.skippedUpload) {
+    await cleanupImages(localizedResults.flatMap(result => result.tempFiles || []));
+  }
+
+  return { ...primaryResult, localizedResults };
+};
+
 /**
  * CLI interface for running the application
  * @param {string[]} args - Command line arguments
@@ -0,0 +1,56 @@
+/**
+ * Anthropic Messages API provider
+ */
+
+export const name = 'anthropic';
+
+export const defaultModel = 'claude-3-5-haiku-latest';
+
+export const models = [
+  'claude-3-5-haiku-latest',
+  'claude-3-5-sonnet-latest',
+  'claude-3-7-sonnet-latest'
+];
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Generates text with Anthropic
+ * @param {Object} request - Completion request ({ model, system, prompt, maxTokens, temperature })
+ * @returns {Promise<string|undefined>} Generated text
+ * @throws {Error} When ANTHROPIC_API_KEY is missing or the API returns an error
+ */
+export const complete = async (request) => {
+  const { ANTHROPIC_API_KEY } = process.env;
+
+  if (!ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY is required in environment variables');
+  }
+
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'x-api-key': ANTHROPIC_API_KEY,
+      'anthropic-version': API_VERSION,
+      'content-type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: request.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      system: request.system,
+      messages: [{ role: 'user', content: request.prompt }]
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`Anthropic API error: ${response.status} ${data.error?.message || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data.content?.filter(block => block.type === 'text').map(block => block.text).join('');
+};
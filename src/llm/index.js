@@ -0,0 +1,151 @@
+import { APIConnectionError } from 'openai';
+import * as openai from './openai.js';
+import * as anthropic from './anthropic.js';
+import * as openaiCompatible from './openai-compatible.js';
+
+/**
+ * LLM provider registry
+ * A provider is a module exporting `name`, `defaultModel`, `models` and
+ * `complete(request)`, resolving to the generated text for
+ * { model, system, prompt, maxTokens, temperature, presencePenalty, frequencyPenalty }.
+ * Errors carrying an HTTP `status` are classified for retries here, so
+ * providers only translate their API.
+ */
+
+export const LLM_PROVIDERS = {
+  [openai.name]: openai,
+  [anthropic.name]: anthropic,
+  [openaiCompatible.name]: openaiCompatible
+};
+
+export const DEFAULT_LLM_PROVIDER = openai.name;
+
+/**
+ * Generation tasks and the environment prefix of their overrides
+ */
+export const LLM_TASKS = {
+  script: 'LLM_SCRIPT',
+  title: 'LLM_TITLE',
+  description: 'LLM_DESCRIPTION',
+  shortScript: 'LLM_SHORT_SCRIPT',
+  factCheck: 'LLM_FACT_CHECK',
+  translate: 'LLM_TRANSLATE'
+};
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+/**
+ * Gets an LLM provider by name
+ * @param {string} providerName - Provider name
+ * @returns {Object} Provider module
+ * @throws {Error} When the provider is unknown
+ */
+export const getLLMProvider = (providerName) => {
+  const provider = LLM_PROVIDERS[String(providerName || '').toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${providerName}. Available providers: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Resolves the provider and model for a generation task
+ * Priority: options, then LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL, then
+ * LLM_PROVIDER / LLM_MODEL, then OpenAI and the provider's default model.
+ * A model configured for a different provider is not carried over.
+ * @param {string} task - Task name (script, title, description, shortScript, factCheck)
+ * @param {Object} options - Generator options
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.model] - Model name
+ * @returns {Object} { provider, model }
+ * @throws {Error} When the task or provider is unknown
+ */
+export const resolveLLMConfig = (task, options = {}) => {
+  const prefix = LLM_TASKS[task];
+  if (!prefix) {
+    throw new Error(`Unknown LLM task: ${task}. Available tasks: ${Object.keys(LLM_TASKS).join(', ')}`);
+  }
+
+  const env = process.env;
+  const candidates = [
+    { provider: options.provider, model: options.model },
+    { provider: env[`${prefix}_PROVIDER`], model: env[`${prefix}_MODEL`] },
+    { provider: env.LLM_PROVIDER, model: env.LLM_MODEL }
+  ];
+
+  const providerLevel = candidates.findIndex(candidate => candidate.provider);
+  const provider = getLLMProvider(providerLevel === -1 ? DEFAULT_LLM_PROVIDER : candidates[providerLevel].provider);
+
+  // Models set at or above the level that chose the provider belong to it
+  const modelLevels = providerLevel === -1 ? candidates : candidates.slice(0, providerLevel + 1);
+  const model = modelLevels.find(candidate => candidate.model)?.model || provider.defaultModel;
+
+  return { provider, model };
+};
+
+/**
+ * Error codes of network failures that are worth retrying
+ */
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Checks whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+export const isRetryableError = (error) => {
+  const status = error.status ?? error.response?.status;
+  if (typeof status === 'number') {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  const code = error.code || error.cause?.code;
+  return NETWORK_ERROR_CODES.includes(code) ||
+    error instanceof APIConnectionError ||
+    error.message === 'fetch failed';
+};
+
+/**
+ * Generates text for a task with the configured provider
+ * Retries rate limits, server errors and network failures with exponential backoff.
+ * @param {string} task - Task name (script, title, description, shortScript, factCheck)
+ * @param {Object} request - { system, prompt, maxTokens, temperature, presencePenalty, frequencyPenalty }
+ * @param {Object} options - Generator options
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.model] - Model name
+ * @param {number} [options.retries] - Attempts before giving up (default: 3)
+ * @param {number} [options.retryDelayMs] - Base delay between attempts (default: 1000)
+ * @returns {Promise<string>} Generated text (trimmed)
+ * @throws {Error} When every attempt fails or the provider returns nothing
+ */
+export const generateText = async (task, request, options = {}) => {
+  const { provider, model } = resolveLLMConfig(task, options);
+  const { retries = DEFAULT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS } = options;
+
+  console.log(`🔄 Calling ${provider.name} (${model}) for ${task} generation...`);
+
+  for (let attempt = 0; attempt < retries; attempt++) {
+    let text;
+
+    try {
+      text = await provider.complete({ ...request, model });
+    } catch (error) {
+      if (attempt === retries - 1 || !isRetryableError(error)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ ${provider.name} request attempt ${attempt + 1} failed: ${error.message}`);
+
+      // Wait before retry (exponential backoff)
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * retryDelayMs));
+      continue;
+    }
+
+    if (!text || !text.trim()) {
+      throw new Error(`${provider.name} returned an empty response`);
+    }
+
+    return text.trim();
+  }
+};
@@ -0,0 +1,43 @@
+import OpenAI from 'openai';
+import { completeWithClient } from './openai.js';
+
+/**
+ * OpenAI-compatible endpoint provider
+ * For local servers that speak the chat completions API, such as Ollama
+ * (the default, http://localhost:11434/v1) or the llama.cpp server.
+ */
+
+export const name = 'openai-compatible';
+
+export const defaultModel = 'llama3.1';
+
+export const models = [
+  'llama3.1',
+  'llama3.2',
+  'qwen2.5',
+  'mistral'
+];
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Generates text with an OpenAI-compatible endpoint
+ * The endpoint comes from LLM_BASE_URL; LLM_API_KEY is sent when the server needs one.
+ * @param {Object} request - Completion request ({ model, system, prompt, maxTokens, temperature, ... })
+ * @returns {Promise<string|undefined>} Generated text
+ */
+export const complete = async (request) => {
+  const client = new OpenAI({
+    baseURL: process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    // Local servers ignore the key, but the SDK requires one
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    maxRetries: 0
+  });
+
+  return await completeWithClient(client, {
+    ...request,
+    // Penalties are not supported by every local server
+    presencePenalty: undefined,
+    frequencyPenalty: undefined
+  });
+};
@@ -0,0 +1,64 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI chat completions provider
+ */
+
+export const name = 'openai';
+
+export const defaultModel = 'gpt-4o-mini';
+
+export const models = [
+  'gpt-4o-mini',
+  'gpt-4o',
+  'gpt-4-turbo',
+  'gpt-3.5-turbo'
+];
+
+/**
+ * Creates OpenAI client instance
+ * @returns {OpenAI} Configured OpenAI client
+ * @throws {Error} When OPENAI_API_KEY is missing
+ */
+const createClient = () => {
+  const { OPENAI_API_KEY } = process.env;
+
+  if (!OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is required in environment variables');
+  }
+
+  // Retries are handled by the provider layer
+  return new OpenAI({ apiKey: OPENAI_API_KEY, maxRetries: 0 });
+};
+
+/**
+ * Sends a chat completion request through an OpenAI SDK client
+ * Shared with the OpenAI-compatible provider.
+ * @param {OpenAI} client - OpenAI SDK client
+ * @param {Object} request - Completion request
+ * @returns {Promise<string|undefined>} Generated text
+ */
+export const completeWithClient = async (client, request) => {
+  const completion = await client.chat.completions.create({
+    model: request.model,
+    messages: [
+      { role: 'system', content: request.system },
+      { role: 'user', content: request.prompt }
+    ],
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    presence_penalty: request.presencePenalty,
+    frequency_penalty: request.frequencyPenalty
+  });
+
+  return completion.choices[0]?.message?.content;
+};
+
+/**
+ * Generates text with OpenAI
+ * @param {Object} request - Completion request ({ model, system, prompt, maxTokens, temperature, ... })
+ * @returns {Promise<string|undefined>} Generated text
+ */
+export const complete = async (request) => {
+  return await completeWithClient(createClient(), request);
+};
@@ -1,52 +1,55 @@
-import OpenAI from 'openai';
+import { getCurrencyName } from './utils/marketplaces.js';
+import { formatReviewInsights } from './review-summarizer.js';
+import { generateText, resolveLLMConfig, getLLMProvider } from './llm/index.js';
+import { insertChapters } from './chapters.js';
+import { SCENE_IMAGE_TYPES } from './scene-timeline.js';
+import { loadPromptTemplates, renderPrompt } from './prompt-templates.js';
+import { DEFAULT_TITLE_KEYWORDS, getShortProductName, rankTitleVariants } from './title-experiments.js';
+import { generateThumbnailTitle } from './image-processor.js';
+import { createRandom, pickRandom } from './utils/random.js';
 
 /**
- * OpenAI-powered script generator for creating natural product review scripts
+ * AI-powered script generator for creating natural product review scripts
+ * Every generator accepts `provider` and `model` options; see src/llm/ for
+ * the providers and their environment configuration. The prompts come from
+ * the templates and persona in `prompts` (see src/prompt-templates.js), loaded
+ * from the default templates directory when not given.
  */
 
 /**
- * Validates OpenAI environment variables
- * @throws {Error} When required environment variables are missing
- */
-const validateOpenAIEnvironment = () => {
-  const { OPENAI_API_KEY } = process.env;
-
-  if (!OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is required in environment variables');
-  }
-
-  return { OPENAI_API_KEY };
-};
-
-/**
- * Creates OpenAI client instance
- * @returns {OpenAI} Configured OpenAI client
+ * Generates a natural, engaging product review script
+ * @param {Object} productData - Product information from Amazon scraper
+ * @param {Object} options - Generation options
+ * @param {string} [options.provider] - LLM provider (default: LLM_SCRIPT_PROVIDER, LLM_PROVIDER or openai)
+ * @param {string} [options.model] - Model name (default: from the environment or the provider)
+ * @param {Object} [options.prompts] - Prompt templates and persona (from loadPromptTemplates)
+ * @param {number} [options.targetDuration] - Seconds of narration to write (default: 60-90)
+ * @returns {Promise<string>} Generated review script
  */
-const createOpenAIClient = () => {
-  const { OPENAI_API_KEY } = validateOpenAIEnvironment();
-  
-  return new OpenAI({
-    apiKey: OPENAI_API_KEY
-  });
+export const generateAIReviewScript = async (productData, options = {}) => {
+  const { script } = await generateAIReviewScriptSections(productData, options);
+  return script;
 };
 
 /**
- * Generates a natural, engaging product review script using OpenAI
+ * Generates a product review script as labeled sections
+ * The sections become the video chapters once the voiceover is timed.
  * @param {Object} productData - Product information from Amazon scraper
- * @param {Object} options - Generation options
- * @returns {Promise<string>} Generated review script
+ * @param {Object} options - Generation options (see generateAIReviewScript)
+ * @returns {Promise<Object>} { script, sections } with the narration and its sections as { title, text }
  */
-export const generateAIReviewScript = async (productData, options = {}) => {
+export const generateAIReviewScriptSections = async (productData, options = {}) => {
   if (!productData || typeof productData !== 'object') {
     throw new Error('Product data is required and must be an object');
   }
 
   const {
-    model = 'gpt-4o-mini',
-    maxTokens = 800,
     temperature = 0.7,
-    reviewStyle = 'conversational'
+    reviewStyle = 'conversational',
+    targetDuration = null
   } = options;
+  // Long targets need room for their words
+  const maxTokens = options.maxTokens || Math.max(800, estimateWordCount(targetDuration || 0) * 2);
 
   const {
     title = 'this product',
@@ -63,108 +66,229 @@ export const generateAIReviewScript = async (productData, options = {}) => {
   console.log(`💰 Price: ${price}`);
   console.log(`⭐ Rating: ${rating}`);
 
-  try {
-    const openai = createOpenAIClient();
+  const prompts = options.prompts || await loadPromptTemplates();
 
+  try {
     // Create a comprehensive prompt for natural review generation
-    const prompt = createReviewPrompt(productData, reviewStyle);
+    const { system, prompt } = createReviewPrompts(prompts, productData, reviewStyle, 'sections', null, targetDuration);
 
-    console.log('🔄 Calling OpenAI API...');
-    
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: getSystemPrompt(reviewStyle)
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: maxTokens,
+    const generatedScript = await generateText('script', {
+      system,
+      prompt,
+      maxTokens,
       temperature,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1
-    });
-
-    const generatedScript = completion.choices[0]?.message?.content;
-
-    if (!generatedScript) {
-      throw new Error('OpenAI API returned empty response');
-    }
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1
+    }, options);
 
     console.log(`✅ AI script generated (${generatedScript.length} characters)`);
     
-    // Post-process the script for better speech synthesis
-    const processedScript = postProcessScript(generatedScript);
-    
-    return processedScript;
+    // Post-process each section for better speech synthesis
+    const sections = parseScriptSections(generatedScript).map(section => ({
+      title: section.title,
+      text: postProcessScript(section.text)
+    }));
+    console.log(`📑 Script sections: ${sections.map(section => section.title).join(', ')}`);
+
+    return {
+      script: sections.map(section => section.text).join(' ... '),
+      sections
+    };
 
   } catch (error) {
-    console.error('❌ OpenAI script generation failed:', error.message);
+    console.error('❌ AI script generation failed:', error.message);
     console.error('📋 Error details:', error);
     
     // No fallback - throw the error so you can see exactly what's wrong
-    throw new Error(`OpenAI script generation failed: ${error.message}`);
+    throw new Error(`AI script generation failed: ${error.message}`);
   }
 };
 
 /**
- * Creates the system prompt for OpenAI based on review style
- * @param {string} reviewStyle - Style of review to generate
- * @returns {string} System prompt
- */
-const getSystemPrompt = (reviewStyle) => {
-  const basePrompt = `You are a professional product reviewer who creates engaging, honest, and conversational video scripts for YouTube product reviews. You have access to real Amazon product information including detailed descriptions, features, pricing, and customer ratings.
-
-Key requirements:
-- Write ONLY in English - no foreign words, phrases, or expressions
-- Use a conversational, friendly tone using the actual Amazon product details
-- Sound like a real person who has researched the product, not reading marketing copy
-- Use the provided Amazon description to create authentic, informative content
-- Reference specific product features and details from the Amazon listing
-- Include natural speech patterns and transitions
-- Be honest and balanced in your assessment based on the real product information
-- Keep the audience engaged throughout with specific, relevant details
-- Use "I" statements and personal observations about the product data
-- Include natural pauses and emphasis where appropriate
-- Aim for 60-90 seconds of speaking time (approximately 150-200 words)
-- Transform the Amazon description into natural, conversational English language
-- Avoid any non-English words, brand names in foreign languages, or international expressions
-- CRITICAL: When mentioning prices, always use "dollars" (e.g., "fifty dollars", "two hundred dollars") instead of just the dollar sign
-- CRITICAL: Never include section headers, titles, or labels like "Introduction:", "Features:", "Conclusion:" etc.
-- Create a natural flowing presentation script that sounds like a continuous conversation
-- Transition smoothly between topics without announcing what section you're moving to`;
-
-  const stylePrompts = {
-    conversational: `${basePrompt}
-- Use casual language and contractions (don't, won't, it's)
-- Include natural filler words occasionally (well, you know, actually)
-- Sound like you're talking to a friend`,
-    
-    professional: `${basePrompt}
-- Maintain a professional but approachable tone
-- Use clear, articulate language
-- Focus on factual information and practical benefits`,
-    
-    enthusiastic: `${basePrompt}
-- Show genuine excitement about interesting features
-- Use energetic language and positive expressions
-- Maintain authenticity while being upbeat`
-  };
+ * Generates a product review script as JSON scenes
+ * Each scene names the feature it covers, the product photo to show and an
+ * on-screen callout, so the slideshow can follow the narration.
+ * @param {Object} productData - Product information from Amazon scraper
+ * @param {Object} options - Generation options (see generateAIReviewScript)
+ * @param {number} [options.imageCount] - Number of photos in the video (default: all product images)
+ * @returns {Promise<Object>} { script, sections, scenes } with the narration, its sections as
+ *   { title, text } and the scenes as { narration, feature, image, imageType, callout }
+ */
+export const generateAIReviewScenes = async (productData, options = {}) => {
+  if (!productData || typeof productData !== 'object') {
+    throw new Error('Product data is required and must be an object');
+  }
 
-  return stylePrompts[reviewStyle] || stylePrompts.conversational;
+  const {
+    temperature = 0.7,
+    reviewStyle = 'conversational',
+    imageCount = Array.isArray(productData.images) ? productData.images.length : 0,
+    targetDuration = null
+  } = options;
+  const maxTokens = options.maxTokens || Math.max(1200, estimateWordCount(targetDuration || 0) * 3);
+
+  console.log('🤖 Generating AI-powered scene script...');
+  console.log(`📝 Product: ${productData.title || 'this product'}`);
+
+  const prompts = options.prompts || await loadPromptTemplates();
+
+  try {
+    const response = await generateText('script', {
+      ...createReviewPrompts(prompts, productData, reviewStyle, 'scenes', imageCount, targetDuration),
+      maxTokens,
+      temperature,
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1
+    }, options);
+
+    // Post-process each narration for better speech synthesis
+    const scenes = parseScriptScenes(response).map(scene => ({
+      ...scene,
+      narration: postProcessScript(scene.narration)
+    }));
+    console.log(`🎞️ Script scenes: ${scenes.map(scene => scene.feature).join(', ')}`);
+
+    return {
+      script: scenes.map(scene => scene.narration).join(' ... '),
+      sections: mergeScenesIntoSections(scenes),
+      scenes
+    };
+
+  } catch (error) {
+    console.error('❌ AI scene script generation failed:', error.message);
+    throw new Error(`AI scene script generation failed: ${error.message}`);
+  }
 };
 
 /**
- * Creates the user prompt with product information
+ * Builds the sections of a scene script
+ * Consecutive scenes about the same feature make one chapter.
+ * @param {Object[]} scenes - Scenes as { narration, feature }
+ * @returns {Object[]} Sections as { title, text }
+ */
+export const mergeScenesIntoSections = (scenes) => scenes.reduce((merged, scene) => {
+  const previous = merged[merged.length - 1];
+  if (previous?.title === scene.feature) {
+    previous.text += ` ... ${scene.narration}`;
+  } else {
+    merged.push({ title: scene.feature, text: scene.narration });
+  }
+  return merged;
+}, []);
+
+/**
+ * Parses the JSON scenes of a generated script
+ * Code fences and text around the JSON are ignored. Photo numbers are 1-based
+ * in the prompt and become 0-based indexes here; scenes without narration are
+ * dropped.
+ * @param {string} response - Generated response
+ * @returns {Object[]} Scenes as { narration, feature, image, imageType, callout }
+ * @throws {Error} When the response holds no scenes
+ */
+export const parseScriptScenes = (response) => {
+  const text = String(response || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Scene script is not JSON');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Scene script is not valid JSON: ${error.message}`);
+  }
+
+  const scenes = (Array.isArray(data?.scenes) ? data.scenes : [])
+    .filter(scene => typeof scene?.narration === 'string' && scene.narration.trim())
+    .map(scene => ({
+      narration: scene.narration.trim(),
+      feature: String(scene.feature || '').replace(/[*_:]/g, '').trim() || 'Overview',
+      image: Number.isInteger(scene.image) && scene.image > 0 ? scene.image - 1 : null,
+      imageType: SCENE_IMAGE_TYPES.includes(scene.imageType) ? scene.imageType : null,
+      callout: String(scene.callout || '').trim()
+    }));
+
+  if (scenes.length === 0) {
+    throw new Error('Scene script has no scenes with narration');
+  }
+
+  return scenes;
+};
+
+/**
+ * How a script marks its structure, by script format
+ */
+const STRUCTURE_RULES = {
+  sections: '- CRITICAL: Start each section of the script with a chapter marker on its own line, like [[Key Features]]. The markers become video chapters and are removed before narration',
+  scenes: '- CRITICAL: Respond with the JSON scenes described in the prompt and nothing else. The narrations are read aloud one after another'
+};
+
+/**
+ * Creates the customer feedback section of a script prompt
+ * @param {Object} productData - Product information (with reviewInsights from the product source)
+ * @param {string[]} requirements - How the script should use the feedback
+ * @returns {string} Prompt section, or an empty string without review insights
+ */
+const createCustomerFeedbackSection = (productData, requirements) => {
+  const insightsText = formatReviewInsights(productData?.reviewInsights);
+
+  if (!insightsText) {
+    return '';
+  }
+
+  return `
+${insightsText}
+
+CUSTOMER FEEDBACK REQUIREMENTS:
+${requirements.map(requirement => `- ${requirement}`).join('\n')}
+- Paraphrase customers in your own words - never invent feedback that is not listed above
+`;
+};
+
+/**
+ * Creates the structure instructions of a script prompt
+ * @param {string} structure - Script format: sections (chapter markers) or scenes (JSON)
+ * @param {number} imageCount - Number of product photos
+ * @returns {string} Prompt section
+ */
+const createStructureSection = (structure, imageCount) => {
+  if (structure === 'scenes') {
+    return `SCENES:
+Split the script into 4 to 8 scenes, one per topic (for example the hook, what the product is, each key feature, price and value, and the verdict). Respond with ONLY a JSON object in this shape:
+
+{"scenes": [{"narration": "Spoken text of the scene...", "feature": "Key Features", "image": 1, "imageType": "hero", "callout": "Short on-screen text"}]}
+
+- narration: the words spoken during the scene - together the narrations are the whole script
+- feature: the feature or topic the scene covers, 1-4 words (it becomes the video chapter title)
+- image: the number (1 to ${Math.max(imageCount, 1)}) of the product photo to show while the scene is narrated, or null to let the editor pick one
+- imageType: "hero" (the whole product), "detail" (a close-up of a feature) or "lifestyle" (the product in use)
+- callout: on-screen text of at most 5 words, or an empty string
+
+Do NOT include section titles, headers, or labels like "Introduction:", "Overview:", "Features:" in the narration - it should flow naturally like a conversation.`;
+  }
+
+  return `CHAPTER MARKERS:
+Split the script into 4 to 6 sections (for example the hook, what the product is, key features, price and value, and the verdict). Put a short chapter title in double square brackets on its own line before each section:
+
+[[What It Is]]
+Spoken text of the section...
+
+Chapter titles are 1-4 words. Do NOT include section titles, headers, or labels like "Introduction:", "Overview:", "Features:" in the spoken text itself - it should flow naturally like a conversation, and the markers are the only structure.`;
+};
+
+/**
+ * Renders the system and user prompts of a review script
+ * @param {Object} prompts - Prompt templates and persona (from loadPromptTemplates)
  * @param {Object} productData - Product information
- * @param {string} reviewStyle - Review style
- * @returns {string} User prompt
+ * @param {string} reviewStyle - Review style (a file in the review/styles templates; default: conversational)
+ * @param {string} structure - Script format: sections (chapter markers) or scenes (JSON)
+ * @param {number} [imageCount] - Number of product photos in the video (default: all product images)
+ * @param {number} [targetDuration] - Seconds of narration to write (default: 60-90)
+ * @returns {Object} { system, prompt }
  */
-const createReviewPrompt = (productData, reviewStyle) => {
+const createReviewPrompts = (prompts, productData, reviewStyle, structure = 'sections', imageCount = null, targetDuration = null) => {
   const {
     title = 'this product',
     price = 'a competitive price',
@@ -175,55 +299,63 @@ const createReviewPrompt = (productData, reviewStyle) => {
     images = []
   } = productData || {};
 
+  const photoCount = imageCount ?? (Array.isArray(images) ? images.length : 0);
+
   // Process and enhance the description for better context
   const processedDescription = processProductDescription(description);
   const featuresText = Array.isArray(features) && features.length > 0
     ? features.slice(0, 5).join('; ')
     : 'Not specified';
 
-  return `Create a natural, engaging product review script for this Amazon product. Use the actual product description and features to create an authentic, informative review:
-
-PRODUCT DETAILS:
-- Product Name: ${title}
-- Current Price: ${price}
-- Customer Rating: ${rating} stars (from ${reviewCount} reviews)
-- Available Images: ${Array.isArray(images) ? images.length : 0} product photos
-
-ACTUAL AMAZON PRODUCT DESCRIPTION:
-${processedDescription || 'No detailed description available from Amazon'}
-
-KEY PRODUCT FEATURES:
-${featuresText}
-
-CRITICAL LANGUAGE REQUIREMENT:
-- Write ONLY in English - absolutely no foreign words, phrases, or expressions
-- Do not include any non-English brand names, technical terms, or international expressions
-- Use only standard American English throughout the entire script
-
-SCRIPT FLOW REQUIREMENTS:
-Create a natural, flowing presentation script that seamlessly covers these elements WITHOUT section headers or titles:
-- Start with a natural hook that mentions the product name
-- Smoothly transition to explaining what this product is and what it does using the Amazon description
-- Naturally highlight the most important features from the Amazon listing in your own words
-- Organically discuss the current price and whether it represents good value (always say "dollars" when mentioning prices, not just "$")
-- Naturally reference the rating and review count to build credibility
-- Mention that you'll be showing the product images during the review
-- Give your genuine opinion based on the product information
-- End with a clear recommendation and call-to-action
-- MANDATORY: Must end with the exact phrase "Don't forget to like and share and click the link in the description to purchase"
-
-CRITICAL: Do NOT include any section titles, headers, or labels like "Introduction:", "Overview:", "Features:", etc. The script should flow naturally like a conversation without any structural markers.
-
-TONE & STYLE GUIDELINES:
-- Sound like a real person having a conversation, not reading marketing copy
-- Use the actual product details from Amazon to create authentic content
-- Be honest and balanced - mention both positives and any potential considerations
-- Include natural speech patterns, contractions, and conversational transitions
-- Reference specific details from the description to show you've researched the product
-- Keep it engaging and informative for potential buyers
-- Ensure every word is in English - no foreign language insertions
-
-The script should sound like you've actually researched this product on Amazon and are sharing genuine insights with your audience. Use the real product information to create valuable, authentic content in clear, standard English.`;
+  return renderPrompt(prompts, 'review', {
+    product: {
+      title,
+      price,
+      rating,
+      reviewCount,
+      features: featuresText,
+      description: processedDescription || 'No detailed description available from Amazon'
+    },
+    photoCount,
+    targetDuration: targetDuration || '60-90',
+    targetWords: targetDuration ? estimateWordCount(targetDuration) : '150-200',
+    currencyName: getCurrencyName(productData?.marketplace),
+    styleRules: prompts.styles[reviewStyle] ?? prompts.styles.conversational ?? '',
+    structureRule: STRUCTURE_RULES[structure],
+    structure: createStructureSection(structure, photoCount),
+    customerFeedback: createCustomerFeedbackSection(productData, [
+      'Ground your opinion in the real customer feedback above, not just the marketing copy',
+      'Mention at least one recurring con as a real drawback and who it matters to',
+      'Answer a common customer question when it helps viewers decide'
+    ])
+  });
+};
+
+/**
+ * Splits a generated script into sections at its [[Chapter]] markers
+ * Markdown headings are accepted as markers too. Text before the first marker
+ * is an introduction; a script without markers is a single section.
+ * @param {string} script - Generated script
+ * @returns {Object[]} Sections as { title, text }
+ */
+export const parseScriptSections = (script) => {
+  const sections = [];
+  let current = { title: 'Introduction', lines: [] };
+
+  for (const line of String(script || '').split('\n')) {
+    const marker = line.trim().match(/^(?:\[\[(.+?)\]\](.*)|#{1,6}\s+(.+))$/);
+    if (marker) {
+      sections.push(current);
+      current = { title: (marker[1] || marker[3]).replace(/[*_:]/g, '').trim(), lines: [marker[2] || ''] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ title: section.title, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text.length > 0);
 };
 
 /**
@@ -249,7 +381,7 @@ const postProcessScript = (script) => {
   processed = processed.replace(/! ([A-Z])/g, '! ... $1');
   
   // Emphasize important elements for speech synthesis
-  processed = processed.replace(/(\$\d+(?:\.\d{2})?)/g, '*$1*');
+  processed = processed.replace(/([$£€¥₹]\d+(?:[.,]\d{2})?)/g, '*$1*');
   processed = processed.replace(/(\d+(?:\.\d+)?\s*(?:star|stars))/gi, '*$1*');
   
   // Clean up any double spaces
@@ -259,7 +391,7 @@ const postProcessScript = (script) => {
 };
 
 /**
- * Processes and cleans the Amazon product description for better OpenAI prompts
+ * Processes and cleans the Amazon product description for better prompts
  * @param {string} description - Raw product description from Amazon
  * @returns {string} Cleaned and formatted description
  */
@@ -290,7 +422,7 @@ const processProductDescription = (description) => {
   processed = processed.replace(/!{2,}/g, '!');
   processed = processed.replace(/\?{2,}/g, '?');
 
-  // Ensure reasonable length for OpenAI prompt (keep it under 1500 chars)
+  // Ensure reasonable length for the prompt (keep it under 1500 chars)
   if (processed.length > 1500) {
     // Try to cut at sentence boundary
     const truncated = processed.substring(0, 1500);
@@ -310,11 +442,12 @@ const processProductDescription = (description) => {
 };
 
 /**
- * Generates a fallback script when OpenAI is unavailable
+ * Generates a fallback script when the LLM is unavailable
  * @param {Object} productData - Product information
+ * @param {Function} [random] - Random number generator for the intro line (default: Math.random)
  * @returns {string} Fallback script
  */
-export const generateFallbackScript = (productData) => {
+export const generateFallbackScript = (productData, random = Math.random) => {
   // Ensure productData exists and has default values
   if (!productData || typeof productData !== 'object') {
     productData = {};
@@ -333,7 +466,7 @@ export const generateFallbackScript = (productData) => {
     `Hi there! Let me tell you about ${title}.`
   ];
 
-  const intro = intros[Math.floor(Math.random() * intros.length)];
+  const intro = pickRandom(intros, random);
   
   // Safely check features array
   const featuresArray = Array.isArray(features) ? features : [];
@@ -341,7 +474,7 @@ export const generateFallbackScript = (productData) => {
     ? `Some key features include ${featuresArray.slice(0, 3).join(', ')}.`
     : 'It has some interesting features worth discussing.';
 
-  const priceText = typeof price === 'string' && price.includes('$')
+  const priceText = typeof price === 'string' && /[$£€¥₹]/.test(price)
     ? `At ${price}, I think it offers decent value.`
     : 'The pricing seems reasonable for what you get.';
 
@@ -352,6 +485,11 @@ export const generateFallbackScript = (productData) => {
   return `${intro} ... ${featuresText} ... ${priceText} ... ${ratingText} ... Overall, I think this could be a solid choice if you're in the market for this type of product. ... Don't forget to like and share and click the link in the description to purchase.`;
 };
 
+/**
+ * Average speaking rate of a voiceover (150-160 words per minute)
+ */
+export const SPEAKING_WORDS_PER_MINUTE = 155;
+
 /**
  * Estimates the speaking duration of a script
  * @param {string} script - Script text
@@ -366,13 +504,18 @@ export const estimateScriptDuration = (script) => {
   const cleanScript = script.replace(/\.\.\./g, '').replace(/\s+/g, ' ').trim();
   const wordCount = cleanScript.split(' ').length;
   
-  // Average speaking rate is about 150-160 words per minute
-  const wordsPerMinute = 155;
-  const durationMinutes = wordCount / wordsPerMinute;
+  const durationMinutes = wordCount / SPEAKING_WORDS_PER_MINUTE;
   
   return Math.ceil(durationMinutes * 60);
 };
 
+/**
+ * Estimates the words a voiceover of a given length takes
+ * @param {number} seconds - Speaking time in seconds
+ * @returns {number} Word count
+ */
+export const estimateWordCount = (seconds) => Math.round(seconds * SPEAKING_WORDS_PER_MINUTE / 60);
+
 /**
  * Validates script generation inputs
  * @param {Object} productData - Product data to validate
@@ -389,23 +532,25 @@ export const validateScriptInputs = (productData) => {
 };
 
 /**
- * Gets available OpenAI models for script generation
+ * Gets known models of an LLM provider for script generation
+ * @param {string} [providerName] - Provider name (default: the provider configured for scripts)
  * @returns {Array<string>} Available model names
  */
-export const getAvailableModels = () => {
-  return [
-    'gpt-4o-mini',
-    'gpt-4o',
-    'gpt-4-turbo',
-    'gpt-3.5-turbo'
-  ];
+export const getAvailableModels = (providerName) => {
+  const provider = providerName ? getLLMProvider(providerName) : resolveLLMConfig('script').provider;
+  return [...provider.models];
 };
 
 /**
  * Gets available review styles
+ * @param {Object} [prompts] - Prompt templates (from loadPromptTemplates); their review/styles files are the styles
  * @returns {Array<string>} Available style names
  */
-export const getAvailableStyles = () => {
+export const getAvailableStyles = (prompts) => {
+  if (prompts) {
+    return Object.keys(prompts.styles);
+  }
+
   return [
     'conversational',
     'professional',
@@ -414,9 +559,13 @@ export const getAvailableStyles = () => {
 };
 
 /**
- * Generates an optimized YouTube video title using OpenAI
+ * Generates an optimized YouTube video title
  * @param {Object} productData - Product information from Amazon scraper
  * @param {Object} options - Generation options
+ * @param {string} [options.provider] - LLM provider (default: LLM_TITLE_PROVIDER, LLM_PROVIDER or openai)
+ * @param {string} [options.model] - Model name (default: from the environment or the provider)
+ * @param {Object} [options.prompts] - Prompt templates and persona (from loadPromptTemplates)
+ * @param {string} [options.seed] - Session seed; picks the fallback title reproducibly
  * @returns {Promise<string>} Generated optimized title
  */
 export const generateAIVideoTitle = async (productData, options = {}) => {
@@ -425,7 +574,6 @@ export const generateAIVideoTitle = async (productData, options = {}) => {
   }
 
   const {
-    model = 'gpt-4o-mini',
     maxTokens = 100,
     temperature = 0.8
   } = options;
@@ -442,91 +590,186 @@ export const generateAIVideoTitle = async (productData, options = {}) => {
   console.log('🎬 Generating AI-optimized video title...');
   console.log(`📝 Original product: ${title}`);
 
-  try {
-    const openai = createOpenAIClient();
-
-    const prompt = `Create an engaging, SEO-optimized YouTube video title for this Amazon product review. The title should be clickable, informative, and MUST be under 95 characters (YouTube's limit is 100, but we need a safety margin).
-
-PRODUCT DETAILS:
-- Product Name: ${title}
-- Price: ${price}
-- Rating: ${rating} stars (${reviewCount} reviews)
-- Key Features: ${Array.isArray(features) ? features.slice(0, 3).join(', ') : 'Not specified'}
-
-TITLE REQUIREMENTS:
-1. CRITICAL: Must be under 95 characters (YouTube enforces 100-character limit)
-2. Include the main product name or category
-3. Add compelling words like "Review", "Worth It?", "Honest Opinion", "Before You Buy"
-4. Make it clickable and curiosity-driven
-5. Avoid clickbait - be honest and informative
-6. Consider SEO keywords that people might search for
-7. Use title case formatting
-
-EXAMPLES OF GOOD TITLES:
-- "KitchenAid Espresso Machine Review - Worth $1,800?"
-- "Honest Review: Is This $200 Robot Vacuum Any Good?"
-- "Apple AirPods Pro 2 - Should You Upgrade?"
+  const prompts = options.prompts || await loadPromptTemplates();
 
-Generate 1 optimized title that balances SEO, engagement, and honesty:`;
-
-    console.log('🔄 Calling OpenAI API for title generation...');
-    
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a YouTube SEO expert who creates compelling, honest video titles that get clicks while maintaining credibility. Focus on creating titles that are informative, engaging, and optimized for search.'
-        },
-        {
-          role: 'user',
-          content: prompt
+  try {
+    const generatedTitle = await generateText('title', {
+      ...renderPrompt(prompts, 'title', {
+        product: {
+          title,
+          price,
+          rating,
+          reviewCount,
+          features: Array.isArray(features) ? features.slice(0, 3).join(', ') : 'Not specified'
         }
-      ],
-      max_tokens: maxTokens,
+      }),
+      maxTokens,
       temperature,
-      presence_penalty: 0.2,
-      frequency_penalty: 0.1
-    });
-
-    const generatedTitle = completion.choices[0]?.message?.content?.trim();
+      presencePenalty: 0.2,
+      frequencyPenalty: 0.1
+    }, options);
 
-    if (!generatedTitle) {
-      throw new Error('OpenAI API returned empty title response');
-    }
-
-    // Clean up the title
-    let cleanTitle = generatedTitle
-      .replace(/^["']|["']$/g, '') // Remove quotes
-      .replace(/^\d+\.\s*/, '') // Remove numbering
-      .trim();
-
-    // Ensure title meets YouTube's 100-character limit (with safety margin)
-    const maxLength = 95; // Leave 5 characters buffer for safety
-    if (cleanTitle.length > maxLength) {
-      cleanTitle = cleanTitle.substring(0, maxLength - 3).trim() + '...';
-      console.log(`⚠️ Title truncated to ${cleanTitle.length} characters for YouTube compatibility`);
-    }
+    const cleanTitle = cleanGeneratedTitle(generatedTitle);
 
     console.log(`✅ AI title generated: "${cleanTitle}" (${cleanTitle.length} chars)`);
     
     return cleanTitle;
 
   } catch (error) {
-    console.error('❌ OpenAI title generation failed:', error.message);
+    console.error('❌ AI title generation failed:', error.message);
     
     // Fallback to enhanced original title
-    const fallbackTitle = generateFallbackTitle(productData);
+    const fallbackTitle = generateFallbackTitle(productData, createRandom(options.seed, 'title'));
     console.log(`🔄 Using fallback title: "${fallbackTitle}"`);
     return fallbackTitle;
   }
 };
 
 /**
- * Generates an optimized YouTube video description using OpenAI
+ * Cleans up a generated title
+ * Quotes and numbering are removed and the title is kept under YouTube's
+ * 100-character limit, with a 5 character safety margin.
+ * @param {string} generatedTitle - Generated title
+ * @returns {string} Clean title
+ */
+const cleanGeneratedTitle = (generatedTitle) => {
+  let cleanTitle = String(generatedTitle)
+    .trim()
+    .replace(/^["']|["']$/g, '') // Remove quotes
+    .replace(/^\d+\.\s*/, '') // Remove numbering
+    .trim();
+
+  const maxLength = 95;
+  if (cleanTitle.length > maxLength) {
+    cleanTitle = cleanTitle.substring(0, maxLength - 3).trim() + '...';
+    console.log(`⚠️ Title truncated to ${cleanTitle.length} characters for YouTube compatibility`);
+  }
+
+  return cleanTitle;
+};
+
+/**
+ * Parses the JSON title variants of a generated response
+ * Code fences and text around the JSON are ignored, as are variants without
+ * a title.
+ * @param {string} response - Generated response
+ * @returns {Object[]} Variants as { title, thumbnailText }
+ * @throws {Error} When the response holds no variants
+ */
+export const parseTitleVariants = (response) => {
+  const text = String(response || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Title variants are not JSON');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Title variants are not valid JSON: ${error.message}`);
+  }
+
+  const variants = (Array.isArray(data?.variants) ? data.variants : [])
+    .filter(variant => typeof variant?.title === 'string' && variant.title.trim())
+    .map(variant => ({
+      title: cleanGeneratedTitle(variant.title),
+      thumbnailText: String(variant.thumbnail || '').trim() || null
+    }));
+
+  if (variants.length === 0) {
+    throw new Error('Title variants response has no titles');
+  }
+
+  return variants;
+};
+
+/**
+ * Generates candidate video titles for an A/B test, scored and best first
+ * Each candidate comes with its own thumbnail text, so a title and its
+ * thumbnail rotate together. See scoreTitle for the heuristics.
+ * @param {Object} productData - Product information from Amazon scraper
+ * @param {Object} options - Generation options
+ * @param {number} [options.count] - Number of candidates (default: 3)
+ * @param {string[]} [options.keywords] - Keywords the titles should contain (default: review)
+ * @param {string} [options.provider] - LLM provider (default: LLM_TITLE_PROVIDER, LLM_PROVIDER or openai)
+ * @param {string} [options.model] - Model name (default: from the environment or the provider)
+ * @param {Object} [options.prompts] - Prompt templates and persona (from loadPromptTemplates)
+ * @returns {Promise<Object[]>} Candidates as { title, thumbnailText, score, checks }, best first
+ */
+export const generateAIVideoTitleVariants = async (productData, options = {}) => {
+  if (!productData || typeof productData !== 'object') {
+    throw new Error('Product data is required and must be an object');
+  }
+
+  const {
+    count = 3,
+    keywords = DEFAULT_TITLE_KEYWORDS,
+    maxTokens = 150 * count,
+    temperature = 0.9
+  } = options;
+
+  const {
+    title = 'this product',
+    price = 'a competitive price',
+    rating = 'highly rated',
+    reviewCount = 'many reviews',
+    features = []
+  } = productData;
+
+  const productName = getShortProductName(title);
+  const scoring = { productName, keywords };
+
+  console.log(`🎬 Generating ${count} AI title variants...`);
+
+  const prompts = options.prompts || await loadPromptTemplates();
+
+  let candidates;
+  try {
+    const response = await generateText('title', {
+      ...renderPrompt(prompts, 'titleVariants', {
+        count,
+        productName,
+        keywords,
+        product: {
+          title,
+          price,
+          rating,
+          reviewCount,
+          features: Array.isArray(features) ? features.slice(0, 3).join(', ') : 'Not specified'
+        }
+      }),
+      maxTokens,
+      temperature,
+      presencePenalty: 0.2,
+      frequencyPenalty: 0.1
+    }, options);
+
+    candidates = parseTitleVariants(response);
+  } catch (error) {
+    console.error('❌ AI title variant generation failed:', error.message);
+    candidates = createFallbackTitles(productData).map(fallbackTitle => ({ title: fallbackTitle, thumbnailText: null }));
+    console.log(`🔄 Using ${candidates.length} fallback titles`);
+  }
+
+  const variants = rankTitleVariants(candidates, scoring)
+    .slice(0, count)
+    .map(variant => ({ ...variant, thumbnailText: variant.thumbnailText || generateThumbnailTitle(title) }));
+
+  variants.forEach(variant => console.log(`   ${variant.score}/100 "${variant.title}"`));
+  return variants;
+};
+
+/**
+ * Generates an optimized YouTube video description
  * @param {Object} productData - Product information from Amazon scraper
  * @param {string} videoTitle - The video title
  * @param {Object} options - Generation options
+ * @param {string} [options.provider] - LLM provider (default: LLM_DESCRIPTION_PROVIDER, LLM_PROVIDER or openai)
+ * @param {string} [options.model] - Model name (default: from the environment or the provider)
+ * @param {Object} [options.prompts] - Prompt templates and persona (from loadPromptTemplates)
+ * @param {Object[]} [options.chapters] - Chapters of the rendered video as { title, start } (from buildChapters)
  * @returns {Promise<string>} Generated optimized description
  */
 export const generateAIVideoDescription = async (productData, videoTitle, options = {}) => {
@@ -535,10 +778,9 @@ export const generateAIVideoDescription = async (productData, videoTitle, option
   }
 
   const {
-    model = 'gpt-4o-mini',
     maxTokens = 600,
     temperature = 0.7,
-    includeTimestamps = true,
+    chapters = [],
     includeHashtags = true
   } = options;
 
@@ -554,73 +796,33 @@ export const generateAIVideoDescription = async (productData, videoTitle, option
 
   console.log('📝 Generating AI-optimized video description...');
 
+  const prompts = options.prompts || await loadPromptTemplates();
+
   try {
-    const openai = createOpenAIClient();
-
-    const prompt = `Create an engaging, SEO-optimized YouTube video description for this Amazon product review video.
-
-VIDEO TITLE: ${videoTitle}
-
-PRODUCT DETAILS:
-- Product Name: ${title}
-- Price: ${price}
-- Rating: ${rating} stars (${reviewCount} reviews)
-- Amazon URL: ${amazonUrl}
-- Key Features: ${Array.isArray(features) ? features.slice(0, 5).join(', ') : 'Not specified'}
-- Description: ${processProductDescription(description).substring(0, 500)}
-
-DESCRIPTION REQUIREMENTS:
-1. Start with a compelling hook that matches the video title
-2. Provide a brief overview of what viewers will learn
-3. Include key product details and features
-4. Mention the price and value proposition
-5. Reference customer ratings and feedback
-6. Include a call-to-action for engagement
-7. Add relevant keywords naturally for SEO
-8. Keep it informative but engaging
-9. Include disclaimer about affiliate links if applicable
-10. End with social media engagement request
-
-STRUCTURE:
-- Opening hook (2-3 sentences)
-- What's covered in the video (2-3 sentences)
-- Key product highlights (3-4 sentences)
-- Price and value discussion (1-2 sentences)
-- Call to action (1-2 sentences)
-- Engagement request (1 sentence)
-
-Generate a comprehensive description (aim for 200-300 words):`;
-
-    console.log('🔄 Calling OpenAI API for description generation...');
-    
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a YouTube content strategist who creates compelling video descriptions that improve SEO, engagement, and viewer retention. Focus on being informative, engaging, and optimized for search while maintaining authenticity.'
-        },
-        {
-          role: 'user',
-          content: prompt
+    let generatedDescription = await generateText('description', {
+      ...renderPrompt(prompts, 'description', {
+        videoTitle,
+        product: {
+          title,
+          price,
+          rating,
+          reviewCount,
+          amazonUrl,
+          features: Array.isArray(features) ? features.slice(0, 5).join(', ') : 'Not specified',
+          description: processProductDescription(description).substring(0, 500)
         }
-      ],
-      max_tokens: maxTokens,
+      }),
+      maxTokens,
       temperature,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1
-    });
-
-    let generatedDescription = completion.choices[0]?.message?.content?.trim();
-
-    if (!generatedDescription) {
-      throw new Error('OpenAI API returned empty description response');
-    }
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1
+    }, options);
 
     // Post-process the description
     generatedDescription = postProcessDescription(generatedDescription, productData, {
-      includeTimestamps,
-      includeHashtags
+      chapters,
+      includeHashtags,
+      engagementCta: prompts.persona.descriptionCta
     });
 
     console.log(`✅ AI description generated (${generatedDescription.length} characters)`);
@@ -628,21 +830,32 @@ Generate a comprehensive description (aim for 200-300 words):`;
     return generatedDescription;
 
   } catch (error) {
-    console.error('❌ OpenAI description generation failed:', error.message);
+    console.error('❌ AI description generation failed:', error.message);
     
     // Fallback to enhanced description
-    const fallbackDescription = generateFallbackDescription(productData, videoTitle);
+    const fallbackDescription = insertChapters(generateFallbackDescription(productData, videoTitle), chapters);
     console.log(`🔄 Using fallback description (${fallbackDescription.length} characters)`);
     return fallbackDescription;
   }
 };
 
 /**
- * Generates a fallback title when OpenAI is unavailable
+ * Generates a fallback title when the LLM is unavailable
  * @param {Object} productData - Product information
+ * @param {Function} [random] - Random number generator (default: Math.random)
  * @returns {string} Fallback title
  */
-export const generateFallbackTitle = (productData) => {
+export const generateFallbackTitle = (productData, random = Math.random) => {
+  const titles = createFallbackTitles(productData);
+  return pickRandom(titles, random);
+};
+
+/**
+ * Builds the fallback titles of a product
+ * @param {Object} productData - Product information
+ * @returns {string[]} Titles under YouTube's 100-character limit (with safety margin)
+ */
+const createFallbackTitles = (productData) => {
   const { title = 'Product', price = '' } = productData || {};
   
   // Extract main product name (first few words)
@@ -656,17 +869,14 @@ export const generateFallbackTitle = (productData) => {
     `${productName} - My Honest Opinion`
   ];
   
-  const selectedTemplate = titleTemplates[Math.floor(Math.random() * titleTemplates.length)];
-  
-  // Ensure under YouTube's 100-character limit (with safety margin)
   const maxLength = 95; // Leave 5 characters buffer for safety
-  return selectedTemplate.length > maxLength
-    ? selectedTemplate.substring(0, maxLength - 3) + '...'
-    : selectedTemplate;
+  return titleTemplates.map(template => (template.length > maxLength
+    ? template.substring(0, maxLength - 3) + '...'
+    : template));
 };
 
 /**
- * Generates a fallback description when OpenAI is unavailable
+ * Generates a fallback description when the LLM is unavailable
  * @param {Object} productData - Product information
  * @param {string} videoTitle - Video title
  * @returns {string} Fallback description
@@ -690,13 +900,6 @@ I'll cover the key features including ${featuresText}, discuss the current price
 
 Whether you're considering this purchase or just curious about the product, this review will give you all the information you need to make an informed decision.
 
-⏰ Timestamps:
-0:00 Introduction
-0:30 Product Overview
-1:00 Key Features
-1:30 Price & Value
-2:00 Final Thoughts
-
 👍 If this review was helpful, please like and subscribe for more honest product reviews!
 
 #ProductReview #Amazon #Review`;
@@ -707,21 +910,18 @@ Whether you're considering this purchase or just curious about the product, this
  * @param {string} description - Raw generated description
  * @param {Object} productData - Product data
  * @param {Object} options - Processing options
+ * @param {string} [options.engagementCta] - Engagement line added when the description has none (the persona's descriptionCta)
  * @returns {string} Processed description
  */
 const postProcessDescription = (description, productData, options = {}) => {
   let processed = description;
   
-  const { includeTimestamps = true, includeHashtags = true } = options;
-  
-  // Add timestamps if not present and requested
-  if (includeTimestamps && !processed.includes('0:00')) {
-    processed += '\n\n⏰ Timestamps:\n0:00 Introduction\n0:30 Product Overview\n1:00 Key Features\n1:30 Price & Value\n2:00 Final Thoughts';
-  }
+  const { chapters = [], includeHashtags = true, engagementCta = '' } = options;
   
+
   // Add engagement call-to-action if not present
-  if (!processed.toLowerCase().includes('like') && !processed.toLowerCase().includes('subscribe')) {
-    processed += '\n\n👍 If this review was helpful, please like and subscribe for more honest product reviews!';
+  if (engagementCta && !processed.toLowerCase().includes('like') && !processed.toLowerCase().includes('subscribe')) {
+    processed += `\n\n${engagementCta}`;
   }
   
   // Add relevant hashtags if requested
@@ -730,6 +930,9 @@ const postProcessDescription = (description, productData, options = {}) => {
     processed += `\n\n#ProductReview #Amazon #Review #${productCategory}`;
   }
   
+  // Add the chapters of the rendered video before the hashtags
+  processed = insertChapters(processed, chapters);
+  
   // Clean up formatting
   processed = processed.replace(/\n{3,}/g, '\n\n'); // Max 2 consecutive newlines
   processed = processed.trim();
@@ -767,6 +970,10 @@ const extractProductCategory = (title) => {
  * Generates a short (~30 second) script specifically for social media short videos
  * @param {Object} productData - Product information from Amazon scraper
  * @param {Object} options - Generation options
+ * @param {string} [options.provider] - LLM provider (default: LLM_SHORT_SCRIPT_PROVIDER, LLM_PROVIDER or openai)
+ * @param {string} [options.model] - Model name (default: from the environment or the provider)
+ * @param {Object} [options.prompts] - Prompt templates and persona (from loadPromptTemplates)
+ * @param {number} [options.targetDuration] - Seconds of narration to write (default: 30)
  * @returns {Promise<string>} Generated short video script
  */
 export const generateAIShortVideoScript = async (productData, options = {}) => {
@@ -775,11 +982,10 @@ export const generateAIShortVideoScript = async (productData, options = {}) => {
   }
 
   const {
-    model = 'gpt-4o-mini',
-    maxTokens = 200,
     temperature = 0.8,
     targetDuration = 30
   } = options;
+  const maxTokens = options.maxTokens || Math.max(200, estimateWordCount(targetDuration) * 2);
 
   const {
     title = 'this product',
@@ -790,73 +996,38 @@ export const generateAIShortVideoScript = async (productData, options = {}) => {
     description = ''
   } = productData;
 
+  const currencyName = getCurrencyName(productData.marketplace);
+
   console.log('📱 Generating AI-powered short video script...');
   console.log(`📝 Product: ${title}`);
   console.log(`⏱️ Target duration: ~${targetDuration} seconds`);
 
+  const prompts = options.prompts || await loadPromptTemplates();
+
   try {
-    const openai = createOpenAIClient();
-
-    const prompt = `Create a punchy, engaging script for a ${targetDuration}-second short video (Instagram Reels, TikTok, YouTube Shorts) reviewing this Amazon product.
-
-PRODUCT DETAILS:
-- Product Name: ${title}
-- Price: ${price}
-- Rating: ${rating} stars (${reviewCount} reviews)
-- Key Features: ${Array.isArray(features) ? features.slice(0, 3).join(', ') : 'Not specified'}
-- Description: ${processProductDescription(description).substring(0, 300)}
-
-SHORT VIDEO SCRIPT FLOW:
-Create a natural, fast-paced script that flows seamlessly through these elements WITHOUT any section headers or time markers:
-- Start with an attention-grabbing opener
-- Smoothly transition to briefly explaining what the product is and why it matters
-- Naturally focus on 1-2 most compelling features or benefits
-- End with a quick recommendation and engagement request
-
-CRITICAL: Do NOT include any section titles, time markers, or labels like "Hook:", "Overview:", etc. The script should flow naturally like an excited conversation without any structural markers.
-
-STYLE GUIDELINES:
-- Write ONLY in English - no foreign words or phrases
-- Keep it fast-paced and energetic for social media
-- Use short, punchy sentences
-- Include natural pauses marked with "..."
-- Make it conversational and authentic
-- Focus on the most compelling selling points
-- Target exactly ${targetDuration} seconds of speaking time (~75-90 words)
-- Use "I" statements to make it personal
-- When mentioning prices, always say "dollars" (e.g., "fifty dollars") instead of just "$"
-- End with a clear call-to-action
-- MANDATORY: Must end with the exact phrase "Don't forget to like and share and click the link in the description to purchase"
-
-TONE: Energetic, authentic, and helpful - like you're excitedly telling a friend about a great find.
-
-Generate a script that will keep viewers engaged for the full ${targetDuration} seconds:`;
-
-    console.log('🔄 Calling OpenAI API for short video script...');
-    
-    const completion = await openai.chat.completions.create({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: `You are a social media content creator who specializes in creating engaging, fast-paced product review scripts for short-form video platforms like TikTok, Instagram Reels, and YouTube Shorts. Your scripts are punchy, authentic, and designed to hold attention for the full duration while providing genuine value.`
+    const generatedScript = await generateText('shortScript', {
+      ...renderPrompt(prompts, 'shortScript', {
+        targetDuration,
+        targetWords: estimateWordCount(targetDuration),
+        currencyName,
+        product: {
+          title,
+          price,
+          rating,
+          reviewCount,
+          features: Array.isArray(features) ? features.slice(0, 3).join(', ') : 'Not specified',
+          description: processProductDescription(description).substring(0, 300)
         },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: maxTokens,
+        customerFeedback: createCustomerFeedbackSection(productData, [
+          'Back the main benefit with what customers actually praise',
+          'Mention the biggest recurring con honestly in one short sentence'
+        ])
+      }),
+      maxTokens,
       temperature,
-      presence_penalty: 0.2,
-      frequency_penalty: 0.1
-    });
-
-    const generatedScript = completion.choices[0]?.message?.content;
-
-    if (!generatedScript) {
-      throw new Error('OpenAI API returned empty short video script response');
-    }
+      presencePenalty: 0.2,
+      frequencyPenalty: 0.1
+    }, options);
 
     console.log(`✅ AI short video script generated (${generatedScript.length} characters)`);
     
@@ -870,11 +1041,11 @@ Generate a script that will keep viewers engaged for the full ${targetDuration}
     return processedScript;
 
   } catch (error) {
-    console.error('❌ OpenAI short video script generation failed:', error.message);
+    console.error('❌ AI short video script generation failed:', error.message);
     console.error('📋 Error details:', error);
     
     // No fallback - throw the error so you can see exactly what's wrong
-    throw new Error(`OpenAI short video script generation failed: ${error.message}`);
+    throw new Error(`AI short video script generation failed: ${error.message}`);
   }
 };
 
@@ -901,7 +1072,7 @@ const postProcessShortScript = (script) => {
   processed = processed.replace(/! ([A-Z])/g, '! .. $1');
   
   // Emphasize important elements for speech synthesis
-  processed = processed.replace(/(\$\d+(?:\.\d{2})?)/g, '*$1*');
+  processed = processed.replace(/([$£€¥₹]\d+(?:[.,]\d{2})?)/g, '*$1*');
   processed = processed.replace(/(\d+(?:\.\d+)?\s*(?:star|stars))/gi, '*$1*');
   
   // Clean up any double spaces
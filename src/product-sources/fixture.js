@@ -0,0 +1,196 @@
+import * as cheerio from 'cheerio';
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { transformRainforestData, transformRainforestReviews, transformRainforestQuestions } from './rainforest.js';
+import { enhanceImageUrl } from './product-data.js';
+
+/**
+ * Offline fixture product source
+ * Looks up <ASIN>.json or <ASIN>.html in the fixture directory. JSON fixtures
+ * may be a saved Rainforest response or product data in the pipeline shape;
+ * HTML fixtures are saved Amazon product pages. Relative image paths are
+ * resolved against the fixture directory, so the pipeline can run offline.
+ * Customer feedback comes from optional <ASIN>.reviews.json and
+ * <ASIN>.questions.json files (saved Rainforest responses or plain arrays).
+ */
+
+export const name = 'fixture';
+
+const DEFAULT_FIXTURE_DIR = './fixtures/products';
+
+/**
+ * Resolves an image reference from a fixture to a URL
+ * @param {string} image - Image URL or path relative to the fixture directory
+ * @param {string} fixtureDir - Fixture directory
+ * @returns {string} Image URL
+ */
+const resolveImage = (image, fixtureDir) => {
+  if (/^(https?|file):\/\//.test(image)) {
+    return image;
+  }
+  return pathToFileURL(path.resolve(fixtureDir, image)).href;
+};
+
+/**
+ * Parses a number from text such as "1,234 ratings" or "4.5 out of 5 stars"
+ * @param {string} text - Text containing a number
+ * @returns {number|null} Parsed number
+ */
+const parseNumber = (text) => {
+  const match = (text || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Extracts image URLs from a saved product page
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {string} html - Raw page HTML
+ * @returns {string[]} Image URLs
+ */
+const extractPageImages = ($, html) => {
+  const images = [];
+
+  // High resolution gallery images embedded in the page scripts
+  for (const match of html.matchAll(/"hiRes":"(https:[^"]+)"/g)) {
+    images.push(match[1]);
+  }
+
+  const landingImage = $('#landingImage');
+  const dynamicImages = landingImage.attr('data-a-dynamic-image');
+  if (dynamicImages) {
+    try {
+      images.push(...Object.keys(JSON.parse(dynamicImages)));
+    } catch {
+      // Ignore malformed attribute
+    }
+  }
+
+  [landingImage.attr('data-old-hires'), landingImage.attr('src')]
+    .filter(Boolean)
+    .forEach(src => images.push(src));
+
+  $('#altImages img').each((_, img) => {
+    const src = $(img).attr('src');
+    if (src && !src.includes('sprite')) {
+      images.push(src);
+    }
+  });
+
+  return [...new Set(images.map(enhanceImageUrl))];
+};
+
+/**
+ * Parses a saved Amazon product page
+ * @param {string} html - Page HTML
+ * @returns {Object} Product data
+ */
+export const parseProductPage = (html) => {
+  const $ = cheerio.load(html);
+
+  const features = $('#feature-bullets li span.a-list-item')
+    .map((_, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean);
+
+  const price = $('#corePrice_feature_div .a-offscreen').first().text().trim() ||
+                $('.a-price .a-offscreen').first().text().trim() ||
+                null;
+
+  const reviewCount = parseNumber($('#acrCustomerReviewText').first().text());
+
+  return {
+    title: $('#productTitle').text().trim(),
+    price,
+    rating: parseNumber($('#acrPopover').attr('title') || $('#acrPopover').text()),
+    reviewCount: reviewCount !== null ? String(reviewCount) : null,
+    features,
+    description: $('#productDescription').text().trim() || features.join(' '),
+    images: extractPageImages($, html)
+  };
+};
+
+/**
+ * Reads a fixture file if it exists
+ * @param {string} filePath - Fixture path
+ * @returns {Promise<string|null>} File content or null when missing
+ */
+const readFixture = async (filePath) => {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Gets the fixture directory
+ * @param {Object} options - Source options
+ * @returns {string} Fixture directory
+ */
+const getFixtureDir = (options) => options.fixtureDir || process.env.PRODUCT_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+/**
+ * Loads product data from a local fixture
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {string} [options.fixtureDir] - Fixture directory (default: PRODUCT_FIXTURE_DIR or ./fixtures/products)
+ * @returns {Promise<Object>} Product data
+ * @throws {Error} When no fixture exists for the ASIN
+ */
+export const fetchProduct = async (asin, options = {}) => {
+  const fixtureDir = getFixtureDir(options);
+  const jsonPath = path.join(fixtureDir, `${asin}.json`);
+  const htmlPath = path.join(fixtureDir, `${asin}.html`);
+
+  let productData;
+
+  const json = await readFixture(jsonPath);
+  if (json !== null) {
+    console.log(`📂 Loading product fixture: ${jsonPath}`);
+    const data = JSON.parse(json);
+    productData = data.product ? transformRainforestData(data, options.marketplace) : data;
+  } else {
+    const html = await readFixture(htmlPath);
+    if (html === null) {
+      throw new Error(`No fixture found for ASIN ${asin} (looked for ${jsonPath} and ${htmlPath})`);
+    }
+    console.log(`📂 Parsing saved product page: ${htmlPath}`);
+    productData = parseProductPage(html);
+  }
+
+  return {
+    ...productData,
+    images: (productData.images || []).map(image => resolveImage(image, fixtureDir))
+  };
+};
+
+/**
+ * Loads customer reviews and questions from local fixtures
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {string} [options.fixtureDir] - Fixture directory
+ * @returns {Promise<Object>} { reviews, questions }, empty when there are no feedback fixtures
+ */
+export const fetchCustomerFeedback = async (asin, options = {}) => {
+  const fixtureDir = getFixtureDir(options);
+
+  const reviews = await readFixture(path.join(fixtureDir, `${asin}.reviews.json`));
+  const questions = await readFixture(path.join(fixtureDir, `${asin}.questions.json`));
+
+  const parse = (json, transform) => {
+    if (json === null) {
+      return [];
+    }
+    const data = JSON.parse(json);
+    return Array.isArray(data) ? data : transform(data);
+  };
+
+  return {
+    reviews: parse(reviews, transformRainforestReviews),
+    questions: parse(questions, transformRainforestQuestions)
+  };
+};
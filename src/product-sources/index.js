@@ -0,0 +1,116 @@
+import * as rainforest from './rainforest.js';
+import * as paapi from './paapi.js';
+import * as fixture from './fixture.js';
+import { normalizeProductData } from './product-data.js';
+import { resolveMarketplace } from '../utils/marketplaces.js';
+import { summarizeReviews } from '../review-summarizer.js';
+
+/**
+ * Product source registry
+ * A product source is a module exporting `name` and
+ * `fetchProduct(asin, options)`, resolving to product data in the shape
+ * { title, price, rating, reviewCount, features, description, images }.
+ * Sources that can also export `fetchCustomerFeedback(asin, options)`,
+ * resolving to { reviews, questions }. Sources receive the marketplace
+ * definition as `options.marketplace`.
+ */
+
+export const PRODUCT_SOURCES = {
+  [rainforest.name]: rainforest,
+  [paapi.name]: paapi,
+  [fixture.name]: fixture
+};
+
+export const DEFAULT_PRODUCT_SOURCE = rainforest.name;
+
+/**
+ * Resolves which product source to use
+ * @param {Object} options - Source options
+ * @param {string} [options.productSource] - Explicit source name
+ * @returns {string} Source name (option, then PRODUCT_SOURCE env, then rainforest)
+ */
+export const resolveProductSourceName = (options = {}) => {
+  return (options.productSource || process.env.PRODUCT_SOURCE || DEFAULT_PRODUCT_SOURCE).toLowerCase();
+};
+
+/**
+ * Gets a product source by name
+ * @param {string} sourceName - Source name
+ * @returns {Object} Product source module
+ * @throws {Error} When the source is unknown
+ */
+export const getProductSource = (sourceName) => {
+  const source = PRODUCT_SOURCES[sourceName];
+  if (!source) {
+    throw new Error(`Unknown product source: ${sourceName}. Available sources: ${Object.keys(PRODUCT_SOURCES).join(', ')}`);
+  }
+  return source;
+};
+
+/**
+ * Fetches customer reviews and questions and summarizes them
+ * Feedback only enriches the scripts, so a failure is logged and skipped.
+ * @param {Object} source - Product source module
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {string} productTitle - Product title
+ * @returns {Promise<Object|null>} Review insights, or null when there is no feedback
+ */
+const fetchReviewInsights = async (source, asin, options, productTitle) => {
+  if (typeof source.fetchCustomerFeedback !== 'function') {
+    return null;
+  }
+
+  try {
+    const feedback = await source.fetchCustomerFeedback(asin, options);
+    if (!feedback?.reviews?.length && !feedback?.questions?.length) {
+      return null;
+    }
+
+    const insights = summarizeReviews(feedback, { productTitle });
+    console.log(`💬 Analyzed ${insights.reviewsAnalyzed} reviews: ${insights.pros.length} pros, ${insights.cons.length} cons, ${insights.questions.length} questions`);
+    return insights;
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch customer reviews: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Fetches product data for an ASIN from the configured source
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {string} [options.productSource] - Source name (rainforest, paapi, fixture)
+ * @param {string} [options.fixtureDir] - Fixture directory for the fixture source
+ * @param {string} [options.marketplace] - Marketplace code (default: AMAZON_MARKETPLACE env or US)
+ * @param {boolean} [options.includeReviews] - Also fetch and summarize customer reviews (default: true)
+ * @returns {Promise<Object>} Normalized product data, tagged with its marketplace code and
+ *   review insights ({ pros, cons, questions }) when the source provides them
+ * @throws {Error} When the source or marketplace is unknown or the fetch fails
+ */
+export const fetchProductFromSource = async (asin, options = {}) => {
+  const source = getProductSource(resolveProductSourceName(options));
+  const marketplace = resolveMarketplace({ marketplace: options.marketplace });
+  const sourceOptions = { ...options, marketplace };
+
+  try {
+    const productData = {
+      ...normalizeProductData(await source.fetchProduct(asin, sourceOptions)),
+      marketplace: marketplace.code
+    };
+
+    console.log(`✅ Successfully fetched product data: ${productData.title}`);
+    console.log(`📸 Found ${productData.images.length} high-quality images`);
+
+    const reviewInsights = options.includeReviews === false
+      ? null
+      : await fetchReviewInsights(source, asin, sourceOptions, productData.title);
+    if (reviewInsights) {
+      productData.reviewInsights = reviewInsights;
+    }
+
+    return productData;
+  } catch (error) {
+    throw new Error(`Failed to fetch Amazon product data: ${error.message}`);
+  }
+};
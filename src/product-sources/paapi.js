@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { MARKETPLACES, getAffiliateTag } from '../utils/marketplaces.js';
+
+/**
+ * Amazon Product Advertising API 5.0 product source
+ * Requests are signed with AWS Signature Version 4 using your own
+ * Associates credentials, against the host and region of the marketplace.
+ */
+
+export const name = 'paapi';
+
+const SERVICE = 'ProductAdvertisingAPI';
+const GET_ITEMS_PATH = '/paapi5/getitems';
+const GET_ITEMS_TARGET = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.GetItems';
+
+/**
+ * Item resources requested from GetItems
+ */
+const GET_ITEMS_RESOURCES = [
+  'ItemInfo.Title',
+  'ItemInfo.Features',
+  'ItemInfo.ProductInfo',
+  'Images.Primary.Large',
+  'Images.Variants.Large',
+  'Offers.Listings.Price',
+  'CustomerReviews.Count',
+  'CustomerReviews.StarRating'
+];
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+
+/**
+ * Builds the headers of a PA-API request signed with AWS Signature Version 4
+ * @param {Object} params - Signing parameters
+ * @param {string} params.accessKey - PA-API access key
+ * @param {string} params.secretKey - PA-API secret key
+ * @param {string} params.host - API host (e.g. webservices.amazon.com)
+ * @param {string} params.region - AWS region of the marketplace (e.g. us-east-1)
+ * @param {string} params.path - Operation path
+ * @param {string} params.target - X-Amz-Target operation name
+ * @param {string} params.payload - JSON request body
+ * @param {Date} [params.date] - Request time (defaults to now)
+ * @returns {Object} Request headers including Authorization
+ */
+export const signPaapiRequest = ({ accessKey, secretKey, host, region, path, target, payload, date = new Date() }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = {
+    'content-encoding': 'amz-1.0',
+    'content-type': 'application/json; charset=utf-8',
+    host,
+    'x-amz-date': amzDate,
+    'x-amz-target': target
+  };
+
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(';');
+  const canonicalHeaders = headerNames.map(header => `${header}:${headers[header]}\n`).join('');
+
+  const canonicalRequest = [
+    'POST',
+    path,
+    '',
+    canonicalHeaders,
+    signedHeaders,
+    sha256Hex(payload)
+  ].join('\n');
+
+  const credentialScope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    credentialScope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretKey}`, dateStamp), region), SERVICE), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+/**
+ * Reads PA-API configuration from the environment
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {Object} PA-API configuration
+ * @throws {Error} When credentials are missing
+ */
+const getPaapiConfig = (marketplace) => {
+  const accessKey = process.env.PAAPI_ACCESS_KEY;
+  const secretKey = process.env.PAAPI_SECRET_KEY;
+
+  if (!accessKey || !secretKey) {
+    throw new Error('PAAPI_ACCESS_KEY and PAAPI_SECRET_KEY environment variables are required');
+  }
+
+  // The partner tag must belong to the marketplace being queried
+  const partnerTag = getAffiliateTag(marketplace);
+
+  if (!partnerTag) {
+    throw new Error(`An Associates tag for the ${marketplace.code} marketplace is required (set AFFILIATE_TAG_${marketplace.code})`);
+  }
+
+  return {
+    accessKey,
+    secretKey,
+    partnerTag,
+    host: marketplace.paapiHost,
+    region: marketplace.paapiRegion,
+    marketplace: `www.${marketplace.domain}`
+  };
+};
+
+/**
+ * Transforms a PA-API GetItems item to our product data format
+ * PA-API does not return long descriptions, so the feature bullets are used.
+ * @param {Object} item - GetItems item
+ * @returns {Object} Product data
+ */
+export const transformPaapiItem = (item) => {
+  const features = item.ItemInfo?.Features?.DisplayValues || [];
+  const listing = item.Offers?.Listings?.[0];
+
+  const images = [
+    item.Images?.Primary?.Large?.URL,
+    ...(item.Images?.Variants || []).map(variant => variant.Large?.URL)
+  ].filter(Boolean);
+
+  const reviewCount = item.CustomerReviews?.Count;
+
+  return {
+    title: item.ItemInfo?.Title?.DisplayValue,
+    price: listing?.Price?.DisplayAmount || null,
+    rating: item.CustomerReviews?.StarRating?.Value ?? null,
+    reviewCount: reviewCount !== undefined ? String(reviewCount) : null,
+    features,
+    description: features.join(' '),
+    images
+  };
+};
+
+/**
+ * Fetches product data from the Product Advertising API 5.0
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {Object} [options.marketplace] - Marketplace definition (default: US)
+ * @returns {Promise<Object>} Product data
+ * @throws {Error} When credentials are missing or the API returns an error
+ */
+export const fetchProduct = async (asin, { marketplace = MARKETPLACES.US } = {}) => {
+  const config = getPaapiConfig(marketplace);
+
+  const payload = JSON.stringify({
+    ItemIds: [asin],
+    ItemIdType: 'ASIN',
+    PartnerTag: config.partnerTag,
+    PartnerType: 'Associates',
+    Marketplace: config.marketplace,
+    Resources: GET_ITEMS_RESOURCES
+  });
+
+  const headers = signPaapiRequest({
+    accessKey: config.accessKey,
+    secretKey: config.secretKey,
+    host: config.host,
+    region: config.region,
+    path: GET_ITEMS_PATH,
+    target: GET_ITEMS_TARGET,
+    payload
+  });
+
+  console.log(`🛒 Fetching product data from Amazon PA-API for ASIN: ${asin} (${marketplace.domain})`);
+
+  const response = await fetch(`https://${config.host}${GET_ITEMS_PATH}`, {
+    method: 'POST',
+    headers,
+    body: payload
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.Errors?.length) {
+    const message = data.Errors?.[0]?.Message || `${response.status} ${response.statusText}`;
+    throw new Error(`PA-API request failed: ${message}`);
+  }
+
+  const item = data.ItemsResult?.Items?.[0];
+  if (!item) {
+    throw new Error(`PA-API returned no item for ASIN ${asin}`);
+  }
+
+  return transformPaapiItem(item);
+};
@@ -0,0 +1,70 @@
+/**
+ * Shared helpers for product sources
+ * Every source returns the same product data shape the pipeline was built on:
+ * { title, price, rating, reviewCount, features, description, images }
+ */
+
+/**
+ * Gets multiple quality versions of an Amazon image URL including ultra-high zoom qualities
+ * @param {string} imageUrl - The original image URL
+ * @returns {string[]} - Array of image URLs in different qualities (highest first)
+ */
+const getImageQualityVersions = imageUrl => {
+  if (!imageUrl) return [];
+
+  const baseUrl = imageUrl.replace(/\._[^.]*_\./, '.').replace(/\.[^.]+$/, '');
+  const extension = imageUrl.match(/\.[^.]+$/)?.[0] || '.jpg';
+
+  if (baseUrl.includes('amazon.com') || baseUrl.includes('ssl-images-amazon.com')) {
+    return [
+      `${baseUrl}._SL3000_.${extension}`,  // 3000px (zoom ultra-high)
+      `${baseUrl}._SL2500_.${extension}`,  // 2500px (zoom very high)
+      `${baseUrl}._SL2000_.${extension}`,  // 2000px (zoom high)
+      `${baseUrl}._SL1500_.${extension}`,  // 1500px (ultra high)
+      `${baseUrl}._SL1200_.${extension}`,  // 1200px (very high)
+      `${baseUrl}._SL1000_.${extension}`,  // 1000px (high)
+      `${baseUrl}._SL800_.${extension}`,   // 800px (good)
+      `${baseUrl}._SL600_.${extension}`,   // 600px (decent)
+      baseUrl + extension                  // Original
+    ];
+  }
+
+  return [imageUrl]; // Return original if not Amazon
+};
+
+/**
+ * Enhances Amazon image URLs to get the highest quality version
+ * @param {string} imageUrl - The original image URL
+ * @returns {string} - High-quality image URL
+ */
+export const enhanceImageUrl = imageUrl => {
+  const versions = getImageQualityVersions(imageUrl);
+  return versions[0]; // Return highest quality version
+};
+
+/**
+ * Normalizes product data returned by a source to the pipeline shape
+ * @param {Object} data - Product data from a source
+ * @returns {Object} Product data with the expected fields and limits
+ * @throws {Error} When the product has no title
+ */
+export const normalizeProductData = (data) => {
+  if (!data || typeof data.title !== 'string' || !data.title.trim()) {
+    throw new Error('Product data is missing a title');
+  }
+
+  const rating = data.rating === null || data.rating === undefined ? null : Number(data.rating);
+  const reviewCount = data.reviewCount === null || data.reviewCount === undefined
+    ? null
+    : String(data.reviewCount);
+
+  return {
+    title: data.title.trim(),
+    price: data.price || null,
+    rating: Number.isFinite(rating) ? rating : null,
+    reviewCount,
+    features: (data.features || []).slice(0, 8), // Limit to 8 features like the old scraper
+    description: (data.description || '').replace(/\s+/g, ' ').substring(0, 1000),
+    images: [...new Set(data.images || [])].slice(0, 10) // Limit to 10 images like the old scraper
+  };
+};
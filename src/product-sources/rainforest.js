@@ -0,0 +1,210 @@
+import { enhanceImageUrl } from './product-data.js';
+import { MARKETPLACES } from '../utils/marketplaces.js';
+
+/**
+ * Rainforest API product source
+ */
+
+export const name = 'rainforest';
+
+/**
+ * Validates Rainforest API response structure
+ * @param {Object} response - The API response to validate
+ * @throws {Error} When response is invalid or missing required data
+ */
+export const validateRainforestResponse = (response) => {
+  if (!response || typeof response !== 'object') {
+    throw new Error('Invalid Rainforest API response: response is not an object');
+  }
+
+  if (!response.product) {
+    throw new Error('Invalid Rainforest API response: missing product data');
+  }
+
+  if (!response.product.title) {
+    throw new Error('Invalid Rainforest API response: missing required product title');
+  }
+};
+
+/**
+ * Extracts and enhances image URLs from Rainforest API product data
+ * @param {Object} product - Product data from Rainforest API
+ * @returns {string[]} Array of enhanced image URLs
+ */
+const extractAndEnhanceImages = (product) => {
+  const imageUrls = new Set();
+
+  // Add main image
+  if (product.main_image?.link) {
+    imageUrls.add(product.main_image.link);
+  }
+
+  // Add additional images
+  if (product.images && Array.isArray(product.images)) {
+    product.images.forEach(img => {
+      if (img.link) {
+        imageUrls.add(img.link);
+      }
+    });
+  }
+
+  // Convert to array and enhance quality
+  return Array.from(imageUrls).map(enhanceImageUrl);
+};
+
+/**
+ * Extracts price information from Rainforest API product data
+ * @param {Object} product - Product data from Rainforest API
+ * @param {string} currencySymbol - Currency symbol of the marketplace
+ * @returns {string|null} Formatted price string or null
+ */
+const extractPrice = (product, currencySymbol = '$') => {
+  // Try different price sources
+  const priceData = product.buybox_winner?.price ||
+                   product.price ||
+                   product.list_price;
+
+  if (priceData) {
+    if (priceData.symbol && priceData.value) {
+      return `${priceData.symbol}${priceData.value}`;
+    }
+    if (priceData.raw) {
+      return typeof priceData.raw === 'number' ? `${currencySymbol}${priceData.raw}` : priceData.raw;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Extracts description from Rainforest API product data
+ * @param {Object} product - Product data from Rainforest API
+ * @returns {string} Product description
+ */
+const extractDescription = (product) => {
+  // Try different description sources
+  return product.description ||
+         product.a_plus_content?.body ||
+         product.feature_bullets?.join(' ') ||
+         '';
+};
+
+/**
+ * Transforms Rainforest API response to match our expected product data format
+ * @param {Object} rainforestData - Raw Rainforest API response
+ * @param {Object} [marketplace] - Marketplace the product was fetched from
+ * @returns {Object} Transformed product data
+ */
+export const transformRainforestData = (rainforestData, marketplace = MARKETPLACES.US) => {
+  const { product } = rainforestData;
+
+  return {
+    title: product.title,
+    price: extractPrice(product, marketplace.currencySymbol),
+    rating: product.rating || null,
+    reviewCount: product.ratings_total ? product.ratings_total.toString() : null,
+    features: product.feature_bullets || [],
+    description: extractDescription(product),
+    images: extractAndEnhanceImages(product)
+  };
+};
+
+/**
+ * Sends a request to the Rainforest API for a marketplace
+ * @param {Object} params - Request parameters (type, asin, ...)
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} When API key is missing or the API request fails
+ */
+const requestRainforest = async (params, marketplace) => {
+  const apiKey = process.env.RAINFOREST_API_KEY;
+
+  if (!apiKey || apiKey === 'your-rainforest-api-key') {
+    throw new Error('RAINFOREST_API_KEY environment variable is required');
+  }
+
+  const apiUrl = new URL('https://api.rainforestapi.com/request');
+  apiUrl.searchParams.set('api_key', apiKey);
+  apiUrl.searchParams.set('amazon_domain', marketplace.domain);
+  apiUrl.searchParams.set('language', marketplace.language);
+  for (const [key, value] of Object.entries(params)) {
+    apiUrl.searchParams.set(key, value);
+  }
+
+  const response = await fetch(apiUrl.toString());
+
+  if (!response.ok) {
+    throw new Error(`Rainforest API request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetches product data from the Rainforest API
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {Object} [options.marketplace] - Marketplace definition (default: US)
+ * @returns {Promise<Object>} Product data
+ * @throws {Error} When API key is missing or the API request fails
+ */
+export const fetchProduct = async (asin, { marketplace = MARKETPLACES.US } = {}) => {
+  console.log(`🌧️ Fetching product data from Rainforest API for ASIN: ${asin} (${marketplace.domain})`);
+
+  const data = await requestRainforest({ type: 'product', asin, include_a_plus_body: 'true' }, marketplace);
+
+  // Validate the response structure
+  validateRainforestResponse(data);
+
+  return transformRainforestData(data, marketplace);
+};
+
+/**
+ * Transforms Rainforest reviews to { rating, title, body }
+ * @param {Object} data - Rainforest reviews response
+ * @returns {Object[]} Reviews
+ */
+export const transformRainforestReviews = (data) => {
+  return (data?.reviews || []).map(review => ({
+    rating: review.rating ?? null,
+    title: review.title || '',
+    body: review.body || ''
+  }));
+};
+
+/**
+ * Transforms Rainforest questions to { question, answer, votes }
+ * @param {Object} data - Rainforest questions response
+ * @returns {Object[]} Questions
+ */
+export const transformRainforestQuestions = (data) => {
+  return (data?.questions || []).map(item => ({
+    question: item.question || '',
+    answer: item.answer || item.answers?.[0]?.answer || null,
+    votes: item.votes || 0
+  }));
+};
+
+/**
+ * Fetches the most helpful positive and critical reviews and the customer questions
+ * @param {string} asin - Product ASIN
+ * @param {Object} options - Source options
+ * @param {Object} [options.marketplace] - Marketplace definition (default: US)
+ * @returns {Promise<Object>} { reviews, questions }
+ * @throws {Error} When API key is missing or an API request fails
+ */
+export const fetchCustomerFeedback = async (asin, { marketplace = MARKETPLACES.US } = {}) => {
+  console.log(`💬 Fetching customer reviews and questions from Rainforest API for ASIN: ${asin}`);
+
+  const reviewParams = { type: 'reviews', asin, sort_by: 'most_helpful' };
+  const [positive, critical, questions] = await Promise.all([
+    requestRainforest({ ...reviewParams, review_stars: 'all_positive' }, marketplace),
+    requestRainforest({ ...reviewParams, review_stars: 'all_critical' }, marketplace),
+    requestRainforest({ type: 'questions', asin }, marketplace)
+  ]);
+
+  return {
+    reviews: [...transformRainforestReviews(positive), ...transformRainforestReviews(critical)],
+    questions: transformRainforestQuestions(questions)
+  };
+};
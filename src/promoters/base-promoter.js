@@ -1,5 +1,7 @@
 import puppeteer from 'puppeteer';
 import winston from 'winston';
+import { enforceCompliance, reportCompliance } from '../compliance.js';
+import { createRandom, pickRandom, randomInt } from '../utils/random.js';
 
 /**
  * Base class for all social media promoters
@@ -18,6 +20,8 @@ export class BasePromoter {
     this.browser = null;
     this.page = null;
     this.isLoggedIn = false;
+    this.complianceViolations = [];
+    this.randomStreams = {};
     
     // Initialize logger
     this.logger = winston.createLogger({
@@ -169,11 +173,24 @@ export class BasePromoter {
     }
   }
 
+  /**
+   * Gets the random number generator of one kind of choice
+   * With config.seed, the promoter makes the same choices on every run.
+   * @param {string} stream - Name of the kind of choice (e.g. prefix, delay)
+   * @returns {Function} Function returning numbers in [0, 1)
+   */
+  getRandom(stream) {
+    if (!this.randomStreams[stream]) {
+      this.randomStreams[stream] = createRandom(this.config.seed, `${this.name || 'promoter'}:${stream}`);
+    }
+    return this.randomStreams[stream];
+  }
+
   /**
    * Random delay to simulate human behavior
    */
   async randomDelay(min = 1000, max = 3000) {
-    const delay = Math.floor(Math.random() * (max - min + 1)) + min;
+    const delay = randomInt(min, max, this.getRandom('delay'));
     await new Promise(resolve => setTimeout(resolve, delay));
   }
 
@@ -227,7 +244,7 @@ export class BasePromoter {
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'
     ];
     
-    return userAgents[Math.floor(Math.random() * userAgents.length)];
+    return pickRandom(userAgents, this.getRandom('userAgent'));
   }
 
   /**
@@ -256,6 +273,33 @@ export class BasePromoter {
     return true;
   }
 
+  /**
+   * Run post copy through the compliance linter before it goes out
+   * Fixable violations are fixed; the rest are logged and collected in
+   * complianceViolations.
+   * @param {string} text - Post copy
+   * @param {Object} [options] - { type: 'post', 'reply' or 'title', maxLength }
+   * @returns {string} Compliant copy
+   */
+  checkCompliance(text, { type = 'post', maxLength = null } = {}) {
+    const result = enforceCompliance(text, { type, platform: this.name, maxLength });
+    const violations = reportCompliance(result, `${this.name} ${type}`, this.logger);
+    this.complianceViolations.push(...violations.map(violation => ({ ...violation, type })));
+    return result.text;
+  }
+
+  /**
+   * Run every post of a thread through the compliance linter
+   * The first post carries the disclosure; the replies are checked for the
+   * rules that apply to any copy, such as undated prices.
+   * @param {string[]} thread - Posts, in order
+   * @param {Object} [options] - { maxLength }
+   * @returns {string[]} Compliant posts
+   */
+  checkThreadCompliance(thread, { maxLength = null } = {}) {
+    return thread.map((post, index) => this.checkCompliance(post, { type: index === 0 ? 'post' : 'reply', maxLength }));
+  }
+
   /**
    * Extract product category from tags
    */
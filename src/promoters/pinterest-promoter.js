@@ -7,6 +7,7 @@ import puppeteer from 'puppeteer';
 import { PinterestLoginAutomation } from './pinterest-login-automation.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { enforceCompliance, reportCompliance } from '../compliance.js';
 
 export class PinterestPromoter {
   constructor(config = {}) {
@@ -20,6 +21,7 @@ export class PinterestPromoter {
     this.browser = null;
     this.page = null;
     this.loginAutomation = null;
+    this.complianceViolations = [];
   }
 
   /**
@@ -241,6 +243,16 @@ export class PinterestPromoter {
 
       // Generate Pinterest content
       const content = this.generateContent(productData);
+
+      // Run the pin copy through the compliance linter (adds #ad, dates prices)
+      const title = enforceCompliance(content.title, { type: 'title', platform: this.name, maxLength: 100 });
+      const description = enforceCompliance(content.description, { type: 'post', platform: this.name, maxLength: 500 });
+      this.complianceViolations.push(
+        ...reportCompliance(title, 'pin title').map(violation => ({ ...violation, type: 'title' })),
+        ...reportCompliance(description, 'pin description').map(violation => ({ ...violation, type: 'post' }))
+      );
+      content.title = title.text;
+      content.description = description.text;
       
       console.log('📝 Generated Pinterest content:');
       console.log(`Title: ${content.title}`);
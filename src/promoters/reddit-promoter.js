@@ -1,4 +1,5 @@
 import { BasePromoter } from './base-promoter.js';
+import { pickRandom } from '../utils/random.js';
 
 /**
  * Reddit promoter for automated posting to relevant subreddits
@@ -58,7 +59,7 @@ export class RedditPromoter extends BasePromoter {
       'Tested this for you:'
     ];
     
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
+    const prefix = pickRandom(prefixes, this.getRandom('prefix'));
     const finalTitle = `${prefix} ${title} - What do you think?`;
     
     // Ensure title is under Reddit's limit
@@ -324,8 +325,8 @@ export class RedditPromoter extends BasePromoter {
       
       const { title, tags = [] } = videoData;
       const relevantSubreddits = this.getRelevantSubreddits(tags);
-      const postTitle = this.generatePostTitle(title);
-      const postContent = this.generatePostContent(videoData);
+      const postTitle = this.checkCompliance(this.generatePostTitle(title), { type: 'title', maxLength: 300 });
+      const postContent = this.checkCompliance(this.generatePostContent(videoData));
       
       this.logger.info(`Starting Reddit promotion for: ${title}`);
       
@@ -250,7 +250,7 @@ export class SocialPosterPromoter extends BasePromoter {
       this.validateContent(videoData);
       
       // Generate platform-specific content
-      const content = this.generateContent(videoData);
+      const content = this.checkCompliance(this.generateContent(videoData), { maxLength: this.platformConfigs[this.platform].maxLength });
       this.logger.info(`Generated content (${content.length} chars): ${content.substring(0, 100)}...`);
       
       // Post content
@@ -1,4 +1,5 @@
 import { BasePromoter } from './base-promoter.js';
+import { pickRandom } from '../utils/random.js';
 
 /**
  * TikTok promoter for automated video posting and engagement
@@ -50,7 +51,7 @@ export class TikTokPromoter extends BasePromoter {
       'This is a game changer! 🔥'
     ];
     
-    const randomHook = hooks[Math.floor(Math.random() * hooks.length)];
+    const randomHook = pickRandom(hooks, this.getRandom('hook'));
     const remainingSpace = 150 - caption.length - allTags.length - 10;
     
     if (remainingSpace > randomHook.length + 5) {
@@ -288,7 +289,7 @@ export class TikTokPromoter extends BasePromoter {
       }
 
       // Generate caption
-      const caption = this.generateCaption(videoData);
+      const caption = this.checkCompliance(this.generateCaption(videoData), { maxLength: 150 });
       this.logger.info(`Generated TikTok caption: ${caption}`);
 
       let result;
@@ -1,4 +1,5 @@
 import { BasePromoter } from './base-promoter.js';
+import { pickRandom } from '../utils/random.js';
 
 /**
  * Twitter/X promoter for automated tweet posting and engagement
@@ -57,7 +58,7 @@ export class TwitterPromoter extends BasePromoter {
       '📝 Review:'
     ];
     
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
+    const prefix = pickRandom(prefixes, this.getRandom('prefix'));
     
     // Truncate title if needed
     if (cleanTitle.length > availableLength - prefix.length - 5) {
@@ -424,12 +425,12 @@ export class TwitterPromoter extends BasePromoter {
       // Decide between single tweet or thread based on content length
       if (description && description.length > 200) {
         // Create thread for longer content
-        const thread = this.generateThread(videoData);
+        const thread = this.checkThreadCompliance(this.generateThread(videoData), { maxLength: 280 });
         result = await this.postThread(thread);
         result.type = 'thread';
       } else {
         // Create single tweet
-        const tweet = this.generateTweet(videoData);
+        const tweet = this.checkCompliance(this.generateTweet(videoData), { maxLength: 280 });
         result = await this.postTweet(tweet);
         result.type = 'tweet';
       }
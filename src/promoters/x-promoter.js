@@ -230,14 +230,14 @@ export class XPromoter extends BasePromoter {
       let result;
 
       // Decide whether to post a single tweet or thread based on content length
-      const singlePost = this.generatePost(videoData);
+      const singlePost = this.checkCompliance(this.generatePost(videoData), { maxLength: 280 });
       if (singlePost.length <= 280 && videoData.description?.length < 200) {
         // Post single tweet
         result = await this.postTweet(singlePost);
         result.type = 'tweet';
       } else {
         // Post thread
-        const thread = this.generateThread(videoData);
+        const thread = this.checkThreadCompliance(this.generateThread(videoData), { maxLength: 280 });
         result = await this.postThread(thread);
         result.type = 'thread';
       }
@@ -5,6 +5,7 @@ import { XPromoter } from './promoters/x-promoter.js';
 import { TikTokPromoter } from './promoters/tiktok-promoter.js';
 import winston from 'winston';
 import fs from 'fs/promises';
+import { createRandom, randomInt } from './utils/random.js';
 
 /**
  * Main promotion manager that coordinates all social media promoters
@@ -20,6 +21,7 @@ export class PromotionManager {
     };
 
     this.promoters = [];
+    this.random = createRandom(this.config.seed, 'promotion-delay');
     this.stats = {
       totalPromotions: 0,
       successfulPromotions: 0,
@@ -52,7 +54,8 @@ export class PromotionManager {
   initializePromoters() {
     const promoterConfig = {
       headless: this.config.headless,
-      timeout: this.config.timeout
+      timeout: this.config.timeout,
+      seed: this.config.seed // Session seed: promoters make the same choices on every run
     };
 
     if (this.config.enabledPlatforms.includes('reddit')) {
@@ -198,6 +201,7 @@ export class PromotionManager {
     
     try {
       this.logger.info(`Starting promotion on ${promoter.name}`);
+      promoter.complianceViolations = [];
       
       const result = await promoter.promote(videoData);
       const duration = Date.now() - startTime;
@@ -206,6 +210,7 @@ export class PromotionManager {
       
       return {
         ...result,
+        complianceViolations: promoter.complianceViolations,
         duration,
         timestamp: new Date().toISOString()
       };
@@ -238,7 +243,7 @@ export class PromotionManager {
         
         // Wait between promotions to appear more human-like
         if (results.length < this.promoters.length) {
-          const delay = Math.floor(Math.random() * 300000) + 300000; // 5-10 minutes
+          const delay = randomInt(300000, 600000, this.random); // 5-10 minutes
           this.logger.info(`Waiting ${Math.round(delay / 1000)}s before next promotion...`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Prompt templates and channel personas
+ * The review, title, description and short script prompts are text files in a
+ * templates directory (prompts/ by default), so they can be changed without
+ * editing code. Templates fill in {{variables}} (dotted paths like
+ * {{product.title}} or {{persona.cta}}) and keep {{#name}}...{{/name}} blocks
+ * only when the value is set. A persona describes the channel the copy is
+ * written for: its name, tone, catchphrases and call-to-action wording.
+ * Every loaded set has a version ID - the version in prompts.json plus a hash
+ * of the templates and persona - that the session manifest records.
+ */
+
+export const DEFAULT_PROMPT_DIR = fileURLToPath(new URL('../prompts', import.meta.url));
+
+export const DEFAULT_PERSONA = 'default';
+
+/**
+ * Template files by prompt, relative to the templates directory
+ */
+export const PROMPT_TEMPLATES = {
+  review: 'review',
+  title: 'title',
+  titleVariants: 'title-variants',
+  description: 'description',
+  shortScript: 'short-script'
+};
+
+const TEMPLATE_PARTS = ['system', 'prompt'];
+
+/**
+ * Reads a text file of the templates directory
+ * @param {string} dir - Templates directory
+ * @param {string} file - File path relative to the directory
+ * @returns {Promise<string>} File content without trailing whitespace
+ * @throws {Error} When the file can't be read
+ */
+const readTemplateFile = async (dir, file) => {
+  try {
+    return (await fs.readFile(path.join(dir, file), 'utf8')).trimEnd();
+  } catch (error) {
+    throw new Error(`Failed to load prompt template ${file} from ${dir}: ${error.message}`);
+  }
+};
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File path
+ * @param {string} label - What the file is, for the error message
+ * @returns {Promise<Object>} Parsed content
+ * @throws {Error} When the file can't be read or parsed
+ */
+const readJsonFile = async (filePath, label) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load ${label} from ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Loads a persona
+ * A persona is the name of a file in <dir>/personas/ or the path of a JSON
+ * file; its fields override the default persona's, so an empty string or list
+ * turns a field off.
+ * @param {string} dir - Templates directory
+ * @param {string|Object} persona - Persona name, JSON file path or persona object
+ * @returns {Promise<Object>} Persona with its id
+ * @throws {Error} When the persona can't be loaded
+ */
+export const loadPersona = async (dir, persona = DEFAULT_PERSONA) => {
+  const defaults = await readJsonFile(path.join(dir, 'personas', `${DEFAULT_PERSONA}.json`), 'the default persona');
+
+  if (persona && typeof persona === 'object') {
+    return { ...defaults, ...persona, id: persona.id || 'custom' };
+  }
+
+  const isFile = persona.endsWith('.json') || persona.includes('/') || persona.includes(path.sep);
+  const id = path.basename(persona, '.json');
+  const filePath = isFile ? persona : path.join(dir, 'personas', `${persona}.json`);
+  const overrides = id === DEFAULT_PERSONA && !isFile ? {} : await readJsonFile(filePath, `persona ${id}`);
+
+  return { ...defaults, ...overrides, id };
+};
+
+/**
+ * Loads the prompt templates and persona
+ * @param {Object} options - Loading options
+ * @param {string} [options.dir] - Templates directory (default: PROMPT_DIR env or prompts/)
+ * @param {string|Object} [options.persona] - Persona name, JSON file path or persona object
+ *   (default: PROMPT_PERSONA env or default)
+ * @returns {Promise<Object>} { dir, version, persona, templates, styles } where templates are
+ *   { system, prompt } by prompt and styles the review style rules by name
+ * @throws {Error} When a template or the persona can't be loaded
+ */
+export const loadPromptTemplates = async (options = {}) => {
+  const dir = path.resolve(options.dir || process.env.PROMPT_DIR || DEFAULT_PROMPT_DIR);
+  const persona = await loadPersona(dir, options.persona || process.env.PROMPT_PERSONA || DEFAULT_PERSONA);
+  const { version = '0' } = await readJsonFile(path.join(dir, 'prompts.json'), 'prompt settings');
+
+  const files = {};
+  for (const templateDir of Object.values(PROMPT_TEMPLATES)) {
+    for (const part of TEMPLATE_PARTS) {
+      const file = `${templateDir}/${part}.txt`;
+      files[file] = await readTemplateFile(dir, file);
+    }
+  }
+
+  let styleFiles;
+  try {
+    styleFiles = (await fs.readdir(path.join(dir, 'review', 'styles'))).filter(file => file.endsWith('.txt')).sort();
+  } catch (error) {
+    throw new Error(`Failed to load review styles from ${dir}: ${error.message}`);
+  }
+  for (const file of styleFiles) {
+    files[`review/styles/${file}`] = await readTemplateFile(dir, `review/styles/${file}`);
+  }
+
+  // The hash changes with any template or persona edit, even without a version bump
+  const hash = crypto.createHash('sha256');
+  for (const file of Object.keys(files).sort()) {
+    hash.update(file);
+    hash.update(files[file]);
+  }
+  hash.update(JSON.stringify(persona));
+
+  const templates = Object.fromEntries(Object.entries(PROMPT_TEMPLATES).map(([name, templateDir]) => [
+    name,
+    Object.fromEntries(TEMPLATE_PARTS.map(part => [part, files[`${templateDir}/${part}.txt`]]))
+  ]));
+  const styles = Object.fromEntries(styleFiles.map(file => [path.basename(file, '.txt'), files[`review/styles/${file}`]]));
+
+  return {
+    dir,
+    version: `${version}-${hash.digest('hex').slice(0, 8)}`,
+    persona,
+    templates,
+    styles
+  };
+};
+
+/**
+ * Looks up a dotted variable path
+ * @param {Object} variables - Template variables
+ * @param {string} name - Variable path (e.g. product.title)
+ * @returns {*} Value, or undefined when a part of the path is missing
+ */
+const lookupVariable = (variables, name) => name.split('.').reduce((value, key) => value?.[key], variables);
+
+/**
+ * Checks whether a block variable is set
+ * @param {*} value - Variable value
+ * @returns {boolean} False for missing, empty and false values and empty lists
+ */
+const isSet = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Renders a template
+ * Blocks whose tags stand on their own lines drop those lines, so an unset
+ * block leaves no empty line behind. Lists are quoted and joined with commas.
+ * @param {string} template - Template text
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered text
+ * @throws {Error} When a {{variable}} is not defined
+ */
+export const renderTemplate = (template, variables = {}) => {
+  const renderBlock = (name, content) => (isSet(lookupVariable(variables, name)) ? renderTemplate(content, variables) : '');
+
+  return String(template)
+    .replace(/(^|\n)[ \t]*\{\{#([\w.]+)\}\}[ \t]*\n([\s\S]*?)\n[ \t]*\{\{\/\2\}\}[ \t]*(?=\n|$)/g, (match, start, name, content) => {
+      const rendered = renderBlock(name, content);
+      return rendered ? `${start}${rendered}` : '';
+    })
+    .replace(/\{\{#([\w.]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, content) => renderBlock(name, content))
+    .replace(/\{\{([\w.]+)\}\}/g, (match, name) => {
+      const value = lookupVariable(variables, name);
+      if (value === undefined) {
+        throw new Error(`Unknown prompt variable: {{${name}}}`);
+      }
+      return Array.isArray(value) ? value.map(item => `"${item}"`).join(', ') : String(value ?? '');
+    });
+};
+
+/**
+ * Renders the system and user prompt of a generator
+ * The persona is available to every template as {{persona.*}}.
+ * @param {Object} prompts - Loaded templates (from loadPromptTemplates)
+ * @param {string} name - Prompt name: review, title, titleVariants, description or shortScript
+ * @param {Object} variables - Template variables
+ * @returns {Object} { system, prompt }
+ * @throws {Error} When the prompt is unknown or a variable is not defined
+ */
+export const renderPrompt = (prompts, name, variables = {}) => {
+  const template = prompts.templates[name];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}. Available templates: ${Object.keys(prompts.templates).join(', ')}`);
+  }
+
+  const context = { ...variables, persona: prompts.persona };
+  return {
+    system: renderTemplate(template.system, context),
+    prompt: renderTemplate(template.prompt, context)
+  };
+};
@@ -0,0 +1,211 @@
+/**
+ * Review summarizer for grounding scripts in real customer feedback
+ * Finds the topics that recur across positive and critical reviews, with a
+ * short customer quote for each, and picks the most asked customer questions.
+ * Runs locally, so it adds no API calls or cost to a video.
+ */
+
+/**
+ * Words that never make a useful topic on their own
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'don', 'down', 'even', 'ever', 'every', 'for', 'from', 'get', 'gets', 'got', 'had', 'has', 'have',
+  'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'isn', 'it',
+  'its', 'just', 'like', 'made', 'make', 'makes', 'me', 'more', 'most', 'much', 'my', 'no', 'not',
+  'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own',
+  'really', 'so', 'some', 'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'up', 'us', 'use', 'used', 'using',
+  'very', 'was', 'wasn', 'way', 'we', 'well', 'were', 'what', 'when', 'which', 'while', 'who',
+  'will', 'with', 'would', 'you', 'your', 've', 'll', 're', 'didn', 'doesn', 'won', 'couldn',
+  'wouldn', 'ordered', 'bought', 'buy', 'purchase', 'purchased', 'product', 'item', 'amazon',
+  'review', 'star', 'stars', 'good', 'great', 'bad', 'love', 'loved', 'nice', 'works', 'work',
+  'worked', 'thing', 'things', 'time', 'first', 'day', 'days', 'recommend', 'highly'
+]);
+
+const DEFAULT_MAX_ITEMS = 5;
+const MIN_MENTIONS = 2;
+const MAX_QUOTE_LENGTH = 160;
+const MAX_ANSWER_LENGTH = 200;
+
+/**
+ * Splits review text into sentences
+ * @param {string} text - Review text
+ * @returns {string[]} Sentences
+ */
+const splitSentences = (text) => {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 3);
+};
+
+/**
+ * Extracts candidate topics (words and two-word phrases) from a sentence
+ * @param {string} sentence - Sentence
+ * @param {Set<string>} ignored - Words to ignore (e.g. words of the product title)
+ * @returns {string[]} Topics
+ */
+const extractTopics = (sentence, ignored) => {
+  const words = sentence.toLowerCase().match(/[a-z][a-z'-]+/g) || [];
+  const isTopicWord = (word) => word.length > 2 && !STOP_WORDS.has(word) && !ignored.has(word);
+
+  const topics = words.filter(isTopicWord);
+  for (let i = 0; i < words.length - 1; i++) {
+    if (isTopicWord(words[i]) && isTopicWord(words[i + 1])) {
+      topics.push(`${words[i]} ${words[i + 1]}`);
+    }
+  }
+
+  return topics;
+};
+
+/**
+ * Shortens a quote at a word boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Shortened text
+ */
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  return `${text.substring(0, text.lastIndexOf(' ', maxLength))}...`;
+};
+
+/**
+ * Finds the topics mentioned by several reviews
+ * @param {Object[]} reviews - Reviews with title and body
+ * @param {Set<string>} ignored - Words to ignore
+ * @param {number} maxItems - Maximum topics to return
+ * @returns {Object[]} Topics as { topic, mentions, quote }, most mentioned first
+ */
+const findRecurringTopics = (reviews, ignored, maxItems) => {
+  const topics = new Map();
+
+  reviews.forEach((review, reviewIndex) => {
+    const sentences = splitSentences(`${review.title ? `${review.title}. ` : ''}${review.body || ''}`);
+
+    sentences.forEach(sentence => {
+      new Set(extractTopics(sentence, ignored)).forEach(topic => {
+        const entry = topics.get(topic) || { topic, reviews: new Set(), sentences: [] };
+        entry.reviews.add(reviewIndex);
+        entry.sentences.push(sentence);
+        topics.set(topic, entry);
+      });
+    });
+  });
+
+  const recurring = [...topics.values()]
+    .filter(entry => entry.reviews.size >= MIN_MENTIONS)
+    // Two-word phrases are more specific, so they win ties with single words
+    .sort((a, b) => b.reviews.size - a.reviews.size || b.topic.split(' ').length - a.topic.split(' ').length);
+
+  const selected = [];
+  const usedQuotes = new Set();
+
+  for (const entry of recurring) {
+    if (selected.length >= maxItems) {
+      break;
+    }
+
+    // Skip single words already covered by a selected phrase
+    if (selected.some(item => item.topic.split(' ').includes(entry.topic))) {
+      continue;
+    }
+
+    const quote = [...entry.sentences]
+      .sort((a, b) => a.length - b.length)
+      .find(sentence => !usedQuotes.has(sentence));
+
+    if (!quote) {
+      continue;
+    }
+
+    usedQuotes.add(quote);
+    selected.push({ topic: entry.topic, mentions: entry.reviews.size, quote: truncate(quote, MAX_QUOTE_LENGTH) });
+  }
+
+  return selected;
+};
+
+/**
+ * Summarizes customer reviews and questions into pros, cons and common questions
+ * @param {Object} feedback - Customer feedback
+ * @param {Object[]} [feedback.reviews] - Reviews as { rating, title, body }
+ * @param {Object[]} [feedback.questions] - Questions as { question, answer, votes }
+ * @param {Object} options - Summary options
+ * @param {string} [options.productTitle] - Product title (its words are not reported as topics)
+ * @param {number} [options.maxItems] - Maximum pros, cons and questions (default: 5)
+ * @returns {Object} { pros, cons, questions, reviewsAnalyzed }
+ */
+export const summarizeReviews = ({ reviews = [], questions = [] } = {}, options = {}) => {
+  const { productTitle = '', maxItems = DEFAULT_MAX_ITEMS } = options;
+  const ignored = new Set(productTitle.toLowerCase().match(/[a-z][a-z'-]+/g) || []);
+
+  const positive = reviews.filter(review => Number(review.rating) >= 4);
+  const critical = reviews.filter(review => Number(review.rating) <= 3);
+
+  const topQuestions = questions
+    .filter(item => item.question)
+    .sort((a, b) => (b.votes || 0) - (a.votes || 0))
+    .slice(0, maxItems)
+    .map(item => ({
+      question: item.question.trim(),
+      answer: item.answer ? truncate(item.answer.replace(/\s+/g, ' ').trim(), MAX_ANSWER_LENGTH) : null
+    }));
+
+  return {
+    pros: findRecurringTopics(positive, ignored, maxItems),
+    cons: findRecurringTopics(critical, ignored, maxItems),
+    questions: topQuestions,
+    reviewsAnalyzed: reviews.length
+  };
+};
+
+/**
+ * Checks whether a review summary has anything worth putting in a prompt
+ * @param {Object} insights - Summary from summarizeReviews
+ * @returns {boolean} True when there are pros, cons or questions
+ */
+export const hasReviewInsights = (insights) => {
+  return Boolean(insights) && (insights.pros.length > 0 || insights.cons.length > 0 || insights.questions.length > 0);
+};
+
+/**
+ * Formats a review summary as a prompt section
+ * @param {Object} insights - Summary from summarizeReviews
+ * @param {Object} options - Format options
+ * @param {number} [options.maxItems] - Maximum entries per list
+ * @returns {string} Prompt section, or an empty string without insights
+ */
+export const formatReviewInsights = (insights, { maxItems = DEFAULT_MAX_ITEMS } = {}) => {
+  if (!hasReviewInsights(insights)) {
+    return '';
+  }
+
+  const formatTopics = (topics) => topics.length > 0
+    ? topics.slice(0, maxItems).map(item => `- ${item.topic} (${item.mentions} reviews): "${item.quote}"`).join('\n')
+    : '- None recurring';
+
+  const sections = [
+    `REAL CUSTOMER FEEDBACK (from ${insights.reviewsAnalyzed} reviews):`,
+    'Recurring pros:',
+    formatTopics(insights.pros),
+    'Recurring cons:',
+    formatTopics(insights.cons)
+  ];
+
+  if (insights.questions.length > 0) {
+    sections.push(
+      'Common customer questions:',
+      insights.questions.slice(0, maxItems)
+        .map(item => `- Q: ${item.question}${item.answer ? ` A: ${item.answer}` : ''}`)
+        .join('\n')
+    );
+  }
+
+  return sections.join('\n');
+};
@@ -0,0 +1,112 @@
+import { timeScriptSections } from './chapters.js';
+import { createDrawtextFilter } from './themes.js';
+import { roundTime } from './utils/audio-utils.js';
+
+/**
+ * Scene timelines
+ * A structured review script is a list of scenes, each naming the feature it
+ * covers, the product photo to show and an on-screen callout. Timed against
+ * the voiceover's words, the scenes become the slideshow's timeline: every
+ * photo stays on screen exactly while its scene is narrated.
+ */
+
+/**
+ * Kinds of product photo a scene can ask for when it doesn't pick one
+ * hero: the whole product, detail: a close-up of a feature, lifestyle: the product in use
+ */
+export const SCENE_IMAGE_TYPES = ['hero', 'detail', 'lifestyle'];
+
+/**
+ * Picks the photo of every scene
+ * A valid image index wins. Otherwise hero scenes show the main photo (the
+ * first one) and other scenes take the next photo no scene has claimed,
+ * cycling through the rest once every photo is in use.
+ * @param {Object[]} scenes - Scenes as { image, imageType }, image being a 0-based index or null
+ * @param {number} imageCount - Number of available photos
+ * @returns {number[]} Photo index of every scene
+ */
+export const assignSceneImages = (scenes, imageCount) => {
+  const isValid = (image) => Number.isInteger(image) && image >= 0 && image < imageCount;
+  const used = new Set(scenes.map(scene => scene.image).filter(isValid));
+  let cycle = 0;
+
+  const takeImage = () => {
+    for (let image = 1; image < imageCount; image++) {
+      if (!used.has(image)) {
+        used.add(image);
+        return image;
+      }
+    }
+    return imageCount > 1 ? 1 + (cycle++ % (imageCount - 1)) : 0;
+  };
+
+  return scenes.map(scene => {
+    if (isValid(scene.image)) {
+      return scene.image;
+    }
+    return scene.imageType === 'hero' ? 0 : takeImage();
+  });
+};
+
+/**
+ * Builds the slideshow timeline of a scene script
+ * The first scene starts with the voiceover and every scene runs until the
+ * next one is spoken.
+ * @param {Object[]} scenes - Scenes as { narration, feature, image, imageType, callout }
+ * @param {Object[]} words - Voiceover words as { word, start, end }
+ * @param {number} imageCount - Number of available photos
+ * @returns {Object[]} Timeline as { image, start, callout } in voiceover time, or an empty list without timings
+ */
+export const buildSceneTimeline = (scenes, words, imageCount) => {
+  if (!scenes?.length || imageCount < 1) {
+    return [];
+  }
+
+  const timed = timeScriptSections(scenes.map(scene => ({ title: scene.feature, text: scene.narration })), words);
+  if (timed.length === 0) {
+    return [];
+  }
+
+  const images = assignSceneImages(scenes, imageCount);
+  return timed.map((section, index) => ({
+    image: images[index],
+    start: index === 0 ? 0 : roundTime(section.start),
+    callout: scenes[index].callout || ''
+  }));
+};
+
+/**
+ * Gets how long each timeline entry stays on screen
+ * @param {Object[]} timeline - Timeline as { start }
+ * @param {number} duration - Voiceover duration in seconds
+ * @returns {number[]} Duration of every entry; they add up to the voiceover duration
+ */
+export const getSceneDurations = (timeline, duration) => timeline.map((scene, index) => {
+  const end = index < timeline.length - 1 ? timeline[index + 1].start : duration;
+  return roundTime(Math.max(0, end - scene.start));
+});
+
+/**
+ * Callout style of renders without a theme
+ */
+export const DEFAULT_CALLOUT_STYLE = {
+  font: null,
+  color: 'white',
+  size: 0.05,
+  box: 'black',
+  boxOpacity: 0.6,
+  align: 'center',
+  y: 0.08
+};
+
+/**
+ * Creates the FFmpeg drawtext filter of a scene callout
+ * The callout sits near the top of the frame, clear of the captions, unless
+ * the theme's callout style places it elsewhere.
+ * @param {string} callout - Callout text
+ * @param {string} resolution - Video resolution as WIDTHxHEIGHT
+ * @param {Object} [style] - Text style from getThemeTextStyle (default: DEFAULT_CALLOUT_STYLE)
+ * @returns {string|null} Filter, or null without callout text
+ */
+export const createCalloutFilter = (callout, resolution, style = DEFAULT_CALLOUT_STYLE) =>
+  createDrawtextFilter(callout, style, { resolution });
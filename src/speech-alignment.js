@@ -0,0 +1,357 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { roundTime } from './utils/audio-utils.js';
+
+/**
+ * Speech alignment for voiceover tracks
+ * Turns provider character timestamps into word and sentence timings, and
+ * estimates them from the audio (pauses found with FFmpeg plus word length)
+ * when the provider has none. Captions, chapters and slide changes build on
+ * these timings.
+ */
+
+/**
+ * Largest distance (seconds) between an estimated sentence boundary and a detected pause it snaps to
+ */
+const SNAP_TOLERANCE = 1.2;
+
+/**
+ * Relative pause after a word, by its trailing punctuation
+ */
+const SENTENCE_PAUSE = 4;
+const CLAUSE_PAUSE = 2;
+const ELLIPSIS_PAUSE = 3;
+
+/**
+ * Cleans a spoken token for display, dropping emphasis markers and stray ellipses
+ * @param {string} token - Token from the speech text
+ * @returns {string} Word, or an empty string for tokens that aren't words
+ */
+const cleanWord = (token) => {
+  const word = token.replace(/\*/g, '').replace(/^\.{2,}|\.{3,}$/g, '');
+  return /[\p{L}\p{N}]/u.test(word) ? word : '';
+};
+
+/**
+ * Checks whether a word ends a sentence
+ * @param {string} word - Word
+ * @returns {boolean} True after ., ! or ?
+ */
+const endsSentence = (word) => /[.!?]["')\]]*$/.test(word);
+
+/**
+ * Converts provider character timestamps to word timings
+ * @param {Object} alignment - { characters, starts, ends } with times in seconds
+ * @param {number} offset - Start of the aligned audio in the track
+ * @returns {Object[]} Words as { word, start, end }
+ */
+export const alignmentToWords = (alignment, offset = 0) => {
+  const { characters = [], starts = [], ends = [] } = alignment || {};
+  const words = [];
+  let token = '';
+  let tokenStart = null;
+  let tokenEnd = null;
+
+  const flush = () => {
+    const word = cleanWord(token);
+    if (word) {
+      words.push({ word, start: roundTime(offset + tokenStart), end: roundTime(offset + tokenEnd) });
+    }
+    token = '';
+    tokenStart = null;
+  };
+
+  characters.forEach((character, index) => {
+    if (/\s/.test(character)) {
+      flush();
+      return;
+    }
+    if (tokenStart === null) {
+      tokenStart = starts[index];
+    }
+    token += character;
+    tokenEnd = ends[index];
+  });
+  flush();
+
+  return words;
+};
+
+/**
+ * Splits speech text into words with relative speaking and pause weights
+ * @param {string} text - Speech text
+ * @returns {Object[]} Words as { text, weight, pause }
+ */
+const weighWords = (text) => {
+  const words = [];
+
+  for (const token of text.split(/\s+/)) {
+    const word = cleanWord(token);
+    if (!word) {
+      // Ellipses inserted for natural pauses lengthen the pause before them
+      if (words.length > 0 && token.includes('...')) {
+        words[words.length - 1].pause += ELLIPSIS_PAUSE;
+      }
+      continue;
+    }
+
+    let pause = 0;
+    if (endsSentence(word)) {
+      pause = SENTENCE_PAUSE;
+    } else if (/[,;:]$/.test(word)) {
+      pause = CLAUSE_PAUSE;
+    }
+
+    words.push({ text: word, weight: word.replace(/[^\p{L}\p{N}]/gu, '').length + 1, pause });
+  }
+
+  return words;
+};
+
+/**
+ * Estimates word timings for speech of a known duration
+ * Sentences get time in proportion to their length, their boundaries snap to
+ * nearby pauses detected in the audio, and words share their sentence's time
+ * by length with extra time after punctuation.
+ * @param {string} text - Speech text
+ * @param {number} duration - Audio duration in seconds
+ * @param {Object} options - Estimation options
+ * @param {number} [options.offset] - Start of the audio in the track
+ * @param {Object[]} [options.silences] - Pauses as { start, end }, relative to the audio start
+ * @returns {Object[]} Words as { word, start, end }
+ */
+export const estimateWordTimings = (text, duration, { offset = 0, silences = [] } = {}) => {
+  const words = weighWords(text || '');
+  if (words.length === 0 || !(duration > 0)) {
+    return [];
+  }
+
+  const sentences = [];
+  let current = [];
+  words.forEach((word, index) => {
+    current.push(word);
+    if (endsSentence(word.text) || index === words.length - 1) {
+      sentences.push(current);
+      current = [];
+    }
+  });
+
+  const weightOf = (sentence) => sentence.reduce((total, word) => total + word.weight + word.pause, 0);
+  const totalWeight = sentences.reduce((total, sentence) => total + weightOf(sentence), 0);
+
+  let cursor = 0;
+  const spans = sentences.map(sentence => {
+    const start = cursor;
+    cursor += (weightOf(sentence) / totalWeight) * duration;
+    return { start, end: cursor };
+  });
+
+  // Snap the boundaries between sentences to the nearest unused pause
+  let lastSilence = -1;
+  for (let i = 0; i < spans.length - 1; i++) {
+    const boundary = spans[i].end;
+    let best = -1;
+
+    silences.forEach((silence, index) => {
+      const middle = (silence.start + silence.end) / 2;
+      const fits = index > lastSilence &&
+        silence.start > spans[i].start &&
+        silence.end < spans[i + 1].end &&
+        Math.abs(middle - boundary) <= SNAP_TOLERANCE;
+      if (fits && (best === -1 || Math.abs(middle - boundary) < Math.abs((silences[best].start + silences[best].end) / 2 - boundary))) {
+        best = index;
+      }
+    });
+
+    if (best !== -1) {
+      // The detected pause replaces the estimated pause after the sentence
+      spans[i].end = silences[best].start;
+      spans[i].snapped = true;
+      spans[i + 1].start = silences[best].end;
+      lastSilence = best;
+    }
+  }
+
+  return sentences.flatMap((sentence, index) => {
+    const { start, end, snapped } = spans[index];
+    const weight = weightOf(sentence) - (snapped ? sentence[sentence.length - 1].pause : 0);
+    const secondsPerWeight = (end - start) / weight;
+    let time = start;
+
+    return sentence.map(word => {
+      const wordStart = time;
+      const wordEnd = wordStart + word.weight * secondsPerWeight;
+      time = wordEnd + word.pause * secondsPerWeight;
+      return { word: word.text, start: roundTime(offset + wordStart), end: roundTime(offset + wordEnd) };
+    });
+  });
+};
+
+/**
+ * Groups timed words into sentences
+ * @param {Object[]} words - Words as { word, start, end }
+ * @returns {Object[]} Sentences as { text, start, end }
+ */
+export const groupWordsIntoSentences = (words) => {
+  const sentences = [];
+  let current = [];
+
+  words.forEach((word, index) => {
+    current.push(word);
+    if (endsSentence(word.word) || index === words.length - 1) {
+      sentences.push({
+        text: current.map(item => item.word).join(' '),
+        start: current[0].start,
+        end: current[current.length - 1].end
+      });
+      current = [];
+    }
+  });
+
+  return sentences;
+};
+
+/**
+ * Detects pauses in an audio file with FFmpeg's silencedetect filter
+ * @param {string} audioPath - Audio file
+ * @param {Object} options - Detection options
+ * @param {number} [options.noise] - Silence threshold in dB (default: -35)
+ * @param {number} [options.minDuration] - Shortest pause in seconds (default: 0.2)
+ * @returns {Promise<Object[]>} Pauses as { start, end } in seconds
+ * @throws {Error} When FFmpeg is unavailable or fails
+ */
+export const detectSilences = (audioPath, { noise = -35, minDuration = 0.2 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn('ffmpeg', [
+      '-i', audioPath,
+      '-af', `silencedetect=noise=${noise}dB:d=${minDuration}`,
+      '-f', 'null',
+      '-'
+    ], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+
+    let stderr = '';
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpegProcess.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Silence detection failed with exit code ${code}`));
+        return;
+      }
+
+      const silences = [];
+      for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+        const time = Math.max(0, parseFloat(match[2]));
+        if (match[1] === 'start') {
+          silences.push({ start: time, end: null });
+        } else if (silences.length > 0 && silences[silences.length - 1].end === null) {
+          silences[silences.length - 1].end = time;
+        }
+      }
+
+      resolve(silences.filter(silence => silence.end !== null));
+    });
+
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start silence detection: ${error.message}`));
+    });
+  });
+};
+
+/**
+ * Builds word and sentence timings for a voiceover track
+ * Chunks with provider timestamps use them; the others are estimated.
+ * @param {string} audioPath - Voiceover track
+ * @param {Object[]} chunks - Chunks as { text, start, end, alignment }
+ * @returns {Promise<Object>} { source, words, sentences } where source is provider, estimated or mixed
+ */
+export const buildVoiceoverTimings = async (audioPath, chunks) => {
+  const estimatedChunks = chunks.filter(chunk => !chunk.alignment).length;
+
+  let silences = [];
+  if (estimatedChunks > 0) {
+    silences = await detectSilences(audioPath).catch(error => {
+      console.warn(`⚠️ Could not detect pauses, estimating timings from text only: ${error.message}`);
+      return [];
+    });
+  }
+
+  const words = chunks.flatMap(chunk => {
+    if (chunk.alignment) {
+      return alignmentToWords(chunk.alignment, chunk.start);
+    }
+
+    const chunkSilences = silences
+      .filter(silence => silence.start >= chunk.start && silence.end <= chunk.end)
+      .map(silence => ({ start: silence.start - chunk.start, end: silence.end - chunk.start }));
+
+    return estimateWordTimings(chunk.text, chunk.end - chunk.start, { offset: chunk.start, silences: chunkSilences });
+  });
+
+  let source = 'mixed';
+  if (estimatedChunks === 0) {
+    source = 'provider';
+  } else if (estimatedChunks === chunks.length) {
+    source = 'estimated';
+  }
+
+  return { source, words, sentences: groupWordsIntoSentences(words) };
+};
+
+/**
+ * Saves voiceover timings as JSON next to the audio (<name>.timings.json)
+ * @param {string} audioPath - Voiceover track
+ * @param {Object} timings - Timing data
+ * @returns {Promise<string>} Path of the JSON file
+ */
+export const saveVoiceoverTimings = async (audioPath, timings) => {
+  const extension = path.extname(audioPath);
+  const timingsPath = path.join(path.dirname(audioPath), `${path.basename(audioPath, extension)}.timings.json`);
+
+  await fs.writeFile(timingsPath, JSON.stringify({ audio: path.basename(audioPath), ...timings }, null, 2));
+  return timingsPath;
+};
+
+/**
+ * Spreads slides over a voiceover so they change between sentences
+ * Each cut starts at the even split point and moves to the nearest sentence
+ * end, as long as every slide stays on screen for the minimum duration.
+ * @param {number} duration - Voiceover duration in seconds
+ * @param {number} slideCount - Number of slides
+ * @param {Object[]} sentences - Sentences as { start, end }
+ * @param {Object} options - Options
+ * @param {number} [options.minSlideDuration] - Shortest slide in seconds (default: 1.5)
+ * @returns {number[]} Slide durations in seconds, adding up to the voiceover duration
+ */
+export const alignSlidesToSentences = (duration, slideCount, sentences = [], { minSlideDuration = 1.5 } = {}) => {
+  const evenDuration = duration / slideCount;
+  const boundaries = sentences.map(sentence => sentence.end).filter(time => time > 0 && time < duration);
+
+  const cuts = [];
+  let previousCut = 0;
+
+  for (let i = 1; i < slideCount; i++) {
+    const target = i * evenDuration;
+    const latest = duration - (slideCount - i) * minSlideDuration;
+
+    const candidates = boundaries.filter(time =>
+      time >= previousCut + minSlideDuration &&
+      time <= latest &&
+      Math.abs(time - target) <= evenDuration / 2
+    );
+
+    const cut = candidates.length > 0
+      ? candidates.reduce((best, time) => (Math.abs(time - target) < Math.abs(best - target) ? time : best))
+      : Math.max(target, previousCut + Math.min(minSlideDuration, evenDuration));
+
+    cuts.push(cut);
+    previousCut = cut;
+  }
+
+  return [...cuts, duration].map((cut, index) => roundTime(cut - (index === 0 ? 0 : cuts[index - 1])));
+};
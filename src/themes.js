@@ -0,0 +1,391 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveMotion } from './image-motion.js';
+import { resolveTransitions } from './transitions.js';
+import { WATERMARK_POSITIONS, OUTRO_LAYOUTS, toFfmpegColor } from './brand-kit.js';
+
+/**
+ * Video themes
+ * A theme is the look of a video: the background behind the photos, how the
+ * photos are framed, the text styles of callouts and the lower third, the
+ * transition set, the photo motion, the music mood, the corner QR badge and
+ * the outro layout. Themes are JSON files in a themes directory (themes/ by
+ * default) and override the default theme section by section. The renderer
+ * compiles a theme, the brand palette and the product into filters, so a new
+ * look needs no render code. Colors are #RRGGBB or the name of a brand
+ * palette color (text, outline, accent, background).
+ */
+
+export const DEFAULT_THEME_DIR = fileURLToPath(new URL('../themes', import.meta.url));
+
+export const DEFAULT_THEME = 'default';
+
+/**
+ * Themes shipped in themes/
+ */
+export const BUNDLED_THEMES = ['default', 'cinematic', 'bold', 'studio'];
+
+/**
+ * Photo framing modes
+ * pad: the photo fitted on the background color; blur-fill: fitted on a
+ * blurred, darkened copy of itself; smart: fitted on its own dominant color
+ * (ImageMagick, falling back to pad); crop: cropped to fill the frame
+ */
+export const FRAMING_MODES = ['pad', 'blur-fill', 'smart', 'crop'];
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+/**
+ * Product fields a lower third can show; prices are left out since Amazon
+ * requires them dated
+ */
+export const LOWER_THIRD_FIELDS = ['title', 'rating', 'reviewCount'];
+
+/**
+ * Palette used when a video is rendered without a brand kit
+ */
+export const FALLBACK_PALETTE = { text: '#FFFFFF', outline: '#000000', accent: '#FFD400', background: '#000000' };
+
+/**
+ * Sections merged key by key over the default theme
+ */
+const THEME_SECTIONS = ['background', 'framing', 'lowerThird', 'music', 'qrBadge', 'outro'];
+
+const TEXT_STYLES = ['callout', 'lowerThird'];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Share of the frame width text may take before it is shrunk
+ */
+const MAX_TEXT_WIDTH = 0.9;
+
+/**
+ * Average glyph width as a share of the font size, to estimate text width
+ */
+const GLYPH_WIDTH = 0.55;
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File path
+ * @param {string} label - What the file is, for the error message
+ * @returns {Promise<Object>} Parsed content
+ * @throws {Error} When the file can't be read or parsed
+ */
+const readJsonFile = async (filePath, label) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load ${label} from ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Merges theme overrides over the default theme
+ * @param {Object} defaults - Default theme
+ * @param {Object} overrides - Theme overrides
+ * @returns {Object} Merged theme
+ */
+const mergeTheme = (defaults, overrides) => {
+  const theme = { ...defaults, ...overrides };
+  for (const section of THEME_SECTIONS) {
+    theme[section] = { ...defaults[section], ...overrides[section] };
+  }
+  theme.text = Object.fromEntries(TEXT_STYLES.map(style => [
+    style,
+    { ...defaults.text?.[style], ...overrides.text?.[style] }
+  ]));
+  return theme;
+};
+
+/**
+ * Checks a theme color
+ * @param {string} color - #RRGGBB or a palette color name
+ * @returns {boolean} True when valid
+ */
+const isThemeColor = (color) => COLOR_PATTERN.test(color) || color in FALLBACK_PALETTE;
+
+/**
+ * Validates a merged theme
+ * @param {Object} theme - Theme
+ * @throws {Error} When a section is invalid
+ */
+const validateTheme = (theme) => {
+  const fail = message => {
+    throw new Error(`Invalid theme ${theme.id}: ${message}`);
+  };
+  const isShare = value => typeof value === 'number' && value > 0 && value <= 1;
+
+  if (!isThemeColor(theme.background.color)) {
+    fail(`background.color must be a #RRGGBB color or one of ${Object.keys(FALLBACK_PALETTE).join(', ')}, got ${theme.background.color}`);
+  }
+  if (!FRAMING_MODES.includes(theme.framing.mode)) {
+    fail(`unknown framing mode ${theme.framing.mode}. Available modes: ${FRAMING_MODES.join(', ')}`);
+  }
+  if (!(theme.framing.blur > 0) || !(theme.framing.dim >= 0 && theme.framing.dim < 1)) {
+    fail('framing blur must be positive and dim from 0 to 1');
+  }
+  for (const [name, style] of Object.entries(theme.text)) {
+    if (!isThemeColor(style.color) || !isThemeColor(style.box)) {
+      fail(`text.${name} color and box must be #RRGGBB colors or palette color names`);
+    }
+    if (!isShare(style.size) || !(style.boxOpacity >= 0 && style.boxOpacity <= 1) || !(style.y >= 0 && style.y < 1)) {
+      fail(`text.${name} size must be above 0 and at most 1, boxOpacity from 0 to 1 and y from 0 to 1`);
+    }
+    if (!TEXT_ALIGNMENTS.includes(style.align)) {
+      fail(`unknown text.${name} alignment ${style.align}. Available alignments: ${TEXT_ALIGNMENTS.join(', ')}`);
+    }
+  }
+  const unknownFields = [...String(theme.lowerThird.text).matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .filter(field => !LOWER_THIRD_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    fail(`unknown lower third field(s) ${unknownFields.join(', ')}. Available fields: ${LOWER_THIRD_FIELDS.join(', ')}`);
+  }
+  if (!(theme.lowerThird.start >= 0) || !(theme.lowerThird.duration > 0) || !(theme.lowerThird.maxLength > 0)) {
+    fail('lower third start must be 0 or more, and duration and maxLength positive');
+  }
+  if (!WATERMARK_POSITIONS.includes(theme.qrBadge.position)) {
+    fail(`unknown qrBadge position ${theme.qrBadge.position}. Available positions: ${WATERMARK_POSITIONS.join(', ')}`);
+  }
+  if (!isShare(theme.qrBadge.size) || !isShare(theme.qrBadge.opacity) || !(theme.qrBadge.margin >= 0 && theme.qrBadge.margin < 0.5)) {
+    fail('qrBadge size and opacity must be above 0 and at most 1, and margin from 0 to 0.5');
+  }
+  if (theme.outro.layout !== null && !OUTRO_LAYOUTS.includes(theme.outro.layout)) {
+    fail(`unknown outro layout ${theme.outro.layout}. Available layouts: ${OUTRO_LAYOUTS.join(', ')}`);
+  }
+  if (theme.outro.qrSize !== null && !isShare(theme.outro.qrSize)) {
+    fail('outro qrSize must be above 0 and at most 1');
+  }
+
+  try {
+    resolveTransitions(theme.transitions);
+    resolveMotion(theme.motion);
+  } catch (error) {
+    fail(error.message);
+  }
+};
+
+/**
+ * Loads a theme
+ * A theme is the name of a file in the themes directory or the path of a JSON
+ * file; its sections override the default theme's key by key.
+ * @param {string|Object} [theme] - Theme name, JSON file path or theme object (default: THEME env or default)
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.dir] - Themes directory (default: THEME_DIR env or themes/)
+ * @returns {Promise<Object>} Theme with its id
+ * @throws {Error} When the theme can't be loaded or is invalid
+ */
+export const loadTheme = async (theme, options = {}) => {
+  const dir = path.resolve(options.dir || process.env.THEME_DIR || DEFAULT_THEME_DIR);
+  const source = theme || process.env.THEME || DEFAULT_THEME;
+  const defaults = await readJsonFile(path.join(dir, `${DEFAULT_THEME}.json`), 'the default theme');
+
+  let id;
+  let overrides;
+  if (typeof source === 'object') {
+    id = source.id || 'custom';
+    overrides = source;
+  } else {
+    const isFile = source.endsWith('.json') || source.includes('/') || source.includes(path.sep);
+    const filePath = isFile ? path.resolve(source) : path.join(dir, `${source}.json`);
+    id = path.basename(source, '.json');
+    overrides = id === DEFAULT_THEME && !isFile ? {} : await readJsonFile(filePath, `theme ${id}`);
+  }
+
+  const merged = { ...mergeTheme(defaults, overrides), id };
+  validateTheme(merged);
+  return merged;
+};
+
+/**
+ * Resolves a theme color against a brand palette
+ * @param {string} color - #RRGGBB or a palette color name
+ * @param {Object} [palette] - Brand palette (default: FALLBACK_PALETTE)
+ * @returns {string} FFmpeg color as 0xRRGGBB
+ */
+export const resolveThemeColor = (color, palette = FALLBACK_PALETTE) => toFfmpegColor(
+  color in FALLBACK_PALETTE ? palette[color] || FALLBACK_PALETTE[color] : color
+);
+
+/**
+ * Creates the FFmpeg filter chain framing a photo to the video resolution
+ * The chain has no input or output label, so it can follow [N:v] in a filter
+ * complex or stand alone in -vf; blur-fill labels its inner streams after the
+ * given label.
+ * @param {Object} framing - Framing section of the theme
+ * @param {Object} options - Framing options
+ * @param {string} options.resolution - Video resolution as WIDTHxHEIGHT
+ * @param {string} options.background - Background color as an FFmpeg color
+ * @param {string} [options.label] - Prefix of the inner stream labels (default: frame)
+ * @returns {string} Filter chain
+ */
+export const createFramingFilter = (framing, { resolution, background, label = 'frame' }) => {
+  const [width, height] = resolution.split('x').map(Number);
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+
+  if (framing.mode === 'crop') {
+    return fill;
+  }
+  if (framing.mode === 'blur-fill') {
+    const dim = framing.dim > 0 ? `,eq=brightness=-${framing.dim}` : '';
+    return `split=2[${label}_bg][${label}_fg];` +
+      `[${label}_bg]${fill},boxblur=${framing.blur}:2${dim}[${label}_blur];` +
+      `[${label}_fg]${fit}[${label}_photo];` +
+      `[${label}_blur][${label}_photo]overlay=(W-w)/2:(H-h)/2`;
+  }
+  // Smart backgrounds are laid on before rendering, so what is left is padding
+  return `${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${background}`;
+};
+
+/**
+ * Creates an FFmpeg drawtext filter in a text style
+ * Text expansion is off, so only quotes, colons and backslashes need handling.
+ * Text too wide for the frame is drawn smaller.
+ * @param {string} text - Text
+ * @param {Object} style - Text style with FFmpeg colors: { font, color, size, box, boxOpacity, align, y }
+ * @param {Object} options - Drawing options
+ * @param {string} options.resolution - Video resolution as WIDTHxHEIGHT
+ * @param {number} [options.start] - Second the text appears (default: shown throughout)
+ * @param {number} [options.end] - Second it disappears
+ * @returns {string|null} Filter, or null without text
+ */
+export const createDrawtextFilter = (text, style, { resolution, start = null, end = null }) => {
+  const cleaned = String(text || '')
+    .replace(/\\/g, '')
+    .replace(/'/g, '’')
+    .replace(/:/g, '\\:')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!cleaned) {
+    return null;
+  }
+
+  const [width, height] = resolution.split('x').map(Number);
+  const length = cleaned.replace(/\\:/g, ':').length;
+  const fontSize = Math.min(Math.round(height * style.size), Math.floor((width * MAX_TEXT_WIDTH) / (length * GLYPH_WIDTH)));
+  const margin = Math.round(width * (1 - MAX_TEXT_WIDTH) / 2);
+  const x = { left: margin, center: '(w-text_w)/2', right: `w-text_w-${margin}` }[style.align];
+  const font = style.font ? `:font='${style.font}'` : '';
+  const enable = start !== null ? `:enable='between(t,${start},${end})'` : '';
+
+  return `drawtext=text='${cleaned}':expansion=none${font}:fontsize=${fontSize}:fontcolor=${style.color}:box=1:` +
+    `boxcolor=${style.box}@${style.boxOpacity}:boxborderw=${Math.round(fontSize * 0.4)}:x=${x}:y=h*${style.y}${enable}`;
+};
+
+/**
+ * Gets a text style of a theme with its colors resolved
+ * @param {Object} theme - Theme
+ * @param {string} name - Style name (callout or lowerThird)
+ * @param {Object} [palette] - Brand palette
+ * @returns {Object} Text style for createDrawtextFilter
+ */
+export const getThemeTextStyle = (theme, name, palette) => {
+  const style = theme.text[name];
+  return { ...style, color: resolveThemeColor(style.color, palette), box: resolveThemeColor(style.box, palette) };
+};
+
+/**
+ * Shortens text to a length at a word boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Longest length
+ * @returns {string} Text, with an ellipsis when shortened
+ */
+const shorten = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+/**
+ * Fills the product fields into the lower third text of a theme
+ * @param {Object} lowerThird - Lower third section of the theme
+ * @param {Object} product - Product data as { title, rating, reviewCount }
+ * @returns {string|null} Text, or null when the product lacks a field it shows
+ */
+export const fillLowerThird = (lowerThird, product = {}) => {
+  let missing = false;
+  const text = String(lowerThird.text).replace(/\{(\w+)\}/g, (_, field) => {
+    const value = product[field];
+    if (value === null || value === undefined || value === '') {
+      missing = true;
+      return '';
+    }
+    return field === 'title' ? shorten(String(value).trim(), lowerThird.maxLength) : String(value);
+  });
+  return missing ? null : text;
+};
+
+/**
+ * Gets the corner QR badge of a theme for a resolution
+ * @param {Object} qrBadge - QR badge section of the theme
+ * @param {string} resolution - Video resolution as WIDTHxHEIGHT
+ * @returns {Object|null} { size, x, y, opacity } in pixels, or null when the badge is off
+ */
+export const getQRBadgeConfig = (qrBadge, resolution) => {
+  if (!qrBadge.enabled) {
+    return null;
+  }
+  const [width, height] = resolution.split('x').map(Number);
+  const shorterSide = Math.min(width, height);
+  const margin = Math.round(shorterSide * qrBadge.margin);
+  const [vertical, horizontal] = qrBadge.position.split('-');
+
+  return {
+    size: Math.round(shorterSide * qrBadge.size),
+    x: horizontal === 'left' ? margin : `W-w-${margin}`,
+    y: vertical === 'top' ? margin : `H-h-${margin}`,
+    opacity: qrBadge.opacity
+  };
+};
+
+/**
+ * Lays the outro settings of a theme over the outro layout of a brand kit
+ * @param {Object} theme - Theme
+ * @param {Object} outroLayout - Outro layout from getBrandIntroOutroOptions
+ * @returns {Object} Outro layout
+ */
+export const getThemeOutroLayout = (theme, outroLayout) => ({
+  ...outroLayout,
+  ...Object.fromEntries(Object.entries(theme.outro).filter(([, value]) => value !== null))
+});
+
+/**
+ * Compiles a theme, brand palette and product into render settings
+ * @param {Object} theme - Theme
+ * @param {Object} options - Compile options
+ * @param {string} options.resolution - Video resolution as WIDTHxHEIGHT
+ * @param {Object} [options.palette] - Brand palette (default: FALLBACK_PALETTE)
+ * @param {Object} [options.product] - Product data for the lower third
+ * @returns {Object} { backgroundColor, framing, frameFilter(label), calloutStyle, lowerThirdFilter,
+ *   qrBadge, musicMood }, frameFilter giving the framing chain of a photo (see createFramingFilter)
+ *   and lowerThirdFilter the drawtext of the lower third, timed from the start of the photos, or null
+ */
+export const compileTheme = (theme, { resolution, palette = FALLBACK_PALETTE, product = {} }) => {
+  const backgroundColor = resolveThemeColor(theme.background.color, palette);
+  const { lowerThird } = theme;
+  const lowerThirdText = lowerThird.enabled ? fillLowerThird(lowerThird, product) : null;
+  if (lowerThird.enabled && !lowerThirdText) {
+    console.warn(`⚠️ Leaving out the lower third: the product lacks a field of "${lowerThird.text}"`);
+  }
+
+  return {
+    backgroundColor,
+    framing: theme.framing,
+    frameFilter: label => createFramingFilter(theme.framing, { resolution, background: backgroundColor, label }),
+    calloutStyle: getThemeTextStyle(theme, 'callout', palette),
+    lowerThirdFilter: lowerThirdText && createDrawtextFilter(lowerThirdText, getThemeTextStyle(theme, 'lowerThird', palette), {
+      resolution,
+      start: lowerThird.start,
+      end: lowerThird.start + lowerThird.duration
+    }),
+    qrBadge: getQRBadgeConfig(theme.qrBadge, resolution),
+    musicMood: theme.music.mood
+  };
+};
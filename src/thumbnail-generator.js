@@ -3,6 +3,7 @@ import sharp from 'sharp';
 import fs from 'fs/promises';
 import path from 'path';
 import { createStylishThumbnail, generateThumbnailTitle, isImageMagickAvailable } from './image-processor.js';
+import { getBrandThumbnailStyle } from './brand-kit.js';
 
 /**
  * Select the highest quality image from an array of image URLs
@@ -309,6 +310,8 @@ async function createVerticalThumbnail(framePath, outputPath) {
  * @param {boolean} options.isVertical - Whether to create vertical format (1080x1920) for short videos
  * @param {string} options.tempDir - Temporary directory to use (defaults to './temp')
  * @param {string} options.sessionId - Session ID for finding session-specific files
+ * @param {string} [options.title] - Thumbnail text (default: shortened from the product title)
+ * @param {Object} [options.brand] - Brand kit whose fonts, colors and logo style the text (see src/brand-kit.js)
  * @returns {Promise<string>} - Path to created thumbnail
  */
 export const createThumbnail = async (productData, outputPath, options = {}) => {
@@ -411,7 +414,7 @@ export const createThumbnail = async (productData, outputPath, options = {}) =>
     }
     
     // Generate thumbnail title from product data
-    const thumbnailTitle = generateThumbnailTitle(productData.title || 'Product Review');
+    const thumbnailTitle = options.title || generateThumbnailTitle(productData.title || 'Product Review');
     
     // Try to create stylish thumbnail with ImageMagick first
     if (magickAvailable && productData.title) {
@@ -429,7 +432,8 @@ export const createThumbnail = async (productData, outputPath, options = {}) =>
           strokeWidth: 4,
           shadowOffset: 6,
           shadowBlur: 12,
-          shadowOpacity: 0.9
+          shadowOpacity: 0.9,
+          ...(options.brand ? getBrandThumbnailStyle(options.brand) : {})
         };
         
         const result = await createStylishThumbnail(
@@ -0,0 +1,432 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Title and thumbnail A/B experiments
+ * Candidate titles are scored by heuristics before upload. After upload, an
+ * experiment rotates title/thumbnail pairs on the video on a fixed schedule,
+ * records which variant was live when, and picks the winner from the stats an
+ * analytics source reports for each variant's live windows.
+ */
+
+export const DEFAULT_EXPERIMENT_DIR = './output/experiments';
+
+export const DEFAULT_ROTATION_HOURS = 24;
+
+export const DEFAULT_TITLE_KEYWORDS = ['review'];
+
+/**
+ * Metrics a winner can be picked by
+ * ctr needs an analytics source that reports impressions and clicks.
+ */
+export const WINNER_METRICS = ['ctr', 'viewsPerHour', 'watchMinutesPerHour'];
+
+// Titles are cut at about 60 characters in search results and on mobile
+const VISIBLE_TITLE_LENGTH = 60;
+const MAX_TITLE_LENGTH = 100;
+const IDEAL_TITLE_LENGTH = { min: 40, max: 70 };
+
+const SCORE_WEIGHTS = { length: 0.3, keywords: 0.3, productName: 0.4 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Shortens a product title to the name a video title should mention
+ * @param {string} productTitle - Full product title
+ * @returns {string} First words of the title, before any comma, dash or bracket
+ */
+export const getShortProductName = (productTitle = '') => {
+  return String(productTitle)
+    .split(/[,|([]|\s[-–—]\s/)[0]
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 3)
+    .join(' ');
+};
+
+/**
+ * Splits text into lowercase words without punctuation
+ * @param {string} text - Text
+ * @returns {string[]} Words
+ */
+const toWords = (text) => String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Scores how close a title's length is to the ideal range
+ * @param {number} length - Title length
+ * @returns {number} 1 inside the ideal range, falling to 0 at 0 and at the YouTube limit
+ */
+const scoreLength = (length) => {
+  if (length === 0 || length > MAX_TITLE_LENGTH) {
+    return 0;
+  }
+  if (length < IDEAL_TITLE_LENGTH.min) {
+    return length / IDEAL_TITLE_LENGTH.min;
+  }
+  if (length > IDEAL_TITLE_LENGTH.max) {
+    return (MAX_TITLE_LENGTH - length) / (MAX_TITLE_LENGTH - IDEAL_TITLE_LENGTH.max);
+  }
+  return 1;
+};
+
+/**
+ * Scores a candidate video title
+ * Three checks, each from 0 to 1: the length against the 40-70 character
+ * sweet spot, the share of keywords the title contains, and the share of the
+ * product name's words that appear before the title is truncated.
+ * @param {string} title - Candidate title
+ * @param {Object} options - Scoring options
+ * @param {string} [options.productName] - Product name the title should show (see getShortProductName)
+ * @param {string[]} [options.keywords] - Keywords the title should contain (default: review)
+ * @param {number} [options.visibleLength] - Characters visible before truncation (default: 60)
+ * @returns {Object} { title, score, checks } with the score from 0 to 100 and checks as
+ *   { length, keywords, productName }
+ */
+export const scoreTitle = (title, options = {}) => {
+  const {
+    productName = '',
+    keywords = DEFAULT_TITLE_KEYWORDS,
+    visibleLength = VISIBLE_TITLE_LENGTH
+  } = options;
+  const text = String(title || '').trim();
+  const lowerText = text.toLowerCase();
+
+  const keywordList = keywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+  const nameWords = toWords(productName);
+  const visibleWords = new Set(toWords(text.slice(0, visibleLength)));
+
+  const checks = {
+    length: scoreLength(text.length),
+    keywords: keywordList.length === 0
+      ? 1
+      : keywordList.filter(keyword => lowerText.includes(keyword)).length / keywordList.length,
+    productName: nameWords.length === 0
+      ? 1
+      : nameWords.filter(word => visibleWords.has(word)).length / nameWords.length
+  };
+
+  const score = Object.entries(SCORE_WEIGHTS).reduce((total, [check, weight]) => total + checks[check] * weight, 0);
+
+  return {
+    title: text,
+    score: Math.round(score * 100),
+    checks: Object.fromEntries(Object.entries(checks).map(([check, value]) => [check, Math.round(value * 100) / 100]))
+  };
+};
+
+/**
+ * Scores candidate titles and sorts them best first
+ * Duplicate titles (ignoring case) are dropped; ties keep the generated order.
+ * @param {Object[]} candidates - Candidates as { title, ... }; extra fields are kept
+ * @param {Object} options - Scoring options (see scoreTitle)
+ * @returns {Object[]} Candidates with their score and checks, best first
+ */
+export const rankTitleVariants = (candidates, options = {}) => {
+  const seen = new Set();
+
+  return candidates
+    .filter(candidate => {
+      const key = String(candidate.title || '').trim().toLowerCase();
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .map(candidate => ({ ...candidate, ...scoreTitle(candidate.title, options) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Gets the variant ID for a position (A, B, C, ...)
+ * @param {number} index - Variant position
+ * @returns {string} Variant ID
+ */
+const getVariantId = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Creates a title experiment for an uploaded video
+ * The first variant is the one the video was uploaded with, so it is live
+ * from the start.
+ * @param {Object} params - Experiment parameters
+ * @param {string} params.videoId - YouTube video ID
+ * @param {Object[]} params.variants - Variants as { title, thumbnailPath, score }, live one first
+ * @param {number} [params.rotationHours] - Hours each variant stays live per turn (default: 24)
+ * @param {string} [params.sessionId] - Session that created the video
+ * @param {Date} [params.now] - Start time
+ * @returns {Object} Experiment
+ * @throws {Error} When there are fewer than two variants
+ */
+export const createTitleExperiment = ({ videoId, variants, rotationHours = DEFAULT_ROTATION_HOURS, sessionId = null, now = new Date() }) => {
+  if (!videoId) {
+    throw new Error('A video ID is required for a title experiment');
+  }
+  if (!Array.isArray(variants) || variants.length < 2) {
+    throw new Error('A title experiment needs at least two variants');
+  }
+  if (!(rotationHours > 0)) {
+    throw new Error(`Invalid rotation interval: ${rotationHours} hours`);
+  }
+
+  const startedAt = now.toISOString();
+
+  return {
+    videoId,
+    sessionId,
+    status: 'running',
+    rotationHours,
+    startedAt,
+    variants: variants.map((variant, index) => ({
+      id: getVariantId(index),
+      title: variant.title,
+      thumbnailPath: variant.thumbnailPath || null,
+      score: variant.score ?? null
+    })),
+    history: [{ variant: getVariantId(0), start: startedAt, end: null }],
+    winner: null,
+    stats: null
+  };
+};
+
+/**
+ * Gets the variant that should be live at a time
+ * Variants take turns of rotationHours each, in order, starting with the first.
+ * @param {Object} experiment - Title experiment
+ * @param {Date} [now] - Time
+ * @returns {Object} Variant
+ */
+export const getScheduledVariant = (experiment, now = new Date()) => {
+  const elapsed = Math.max(0, now.getTime() - new Date(experiment.startedAt).getTime());
+  const turn = Math.floor(elapsed / (experiment.rotationHours * HOUR_MS));
+  return experiment.variants[turn % experiment.variants.length];
+};
+
+/**
+ * Gets the variant that is live now
+ * @param {Object} experiment - Title experiment
+ * @returns {Object} Variant
+ */
+export const getLiveVariant = (experiment) => {
+  const current = experiment.history[experiment.history.length - 1];
+  return experiment.variants.find(variant => variant.id === current.variant);
+};
+
+/**
+ * Makes a variant live and records the switch
+ * @param {Object} experiment - Title experiment (updated in place)
+ * @param {Object} variant - Variant to make live
+ * @param {Function} updateMetadata - Applies { title, thumbnailPath } to the video (see updateVideoMetadata)
+ * @param {Date} now - Switch time
+ * @returns {Promise<void>}
+ */
+const switchVariant = async (experiment, variant, updateMetadata, now) => {
+  await updateMetadata(experiment.videoId, {
+    title: variant.title,
+    ...(variant.thumbnailPath && { thumbnailPath: variant.thumbnailPath })
+  });
+
+  const switchedAt = now.toISOString();
+  experiment.history[experiment.history.length - 1].end = switchedAt;
+  experiment.history.push({ variant: variant.id, start: switchedAt, end: null });
+};
+
+/**
+ * Puts the scheduled variant live if it isn't already
+ * Safe to run as often as you like (e.g. hourly from cron): the video is only
+ * updated when a turn has ended.
+ * @param {Object} experiment - Title experiment (updated in place)
+ * @param {Object} options - Rotation options
+ * @param {Function} options.updateMetadata - Applies { title, thumbnailPath } to the video
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { changed, variant } with the live variant
+ */
+export const rotateTitleExperiment = async (experiment, { updateMetadata, now = new Date() }) => {
+  if (experiment.status !== 'running') {
+    return { changed: false, variant: getLiveVariant(experiment) };
+  }
+
+  const scheduled = getScheduledVariant(experiment, now);
+  if (scheduled.id === getLiveVariant(experiment).id) {
+    return { changed: false, variant: scheduled };
+  }
+
+  await switchVariant(experiment, scheduled, updateMetadata, now);
+  return { changed: true, variant: scheduled };
+};
+
+/**
+ * Sums the stats of every variant over the windows it was live
+ * @param {Object} experiment - Title experiment
+ * @param {Object} source - Analytics source (see analytics-sources)
+ * @param {Object} options - Collection options
+ * @param {Date} [options.now] - End of the window that is still open
+ * @returns {Promise<Object[]>} Stats by variant as { variant, title, hours, views, watchMinutes,
+ *   impressions, clicks, ctr, viewsPerHour, watchMinutesPerHour }; impressions, clicks and ctr
+ *   are null when the source doesn't report them
+ */
+export const collectVariantStats = async (experiment, source, { now = new Date(), ...sourceOptions } = {}) => {
+  const totals = Object.fromEntries(experiment.variants.map(variant => [variant.id, {
+    variant: variant.id,
+    title: variant.title,
+    hours: 0,
+    views: 0,
+    watchMinutes: 0,
+    impressions: null,
+    clicks: null
+  }]));
+
+  for (const window of experiment.history) {
+    const start = new Date(window.start);
+    const end = window.end ? new Date(window.end) : now;
+    if (end <= start) {
+      continue;
+    }
+
+    const stats = await source.fetchVideoStats(experiment.videoId, { ...sourceOptions, start, end });
+    const total = totals[window.variant];
+    total.hours += (end - start) / HOUR_MS;
+    total.views += stats.views || 0;
+    total.watchMinutes += stats.watchMinutes || 0;
+    if (stats.impressions != null) {
+      total.impressions = (total.impressions || 0) + stats.impressions;
+      total.clicks = (total.clicks || 0) + (stats.clicks ?? stats.views ?? 0);
+    }
+  }
+
+  return Object.values(totals).map(total => ({
+    ...total,
+    hours: Math.round(total.hours * 100) / 100,
+    ctr: total.impressions ? total.clicks / total.impressions : null,
+    viewsPerHour: total.hours > 0 ? total.views / total.hours : 0,
+    watchMinutesPerHour: total.hours > 0 ? total.watchMinutes / total.hours : 0
+  }));
+};
+
+/**
+ * Picks the best variant by a metric
+ * Without a metric, CTR is used when every variant has impressions and views
+ * per hour otherwise. Variants that were never live can't win.
+ * @param {Object[]} stats - Stats by variant (from collectVariantStats)
+ * @param {Object} options - Selection options
+ * @param {string} [options.metric] - ctr, viewsPerHour or watchMinutesPerHour
+ * @returns {Object|null} { variant, metric, value }, or null when no variant has data
+ * @throws {Error} When the metric is unknown or the stats don't include it
+ */
+export const pickWinner = (stats, { metric } = {}) => {
+  const candidates = stats.filter(entry => entry.hours > 0);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const chosenMetric = metric || (candidates.every(entry => entry.ctr != null) ? 'ctr' : 'viewsPerHour');
+  if (!WINNER_METRICS.includes(chosenMetric)) {
+    throw new Error(`Unknown winner metric: ${chosenMetric}. Available metrics: ${WINNER_METRICS.join(', ')}`);
+  }
+  if (candidates.some(entry => entry[chosenMetric] == null)) {
+    throw new Error(`The analytics source doesn't report ${chosenMetric} for every variant`);
+  }
+
+  const best = candidates.reduce((winner, entry) => (entry[chosenMetric] > winner[chosenMetric] ? entry : winner));
+  return { variant: best.variant, metric: chosenMetric, value: best[chosenMetric] };
+};
+
+/**
+ * Ends an experiment: collects the stats, picks the winner and keeps it live
+ * @param {Object} experiment - Title experiment (updated in place)
+ * @param {Object} source - Analytics source
+ * @param {Object} options - Options
+ * @param {Function} options.updateMetadata - Applies { title, thumbnailPath } to the video
+ * @param {string} [options.metric] - Winner metric (see pickWinner)
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { winner, stats }; winner is null when there was no data,
+ *   in which case the experiment keeps running
+ */
+export const finishTitleExperiment = async (experiment, source, { updateMetadata, metric, now = new Date(), ...sourceOptions }) => {
+  if (experiment.status !== 'running') {
+    throw new Error(`Title experiment for video ${experiment.videoId} is already ${experiment.status}`);
+  }
+
+  const stats = await collectVariantStats(experiment, source, { ...sourceOptions, now });
+  const winner = pickWinner(stats, { metric });
+  if (!winner) {
+    return { winner: null, stats };
+  }
+
+  const winningVariant = experiment.variants.find(variant => variant.id === winner.variant);
+  if (getLiveVariant(experiment).id !== winningVariant.id) {
+    await switchVariant(experiment, winningVariant, updateMetadata, now);
+  }
+
+  experiment.history[experiment.history.length - 1].end = now.toISOString();
+  experiment.status = 'finished';
+  experiment.finishedAt = now.toISOString();
+  experiment.winner = winner;
+  experiment.stats = stats;
+
+  return { winner, stats };
+};
+
+/**
+ * Gets the file path of a video's experiment
+ * @param {string} dir - Experiments directory
+ * @param {string} videoId - YouTube video ID
+ * @returns {string} Experiment file path
+ */
+export const getExperimentPath = (dir, videoId) => path.join(dir, `${videoId}.json`);
+
+/**
+ * Writes an experiment to disk (atomically via rename)
+ * @param {Object} experiment - Title experiment
+ * @param {string} [dir] - Experiments directory
+ * @returns {Promise<string>} Experiment file path
+ */
+export const saveTitleExperiment = async (experiment, dir = DEFAULT_EXPERIMENT_DIR) => {
+  const filePath = getExperimentPath(dir, experiment.videoId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(experiment, null, 2), 'utf-8');
+  await fs.rename(tempPath, filePath);
+
+  return filePath;
+};
+
+/**
+ * Loads a video's experiment
+ * @param {string} videoId - YouTube video ID
+ * @param {string} [dir] - Experiments directory
+ * @returns {Promise<Object|null>} Experiment, or null when the video has none
+ * @throws {Error} When the file can't be read or parsed
+ */
+export const loadTitleExperiment = async (videoId, dir = DEFAULT_EXPERIMENT_DIR) => {
+  try {
+    return JSON.parse(await fs.readFile(getExperimentPath(dir, videoId), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to load title experiment for video ${videoId}: ${error.message}`);
+  }
+};
+
+/**
+ * Loads every experiment in a directory
+ * @param {string} [dir] - Experiments directory
+ * @returns {Promise<Object[]>} Experiments, oldest first
+ */
+export const listTitleExperiments = async (dir = DEFAULT_EXPERIMENT_DIR) => {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const experiments = await Promise.all(files.map(file => loadTitleExperiment(path.basename(file, '.json'), dir)));
+  return experiments
+    .filter(Boolean)
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+};
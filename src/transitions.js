@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import { roundTime } from './utils/audio-utils.js';
+
+/**
+ * Slideshow transitions
+ * The cuts between photos follow a named set of xfade effects instead of
+ * random picks, so every video of a channel has the same style. A set cycles
+ * through its effects in order, and a storyboard can give any cut its own
+ * effect, or a hard cut. A transition overlaps the photos on both sides of its
+ * cut, so each photo is extended by half of each of its transitions and the
+ * slideshow keeps the length of the voiceover.
+ */
+
+/**
+ * Transition sets by name
+ * effects: xfade effects used in turn, none meaning hard cuts; duration: seconds per transition
+ */
+export const TRANSITION_SETS = {
+  none: { effects: [], duration: 0 },
+  minimal: { effects: ['fade'], duration: 0.4 },
+  clean: { effects: ['fade', 'smoothleft', 'fade', 'smoothright'], duration: 0.5 },
+  energetic: { effects: ['slideleft', 'smoothup', 'slideright', 'wipeleft'], duration: 0.35 }
+};
+
+export const DEFAULT_TRANSITION_SET = 'clean';
+
+/**
+ * Effect name of a hard cut in storyboards
+ */
+export const HARD_CUT = 'cut';
+
+/**
+ * xfade effects a storyboard can ask for
+ */
+export const XFADE_EFFECTS = [
+  'fade', 'fadeblack', 'fadewhite', 'fadegrays', 'dissolve',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circleopen', 'circleclose', 'vertopen', 'vertclose', 'horzopen', 'horzclose',
+  'diagtl', 'diagtr', 'diagbl', 'diagbr', 'radial', 'zoomin'
+];
+
+/**
+ * Longest transition, in seconds
+ */
+const MAX_TRANSITION_DURATION = 2;
+
+/**
+ * Largest share of the shorter photo next to a cut that its transition may take
+ */
+const MAX_TRANSITION_SHARE = 0.5;
+
+/**
+ * Validates the effect of a storyboard cut
+ * @param {string} effect - xfade effect or "cut"
+ * @param {string} cut - Cut number, for errors
+ * @returns {string} Effect name in lower case
+ * @throws {Error} When the effect is unknown
+ */
+const validateEffect = (effect, cut) => {
+  const name = String(effect).toLowerCase();
+  if (name !== HARD_CUT && !XFADE_EFFECTS.includes(name)) {
+    throw new Error(`Unknown transition effect "${effect}" for cut ${cut}. Use "${HARD_CUT}" or one of: ${XFADE_EFFECTS.join(', ')}`);
+  }
+  return name;
+};
+
+/**
+ * Resolves a transition set or storyboard
+ * A storyboard names its set and overrides single cuts; cut 1 is the cut
+ * between the first and second photo. Its cuts are an object keyed by cut
+ * number or an array in cut order, null keeping the set's effect.
+ * @param {string|Object} [transitions] - Set name, or storyboard as { set, duration, cuts }
+ *   (default: clean)
+ * @returns {Object} { set, effects, duration, cuts } with cuts keyed by cut number
+ * @throws {Error} When the set, duration or an effect is invalid
+ */
+export const resolveTransitions = (transitions = DEFAULT_TRANSITION_SET) => {
+  const storyboard = transitions && typeof transitions === 'object' ? transitions : { set: transitions };
+  const set = String(storyboard.set || DEFAULT_TRANSITION_SET).toLowerCase();
+  if (!(set in TRANSITION_SETS)) {
+    throw new Error(`Unknown transition set: ${storyboard.set}. Available sets: ${Object.keys(TRANSITION_SETS).join(', ')}`);
+  }
+
+  const duration = storyboard.duration ?? TRANSITION_SETS[set].duration;
+  if (!(duration >= 0 && duration <= MAX_TRANSITION_DURATION)) {
+    throw new Error(`Invalid transition duration: ${storyboard.duration}. Use 0 to ${MAX_TRANSITION_DURATION} seconds`);
+  }
+
+  const entries = Array.isArray(storyboard.cuts)
+    ? storyboard.cuts.map((effect, index) => [String(index + 1), effect])
+    : Object.entries(storyboard.cuts || {});
+  const cuts = {};
+  for (const [cut, effect] of entries) {
+    if (effect === null || effect === undefined) {
+      continue;
+    }
+    if (!/^[1-9]\d*$/.test(cut)) {
+      throw new Error(`Invalid transition cut: ${cut}. Cuts are numbered from 1`);
+    }
+    cuts[cut] = validateEffect(effect, cut);
+  }
+
+  return { set, effects: [...TRANSITION_SETS[set].effects], duration, cuts };
+};
+
+/**
+ * Loads transitions given as a set name or the path of a JSON storyboard
+ * @param {string|Object} [transitions] - Set name, storyboard object or storyboard .json path
+ * @returns {Promise<Object>} Resolved transitions (see resolveTransitions)
+ * @throws {Error} When the storyboard can't be read or is invalid
+ */
+export const loadTransitions = async (transitions) => {
+  if (typeof transitions !== 'string' || !transitions.toLowerCase().endsWith('.json')) {
+    return resolveTransitions(transitions);
+  }
+
+  let storyboard;
+  try {
+    storyboard = JSON.parse(await fs.readFile(transitions, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read transition storyboard ${transitions}: ${error.message}`);
+  }
+  return resolveTransitions(storyboard);
+};
+
+/**
+ * Picks the transition of every cut of a slideshow
+ * @param {number} slideCount - Number of photos shown
+ * @param {string|Object} [transitions] - Set name, storyboard or resolved transitions
+ * @returns {Object[]} Transitions as { cut, effect, duration }, effect "cut" being a hard cut
+ * @throws {Error} When the transitions are invalid
+ */
+export const planTransitions = (slideCount, transitions) => {
+  const { effects, duration, cuts } = transitions?.effects ? transitions : resolveTransitions(transitions);
+  const cutCount = Math.max(0, slideCount - 1);
+
+  const ignored = Object.keys(cuts).filter(cut => Number(cut) > cutCount);
+  if (ignored.length > 0) {
+    console.warn(`⚠️ Ignoring storyboard transitions of cut(s) ${ignored.join(', ')}: the slideshow has ${cutCount} cut(s)`);
+  }
+
+  return Array.from({ length: cutCount }, (_, index) => {
+    const cut = index + 1;
+    const effect = cuts[cut] || (effects.length > 0 && duration > 0 ? effects[index % effects.length] : HARD_CUT);
+    return { cut, effect, duration: effect === HARD_CUT ? 0 : duration };
+  });
+};
+
+/**
+ * Times the transitions of a slideshow
+ * Transitions are shortened to fit the photos next to them. Each photo input
+ * runs for its time on screen plus half of each of its transitions, and each
+ * transition is centered on its cut, so the photos change when they would
+ * with hard cuts.
+ * @param {number[]} durations - Seconds each photo is on screen
+ * @param {Object[]} plan - Transitions from planTransitions, one per cut
+ * @returns {Object} { inputDurations, transitions } with transitions as { cut, effect, duration, offset }
+ */
+export const layoutTransitions = (durations, plan) => {
+  let cutTime = 0;
+  const transitions = plan.slice(0, Math.max(0, durations.length - 1)).map((transition, index) => {
+    cutTime += durations[index];
+    const longest = Math.min(durations[index], durations[index + 1]) * MAX_TRANSITION_SHARE;
+    const duration = transition.effect === HARD_CUT ? 0 : roundTime(Math.min(transition.duration, longest));
+    return { ...transition, duration, offset: roundTime(cutTime - duration / 2) };
+  });
+
+  const inputDurations = durations.map((duration, index) => roundTime(
+    duration + ((transitions[index - 1]?.duration || 0) + (transitions[index]?.duration || 0)) / 2
+  ));
+
+  return { inputDurations, transitions };
+};
+
+/**
+ * Creates the FFmpeg filter joining the photo streams [v0]..[vN] with their transitions
+ * Hard cuts and transitions shortened to nothing are concatenated.
+ * @param {Object[]} transitions - Timed transitions from layoutTransitions
+ * @param {string} [output] - Output stream label (default: outv)
+ * @returns {string} Filter, empty without cuts
+ */
+export const createTransitionFilter = (transitions, output = 'outv') => {
+  let filter = '';
+  let current = '[v0]';
+
+  transitions.forEach((transition, index) => {
+    const next = index === transitions.length - 1 ? `[${output}]` : `[t${index}]`;
+    filter += transition.duration > 0
+      ? `${current}[v${index + 1}]xfade=transition=${transition.effect}:duration=${transition.duration}:offset=${transition.offset}${next};`
+      : `${current}[v${index + 1}]concat=n=2:v=1:a=0${next};`;
+    current = next;
+  });
+
+  return filter;
+};
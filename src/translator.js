@@ -0,0 +1,127 @@
+import { generateText } from './llm/index.js';
+import { mergeScenesIntoSections } from './openai-script-generator.js';
+import { getLanguage } from './utils/languages.js';
+
+/**
+ * Copy translator
+ * Translates generated copy (review scripts, short scripts, titles,
+ * descriptions) into another video language in one LLM request per piece of
+ * copy, so localized variants reuse the source video's scrape, script and fact
+ * check instead of generating everything again.
+ */
+
+/**
+ * Translates texts into a language
+ * Product names, figures, "..." pauses, emojis, hashtags, URLs and timestamps
+ * are kept as they are.
+ * @param {string[]} texts - Texts to translate
+ * @param {string} languageCode - Target language code
+ * @param {Object} options - LLM options
+ * @param {string} [options.provider] - LLM provider (default: LLM_TRANSLATE_PROVIDER, LLM_PROVIDER or openai)
+ * @param {string} [options.model] - Model name (default: from the environment or the provider)
+ * @returns {Promise<string[]>} Translations, in order
+ * @throws {Error} When the language is unknown or the translation fails
+ */
+export const translateTexts = async (texts, languageCode, options = {}) => {
+  const language = getLanguage(languageCode);
+  if (texts.length === 0) {
+    return [];
+  }
+
+  try {
+    const characterCount = texts.reduce((total, text) => total + String(text || '').length, 0);
+    const response = await generateText('translate', {
+      system: `You are a professional translator for ${language.name}-language YouTube product review videos. You translate naturally, the way a native ${language.name} reviewer would say it, not word for word. Respond with a JSON array of strings only.`,
+      prompt: `Translate each text below into ${language.name}.
+
+Keep product names, brand names, model numbers and figures exactly as they are. Keep "..." pauses, line breaks, emojis, hashtags, URLs and timestamps (like 1:05) where they are. Spell out prices in words the way the text does.
+
+TEXTS:
+${JSON.stringify(texts, null, 2)}
+
+Respond with a JSON array of ${texts.length} translated text(s), in order.`,
+      maxTokens: Math.max(500, Math.ceil(characterCount / 2)),
+      temperature: 0.3
+    }, options);
+
+    const start = response.indexOf('[');
+    const end = response.lastIndexOf(']');
+    const translated = start === -1 ? null : JSON.parse(response.slice(start, end + 1));
+    if (!Array.isArray(translated) || translated.length !== texts.length) {
+      throw new Error(`expected ${texts.length} translated text(s)`);
+    }
+
+    return translated.map(text => String(text || '').trim());
+  } catch (error) {
+    throw new Error(`Translation to ${language.name} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Translates one text into a language
+ * @param {string} text - Text to translate
+ * @param {string} languageCode - Target language code
+ * @param {Object} options - LLM options (see translateTexts)
+ * @returns {Promise<string>} Translation
+ * @throws {Error} When the language is unknown or the translation fails
+ */
+export const translateText = async (text, languageCode, options = {}) => {
+  const [translated] = await translateTexts([text], languageCode, options);
+  return translated;
+};
+
+/**
+ * Translates a review script with its sections, and its scenes for scene scripts
+ * Scene scripts translate the scenes and rebuild the sections from them, so
+ * chapters and slide timing keep following the same narration.
+ * @param {Object} reviewScript - { script, sections, scenes } from the script generators
+ * @param {string} languageCode - Target language code
+ * @param {Object} options - LLM options (see translateTexts)
+ * @returns {Promise<Object>} Translated { script, sections, scenes }
+ * @throws {Error} When the language is unknown or the translation fails
+ */
+export const translateReviewScript = async (reviewScript, languageCode, options = {}) => {
+  if (reviewScript.scenes) {
+    // Each feature is translated once, so consecutive scenes about it still make one chapter
+    const features = [...new Set(reviewScript.scenes.map(scene => scene.feature))];
+    const callouts = reviewScript.scenes.map(scene => scene.callout || '');
+    const translated = await translateTexts(
+      [...reviewScript.scenes.map(scene => scene.narration), ...features, ...callouts],
+      languageCode,
+      options
+    );
+
+    const sceneCount = reviewScript.scenes.length;
+    const featureNames = new Map(features.map((feature, index) => [feature, translated[sceneCount + index]]));
+    const scenes = reviewScript.scenes.map((scene, index) => ({
+      ...scene,
+      narration: translated[index],
+      feature: featureNames.get(scene.feature),
+      callout: scene.callout ? translated[sceneCount + features.length + index] : scene.callout
+    }));
+
+    return {
+      ...reviewScript,
+      script: scenes.map(scene => scene.narration).join(' ... '),
+      sections: mergeScenesIntoSections(scenes),
+      scenes
+    };
+  }
+
+  const translated = await translateTexts(
+    reviewScript.sections.flatMap(section => [section.title, section.text]),
+    languageCode,
+    options
+  );
+  const sections = reviewScript.sections.map((section, index) => ({
+    ...section,
+    title: translated[index * 2],
+    text: translated[index * 2 + 1]
+  }));
+
+  return {
+    ...reviewScript,
+    script: sections.map(section => section.text).join(' ... '),
+    sections
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * ElevenLabs text-to-speech provider
+ */
+
+export const name = 'elevenlabs';
+
+export const maxCharacters = 5000;
+
+const DEFAULT_MODEL = 'eleven_monolingual_v1';
+
+const DEFAULT_MULTILINGUAL_MODEL = 'eleven_multilingual_v2';
+
+/**
+ * Picks the model for a language
+ * The English-only model reads other languages with an English accent, so
+ * other languages use the multilingual model.
+ * @param {string} [language] - Language code (default: en)
+ * @returns {string} ElevenLabs model ID
+ */
+export const resolveModel = (language = 'en') => {
+  const { ELEVENLABS_MODEL, ELEVENLABS_MULTILINGUAL_MODEL } = process.env;
+  return language === 'en'
+    ? ELEVENLABS_MODEL || DEFAULT_MODEL
+    : ELEVENLABS_MULTILINGUAL_MODEL || DEFAULT_MULTILINGUAL_MODEL;
+};
+
+/**
+ * Checks whether a failed request is worth retrying
+ * Client errors other than rate limits (bad key, exhausted quota) fail the same way every time.
+ * @param {Error} error - Request error
+ * @returns {boolean} True unless the API rejected the request
+ */
+const isRetryable = (error) => {
+  return typeof error.status !== 'number' || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Posts a speech request to ElevenLabs, retrying temporary failures
+ * @param {string} endpoint - Text-to-speech endpoint path after the voice ID ('' or '/with-timestamps')
+ * @param {Object} request - Synthesis request ({ text, voice, voiceSettings, language, retries })
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} When ELEVENLABS_API_KEY is missing or every attempt fails
+ */
+const requestSpeech = async (endpoint, { text, voice, voiceSettings, language, retries = 3 }) => {
+  const { ELEVENLABS_API_KEY } = process.env;
+
+  if (!ELEVENLABS_API_KEY) {
+    throw new Error('ELEVENLABS_API_KEY is required in environment variables');
+  }
+
+  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voice}${endpoint}`;
+
+  const requestOptions = {
+    method: 'POST',
+    headers: {
+      'Accept': endpoint ? 'application/json' : 'audio/mpeg',
+      'xi-api-key': ELEVENLABS_API_KEY,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      text,
+      voice_settings: voiceSettings,
+      model_id: resolveModel(language),
+      output_format: 'mp3_44100_128' // Fixed format for consistent audio
+    })
+  };
+
+  for (let attempt = 0; attempt < retries; attempt++) {
+    try {
+      const response = await fetch(url, requestOptions);
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => 'Unknown error');
+        const error = new Error(
+          `Eleven Labs API error: ${response.status} ${response.statusText} - ${errorText}`
+        );
+        error.status = response.status;
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      console.warn(`API request attempt ${attempt + 1} failed: ${error.message}`);
+
+      if (attempt === retries - 1 || !isRetryable(error)) {
+        throw error;
+      }
+
+      // Wait before retry (exponential backoff)
+      await new Promise(resolve =>
+        setTimeout(resolve, Math.pow(2, attempt) * 1000)
+      );
+    }
+  }
+};
+
+/**
+ * Synthesizes speech with ElevenLabs
+ * @param {Object} request - Synthesis request
+ * @param {string} request.text - Text to speak
+ * @param {string} request.voice - ElevenLabs voice ID
+ * @param {Object} [request.voiceSettings] - ElevenLabs voice settings
+ * @param {string} [request.language] - Language code of the text (default: en)
+ * @param {number} [request.retries] - Attempts before giving up (default: 3)
+ * @returns {Promise<Buffer>} MP3 audio (44.1 kHz, 128 kbps)
+ * @throws {Error} When ELEVENLABS_API_KEY is missing or every attempt fails
+ */
+export const synthesize = async (request) => {
+  const response = await requestSpeech('', request);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Synthesizes speech with ElevenLabs' character timestamps
+ * @param {Object} request - Synthesis request (same as synthesize)
+ * @returns {Promise<Object>} { audio, alignment } with the MP3 audio and { characters, starts, ends } in seconds
+ * @throws {Error} When ELEVENLABS_API_KEY is missing or every attempt fails
+ */
+export const synthesizeWithTimestamps = async (request) => {
+  const response = await requestSpeech('/with-timestamps', request);
+  const data = await response.json();
+  const alignment = data.alignment || data.normalized_alignment;
+
+  return {
+    audio: Buffer.from(data.audio_base64 || '', 'base64'),
+    alignment: alignment
+      ? {
+        characters: alignment.characters,
+        starts: alignment.character_start_times_seconds,
+        ends: alignment.character_end_times_seconds
+      }
+      : null
+  };
+};
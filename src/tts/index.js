@@ -0,0 +1,124 @@
+import * as elevenlabs from './elevenlabs.js';
+import * as openai from './openai.js';
+import * as local from './local.js';
+
+/**
+ * Text-to-speech provider registry
+ * A provider is a module exporting `name`, `maxCharacters` and
+ * `synthesize(request)`, resolving to MP3 audio for
+ * { text, voice, gender, voiceSettings, language }. Providers ignore voices that are
+ * not theirs and pick one by gender, so a fallback keeps the voice gender.
+ * Providers that can time their speech also export
+ * `synthesizeWithTimestamps(request)`, resolving to { audio, alignment } with
+ * character timings as { characters, starts, ends }.
+ */
+
+export const TTS_PROVIDERS = {
+  [elevenlabs.name]: elevenlabs,
+  [openai.name]: openai,
+  [local.name]: local
+};
+
+export const DEFAULT_TTS_PROVIDER = elevenlabs.name;
+
+/**
+ * Gets a TTS provider by name
+ * @param {string} providerName - Provider name
+ * @returns {Object} Provider module
+ * @throws {Error} When the provider is unknown
+ */
+export const getTTSProvider = (providerName) => {
+  const provider = TTS_PROVIDERS[String(providerName || '').toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown TTS provider: ${providerName}. Available providers: ${Object.keys(TTS_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Resolves the providers to try, in order
+ * The primary provider comes from options, then TTS_PROVIDER, then ElevenLabs.
+ * Fallbacks come from options, then the comma-separated TTS_FALLBACK.
+ * @param {Object} options - Voiceover options
+ * @param {string} [options.provider] - Primary provider name
+ * @param {string[]|string} [options.fallbacks] - Fallback provider names
+ * @returns {Object[]} Provider modules, primary first, without duplicates
+ * @throws {Error} When a provider is unknown
+ */
+export const resolveTTSProviders = (options = {}) => {
+  const primary = options.provider || process.env.TTS_PROVIDER || DEFAULT_TTS_PROVIDER;
+  const fallbacks = options.fallbacks ?? process.env.TTS_FALLBACK ?? [];
+  const fallbackNames = Array.isArray(fallbacks) ? fallbacks : fallbacks.split(',');
+
+  const providers = [primary, ...fallbackNames]
+    .map(providerName => providerName.trim())
+    .filter(Boolean)
+    .map(getTTSProvider);
+
+  return [...new Set(providers)];
+};
+
+/**
+ * Shortens text to a provider's limit at a sentence boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text within the limit
+ */
+const fitToLimit = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const truncated = text.substring(0, maxLength);
+  const lastSentence = truncated.lastIndexOf('.');
+  return lastSentence > maxLength * 0.8 ? truncated.substring(0, lastSentence + 1) : truncated;
+};
+
+/**
+ * Synthesizes speech, falling back to the next provider when one fails
+ * (missing key, exhausted quota, outage or missing local engine).
+ * @param {string} text - Text to speak
+ * @param {Object} options - Synthesis options
+ * @param {string} [options.provider] - Primary provider name
+ * @param {string[]|string} [options.fallbacks] - Fallback provider names
+ * @param {string} [options.voice] - Voice ID of the primary provider
+ * @param {string} [options.gender] - Voice gender preference
+ * @param {Object} [options.voiceSettings] - ElevenLabs voice settings
+ * @param {string} [options.language] - Language code of the text (default: en)
+ * @param {boolean} [options.withTimestamps] - Ask providers that support it for character timings
+ * @returns {Promise<Object>} { audio, provider, alignment } with the MP3 audio, the provider that
+ *   produced it and its character timings (null when the provider has none)
+ * @throws {Error} The primary provider's error when every provider fails
+ */
+export const synthesizeSpeech = async (text, options = {}) => {
+  const { voice, gender, voiceSettings, language = 'en', withTimestamps = false } = options;
+  const providers = resolveTTSProviders(options);
+  let primaryError;
+
+  for (const provider of providers) {
+    try {
+      const providerText = fitToLimit(text, provider.maxCharacters);
+      if (providerText.length < text.length) {
+        console.warn(`⚠️ Text shortened to ${providerText.length} characters for ${provider.name}`);
+      }
+
+      const request = { text: providerText, voice, gender, voiceSettings, language };
+      const { audio, alignment = null } = withTimestamps && provider.synthesizeWithTimestamps
+        ? await provider.synthesizeWithTimestamps(request)
+        : { audio: await provider.synthesize(request) };
+
+      if (!audio || audio.length === 0) {
+        throw new Error(`${provider.name} returned empty audio`);
+      }
+
+      return { audio, provider: provider.name, alignment };
+    } catch (error) {
+      primaryError = primaryError || error;
+      if (provider !== providers[providers.length - 1]) {
+        console.warn(`⚠️ ${provider.name} text-to-speech failed, falling back: ${error.message}`);
+      }
+    }
+  }
+
+  throw primaryError;
+};
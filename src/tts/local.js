@@ -0,0 +1,137 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getLanguage } from '../utils/languages.js';
+
+/**
+ * Offline text-to-speech provider
+ * Runs Piper (when PIPER_MODEL points at a voice model) or espeak-ng on the
+ * CPU and encodes the result with FFmpeg, so drafts and CI runs need no API key.
+ */
+
+export const name = 'local';
+
+export const maxCharacters = 20000;
+
+const COMMAND_TIMEOUT_MS = 120000;
+
+/**
+ * espeak-ng voices by gender
+ */
+export const ESPEAK_VOICES = {
+  male: 'en-us+m3',
+  female: 'en-us+f3'
+};
+
+/**
+ * Picks the espeak-ng voice for a gender and language
+ * @param {string} [gender] - Voice gender preference
+ * @param {string} [language] - Language code (default: en)
+ * @returns {string} espeak-ng voice with its gender variant
+ */
+export const getEspeakVoice = (gender, language = 'en') => {
+  const voice = gender === 'male' ? ESPEAK_VOICES.male : ESPEAK_VOICES.female;
+  return language === 'en' ? voice : voice.replace(/^[^+]+/, getLanguage(language).espeakVoice);
+};
+
+/**
+ * Picks the local engine: LOCAL_TTS_ENGINE, else Piper when a model is configured
+ * @returns {string} 'piper' or 'espeak-ng'
+ */
+export const getLocalEngine = () => {
+  const { LOCAL_TTS_ENGINE, PIPER_MODEL } = process.env;
+  if (LOCAL_TTS_ENGINE) {
+    return LOCAL_TTS_ENGINE;
+  }
+  return PIPER_MODEL ? 'piper' : 'espeak-ng';
+};
+
+/**
+ * Runs a command, writing input to its stdin
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {string} input - Text for stdin
+ * @returns {Promise<void>}
+ * @throws {Error} When the command is missing, fails or times out
+ */
+const runCommand = (command, args, input = '') => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      child.kill('SIGTERM');
+      reject(new Error(`${command} timed out after ${COMMAND_TIMEOUT_MS / 1000} seconds`));
+    }, COMMAND_TIMEOUT_MS);
+
+    child.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error.code === 'ENOENT'
+        ? new Error(`${command} is not installed or not in PATH`)
+        : new Error(`Failed to start ${command}: ${error.message}`));
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} failed with exit code ${code}: ${stderr.trim()}`));
+      }
+    });
+
+    child.stdin.on('error', () => {
+      // Reported through 'error' or 'close'
+    });
+    child.stdin.end(input);
+  });
+};
+
+/**
+ * Synthesizes speech on the CPU
+ * @param {Object} request - Synthesis request
+ * @param {string} request.text - Text to speak
+ * @param {string} [request.gender] - Voice gender preference (espeak-ng only)
+ * @param {string} [request.language] - Language code of the text (default: en); Piper reads the
+ *   model from PIPER_MODEL_<LANGUAGE> (e.g. PIPER_MODEL_ES), then PIPER_MODEL
+ * @returns {Promise<Buffer>} MP3 audio (44.1 kHz, 128 kbps)
+ * @throws {Error} When the engine or FFmpeg is unavailable or fails
+ */
+export const synthesize = async ({ text, gender, language = 'en' }) => {
+  const engine = getLocalEngine();
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-'));
+  const wavPath = path.join(workDir, 'speech.wav');
+  const mp3Path = path.join(workDir, 'speech.mp3');
+
+  try {
+    if (engine === 'piper') {
+      const { PIPER_BIN } = process.env;
+      const model = process.env[`PIPER_MODEL_${language.toUpperCase()}`] || process.env.PIPER_MODEL;
+      if (!model) {
+        throw new Error('PIPER_MODEL is required in environment variables for the piper engine');
+      }
+      await runCommand(PIPER_BIN || 'piper', ['--model', model, '--output_file', wavPath], text);
+    } else if (engine === 'espeak-ng') {
+      await runCommand('espeak-ng', ['-v', getEspeakVoice(gender, language), '-s', '165', '-w', wavPath, '--stdin'], text);
+    } else {
+      throw new Error(`Unknown local TTS engine: ${engine}. Available engines: piper, espeak-ng`);
+    }
+
+    // Same format as the ElevenLabs output, so the video steps see no difference
+    await runCommand('ffmpeg', [
+      '-y', '-i', wavPath,
+      '-ar', '44100', '-ac', '1',
+      '-codec:a', 'libmp3lame', '-b:a', '128k',
+      mp3Path
+    ]);
+
+    return await fs.readFile(mp3Path);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
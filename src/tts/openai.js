@@ -0,0 +1,73 @@
+/**
+ * OpenAI text-to-speech provider
+ */
+
+export const name = 'openai';
+
+export const maxCharacters = 4096;
+
+const API_URL = 'https://api.openai.com/v1/audio/speech';
+const DEFAULT_MODEL = 'tts-1';
+
+/**
+ * OpenAI voices by gender, best match for product reviews first
+ */
+export const VOICES = {
+  male: ['onyx', 'echo', 'fable'],
+  female: ['nova', 'shimmer', 'alloy']
+};
+
+/**
+ * Picks an OpenAI voice
+ * Voice IDs of other providers are not OpenAI voices, so the gender decides
+ * and the same gender always gets the same voice.
+ * @param {string} voice - Requested voice
+ * @param {string} gender - Voice gender preference ('male', 'female' or null)
+ * @returns {string} OpenAI voice name
+ */
+export const resolveVoice = (voice, gender) => {
+  if ([...VOICES.male, ...VOICES.female].includes(voice)) {
+    return voice;
+  }
+  return gender === 'male' ? VOICES.male[0] : VOICES.female[0];
+};
+
+/**
+ * Synthesizes speech with OpenAI
+ * @param {Object} request - Synthesis request
+ * @param {string} request.text - Text to speak
+ * @param {string} [request.voice] - OpenAI voice name
+ * @param {string} [request.gender] - Voice gender preference
+ * @returns {Promise<Buffer>} MP3 audio
+ * @throws {Error} When OPENAI_API_KEY is missing or the API returns an error
+ */
+export const synthesize = async ({ text, voice, gender }) => {
+  const { OPENAI_API_KEY, OPENAI_TTS_MODEL } = process.env;
+
+  if (!OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is required in environment variables');
+  }
+
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: OPENAI_TTS_MODEL || DEFAULT_MODEL,
+      input: text,
+      voice: resolveVoice(voice, gender),
+      response_format: 'mp3'
+    })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(`OpenAI TTS API error: ${response.status} ${data.error?.message || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+};
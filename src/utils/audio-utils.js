@@ -321,6 +321,139 @@ export const analyzeAudioFile = async (audioPath) => {
   });
 };
 
+/**
+ * Default settings for stitching voiceover chunks into one track
+ */
+export const CHUNK_STITCH_DEFAULTS = {
+  crossfade: 0.05,   // Seconds of overlap between chunks, hides the seam without eating words
+  loudness: -16,     // Integrated loudness target (LUFS) applied to every chunk
+  truePeak: -1.5     // True peak ceiling (dBTP)
+};
+
+/**
+ * Creates the FFmpeg filter that levels and crossfades voiceover chunks
+ * Every chunk is normalized to the same loudness before the crossfades, so
+ * a quieter or louder request doesn't stand out in the track.
+ * @param {number} chunkCount - Number of input chunks (at least 2)
+ * @param {Object} options - Stitch options
+ * @param {number} [options.crossfade] - Crossfade duration in seconds
+ * @param {number} [options.loudness] - Target loudness in LUFS
+ * @param {number} [options.truePeak] - True peak ceiling in dBTP
+ * @returns {string} Filter complex ending in the [out] label
+ */
+export const createChunkStitchFilter = (chunkCount, options = {}) => {
+  const { crossfade, loudness, truePeak } = { ...CHUNK_STITCH_DEFAULTS, ...options };
+
+  const filters = [];
+  for (let i = 0; i < chunkCount; i++) {
+    filters.push(`[${i}:a]loudnorm=I=${loudness}:TP=${truePeak}:LRA=11,aresample=44100[a${i}]`);
+  }
+
+  let previous = 'a0';
+  for (let i = 1; i < chunkCount; i++) {
+    const label = i === chunkCount - 1 ? 'out' : `x${i}`;
+    filters.push(`[${previous}][a${i}]acrossfade=d=${crossfade}:c1=tri:c2=tri[${label}]`);
+    previous = label;
+  }
+
+  return filters.join(';');
+};
+
+/**
+ * Rounds seconds to milliseconds
+ * @param {number} seconds - Seconds
+ * @returns {number} Rounded seconds
+ */
+export const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Computes where each chunk lands in the stitched track
+ * Each crossfade pulls the following chunks earlier by its duration.
+ * @param {number[]} durations - Chunk durations in seconds
+ * @param {number} crossfade - Crossfade duration in seconds
+ * @returns {Object[]} { start, end } in seconds for every chunk
+ */
+export const buildChunkTimeline = (durations, crossfade = 0) => {
+  let start = 0;
+  return durations.map((duration, index) => {
+    const entry = {
+      start: roundTime(start),
+      end: roundTime(start + duration)
+    };
+    start += duration - (index < durations.length - 1 ? crossfade : 0);
+    return entry;
+  });
+};
+
+/**
+ * Stitches voiceover chunks into one MP3 with consistent loudness and short crossfades
+ * @param {string[]} chunkPaths - Chunk audio files, in order
+ * @param {string} outputPath - Stitched MP3 path
+ * @param {Object} options - Stitch options (see CHUNK_STITCH_DEFAULTS)
+ * @returns {Promise<Object>} { durations, crossfade, timeline } for the chunks
+ * @throws {Error} When a chunk can't be analyzed or FFmpeg fails
+ */
+export const stitchAudioChunks = async (chunkPaths, outputPath, options = {}) => {
+  const durations = [];
+  for (const chunkPath of chunkPaths) {
+    const analysis = await analyzeAudioFile(chunkPath);
+    durations.push(analysis.duration);
+  }
+
+  // A crossfade can't be longer than half of the shortest chunk
+  const crossfade = Math.min(
+    options.crossfade ?? CHUNK_STITCH_DEFAULTS.crossfade,
+    Math.min(...durations) / 2
+  );
+
+  const ffmpegArgs = [
+    '-y',
+    ...chunkPaths.flatMap(chunkPath => ['-i', chunkPath]),
+    '-filter_complex', createChunkStitchFilter(chunkPaths.length, { ...options, crossfade }),
+    '-map', '[out]',
+    '-ar', '44100',
+    '-ac', '1',
+    '-codec:a', 'libmp3lame',
+    '-b:a', '128k',
+    outputPath
+  ];
+
+  console.log(`🔗 Stitching ${chunkPaths.length} voiceover chunks (${crossfade}s crossfades)`);
+
+  await new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      ffmpegProcess.kill('SIGTERM');
+      reject(new Error('Audio stitching timed out after 120 seconds'));
+    }, 120000);
+
+    ffmpegProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Audio stitching failed with exit code ${code}: ${stderr}`));
+      }
+    });
+
+    ffmpegProcess.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to start audio stitching: ${error.message}`));
+    });
+  });
+
+  return { durations, crossfade, timeline: buildChunkTimeline(durations, crossfade) };
+};
+
 /**
  * Logs audio configuration for debugging
  * @param {Object} config - Audio configuration
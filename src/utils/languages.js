@@ -0,0 +1,164 @@
+/**
+ * Video language definitions
+ * Each language knows its name (for translation prompts), its espeak-ng voice
+ * and the fixed lines every video carries: the intro and QR outro voice lines
+ * (the intro naming the channel of the brand kit as {channel}), the affiliate link label, the Amazon Associates disclosure (Amazon's own
+ * wording where it publishes one) and the price date note.
+ */
+
+/**
+ * Supported languages keyed by ISO 639-1 code
+ */
+export const LANGUAGES = {
+  en: {
+    code: 'en',
+    name: 'English',
+    espeakVoice: 'en-us',
+    strings: {
+      intro: 'Welcome to {channel} where we review your favorite products',
+      outro: 'Scan the QR code or on mobile take a screenshot and scan it to go to the product page',
+      getProduct: '🛒 Get this product here:',
+      disclosure: '⚠️ As an Amazon Associate, I earn from qualifying purchases.',
+      support: 'This helps support the channel at no extra cost to you!',
+      priceDate: 'Price as of {date} and subject to change.'
+    }
+  },
+  es: {
+    code: 'es',
+    name: 'Spanish',
+    espeakVoice: 'es',
+    strings: {
+      intro: 'Bienvenidos a {channel}, donde reseñamos tus productos favoritos',
+      outro: 'Escanea el código QR o, en el móvil, haz una captura de pantalla y escanéala para ir a la página del producto',
+      getProduct: '🛒 Consigue este producto aquí:',
+      disclosure: '⚠️ Como Afiliado de Amazon, obtengo ingresos por las compras adscritas que cumplen los requisitos aplicables.',
+      support: '¡Esto ayuda al canal sin ningún coste extra para ti!',
+      priceDate: 'Precio a fecha de {date}, sujeto a cambios.'
+    }
+  },
+  de: {
+    code: 'de',
+    name: 'German',
+    espeakVoice: 'de',
+    strings: {
+      intro: 'Willkommen bei {channel}, wo wir eure Lieblingsprodukte testen',
+      outro: 'Scanne den QR-Code oder mach auf dem Handy einen Screenshot und scanne ihn, um zur Produktseite zu gelangen',
+      getProduct: '🛒 Hier gibt es das Produkt:',
+      disclosure: '⚠️ Als Amazon-Partner verdiene ich an qualifizierten Verkäufen.',
+      support: 'Das unterstützt den Kanal, ohne dass es dich extra kostet!',
+      priceDate: 'Preis vom {date}, Änderungen vorbehalten.'
+    }
+  },
+  fr: {
+    code: 'fr',
+    name: 'French',
+    espeakVoice: 'fr',
+    strings: {
+      intro: 'Bienvenue sur {channel}, où nous testons vos produits préférés',
+      outro: 'Scannez le code QR ou, sur mobile, faites une capture d\'écran et scannez-la pour accéder à la page du produit',
+      getProduct: '🛒 Obtenez ce produit ici :',
+      disclosure: '⚠️ En tant que Partenaire Amazon, je réalise un bénéfice sur les achats remplissant les conditions requises.',
+      support: 'Cela soutient la chaîne sans frais supplémentaires pour vous !',
+      priceDate: 'Prix au {date}, susceptible de changer.'
+    }
+  },
+  it: {
+    code: 'it',
+    name: 'Italian',
+    espeakVoice: 'it',
+    strings: {
+      intro: 'Benvenuti su {channel}, dove recensiamo i vostri prodotti preferiti',
+      outro: 'Scansiona il codice QR oppure, da cellulare, fai uno screenshot e scansionalo per andare alla pagina del prodotto',
+      getProduct: '🛒 Acquista il prodotto qui:',
+      disclosure: '⚠️ In qualità di Affiliato Amazon, ricevo un guadagno dagli acquisti idonei.',
+      support: 'Così sostieni il canale senza costi aggiuntivi!',
+      priceDate: 'Prezzo aggiornato al {date}, soggetto a variazioni.'
+    }
+  },
+  pt: {
+    code: 'pt',
+    name: 'Portuguese',
+    espeakVoice: 'pt-br',
+    strings: {
+      intro: 'Bem-vindos ao {channel}, onde analisamos os seus produtos favoritos',
+      outro: 'Escaneie o código QR ou, no celular, tire um print da tela e escaneie para ir à página do produto',
+      getProduct: '🛒 Compre este produto aqui:',
+      disclosure: '⚠️ Como Associado da Amazon, recebo por compras qualificadas.',
+      support: 'Isso ajuda o canal sem nenhum custo extra para você!',
+      priceDate: 'Preço em {date}, sujeito a alterações.'
+    }
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * How localized videos are uploaded
+ * separate: every language is its own video
+ * localizations: one upload in the first language, carrying the other titles and descriptions
+ */
+export const LOCALIZED_UPLOAD_MODES = ['separate', 'localizations'];
+
+export const DEFAULT_LOCALIZED_UPLOAD_MODE = 'separate';
+
+/**
+ * Gets a language by code
+ * @param {string} code - Language code (e.g. en, es, de); region suffixes are ignored
+ * @returns {Object} Language definition
+ * @throws {Error} When the language is unknown
+ */
+export const getLanguage = (code) => {
+  const normalized = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  const language = LANGUAGES[normalized];
+
+  if (!language) {
+    throw new Error(`Unknown language: ${code}. Available languages: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+
+  return language;
+};
+
+/**
+ * Parses a comma-separated language list
+ * @param {string|string[]} value - Language codes (e.g. "en,es,de")
+ * @returns {string[]} Language codes without duplicates, in the given order
+ * @throws {Error} When a language is unknown or none is given
+ */
+export const parseLanguages = (value) => {
+  const codes = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(code => code.trim())
+    .filter(Boolean)
+    .map(code => getLanguage(code).code);
+
+  if (codes.length === 0) {
+    throw new Error('At least one language is required');
+  }
+
+  return [...new Set(codes)];
+};
+
+/**
+ * Parses a voice per language
+ * @param {string} value - Comma-separated language=voice pairs (e.g. "es=VOICE_ID,de=VOICE_ID")
+ * @returns {Object} Voice ID by language code
+ * @throws {Error} When a pair is malformed or its language unknown
+ */
+export const parseLanguageVoices = (value) => {
+  const pairs = String(value || '').split(',').map(pair => pair.trim()).filter(Boolean);
+
+  return Object.fromEntries(pairs.map(pair => {
+    const [code, voice] = pair.split('=').map(part => part.trim());
+    if (!code || !voice) {
+      throw new Error(`Invalid language voice: ${pair}. Use language=voice, e.g. es=VOICE_ID`);
+    }
+    return [getLanguage(code).code, voice];
+  }));
+};
+
+/**
+ * Fills the date into a language's price date note
+ * @param {string} code - Language code
+ * @param {string} date - Date the price was checked (YYYY-MM-DD)
+ * @returns {string} Price date note
+ */
+export const formatPriceDate = (code, date) => getLanguage(code).strings.priceDate.replace('{date}', date);
@@ -0,0 +1,138 @@
+/**
+ * Amazon marketplace definitions
+ * Each marketplace knows its domain, the locale used for product data,
+ * its currency (for scripts) and where its Associates tag is configured.
+ */
+
+/**
+ * Supported marketplaces keyed by code
+ */
+export const MARKETPLACES = {
+  US: { code: 'US', domain: 'amazon.com', language: 'en_US', currency: 'USD', currencySymbol: '$', currencyName: 'dollars', paapiHost: 'webservices.amazon.com', paapiRegion: 'us-east-1' },
+  CA: { code: 'CA', domain: 'amazon.ca', language: 'en_CA', currency: 'CAD', currencySymbol: '$', currencyName: 'Canadian dollars', paapiHost: 'webservices.amazon.ca', paapiRegion: 'us-east-1' },
+  MX: { code: 'MX', domain: 'amazon.com.mx', language: 'es_MX', currency: 'MXN', currencySymbol: '$', currencyName: 'pesos', paapiHost: 'webservices.amazon.com.mx', paapiRegion: 'us-east-1' },
+  UK: { code: 'UK', domain: 'amazon.co.uk', language: 'en_GB', currency: 'GBP', currencySymbol: '£', currencyName: 'pounds', paapiHost: 'webservices.amazon.co.uk', paapiRegion: 'eu-west-1' },
+  DE: { code: 'DE', domain: 'amazon.de', language: 'de_DE', currency: 'EUR', currencySymbol: '€', currencyName: 'euros', paapiHost: 'webservices.amazon.de', paapiRegion: 'eu-west-1' },
+  FR: { code: 'FR', domain: 'amazon.fr', language: 'fr_FR', currency: 'EUR', currencySymbol: '€', currencyName: 'euros', paapiHost: 'webservices.amazon.fr', paapiRegion: 'eu-west-1' },
+  IT: { code: 'IT', domain: 'amazon.it', language: 'it_IT', currency: 'EUR', currencySymbol: '€', currencyName: 'euros', paapiHost: 'webservices.amazon.it', paapiRegion: 'eu-west-1' },
+  ES: { code: 'ES', domain: 'amazon.es', language: 'es_ES', currency: 'EUR', currencySymbol: '€', currencyName: 'euros', paapiHost: 'webservices.amazon.es', paapiRegion: 'eu-west-1' },
+  IN: { code: 'IN', domain: 'amazon.in', language: 'en_IN', currency: 'INR', currencySymbol: '₹', currencyName: 'rupees', paapiHost: 'webservices.amazon.in', paapiRegion: 'eu-west-1' },
+  JP: { code: 'JP', domain: 'amazon.co.jp', language: 'ja_JP', currency: 'JPY', currencySymbol: '¥', currencyName: 'yen', paapiHost: 'webservices.amazon.co.jp', paapiRegion: 'us-west-2' },
+  AU: { code: 'AU', domain: 'amazon.com.au', language: 'en_AU', currency: 'AUD', currencySymbol: '$', currencyName: 'Australian dollars', paapiHost: 'webservices.amazon.com.au', paapiRegion: 'us-west-2' }
+};
+
+/**
+ * Alternative codes accepted for --marketplace
+ */
+const MARKETPLACE_ALIASES = {
+  GB: 'UK'
+};
+
+export const DEFAULT_MARKETPLACE = 'US';
+
+/**
+ * Gets a marketplace by code
+ * @param {string} code - Marketplace code (e.g. US, UK, DE)
+ * @returns {Object} Marketplace definition
+ * @throws {Error} When the marketplace is unknown
+ */
+export const getMarketplace = (code) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  const marketplace = MARKETPLACES[MARKETPLACE_ALIASES[normalized] || normalized];
+
+  if (!marketplace) {
+    throw new Error(`Unknown marketplace: ${code}. Available marketplaces: ${Object.keys(MARKETPLACES).join(', ')}`);
+  }
+
+  return marketplace;
+};
+
+/**
+ * Detects the marketplace from an Amazon URL
+ * @param {string} url - Amazon product URL
+ * @returns {string|null} Marketplace code, or null when the input is not an Amazon URL
+ */
+export const detectMarketplaceFromUrl = (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  const domain = hostname.replace(/^(www|smile|m)\./, '');
+  const marketplace = Object.values(MARKETPLACES).find(candidate => candidate.domain === domain);
+
+  return marketplace ? marketplace.code : null;
+};
+
+/**
+ * Resolves the marketplace for a product
+ * Priority: explicit code, then the URL domain, then AMAZON_MARKETPLACE env, then US.
+ * @param {Object} params - Resolution parameters
+ * @param {string} [params.marketplace] - Explicit marketplace code
+ * @param {string} [params.url] - Product URL or ASIN
+ * @returns {Object} Marketplace definition
+ */
+export const resolveMarketplace = ({ marketplace, url } = {}) => {
+  if (marketplace) {
+    return getMarketplace(marketplace);
+  }
+
+  const detected = url ? detectMarketplaceFromUrl(url) : null;
+  if (detected) {
+    return MARKETPLACES[detected];
+  }
+
+  return getMarketplace(process.env.AMAZON_MARKETPLACE || DEFAULT_MARKETPLACE);
+};
+
+/**
+ * Gets the Associates tag for a marketplace
+ * Tags are read from AFFILIATE_TAG_<CODE> (e.g. AFFILIATE_TAG_UK). The default
+ * marketplace (AMAZON_MARKETPLACE, or US) also falls back to AFFILIATE_TAG.
+ * Tags are locale specific, so other marketplaces never reuse that tag.
+ * @param {Object|string} marketplace - Marketplace definition or code
+ * @returns {string|null} Associates tag, or null when none is configured
+ */
+export const getAffiliateTag = (marketplace) => {
+  const { code } = typeof marketplace === 'string' ? getMarketplace(marketplace) : marketplace;
+  const defaultCode = getMarketplace(process.env.AMAZON_MARKETPLACE || DEFAULT_MARKETPLACE).code;
+  const tag = process.env[`AFFILIATE_TAG_${code}`] || (code === defaultCode ? process.env.AFFILIATE_TAG : null);
+
+  if (!tag) {
+    console.warn(`⚠️ No affiliate tag configured for the ${code} marketplace (set AFFILIATE_TAG_${code})`);
+    return null;
+  }
+
+  return tag;
+};
+
+/**
+ * Gets the Associates tag matching the marketplace of a product URL
+ * @param {string} productUrl - Amazon product URL
+ * @returns {string|null} Associates tag
+ */
+export const getAffiliateTagForUrl = (productUrl) => {
+  return getAffiliateTag(resolveMarketplace({ url: productUrl }));
+};
+
+/**
+ * Gets the spoken currency name for a marketplace (e.g. "pounds" for UK)
+ * @param {string} [code] - Marketplace code (default: AMAZON_MARKETPLACE env or US)
+ * @returns {string} Currency name used in scripts
+ */
+export const getCurrencyName = (code) => {
+  return resolveMarketplace({ marketplace: code }).currencyName;
+};
+
+/**
+ * Builds the product page URL for an ASIN on a marketplace
+ * @param {string} asin - Product ASIN
+ * @param {Object|string} marketplace - Marketplace definition or code
+ * @returns {string} Product URL
+ */
+export const buildProductUrl = (asin, marketplace) => {
+  const { domain } = typeof marketplace === 'string' ? getMarketplace(marketplace) : marketplace;
+  return `https://www.${domain}/dp/${asin}`;
+};
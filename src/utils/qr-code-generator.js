@@ -5,6 +5,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import sharp from 'sharp';
 
 /**
  * Generates a QR code image for the given Amazon affiliate URL
@@ -73,6 +74,113 @@ export const generateQRCode = async (amazonUrl, outputPath, options = {}) => {
   }
 };
 
+/**
+ * Escapes text for an SVG text element
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Creates an SVG image of one line of centered text
+ * Long text is set smaller so it fits the width.
+ * @param {string} text - Text
+ * @param {Object} options - Text options
+ * @returns {Buffer} SVG image
+ */
+const createTextImage = (text, { width, fontSize, font, color }) => {
+  const size = Math.min(fontSize, Math.floor((width * 0.9) / (text.length * 0.55)));
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${Math.round(fontSize * 1.4)}">` +
+    `<text x="50%" y="${fontSize}" text-anchor="middle" font-family="${escapeXml(font)}" font-size="${size}" fill="${color}">${escapeXml(text)}</text>` +
+    '</svg>'
+  );
+};
+
+/**
+ * Creates the QR outro card: the QR code, with the channel logo and a headline
+ * in the card and split layouts, on the brand background
+ * @param {string} qrCodeImagePath - Path to the QR code image
+ * @param {string} outputPath - Path for the card image
+ * @param {Object} options - Card options
+ * @param {string} [options.resolution] - Card size as WIDTHxHEIGHT (default: 1920x1080)
+ * @param {string} [options.layout] - qr, card or split (default: qr)
+ * @param {number} [options.qrSize] - QR code size as a share of the shorter side (default: 0.5)
+ * @param {string} [options.headline] - Text under the QR code or next to it
+ * @param {string} [options.logoPath] - Channel logo
+ * @param {string} [options.background] - Background color as #RRGGBB (default: black)
+ * @param {string} [options.textColor] - Headline color as #RRGGBB (default: white)
+ * @param {string} [options.font] - Headline font family
+ * @returns {Promise<string>} - Path to the card image
+ */
+export const createQROutroCard = async (qrCodeImagePath, outputPath, options = {}) => {
+  const {
+    resolution = '1920x1080',
+    layout = 'qr',
+    qrSize = 0.5,
+    headline = '',
+    logoPath = null,
+    background = '#000000',
+    textColor = '#FFFFFF',
+    font = 'Poppins-ExtraBold'
+  } = options;
+
+  const [width, height] = resolution.split('x').map(Number);
+  const shorterSide = Math.min(width, height);
+  const qrPixels = Math.round(shorterSide * qrSize);
+  const gap = Math.round(shorterSide * 0.04);
+  const fontSize = Math.round(shorterSide * 0.05);
+  // Split cards need room beside the QR code, so vertical frames stack like a card
+  const split = layout === 'split' && width > height;
+
+  const qr = await sharp(qrCodeImagePath).resize(qrPixels, qrPixels, { fit: 'contain', background }).toBuffer();
+  const logo = layout !== 'qr' && logoPath
+    ? await sharp(logoPath).resize({ width: Math.round(shorterSide * 0.3), height: Math.round(shorterSide * 0.15), fit: 'inside' }).png().toBuffer()
+    : null;
+  const logoHeight = logo ? (await sharp(logo).metadata()).height : 0;
+  const text = layout !== 'qr' && headline ? headline : '';
+  const textHeight = text ? Math.round(fontSize * 1.4) : 0;
+
+  const layers = [];
+  if (split) {
+    // QR code centered in the left half, logo and headline stacked in the right half
+    const columnWidth = Math.round(width / 2);
+    layers.push({ input: qr, left: Math.round((columnWidth - qrPixels) / 2), top: Math.round((height - qrPixels) / 2) });
+    let top = Math.round((height - logoHeight - textHeight - (logo && text ? gap : 0)) / 2);
+    if (logo) {
+      const { width: logoWidth } = await sharp(logo).metadata();
+      layers.push({ input: logo, left: columnWidth + Math.round((columnWidth - logoWidth) / 2), top });
+      top += logoHeight + gap;
+    }
+    if (text) {
+      layers.push({ input: createTextImage(text, { width: columnWidth, fontSize, font, color: textColor }), left: columnWidth, top });
+    }
+  } else {
+    // Logo, QR code and headline stacked in the middle of the frame
+    const stackHeight = logoHeight + qrPixels + textHeight + (logo ? gap : 0) + (text ? gap : 0);
+    let top = Math.round((height - stackHeight) / 2);
+    if (logo) {
+      const { width: logoWidth } = await sharp(logo).metadata();
+      layers.push({ input: logo, left: Math.round((width - logoWidth) / 2), top });
+      top += logoHeight + gap;
+    }
+    layers.push({ input: qr, left: Math.round((width - qrPixels) / 2), top });
+    top += qrPixels + gap;
+    if (text) {
+      layers.push({ input: createTextImage(text, { width, fontSize, font, color: textColor }), left: 0, top });
+    }
+  }
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await sharp({ create: { width, height, channels: 3, background } })
+    .composite(layers)
+    .png()
+    .toFile(outputPath);
+
+  console.log(`✅ QR outro card created (${layout}): ${outputPath}`);
+  return outputPath;
+};
+
 /**
  * Creates a QR code outro video segment with the QR code and instructions
  * @param {string} qrCodeImagePath - Path to the QR code image
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+/**
+ * Seeded random choices
+ * Every random creative choice (voice, background music, fallback lines,
+ * promoter prefixes and hooks) draws from a generator seeded by the session
+ * seed, so a session rendered again with its seed makes the same choices.
+ * Each kind of choice has its own stream, derived from the seed and the
+ * stream name: reusing or skipping a step doesn't shift the choices made
+ * after it. Without a seed, choices use Math.random.
+ */
+
+/**
+ * Generates a new seed
+ * @returns {string} 8 hex characters
+ */
+export const generateSeed = () => crypto.randomBytes(4).toString('hex');
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a random number generator
+ * The generator is mulberry32, seeded with the hash of the seed and the stream name.
+ * @param {string|number|null} [seed] - Session seed; null or undefined for Math.random
+ * @param {string} [stream] - Name of the kind of choice (e.g. music, voice)
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export const createRandom = (seed, stream = '') => {
+  if (seed === null || seed === undefined || seed === '') {
+    return Math.random;
+  }
+
+  let state = hashString(`${seed}:${stream}`);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Picks a random item
+ * @param {Array} items - Items to pick from
+ * @param {Function} [random] - Random number generator (default: Math.random)
+ * @returns {*} Picked item, undefined for an empty list
+ */
+export const pickRandom = (items, random = Math.random) => items[Math.floor(random() * items.length)];
+
+/**
+ * Picks a random integer
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {Function} [random] - Random number generator (default: Math.random)
+ * @returns {number} Integer from min to max, both included
+ */
+export const randomInt = (min, max, random = Math.random) => Math.floor(random() * (max - min + 1)) + min;
@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { createSessionTempDir } from './temp-file-manager.js';
+
+/**
+ * Session manifest for resumable video creation
+ * Every pipeline step records its output, the artifacts it wrote and a
+ * fingerprint, so an interrupted session can be resumed without paying for
+ * scraping, script generation or TTS again.
+ */
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Pipeline steps in execution order
+ */
+export const PIPELINE_STEPS = [
+  'scrape',
+  'images',
+  'script',
+  'voiceover',
+  'title',
+  'video',
+  'shortScript',
+  'shortVoiceover',
+  'shortVideo',
+  'thumbnail',
+  'description',
+  'upload'
+];
+
+/**
+ * Invalidation rules: each step lists the earlier steps whose output it consumes.
+ * A finished step is only reused while the fingerprints of these dependencies
+ * match the ones recorded when it ran. When an earlier step reruns and produces
+ * a different artifact, every step that depends on it (directly or through
+ * another step) reruns as well.
+ */
+export const STEP_DEPENDENCIES = {
+  scrape: [],
+  images: ['scrape'],
+  script: ['scrape', 'images'],
+  voiceover: ['script'],
+  title: ['scrape'],
+  video: ['images', 'voiceover', 'title'],
+  shortScript: ['scrape'],
+  shortVoiceover: ['shortScript'],
+  shortVideo: ['images', 'shortVoiceover', 'title'],
+  thumbnail: ['scrape', 'title', 'shortVideo'],
+  description: ['scrape', 'voiceover', 'title', 'shortVideo'],
+  upload: ['video', 'shortVideo', 'thumbnail', 'description', 'title']
+};
+
+/**
+ * Lists every step that reruns when the given step changes
+ * @param {string} step - Step name
+ * @returns {string[]} Dependent steps in pipeline order
+ */
+export const getDependentSteps = (step) => {
+  const dependents = new Set();
+
+  for (const candidate of PIPELINE_STEPS) {
+    const dependencies = STEP_DEPENDENCIES[candidate] || [];
+    if (dependencies.some(dep => dep === step || dependents.has(dep))) {
+      dependents.add(candidate);
+    }
+  }
+
+  return PIPELINE_STEPS.filter(candidate => dependents.has(candidate));
+};
+
+/**
+ * Gets the manifest file path for a session
+ * @param {string} tempDir - Base temporary directory
+ * @param {string} sessionId - Session ID
+ * @returns {string} Manifest file path
+ */
+export const getManifestPath = (tempDir, sessionId) => {
+  const { tempDir: sessionDir } = createSessionTempDir(tempDir, sessionId);
+  return path.join(sessionDir, 'manifest.json');
+};
+
+/**
+ * Creates a new, empty session manifest
+ * Besides the steps, it keeps the transition sequence of every rendered video,
+ * keyed by its step (video, shortVideo).
+ * @param {Object} params - Manifest parameters
+ * @param {string} params.sessionId - Session ID from generateSessionId()
+ * @param {string} params.tempDir - Base temporary directory
+ * @param {string} params.productInput - Original product URL or ASIN
+ * @param {Object} params.options - Serializable creation options
+ * @param {Object} [params.prompts] - Prompt templates used, as { version, persona }
+ * @returns {Object} Session manifest
+ */
+export const createSessionManifest = ({ sessionId, tempDir, productInput, options = {}, prompts = null }) => {
+  const now = new Date().toISOString();
+
+  return {
+    version: MANIFEST_VERSION,
+    sessionId,
+    tempDir,
+    productInput,
+    options,
+    prompts,
+    transitions: {},
+    createdAt: now,
+    updatedAt: now,
+    steps: {}
+  };
+};
+
+/**
+ * Loads an existing session manifest
+ * @param {string} tempDir - Base temporary directory
+ * @param {string} sessionId - Session ID to resume
+ * @returns {Promise<Object>} Session manifest
+ * @throws {Error} When the manifest does not exist or is unreadable
+ */
+export const loadSessionManifest = async (tempDir, sessionId) => {
+  const manifestPath = getManifestPath(tempDir, sessionId);
+
+  let content;
+  try {
+    content = await fs.readFile(manifestPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No session manifest found for session ${sessionId} (looked in ${manifestPath})`);
+    }
+    throw new Error(`Failed to read session manifest: ${error.message}`);
+  }
+
+  const manifest = JSON.parse(content);
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported session manifest version: ${manifest.version}`);
+  }
+
+  manifest.tempDir = tempDir;
+  return manifest;
+};
+
+/**
+ * Writes the session manifest to disk (atomically via rename)
+ * @param {Object} manifest - Session manifest
+ * @returns {Promise<string>} Manifest file path
+ */
+export const saveSessionManifest = async (manifest) => {
+  const manifestPath = getManifestPath(manifest.tempDir, manifest.sessionId);
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+
+  manifest.updatedAt = new Date().toISOString();
+
+  const tempPath = `${manifestPath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2), 'utf-8');
+  await fs.rename(tempPath, manifestPath);
+
+  return manifestPath;
+};
+
+/**
+ * Hashes the content of an artifact file
+ * @param {string} filePath - Artifact path
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+};
+
+/**
+ * Computes the fingerprint of a step result from its output and artifact contents
+ * @param {*} output - Serializable step output
+ * @param {string[]} artifacts - Artifact file paths
+ * @returns {Promise<string>} Fingerprint
+ */
+export const computeStepFingerprint = async (output, artifacts = []) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(output ?? null));
+
+  for (const artifact of artifacts) {
+    hash.update(artifact);
+    hash.update(await hashFile(artifact));
+  }
+
+  return hash.digest('hex').slice(0, 16);
+};
+
+/**
+ * Collects the current fingerprints of a step's dependencies
+ * @param {Object} manifest - Session manifest
+ * @param {string} step - Step name
+ * @returns {Object} Map of dependency name to fingerprint (null when not run)
+ */
+const getDependencyFingerprints = (manifest, step) => {
+  const inputs = {};
+  for (const dependency of STEP_DEPENDENCIES[step] || []) {
+    inputs[dependency] = manifest.steps[dependency]?.fingerprint || null;
+  }
+  return inputs;
+};
+
+/**
+ * Checks whether a completed step can be reused as-is
+ * Artifacts edited since the step ran are kept, but the step's fingerprint is
+ * updated to their content so the steps depending on it rerun.
+ * @param {Object} manifest - Session manifest
+ * @param {string} step - Step name
+ * @returns {Promise<boolean>} True if the step output can be reused
+ */
+export const isStepReusable = async (manifest, step) => {
+  const entry = manifest.steps[step];
+  if (!entry || entry.status !== 'completed') {
+    return false;
+  }
+
+  const currentInputs = getDependencyFingerprints(manifest, step);
+  const recordedInputs = entry.inputs || {};
+  const inputsChanged = Object.keys(currentInputs)
+    .some(dependency => currentInputs[dependency] !== (recordedInputs[dependency] ?? null));
+
+  if (inputsChanged) {
+    return false;
+  }
+
+  for (const artifact of entry.artifacts || []) {
+    try {
+      await fs.access(artifact);
+    } catch {
+      return false;
+    }
+  }
+
+  const fingerprint = await computeStepFingerprint(entry.output, entry.artifacts || []);
+  if (fingerprint !== entry.fingerprint) {
+    console.log(`✏️ An artifact of "${step}" changed since it ran, so the steps after it rerun`);
+    entry.fingerprint = fingerprint;
+    await saveSessionManifest(manifest);
+  }
+
+  return true;
+};
+
+/**
+ * Records a completed step in the manifest and persists it
+ * @param {Object} manifest - Session manifest
+ * @param {string} step - Step name
+ * @param {*} output - Serializable step output
+ * @param {string[]} artifacts - Files written by the step
+ * @returns {Promise<Object>} Manifest step entry
+ */
+export const recordStepResult = async (manifest, step, output, artifacts = []) => {
+  const existingArtifacts = artifacts.filter(Boolean);
+
+  const entry = {
+    status: 'completed',
+    output,
+    artifacts: existingArtifacts,
+    inputs: getDependencyFingerprints(manifest, step),
+    fingerprint: await computeStepFingerprint(output, existingArtifacts),
+    completedAt: new Date().toISOString()
+  };
+
+  manifest.steps[step] = entry;
+  await saveSessionManifest(manifest);
+
+  return entry;
+};
+
+/**
+ * Records a failed step so the resume hint can point at it
+ * @param {Object} manifest - Session manifest
+ * @param {string} step - Step name
+ * @param {Error} error - Failure
+ * @returns {Promise<void>}
+ */
+export const recordStepFailure = async (manifest, step, error) => {
+  manifest.steps[step] = {
+    ...manifest.steps[step],
+    status: 'failed',
+    error: error.message,
+    failedAt: new Date().toISOString()
+  };
+  await saveSessionManifest(manifest);
+};
+
+/**
+ * Runs a pipeline step, reusing its recorded output when it is still valid
+ * @param {Object} manifest - Session manifest
+ * @param {string} step - Step name
+ * @param {Function} run - Async function producing the step output
+ * @param {Function} getArtifacts - Maps the step output to the files it wrote
+ * @returns {Promise<*>} Step output
+ */
+export const runManifestStep = async (manifest, step, run, getArtifacts = () => []) => {
+  if (await isStepReusable(manifest, step)) {
+    console.log(`♻️ Reusing "${step}" from session ${manifest.sessionId}`);
+    return manifest.steps[step].output;
+  }
+
+  if (manifest.steps[step]?.status === 'completed') {
+    console.log(`🔄 Re-running "${step}": an earlier artifact changed or is missing`);
+  }
+
+  try {
+    const output = await run();
+    await recordStepResult(manifest, step, output, getArtifacts(output) || []);
+    return output;
+  } catch (error) {
+    await recordStepFailure(manifest, step, error);
+    throw error;
+  }
+};
@@ -3,7 +3,15 @@ import fs from 'fs/promises';
 import path from 'path';
 import { processImagesWithSmartBackground } from './image-processor.js';
 import { generateAffiliateOverlay } from './youtube-interactive-elements.js';
+import { alignSlidesToSentences } from './speech-alignment.js';
+import { getSceneDurations, createCalloutFilter } from './scene-timeline.js';
+import { addCaptionsToVideo } from './caption-generator.js';
+import { DEFAULT_MOTION_STYLE, createMotionFilters } from './image-motion.js';
+import { DEFAULT_TRANSITION_SET, planTransitions, layoutTransitions, createTransitionFilter } from './transitions.js';
+import { createWatermarkFilter } from './brand-kit.js';
+import { DEFAULT_THEME, loadTheme, compileTheme, createFramingFilter } from './themes.js';
 import { glob } from 'glob';
+import { createRandom, pickRandom } from './utils/random.js';
 import {
   createSafeAudioFilter,
   normalizeVolume,
@@ -16,9 +24,13 @@ import {
 
 /**
  * Finds and randomly selects a background music file from ./media/*.wav
+ * With a mood, the pick is among the tracks named after it (e.g. calm-morning.wav),
+ * or among all tracks when none is.
+ * @param {Function} [random] - Random number generator, seeded for reproducible renders (default: Math.random)
+ * @param {string|null} [mood] - Music mood of the theme
  * @returns {Promise<string|null>} Path to selected background music file or null if none found
  */
-const selectRandomBackgroundMusic = async () => {
+const selectRandomBackgroundMusic = async (random = Math.random, mood = null) => {
   try {
     const mediaFiles = await glob('./src/media/*.wav');
     
@@ -35,8 +47,14 @@ const selectRandomBackgroundMusic = async () => {
       console.log('📵 No background music files found in ./src/media/*.wav (excluding beep/test files)');
       return null;
     }
+
+    const moodFiles = mood ? musicFiles.filter(file => path.basename(file).toLowerCase().includes(mood.toLowerCase())) : [];
+    if (mood && moodFiles.length === 0) {
+      console.log(`🎵 No ${mood} background music found, picking from all tracks`);
+    }
     
-    const selectedFile = musicFiles[Math.floor(Math.random() * musicFiles.length)];
+    // Sorted, so a seed picks the same track whatever order the files are listed in
+    const selectedFile = pickRandom((moodFiles.length > 0 ? moodFiles : musicFiles).sort(), random);
     console.log(`🎵 Selected background music: ${path.basename(selectedFile)}`);
     return selectedFile;
   } catch (error) {
@@ -115,19 +133,28 @@ const createBackgroundMusicFilter = (backgroundMusicPath, videoDuration, options
 
 /**
  * Creates intro segment for professional video branding and QR code outro
+ * With an outro layout (from the brand kit), the QR code is laid out on an
+ * outro card of the video's resolution; without one, it is shown alone.
  * @param {string} backgroundMusicPath - Path to background music file
  * @param {Object} options - Intro/outro options
+ * @param {string} [options.introVideoPath] - Intro video, used instead of the intro image when it exists
+ * @param {Object} [options.outroLayout] - QR outro card options (see createQROutroCard)
+ * @param {string} [options.resolution] - Video resolution as WIDTHxHEIGHT, the size of the outro card
  * @returns {Object} Intro/outro configuration
  */
-const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
+export const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
   const {
     introDuration = 5.0,        // 5 second intro
     introVolume = 0.4,          // FIXED: 40% volume for intro music (was 100% - too loud!)
     introImagePath = './src/media/banner.jpg',
+    introVideoPath = null,      // Intro video from the brand kit, looped or cut to the intro duration
     introVoiceoverText = 'Welcome to The Professional Prompt where we review your favorite products',
+    outroVoiceoverText = 'Scan the QR code or on mobile take a screenshot and scan it to go to the product page',
     // QR code outro options
     enableQROutro = false,      // Enable QR code outro
     outroDuration = 10.0,       // 10 second outro for QR code
+    outroLayout = null,         // Brand kit layout of the QR outro card
+    resolution = '1920x1080',   // Size of the QR outro card
     amazonUrl = null,           // Amazon affiliate URL for QR code
     qrCodePath = null           // Path to generated QR code image
   } = options;
@@ -139,8 +166,14 @@ const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
     console.log(`🔧 Intro volume normalized: ${introVolume} → ${safeIntroVolume} (was too loud!)`);
   }
 
+  // An intro video replaces the intro image when it exists
+  const introVideo = introVideoPath && await checkFileExists(introVideoPath) ? introVideoPath : null;
+  if (introVideoPath && !introVideo) {
+    console.warn(`⚠️ Intro video not found, using the intro image: ${introVideoPath}`);
+  }
+
   // Check if intro image exists
-  const introExists = await checkFileExists(introImagePath);
+  const introExists = Boolean(introVideo) || await checkFileExists(introImagePath);
 
   if (!introExists) {
     console.log(`⚠️ Intro image not found: ${introImagePath}`);
@@ -173,6 +206,16 @@ const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
       }
       
       outroEnabled = await checkFileExists(qrCodeImagePath);
+      if (outroEnabled && outroLayout) {
+        // The card falls back to the bare QR code, so a missing logo or font never loses the outro
+        try {
+          const { createQROutroCard } = await import('./utils/qr-code-generator.js');
+          const cardPath = path.join(path.dirname(qrCodeImagePath), `${path.basename(qrCodeImagePath, path.extname(qrCodeImagePath))}-card-${resolution}.png`);
+          qrCodeImagePath = await createQROutroCard(qrCodeImagePath, cardPath, { ...outroLayout, resolution });
+        } catch (error) {
+          console.warn(`⚠️ QR outro card failed, showing the QR code alone: ${error.message}`);
+        }
+      }
       if (outroEnabled) {
         console.log(`✅ QR code outro enabled with image: ${qrCodeImagePath}`);
       } else {
@@ -195,6 +238,7 @@ const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
     intro: {
       enabled: introExists,
       imagePath: introImagePath,
+      videoPath: introVideo,
       duration: introDuration,
       volume: safeIntroVolume,  // Use normalized safe volume
       voiceoverText: introVoiceoverText
@@ -204,7 +248,7 @@ const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
       imagePath: qrCodeImagePath,
       duration: outroDuration,
       volume: 0.3,  // Moderate volume for outro
-      voiceoverText: 'Scan the QR code or on mobile take a screenshot and scan it to go to the product page'
+      voiceoverText: outroVoiceoverText
     },
     totalExtraDuration: totalExtraDuration
   };
@@ -214,6 +258,33 @@ const createIntroOutroSegments = async (backgroundMusicPath, options = {}) => {
   return config;
 };
 
+/**
+ * Gets the seconds the intro and QR outro add to a video, without creating them
+ * Matches the segments createSlideshow and createShortVideo add: the intro when
+ * its video or image exists, the QR outro when the video has an Amazon URL.
+ * @param {Object} options - Video options
+ * @param {boolean} [options.enableIntroOutro] - Whether the video has an intro and outro (default: true)
+ * @param {string} [options.amazonUrl] - Amazon URL of the QR outro
+ * @param {Object} [options.introOutroOptions] - Intro/outro options (see createIntroOutroSegments)
+ * @returns {Promise<number>} Intro and outro seconds
+ */
+export const getIntroOutroDuration = async (options = {}) => {
+  const { enableIntroOutro = true, amazonUrl = null, introOutroOptions = {} } = options;
+  if (!enableIntroOutro) {
+    return 0;
+  }
+
+  const {
+    introDuration = 5.0,
+    introImagePath = './src/media/banner.jpg',
+    introVideoPath = null,
+    outroDuration = 10.0
+  } = introOutroOptions;
+
+  const introExists = (introVideoPath && await checkFileExists(introVideoPath)) || await checkFileExists(introImagePath);
+  return (introExists ? introDuration : 0) + (amazonUrl ? outroDuration || 10.0 : 0);
+};
+
 /**
  * Checks if a file exists
  * @param {string} filePath - Path to check
@@ -228,6 +299,98 @@ const checkFileExists = async (filePath) => {
   }
 };
 
+/**
+ * Gets the FFmpeg input arguments of the intro: its video, looped to fill the
+ * intro, or its image
+ * @param {Object} intro - Intro configuration from createIntroOutroSegments
+ * @returns {string[]} FFmpeg input arguments
+ */
+const getIntroInputArgs = (intro) => (intro.videoPath
+  ? ['-stream_loop', '-1', '-t', intro.duration.toString(), '-i', intro.videoPath]
+  : ['-loop', '1', '-t', intro.duration.toString(), '-i', intro.imagePath]);
+
+/**
+ * Gets the logo watermark of a brand kit
+ * @param {Object|null} brand - Brand kit (see src/brand-kit.js)
+ * @returns {Promise<Object|null>} { imagePath, watermark }, or null without a logo or watermark
+ */
+const createWatermarkConfig = async (brand) => {
+  if (!brand?.logo || !brand.watermark.enabled) {
+    return null;
+  }
+  if (!(await checkFileExists(brand.logo))) {
+    console.warn(`⚠️ Brand logo not found, leaving out the watermark: ${brand.logo}`);
+    return null;
+  }
+  return { imagePath: brand.logo, watermark: brand.watermark };
+};
+
+/**
+ * Creates the input, filter and map arguments of a single image render
+ * The brand logo, when given, is added after the other inputs and laid over
+ * the image in a filter graph, so the image filters move from -vf into it.
+ * @param {Object} config - Render configuration
+ * @param {string[]} config.inputs - Input arguments, the image first and the voiceover second
+ * @param {string} config.videoFilter - Filters of the image
+ * @param {string|null} [config.audioFilter] - Audio filter graph ending in [audio_out] (null = the voiceover as is)
+ * @param {Object|null} [config.watermarkConfig] - Logo watermark from the brand kit
+ * @param {string} config.resolution - Video resolution as WIDTHxHEIGHT
+ * @returns {string[]} FFmpeg arguments
+ */
+export const createSingleImageArgs = ({ inputs, videoFilter, audioFilter = null, watermarkConfig = null, resolution }) => {
+  if (!watermarkConfig) {
+    return audioFilter
+      ? [...inputs, '-vf', videoFilter, '-filter_complex', audioFilter, '-map', '0:v', '-map', '[audio_out]']
+      : [...inputs, '-vf', videoFilter];
+  }
+
+  const watermarkFilter = createWatermarkFilter(watermarkConfig.watermark, {
+    inputIndex: inputs.filter(arg => arg === '-i').length,
+    input: '[framed_v]',
+    output: '[branded_v]',
+    resolution
+  });
+  const filterComplex = `[0:v]${videoFilter}[framed_v];${watermarkFilter}${audioFilter || ''}`;
+
+  return [
+    ...inputs,
+    '-i', watermarkConfig.imagePath,
+    '-filter_complex', filterComplex,
+    '-map', '[branded_v]',
+    '-map', audioFilter ? '[audio_out]' : '1:a:0'
+  ];
+};
+
+/**
+ * Compiles the theme of a render (the default theme when none is given)
+ * @param {Object} options - Render options with theme, brand and product
+ * @param {string} resolution - Video resolution as WIDTHxHEIGHT
+ * @returns {Promise<Object>} Compiled theme (see compileTheme)
+ */
+const compileRenderTheme = async (options, resolution) => {
+  const theme = options.theme || await loadTheme(DEFAULT_THEME);
+  console.log(`🎨 Theme: ${theme.id} (${theme.framing.mode} framing)`);
+  return compileTheme(theme, { resolution, palette: options.brand?.palette, product: options.product });
+};
+
+/**
+ * Lays photos on their own dominant color when the theme frames them smartly
+ * @param {string[]} imagePaths - Photo paths
+ * @param {Object} look - Compiled theme
+ * @param {string} resolution - Video resolution as WIDTHxHEIGHT
+ * @param {string} tempDir - Directory the framed photos are written under
+ * @returns {Promise<string[]>} Photos to render
+ */
+const frameImages = async (imagePaths, look, resolution, tempDir) => {
+  if (look.framing.mode !== 'smart') {
+    return imagePaths;
+  }
+  const [width, height] = resolution.split('x').map(Number);
+  const framedDir = path.resolve(tempDir, `smart-${resolution}`);
+  await fs.mkdir(framedDir, { recursive: true });
+  return processImagesWithSmartBackground(imagePaths, framedDir, width, height);
+};
+
 /**
  * Creates a small QR code overlay filter for the lower left corner
  * @param {string} qrCodeImagePath - Path to the QR code image
@@ -248,7 +411,13 @@ const createSmallQROverlay = (qrCodeImagePath, options = {}) => {
 
 /**
  * Creates complex FFmpeg filter for intro, main content, and QR code outro with optional small QR overlay
+ * The brand logo watermark, when given, shows during the main content only.
  * @param {Object} config - Configuration object
+ * @param {string} [config.backgroundColor] - Color padding the photos, as an FFmpeg color (default: black)
+ * @param {Object} [config.framing] - Framing section of the theme (default: pad)
+ * @param {string} [config.mainContentConfig.overlayFilter] - Filter drawn over the photos, such as the
+ *   theme's lower third, timed from the start of the photos
+ * @param {Object} [config.watermarkConfig] - Logo watermark from the brand kit, its input after the small QR code
  * @returns {string} FFmpeg filter complex string
  */
 export const createIntroOutroFilter = (config) => {
@@ -262,7 +431,10 @@ export const createIntroOutroFilter = (config) => {
     introVoiceoverIndex = null,  // New parameter for intro voiceover audio
     mainVoiceoverIndex = null,   // New parameter for main voiceover audio
     outroVoiceoverIndex = null,  // New parameter for outro voiceover audio
-    smallQRConfig = null         // New parameter for small QR code overlay
+    smallQRConfig = null,        // New parameter for small QR code overlay
+    backgroundColor = 'black',   // Brand background behind photos that don't fill the frame
+    framing = { mode: 'pad' },   // How the theme fits the photos to the frame
+    watermarkConfig = null       // Brand logo watermark
   } = config;
 
   const [width, height] = resolution.split('x').map(Number);
@@ -277,7 +449,7 @@ export const createIntroOutroFilter = (config) => {
     // For horizontal videos, use increase to fill frame
     const isVertical = height > width;
     const scaleMode = isVertical ? 'decrease' : 'increase';
-    const paddingColor = isVertical ? 'black' : 'black';
+    const paddingColor = backgroundColor;
     
     if (isVertical) {
       // Vertical format: fit banner within frame with padding
@@ -293,7 +465,10 @@ export const createIntroOutroFilter = (config) => {
   // Main content segments (images with transitions)
   const mainContentStart = inputIndex;
   for (let i = 0; i < mainContentConfig.imageCount; i++) {
-    filterComplex += `[${inputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1,fps=30,setpts=PTS-STARTPTS[v${i}];`;
+    const motionFilter = mainContentConfig.motionFilters?.[i] ? `,${mainContentConfig.motionFilters[i]}` : '';
+    const imageFilter = mainContentConfig.imageFilters?.[i] ? `,${mainContentConfig.imageFilters[i]}` : '';
+    const frameFilter = createFramingFilter(framing, { resolution, background: backgroundColor, label: `v${i}` });
+    filterComplex += `[${inputIndex}:v]${frameFilter},setsar=1:1,fps=${mainContentConfig.fps || 30}${motionFilter}${imageFilter},setpts=PTS-STARTPTS[v${i}];`;
     inputIndex++;
   }
 
@@ -314,6 +489,12 @@ export const createIntroOutroFilter = (config) => {
     segmentFilters.push('[main_v]');
   }
 
+  // Theme overlays such as the lower third are drawn over the photos only
+  if (mainContentConfig.overlayFilter) {
+    filterComplex += `${segmentFilters.pop()}${mainContentConfig.overlayFilter}[main_themed];`;
+    segmentFilters.push('[main_themed]');
+  }
+
   // Outro segment with QR code
   if (outroConfig && outroConfig.enabled) {
     // Calculate the correct outro input index
@@ -328,7 +509,7 @@ export const createIntroOutroFilter = (config) => {
     console.log(`🎬 Outro image input index: ${outroInputIndex}`);
     
     // Create QR code outro without text overlay to prevent overlap
-    filterComplex += `[${outroInputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,`;
+    filterComplex += `[${outroInputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${backgroundColor},`;
     filterComplex += `setsar=1:1,setpts=PTS-STARTPTS[outro_v];`;
     segmentFilters.push('[outro_v]');
   }
@@ -383,12 +564,33 @@ export const createIntroOutroFilter = (config) => {
       endTime: overlayEndTime
     });
     
-    filterComplex += `${videoStreamName}[small_qr]${overlayFilter}[final_v];`;
-  } else {
+    const qrOutput = watermarkConfig ? '[qr_v]' : '[final_v]';
+    filterComplex += `${videoStreamName}[small_qr]${overlayFilter}${qrOutput};`;
+    videoStreamName = qrOutput;
+  }
+
+  if (watermarkConfig) {
+    // The logo input follows the small QR code image
+    let watermarkInputIndex = mainContentStart + mainContentConfig.imageCount;
+    if (introVoiceoverIndex !== null) watermarkInputIndex++;
+    if (mainVoiceoverIndex !== null) watermarkInputIndex++;
+    if (outroVoiceoverIndex !== null) watermarkInputIndex++;
+    if (outroConfig && outroConfig.enabled) watermarkInputIndex++;
+    if (smallQRConfig && smallQRConfig.enabled) watermarkInputIndex++;
+
+    // The intro and outro carry the brand already, so the logo marks the main content
+    const watermarkStart = introConfig.enabled ? introConfig.duration : 0;
+    filterComplex += createWatermarkFilter(watermarkConfig.watermark, {
+      inputIndex: watermarkInputIndex,
+      input: videoStreamName,
+      output: '[final_v]',
+      resolution,
+      start: watermarkStart,
+      end: watermarkStart + mainContentConfig.duration
+    });
+  } else if (videoStreamName !== '[final_v]') {
     // No QR overlay - just copy the video stream
-    if (videoStreamName !== '[final_v]') {
-      filterComplex += `${videoStreamName}copy[final_v];`;
-    }
+    filterComplex += `${videoStreamName}copy[final_v];`;
   }
 
   // Audio processing: intro voiceover + main voiceover + outro voiceover + background music
@@ -398,6 +600,7 @@ export const createIntroOutroFilter = (config) => {
   if (outroVoiceoverIndex !== null) musicIndex = outroVoiceoverIndex + 1; // After outro voiceover if present
   if (outroConfig && outroConfig.enabled) musicIndex++; // After outro image if present
   if (smallQRConfig && smallQRConfig.enabled) musicIndex++; // After small QR image if present
+  if (watermarkConfig) musicIndex++; // After the brand logo if present
   
   // Calculate timing variables that are used in both branches
   const introEnd = introConfig.enabled ? introConfig.duration : 0;
@@ -529,126 +732,21 @@ export const createIntroOutroFilter = (config) => {
 };
 
 /**
- * Available transition types for slideshow videos
- */
-const TRANSITION_TYPES = [
-  'fade',
-  'slideLeft',
-  'slideRight',
-  'slideUp',
-  'slideDown'
-];
-
-/**
- * Generates a random transition effect for slideshow videos
- * @param {number} duration - Transition duration in seconds
- * @returns {Object} Transition configuration
+ * Plans and times the transitions between the photos of a slideshow
+ * @param {number[]} durations - Seconds each photo is on screen
+ * @param {string|Object|Object[]} transitions - Transition set, storyboard or planTransitions result
+ * @returns {Object} { inputDurations, transitions, transitionFilter } with the filter
+ *   joining [v0]..[vN] into [outv]
  */
-const generateRandomTransition = (duration = 0.5) => {
-  const transitionType = TRANSITION_TYPES[Math.floor(Math.random() * TRANSITION_TYPES.length)];
-  
-  switch (transitionType) {
-    case 'fade':
-      return {
-        type: 'fade',
-        filter: `fade=t=in:st=0:d=${duration},fade=t=out:st=${duration}:d=${duration}`,
-        description: 'Fade in/out'
-      };
-    
-    case 'slideLeft':
-      return {
-        type: 'slideLeft',
-        filter: `slide=direction=left:duration=${duration}`,
-        description: 'Slide from right to left'
-      };
-    
-    case 'slideRight':
-      return {
-        type: 'slideRight',
-        filter: `slide=direction=right:duration=${duration}`,
-        description: 'Slide from left to right'
-      };
-    
-    case 'slideUp':
-      return {
-        type: 'slideUp',
-        filter: `slide=direction=up:duration=${duration}`,
-        description: 'Slide from bottom to top'
-      };
-    
-    case 'slideDown':
-      return {
-        type: 'slideDown',
-        filter: `slide=direction=down:duration=${duration}`,
-        description: 'Slide from top to bottom'
-      };
-    
-    default:
-      return {
-        type: 'fade',
-        filter: `fade=t=in:st=0:d=${duration},fade=t=out:st=${duration}:d=${duration}`,
-        description: 'Fade in/out (default)'
-      };
-  }
-};
-
-/**
- * Creates smooth transition effects between slides using FFmpeg xfade filter
- * @param {number} imageCount - Number of images in slideshow
- * @param {number} durationPerImage - Duration each image is shown
- * @param {number} transitionDuration - Duration of transition effect
- * @returns {Object} Transition configuration for FFmpeg
- */
-const createSlideshowTransitions = (imageCount, durationPerImage, transitionDuration = 0.5) => {
-  if (imageCount < 2) {
-    return { filterComplex: '', transitions: [] };
-  }
+const timeSlideTransitions = (durations, transitions) => {
+  const plan = Array.isArray(transitions) ? transitions : planTransitions(durations.length, transitions);
+  const { inputDurations, transitions: timed } = layoutTransitions(durations, plan);
 
-  const transitions = [];
-  let filterComplex = '';
-  
-  // Generate random transitions for each slide change
-  for (let i = 0; i < imageCount - 1; i++) {
-    const transition = generateRandomTransition(transitionDuration);
-    transitions.push({
-      from: i,
-      to: i + 1,
-      ...transition
-    });
-  }
-
-  // Build xfade filter chain for smooth transitions
-  const transitionEffects = [
-    'fade', 'fadeblack', 'fadewhite', 'distance', 'wipeleft', 'wiperight',
-    'wipeup', 'wipedown', 'slideleft', 'slideright', 'slideup', 'slidedown',
-    'circlecrop', 'rectcrop', 'circleopen', 'circleclose', 'vertopen', 'vertclose',
-    'horzopen', 'horzclose', 'dissolve', 'pixelize', 'diagtl', 'diagtr', 'diagbl', 'diagbr'
-  ];
-
-  // Create xfade chain for smooth transitions between images
-  let currentStream = '[v0]';
-  
-  for (let i = 0; i < imageCount - 1; i++) {
-    const randomEffect = transitionEffects[Math.floor(Math.random() * transitionEffects.length)];
-    const transitionStart = (i + 1) * durationPerImage - transitionDuration;
-    const nextStream = i === imageCount - 2 ? '[outv]' : `[t${i}]`;
-    
-    // Simple xfade without additional fps filters (they're already applied)
-    filterComplex += `${currentStream}[v${i + 1}]xfade=transition=${randomEffect}:duration=${transitionDuration}:offset=${transitionStart}${nextStream};`;
-    currentStream = nextStream;
-    
-    // Update transition info
-    transitions[i].effect = randomEffect;
-    transitions[i].startTime = transitionStart;
-    
-    console.log(`🎬 Transition ${i + 1}: ${randomEffect} (${transitionStart.toFixed(1)}s - ${(transitionStart + transitionDuration).toFixed(1)}s)`);
-  }
+  timed.forEach(transition => {
+    console.log(`🎬 Transition ${transition.cut}: ${transition.duration > 0 ? `${transition.effect} (${transition.offset.toFixed(2)}s, ${transition.duration}s)` : 'hard cut'}`);
+  });
 
-  return {
-    filterComplex,
-    transitions,
-    transitionDuration
-  };
+  return { inputDurations, transitions: timed, transitionFilter: createTransitionFilter(timed) };
 };
 
 /**
@@ -666,7 +764,8 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
     quality = 'high',          // Default to high quality
     enableBackgroundMusic = true,  // Enable background music by default
     enableIntroOutro = true,       // Enable intro/outro by default
-    introOutroOptions = {}         // Options for intro/outro configuration
+    introOutroOptions = {},        // Options for intro/outro configuration
+    tempDir = './temp'             // Working files such as smart-framed photos
   } = options;
 
   // Convert quality string to numeric CRF value
@@ -689,7 +788,7 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
   }
 
   // Convert to absolute paths to avoid path issues
-  const absoluteImagePath = path.resolve(imagePath);
+  let absoluteImagePath = path.resolve(imagePath);
   const absoluteAudioPath = path.resolve(audioPath);
   const absoluteOutputPath = path.resolve(outputPath);
 
@@ -710,11 +809,16 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
   console.log(`🎵 Audio: ${absoluteAudioPath}`);
   console.log(`📹 Output: ${absoluteOutputPath}`);
 
+  // The theme frames the photos, styles the text and sets the music mood and QR badge
+  const look = await compileRenderTheme(options, resolution);
+  const { backgroundColor } = look;
+  [absoluteImagePath] = await frameImages([absoluteImagePath], look, resolution, tempDir);
+
   // Select background music if enabled
   let backgroundMusicPath = null;
   let backgroundMusicConfig = null;
   if (enableBackgroundMusic) {
-    backgroundMusicPath = await selectRandomBackgroundMusic();
+    backgroundMusicPath = await selectRandomBackgroundMusic(createRandom(options.seed, 'music'), look.musicMood);
     if (backgroundMusicPath) {
       console.log(`🎼 Background music: ${path.basename(backgroundMusicPath)}`);
     }
@@ -749,7 +853,8 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
       ...introOutroOptions,
       enableQROutro: !!options.amazonUrl,
       amazonUrl: options.amazonUrl,
-      outroDuration: introOutroOptions.outroDuration || 10.0
+      outroDuration: introOutroOptions.outroDuration || 10.0,
+      resolution // The QR outro card fills the frame
     };
     
     console.log(`🎯 QR code outro options: enableQROutro=${qrOutroOptions.enableQROutro}, amazonUrl=${qrOutroOptions.amazonUrl ? 'provided' : 'missing'}`);
@@ -760,13 +865,15 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
     console.log(`⏱️ Total video duration: ${totalVideoDuration.toFixed(2)}s (including intro/outro)`);
   }
 
+  // The brand kit marks the video with its logo
+  const watermarkConfig = await createWatermarkConfig(options.brand);
+
   // Generate small QR code for corner overlay if Amazon URL is provided
-  if (options.amazonUrl && options.enableSmallQROverlay !== false) {
+  if (options.amazonUrl && options.enableSmallQROverlay !== false && look.qrBadge) {
     try {
       console.log('📱 Generating small QR code for corner overlay...');
       const { generateQRCode } = await import('./utils/qr-code-generator.js');
       
-      const tempDir = './temp';
       await fs.mkdir(tempDir, { recursive: true });
       const smallQRPath = path.resolve(`${tempDir}/small-qr-code-${Date.now()}.png`);
       
@@ -776,10 +883,7 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
       smallQRConfig = {
         enabled: true,
         imagePath: smallQRPath,
-        size: 80,
-        x: 20,
-        y: 'H-h-20',
-        opacity: 0.8
+        ...look.qrBadge
       };
       
       console.log(`✅ Small QR code generated for overlay: ${smallQRPath}`);
@@ -802,7 +906,7 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
         // Use the same voice that will be used for the main voiceover (if already selected) or select one now
         let selectedVoice = options.selectedVoiceId;
         if (!selectedVoice) {
-          selectedVoice = getRandomVoice(options.voiceGender);
+          selectedVoice = getRandomVoice(options.voiceGender, createRandom(options.seed, 'voice'));
           options.selectedVoiceId = selectedVoice; // Store for main voiceover to use
         }
         console.log(`🎤 Using consistent voice for intro and main: ${selectedVoice}`);
@@ -813,7 +917,8 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
           introVoiceoverPath,
           undefined, // Use default voice settings
           options.voiceGender, // Pass voice gender for consistency
-          selectedVoice // Pass the specific voice ID to ensure consistency
+          selectedVoice, // Pass the specific voice ID to ensure consistency
+          { provider: options.ttsProvider, language: options.language }
         );
         console.log(`✅ Intro voiceover generated: ${introVoiceoverPath}`);
       } catch (error) {
@@ -838,7 +943,8 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
           outroVoiceoverPath,
           undefined, // Use default voice settings
           options.voiceGender, // Pass voice gender for consistency
-          selectedVoice // Pass the specific voice ID to ensure consistency
+          selectedVoice, // Pass the specific voice ID to ensure consistency
+          { provider: options.ttsProvider, language: options.language }
         );
         console.log(`✅ QR code outro voiceover generated: ${outroVoiceoverPath}`);
       } catch (error) {
@@ -850,7 +956,6 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
 
   return new Promise((resolve, reject) => {
     // Build FFmpeg command arguments with stable audio processing and proper scaling
-    const [width, height] = resolution.split('x').map(Number);
     
     let ffmpegArgs;
     
@@ -859,8 +964,8 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
       ffmpegArgs = [];
       let inputIndex = 0;
       
-      // Add intro image
-      ffmpegArgs.push('-loop', '1', '-t', introOutroConfig.intro.duration.toString(), '-i', introOutroConfig.intro.imagePath);
+      // Add intro video or image
+      ffmpegArgs.push(...getIntroInputArgs(introOutroConfig.intro));
       inputIndex++;
       
       // Add main image
@@ -900,6 +1005,12 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
         inputIndex++;
       }
       
+      // Add brand logo if the video carries a watermark
+      if (watermarkConfig) {
+        ffmpegArgs.push('-i', watermarkConfig.imagePath);
+        inputIndex++;
+      }
+
       // Add background music
       if (backgroundMusicPath) {
         ffmpegArgs.push('-i', backgroundMusicPath);
@@ -911,7 +1022,8 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
         imageCount: 1,
         duration: audioDuration,
         backgroundVolume: 0.15,
-        transitionConfig: { filterComplex: '' }
+        transitionConfig: { filterComplex: '' },
+        overlayFilter: look.lowerThirdFilter
       };
       
       const filterComplex = createIntroOutroFilter({
@@ -924,7 +1036,10 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
         introVoiceoverIndex: introVoiceoverIndex,
         mainVoiceoverIndex: mainVoiceoverIndex,
         outroVoiceoverIndex: outroVoiceoverIndex,
-        smallQRConfig: smallQRConfig
+        smallQRConfig: smallQRConfig,
+        backgroundColor,
+        framing: look.framing,
+        watermarkConfig
       });
       
       ffmpegArgs.push(
@@ -961,15 +1076,19 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
       console.log(`🎼 Mixing audio: Voice (100%) + Background (${(backgroundMusicConfig.settings.backgroundVolume * 100).toFixed(0)}%)`);
       
       ffmpegArgs = [
-        '-loop', '1',
-        '-t', audioDuration.toString(),
-        '-i', absoluteImagePath,
-        '-i', absoluteAudioPath,
-        '-i', backgroundMusicPath,
-        '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
-        '-filter_complex', backgroundMusicConfig.audioFilter,
-        '-map', '0:v',
-        '-map', '[audio_out]',
+        ...createSingleImageArgs({
+          inputs: [
+            '-loop', '1',
+            '-t', audioDuration.toString(),
+            '-i', absoluteImagePath,
+            '-i', absoluteAudioPath,
+            '-i', backgroundMusicPath
+          ],
+          videoFilter: [look.frameFilter('frame'), look.lowerThirdFilter].filter(Boolean).join(','),
+          audioFilter: backgroundMusicConfig.audioFilter,
+          watermarkConfig,
+          resolution
+        }),
         '-pix_fmt', 'yuv420p',
         '-color_range', 'tv',
         '-colorspace', 'bt709',
@@ -995,11 +1114,17 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
     } else {
       // Original single audio track
       ffmpegArgs = [
-        '-loop', '1',
-        '-t', audioDuration.toString(),
-        '-i', absoluteImagePath,
-        '-i', absoluteAudioPath,
-        '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+        ...createSingleImageArgs({
+          inputs: [
+            '-loop', '1',
+            '-t', audioDuration.toString(),
+            '-i', absoluteImagePath,
+            '-i', absoluteAudioPath
+          ],
+          videoFilter: [look.frameFilter('frame'), look.lowerThirdFilter].filter(Boolean).join(','),
+          watermarkConfig,
+          resolution
+        }),
         '-pix_fmt', 'yuv420p',
         '-color_range', 'tv',
         '-colorspace', 'bt709',
@@ -1079,12 +1204,38 @@ export async function createVideo(imagePath, audioPath, outputPath, options = {}
   });
 }
 
+/**
+ * Burns voiceover captions into a rendered video and exports SRT/VTT next to it
+ * Captions are optional, so a failure only logs a warning.
+ * @param {string} videoPath - Rendered video
+ * @param {Object|null} captions - { timingsPath, style } or null to skip
+ * @param {string} resolution - Video resolution as WIDTHxHEIGHT
+ * @param {Object|null} introOutroConfig - Intro/outro configuration (the voiceover starts after the intro)
+ * @returns {Promise<void>}
+ */
+async function applyCaptions(videoPath, captions, resolution, introOutroConfig) {
+  if (!captions?.timingsPath) {
+    return;
+  }
+
+  try {
+    const offset = introOutroConfig?.intro?.enabled ? introOutroConfig.intro.duration : 0;
+    await addCaptionsToVideo(videoPath, captions, { resolution, offset });
+  } catch (error) {
+    console.warn(`⚠️ Captions skipped: ${error.message}`);
+  }
+}
+
 /**
  * Creates a slideshow video from multiple images and audio
  * @param {string[]} imagePaths - Array of image file paths
  * @param {string} audioPath - Path to audio file
  * @param {string} outputPath - Path for output video
  * @param {Object} options - Video creation options
+ * @param {Object[]} [options.sceneTimeline] - Scene timeline from buildSceneTimeline; each scene's
+ *   photo and callout stay on screen while the scene is narrated
+ * @param {string|Object|Object[]} [options.transitions] - Transition set, storyboard or
+ *   planTransitions result (see src/transitions.js)
  * @returns {Promise<string>} Path to created video
  */
 export async function createSlideshow(imagePaths, audioPath, outputPath, options = {}) {
@@ -1100,7 +1251,10 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
     quality = 'high',          // Default to high quality
     enableBackgroundMusic = true,  // Enable background music by default
     enableIntroOutro = true,       // Enable intro/outro by default
-    introOutroOptions = {}         // Options for intro/outro configuration
+    introOutroOptions = {},        // Options for intro/outro configuration
+    motion = DEFAULT_MOTION_STYLE, // Ken Burns motion style (see src/image-motion.js)
+    transitions = DEFAULT_TRANSITION_SET, // Transitions between photos (see src/transitions.js)
+    tempDir = './temp'             // Working files such as smart-framed photos
   } = options;
   
   console.log(`🎬 Slideshow configuration: enableIntroOutro=${enableIntroOutro}, amazonUrl=${options.amazonUrl ? 'provided' : 'missing'}`);
@@ -1119,8 +1273,14 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
     crfValue = quality;
   }
 
+  // A scene timeline picks the photo of every scene, so a photo can return or be skipped
+  const sceneTimeline = options.sceneTimeline?.length ? options.sceneTimeline : null;
+  const slideImagePaths = sceneTimeline
+    ? sceneTimeline.map(scene => imagePaths[scene.image] ?? imagePaths[0])
+    : imagePaths;
+
   // Convert to absolute paths
-  const absoluteImagePaths = imagePaths.map(p => path.resolve(p));
+  let absoluteImagePaths = slideImagePaths.map(p => path.resolve(p));
   const absoluteAudioPath = path.resolve(audioPath);
   const absoluteOutputPath = path.resolve(outputPath);
 
@@ -1143,16 +1303,21 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
   const outputDir = path.dirname(absoluteOutputPath);
   await fs.mkdir(outputDir, { recursive: true });
 
-  console.log(`🎬 Creating slideshow from ${imagePaths.length} images...`);
+  console.log(`🎬 Creating slideshow from ${absoluteImagePaths.length} images...`);
   console.log(`📁 Images: ${absoluteImagePaths.join(', ')}`);
   console.log(`🎵 Audio: ${absoluteAudioPath}`);
   console.log(`📹 Output: ${absoluteOutputPath}`);
 
+  // The theme frames the photos, styles the text and sets the music mood and QR badge
+  const look = await compileRenderTheme(options, resolution);
+  const { backgroundColor } = look;
+  absoluteImagePaths = await frameImages(absoluteImagePaths, look, resolution, tempDir);
+
   // Select background music if enabled
   let backgroundMusicPath = null;
   let backgroundMusicConfig = null;
   if (enableBackgroundMusic) {
-    backgroundMusicPath = await selectRandomBackgroundMusic();
+    backgroundMusicPath = await selectRandomBackgroundMusic(createRandom(options.seed, 'music'), look.musicMood);
     if (backgroundMusicPath) {
       console.log(`🎼 Background music: ${path.basename(backgroundMusicPath)}`);
     }
@@ -1181,7 +1346,8 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       ...introOutroOptions,
       enableQROutro: !!options.amazonUrl,
       amazonUrl: options.amazonUrl,
-      outroDuration: introOutroOptions.outroDuration || 10.0
+      outroDuration: introOutroOptions.outroDuration || 10.0,
+      resolution // The QR outro card fills the frame
     };
     
     console.log(`🎯 Slideshow QR code outro options: enableQROutro=${qrOutroOptions.enableQROutro}, amazonUrl=${qrOutroOptions.amazonUrl ? 'provided' : 'missing'}`);
@@ -1202,7 +1368,7 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
         // Use the same voice that will be used for the main voiceover (if already selected) or select one now
         let selectedVoice = options.selectedVoiceId;
         if (!selectedVoice) {
-          selectedVoice = getRandomVoice(options.voiceGender);
+          selectedVoice = getRandomVoice(options.voiceGender, createRandom(options.seed, 'voice'));
           options.selectedVoiceId = selectedVoice; // Store for main voiceover to use
         }
         console.log(`🎤 Using consistent voice for slideshow intro and main: ${selectedVoice}`);
@@ -1213,7 +1379,8 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
           introVoiceoverPath,
           undefined, // Use default voice settings
           options.voiceGender, // Pass voice gender for consistency
-          selectedVoice // Pass the specific voice ID to ensure consistency
+          selectedVoice, // Pass the specific voice ID to ensure consistency
+          { provider: options.ttsProvider, language: options.language }
         );
         console.log(`✅ Slideshow intro voiceover generated: ${introVoiceoverPath}`);
       } catch (error) {
@@ -1237,7 +1404,8 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
             outroVoiceoverPath,
             undefined, // Use default voice settings
             options.voiceGender, // Pass voice gender for consistency
-            selectedVoice // Pass the specific voice ID to ensure consistency
+            selectedVoice, // Pass the specific voice ID to ensure consistency
+            { provider: options.ttsProvider, language: options.language }
           );
           console.log(`✅ Slideshow QR code outro voiceover generated: ${outroVoiceoverPath}`);
         } catch (error) {
@@ -1248,13 +1416,15 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
     }
   }
 
+  // The brand kit marks the video with its logo
+  const watermarkConfig = await createWatermarkConfig(options.brand);
+
   // Generate small QR code for corner overlay if Amazon URL is provided
-  if (options.amazonUrl && options.enableSmallQROverlay !== false) {
+  if (options.amazonUrl && options.enableSmallQROverlay !== false && look.qrBadge) {
     try {
       console.log('📱 Generating small QR code for slideshow corner overlay...');
       const { generateQRCode } = await import('./utils/qr-code-generator.js');
       
-      const tempDir = './temp';
       await fs.mkdir(tempDir, { recursive: true });
       const smallQRPath = path.resolve(`${tempDir}/slideshow-small-qr-code-${Date.now()}.png`);
       
@@ -1264,10 +1434,7 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       smallQRConfig = {
         enabled: true,
         imagePath: smallQRPath,
-        size: 80,
-        x: 20,
-        y: 'H-h-20',
-        opacity: 0.8
+        ...look.qrBadge
       };
       
       console.log(`✅ Small QR code generated for slideshow overlay: ${smallQRPath}`);
@@ -1277,16 +1444,32 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
     }
   }
 
-  // Calculate duration per image
-  const durationPerImage = audioDuration / imagePaths.length;
-  console.log(`⏱️ Duration per image: ${durationPerImage.toFixed(2)}s`);
+  // Calculate duration per image: each scene's photo stays while the scene is narrated,
+  // otherwise images change between sentences when the voiceover is timed
+  const durationPerImage = audioDuration / absoluteImagePaths.length;
+  let imageDurations;
+  if (sceneTimeline) {
+    imageDurations = getSceneDurations(sceneTimeline, audioDuration);
+  } else if (options.sentenceTimings?.length) {
+    imageDurations = alignSlidesToSentences(audioDuration, absoluteImagePaths.length, options.sentenceTimings);
+  } else {
+    imageDurations = absoluteImagePaths.map(() => durationPerImage);
+  }
+  const calloutFilters = absoluteImagePaths.map((_, i) => createCalloutFilter(sceneTimeline?.[i]?.callout, resolution, look.calloutStyle));
+
+  if (sceneTimeline) {
+    console.log(`🎞️ Image durations follow the script scenes: ${imageDurations.map(duration => `${duration.toFixed(2)}s`).join(', ')}`);
+  } else if (options.sentenceTimings?.length) {
+    console.log(`⏱️ Image durations aligned to sentences: ${imageDurations.map(duration => `${duration.toFixed(2)}s`).join(', ')}`);
+  } else {
+    console.log(`⏱️ Duration per image: ${durationPerImage.toFixed(2)}s`);
+  }
 
-  // Use simple concatenation for now to ensure reliability
-  console.log('🔄 Using simple concatenation for maximum compatibility');
-  const transitionDuration = 0.5; // Define for compatibility, but not used
-  const transitionConfig = { filterComplex: '', transitions: [] };
+  // Photo inputs run into the transitions on both sides of them, and so does their motion
+  const { inputDurations, transitionFilter } = timeSlideTransitions(imageDurations, transitions);
+  const motionFilters = await createMotionFilters(absoluteImagePaths, inputDurations, { motion, resolution, fps, framing: look.framing });
 
-  return new Promise((resolve, reject) => {
+  const videoPath = await new Promise((resolve, reject) => {
     let ffmpegArgs;
     
     if (introOutroConfig && introOutroConfig.intro.enabled) {
@@ -1294,13 +1477,13 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       ffmpegArgs = [];
       let inputIndex = 0;
       
-      // Add intro image
-      ffmpegArgs.push('-loop', '1', '-t', introOutroConfig.intro.duration.toString(), '-i', introOutroConfig.intro.imagePath);
+      // Add intro video or image
+      ffmpegArgs.push(...getIntroInputArgs(introOutroConfig.intro));
       inputIndex++;
       
       // Add main images
       for (let i = 0; i < absoluteImagePaths.length; i++) {
-        ffmpegArgs.push('-loop', '1', '-t', durationPerImage.toString(), '-i', absoluteImagePaths[i]);
+        ffmpegArgs.push('-loop', '1', '-t', inputDurations[i].toString(), '-i', absoluteImagePaths[i]);
         inputIndex++;
       }
       
@@ -1337,6 +1520,12 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
         inputIndex++;
       }
       
+      // Add brand logo if the video carries a watermark
+      if (watermarkConfig) {
+        ffmpegArgs.push('-i', watermarkConfig.imagePath);
+        inputIndex++;
+      }
+
       // Add background music
       if (backgroundMusicPath) {
         ffmpegArgs.push('-i', backgroundMusicPath);
@@ -1346,9 +1535,13 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       // Create complex filter for intro + slideshow
       const mainContentConfig = {
         imageCount: absoluteImagePaths.length,
+        motionFilters,
+        imageFilters: calloutFilters,
+        fps,
         duration: audioDuration,
         backgroundVolume: 0.15,
-        transitionConfig: { filterComplex: '' }
+        transitionConfig: { filterComplex: transitionFilter },
+        overlayFilter: look.lowerThirdFilter
       };
       
       const filterComplex = createIntroOutroFilter({
@@ -1361,7 +1554,10 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
         introVoiceoverIndex: introVoiceoverIndex,
         mainVoiceoverIndex: mainVoiceoverIndex,
         outroVoiceoverIndex: outroVoiceoverIndex, // FIXED: Add outro voiceover index
-        smallQRConfig: smallQRConfig
+        smallQRConfig: smallQRConfig,
+        backgroundColor,
+        framing: look.framing,
+        watermarkConfig
       });
       
       ffmpegArgs.push(
@@ -1398,11 +1594,10 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       ffmpegArgs = [];
       
       // Add each image as input with extended duration for transitions
-      const extendedDuration = durationPerImage + (transitionDuration / 2);
       for (let i = 0; i < absoluteImagePaths.length; i++) {
         ffmpegArgs.push(
           '-loop', '1',
-          '-t', extendedDuration.toString(),
+          '-t', inputDurations[i].toString(),
           '-i', absoluteImagePaths[i]
         );
       }
@@ -1419,25 +1614,41 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       
       // Create filter complex with smooth transitions
       let filterComplex = '';
-      const [width, height] = resolution.split('x').map(Number);
       
-      // Scale and pad each image, ensuring consistent timing and SAR
+      // Frame each image as the theme does, ensuring consistent timing and SAR
       for (let i = 0; i < absoluteImagePaths.length; i++) {
-        filterComplex += `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1,fps=${fps},setpts=PTS-STARTPTS[v${i}];`;
+        const motionFilter = motionFilters[i] ? `,${motionFilters[i]}` : '';
+        const callout = calloutFilters[i] ? `,${calloutFilters[i]}` : '';
+        filterComplex += `[${i}:v]${look.frameFilter(`v${i}`)},setsar=1:1,fps=${fps}${motionFilter}${callout},setpts=PTS-STARTPTS[v${i}];`;
       }
       
       // Add smooth transitions between images
-      if (absoluteImagePaths.length > 1 && transitionConfig.filterComplex) {
-        filterComplex += transitionConfig.filterComplex;
-      } else if (absoluteImagePaths.length > 1) {
-        // Fallback: simple concatenation without transitions
-        console.log('🔄 Using simple concatenation fallback (no transitions)');
-        filterComplex += absoluteImagePaths.map((_, i) => `[v${i}]`).join('') + `concat=n=${absoluteImagePaths.length}:v=1:a=0[outv];`;
+      if (absoluteImagePaths.length > 1) {
+        filterComplex += transitionFilter;
       } else {
         // Single image - no transitions needed
         filterComplex += '[v0]copy[outv];';
       }
       
+      // Draw the theme's lower third over the photos
+      let videoOutput = '[outv]';
+      if (look.lowerThirdFilter) {
+        filterComplex += `${videoOutput}${look.lowerThirdFilter}[themed_v];`;
+        videoOutput = '[themed_v]';
+      }
+
+      // Mark the slideshow with the brand logo, its input after the audio
+      if (watermarkConfig) {
+        ffmpegArgs.push('-i', watermarkConfig.imagePath);
+        filterComplex += createWatermarkFilter(watermarkConfig.watermark, {
+          inputIndex: absoluteImagePaths.length + (backgroundMusicPath ? 2 : 1),
+          input: videoOutput,
+          output: '[branded_v]',
+          resolution
+        });
+        videoOutput = '[branded_v]';
+      }
+
       if (backgroundMusicPath) {
         // Add background music filter to the complex filter
         const audioInputIndex = absoluteImagePaths.length; // Voiceover audio index
@@ -1450,7 +1661,7 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
         
         ffmpegArgs.push(
           '-filter_complex', filterComplex,
-          '-map', '[outv]',
+          '-map', videoOutput,
           '-map', '[audio_out]',
           '-pix_fmt', 'yuv420p',
           '-color_range', 'tv',
@@ -1478,7 +1689,7 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
         // Original audio mapping without background music
         ffmpegArgs.push(
           '-filter_complex', filterComplex,
-          '-map', '[outv]',
+          '-map', videoOutput,
           '-map', `${absoluteImagePaths.length}:a:0`,
           '-pix_fmt', 'yuv420p',
           '-color_range', 'tv',
@@ -1558,6 +1769,9 @@ export async function createSlideshow(imagePaths, audioPath, outputPath, options
       clearTimeout(timeout);
     });
   });
+
+  await applyCaptions(videoPath, options.captions, resolution, introOutroConfig);
+  return videoPath;
 }
 
 /**
@@ -1721,6 +1935,8 @@ export async function getVideoInfo(videoPath) {
  * @param {string} audioPath - Path to audio file
  * @param {string} outputPath - Path for output video
  * @param {Object} options - Video creation options
+ * @param {string|Object|Object[]} [options.transitions] - Transition set, storyboard or
+ *   planTransitions result (see src/transitions.js)
  * @returns {Promise<string>} Path to created short video
  */
 export async function createShortVideo(imagePaths, audioPath, outputPath, options = {}) {
@@ -1736,7 +1952,10 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
     quality = 'high',              // High quality for social media
     enableBackgroundMusic = true,  // Enable background music by default
     enableIntroOutro = true,       // Enable intro/outro by default
-    introOutroOptions = {}         // Options for intro/outro configuration
+    introOutroOptions = {},        // Options for intro/outro configuration
+    motion = DEFAULT_MOTION_STYLE, // Ken Burns motion style (see src/image-motion.js)
+    transitions = DEFAULT_TRANSITION_SET, // Transitions between photos (see src/transitions.js)
+    tempDir = './temp'             // Working files such as smart-framed photos
   } = options;
   
   console.log(`📱 Short video configuration: enableIntroOutro=${enableIntroOutro}, amazonUrl=${options.amazonUrl ? 'provided' : 'missing'}`);
@@ -1756,7 +1975,7 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
   }
 
   // Convert to absolute paths
-  const absoluteImagePaths = imagePaths.map(p => path.resolve(p));
+  let absoluteImagePaths = imagePaths.map(p => path.resolve(p));
   const absoluteAudioPath = path.resolve(audioPath);
   const absoluteOutputPath = path.resolve(outputPath);
 
@@ -1797,6 +2016,11 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
   console.log(`📹 Output: ${absoluteOutputPath}`);
   console.log(`📐 Resolution: ${resolution} (vertical format for mobile)`);
 
+  // The theme frames the photos, styles the text and sets the music mood and QR badge
+  const look = await compileRenderTheme(options, resolution);
+  const { backgroundColor } = look;
+  absoluteImagePaths = await frameImages(absoluteImagePaths, look, resolution, tempDir);
+
   // DISABLE background music for short videos to prevent buzzing noise
   let backgroundMusicPath = null;
   let backgroundMusicConfig = null;
@@ -1815,7 +2039,8 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       ...introOutroOptions,
       enableQROutro: !!options.amazonUrl,
       amazonUrl: options.amazonUrl,
-      outroDuration: introOutroOptions.outroDuration || 10.0
+      outroDuration: introOutroOptions.outroDuration || 10.0,
+      resolution // The QR outro card fills the frame
     };
     
     console.log(`🎯 Short video QR code outro options: enableQROutro=${qrOutroOptions.enableQROutro}, amazonUrl=${qrOutroOptions.amazonUrl ? 'provided' : 'missing'}`);
@@ -1836,7 +2061,7 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
         // Use the same voice that will be used for the main voiceover (if already selected) or select one now
         let selectedVoice = options.selectedVoiceId;
         if (!selectedVoice) {
-          selectedVoice = getRandomVoice(options.voiceGender);
+          selectedVoice = getRandomVoice(options.voiceGender, createRandom(options.seed, 'voice'));
           options.selectedVoiceId = selectedVoice; // Store for main voiceover to use
         }
         console.log(`🎤 Using consistent voice for short video intro and main: ${selectedVoice}`);
@@ -1847,7 +2072,8 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
           introVoiceoverPath,
           undefined, // Use default voice settings
           options.voiceGender, // Pass voice gender for consistency
-          selectedVoice // Pass the specific voice ID to ensure consistency
+          selectedVoice, // Pass the specific voice ID to ensure consistency
+          { provider: options.ttsProvider, language: options.language }
         );
         console.log(`✅ Short video intro voiceover generated: ${introVoiceoverPath}`);
       } catch (error) {
@@ -1871,7 +2097,8 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
             outroVoiceoverPath,
             undefined, // Use default voice settings
             options.voiceGender, // Pass voice gender for consistency
-            selectedVoice // Pass the specific voice ID to ensure consistency
+            selectedVoice, // Pass the specific voice ID to ensure consistency
+            { provider: options.ttsProvider, language: options.language }
           );
           console.log(`✅ Short video QR code outro voiceover generated: ${outroVoiceoverPath}`);
         } catch (error) {
@@ -1882,13 +2109,15 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
     }
   }
 
+  // The brand kit marks the video with its logo
+  const watermarkConfig = await createWatermarkConfig(options.brand);
+
   // Generate small QR code for corner overlay if Amazon URL is provided
-  if (options.amazonUrl && options.enableSmallQROverlay !== false) {
+  if (options.amazonUrl && options.enableSmallQROverlay !== false && look.qrBadge) {
     try {
       console.log('📱 Generating small QR code for short video corner overlay...');
       const { generateQRCode } = await import('./utils/qr-code-generator.js');
       
-      const tempDir = './temp';
       await fs.mkdir(tempDir, { recursive: true });
       const smallQRPath = path.resolve(`${tempDir}/short-small-qr-code-${Date.now()}.png`);
       
@@ -1898,10 +2127,7 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       smallQRConfig = {
         enabled: true,
         imagePath: smallQRPath,
-        size: 80,
-        x: 20,
-        y: 'H-h-20',
-        opacity: 0.8
+        ...look.qrBadge
       };
       
       console.log(`✅ Small QR code generated for short video overlay: ${smallQRPath}`);
@@ -1915,12 +2141,10 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
   const durationPerImage = audioDuration / imagePaths.length;
   console.log(`⏱️ Duration per image: ${durationPerImage.toFixed(2)}s`);
 
-  // Use simple concatenation for short videos too for maximum compatibility
-  console.log('📱 Using simple concatenation for short video compatibility');
-  const transitionDuration = 0.5; // Define for compatibility, but not used
-  const transitionConfig = { filterComplex: '', transitions: [] };
+  const { inputDurations, transitionFilter } = timeSlideTransitions(absoluteImagePaths.map(() => durationPerImage), transitions);
+  const motionFilters = await createMotionFilters(absoluteImagePaths, inputDurations, { motion, resolution, fps, framing: look.framing });
 
-  return new Promise((resolve, reject) => {
+  const videoPath = await new Promise((resolve, reject) => {
     // For short videos, use a simpler approach that's more reliable
     // If we have multiple images, create a slideshow; if just one, use it directly
     
@@ -1931,13 +2155,13 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       ffmpegArgs = [];
       let inputIndex = 0;
       
-      // Add intro image
-      ffmpegArgs.push('-loop', '1', '-t', introOutroConfig.intro.duration.toString(), '-i', introOutroConfig.intro.imagePath);
+      // Add intro video or image
+      ffmpegArgs.push(...getIntroInputArgs(introOutroConfig.intro));
       inputIndex++;
       
       // Add main images
       for (let i = 0; i < absoluteImagePaths.length; i++) {
-        ffmpegArgs.push('-loop', '1', '-t', durationPerImage.toString(), '-i', absoluteImagePaths[i]);
+        ffmpegArgs.push('-loop', '1', '-t', inputDurations[i].toString(), '-i', absoluteImagePaths[i]);
         inputIndex++;
       }
       
@@ -1974,6 +2198,12 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
         inputIndex++;
       }
       
+      // Add brand logo if the video carries a watermark
+      if (watermarkConfig) {
+        ffmpegArgs.push('-i', watermarkConfig.imagePath);
+        inputIndex++;
+      }
+
       // Add background music
       if (backgroundMusicPath) {
         ffmpegArgs.push('-i', backgroundMusicPath);
@@ -1983,9 +2213,12 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       // Create complex filter for intro + short video
       const mainContentConfig = {
         imageCount: absoluteImagePaths.length,
+        motionFilters,
+        fps,
         duration: audioDuration,
         backgroundVolume: 0.15,
-        transitionConfig: { filterComplex: '' }
+        transitionConfig: { filterComplex: transitionFilter },
+        overlayFilter: look.lowerThirdFilter
       };
       
       const filterComplex = createIntroOutroFilter({
@@ -1998,7 +2231,10 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
         introVoiceoverIndex: introVoiceoverIndex,
         mainVoiceoverIndex: mainVoiceoverIndex,
         outroVoiceoverIndex: outroVoiceoverIndex, // FIXED: Add outro voiceover index
-        smallQRConfig: smallQRConfig
+        smallQRConfig: smallQRConfig,
+        backgroundColor,
+        framing: look.framing,
+        watermarkConfig
       });
       
       ffmpegArgs.push(
@@ -2032,7 +2268,6 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       
     } else if (absoluteImagePaths.length === 1) {
       // Single image - use crop approach to fill frame properly
-      const [width, height] = resolution.split('x').map(Number);
       
       if (backgroundMusicPath) {
         // Single image with background music
@@ -2040,15 +2275,19 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
         console.log(`🎼 Short video mixing audio: Voice (100%) + Background (${(backgroundMusicConfig.settings.backgroundVolume * 100).toFixed(0)}%)`);
         
         ffmpegArgs = [
-          '-loop', '1',
-          '-t', audioDuration.toString(),
-          '-i', absoluteImagePaths[0],
-          '-i', absoluteAudioPath,
-          '-i', backgroundMusicPath,
-          '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
-          '-filter_complex', backgroundMusicConfig.audioFilter.replace('volume=0.5', 'volume=0.3,alimiter=level_in=1:level_out=0.8:limit=0.8').replace('amix=inputs=2:duration=first:dropout_transition=2', 'amix=inputs=2:duration=first:dropout_transition=3:normalize=0'),
-          '-map', '0:v',
-          '-map', '[audio_out]',
+          ...createSingleImageArgs({
+            inputs: [
+              '-loop', '1',
+              '-t', audioDuration.toString(),
+              '-i', absoluteImagePaths[0],
+              '-i', absoluteAudioPath,
+              '-i', backgroundMusicPath
+            ],
+            videoFilter: `${look.frameFilter('frame')}${motionFilters[0] ? `,setsar=1:1,fps=${fps},${motionFilters[0]}` : ''}${look.lowerThirdFilter ? `,${look.lowerThirdFilter}` : ''}`,
+            audioFilter: backgroundMusicConfig.audioFilter.replace('volume=0.5', 'volume=0.3,alimiter=level_in=1:level_out=0.8:limit=0.8').replace('amix=inputs=2:duration=first:dropout_transition=2', 'amix=inputs=2:duration=first:dropout_transition=3:normalize=0'),
+            watermarkConfig,
+            resolution
+          }),
           '-pix_fmt', 'yuv420p',
           '-color_range', 'tv',
           '-colorspace', 'bt709',
@@ -2074,11 +2313,17 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       } else {
         // Single image without background music
         ffmpegArgs = [
-          '-loop', '1',
-          '-t', audioDuration.toString(),  // FIXED: Add duration parameter
-          '-i', absoluteImagePaths[0],
-          '-i', absoluteAudioPath,
-          '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+          ...createSingleImageArgs({
+            inputs: [
+              '-loop', '1',
+              '-t', audioDuration.toString(),  // FIXED: Add duration parameter
+              '-i', absoluteImagePaths[0],
+              '-i', absoluteAudioPath
+            ],
+            videoFilter: `${look.frameFilter('frame')}${motionFilters[0] ? `,setsar=1:1,fps=${fps},${motionFilters[0]}` : ''}${look.lowerThirdFilter ? `,${look.lowerThirdFilter}` : ''}`,
+            watermarkConfig,
+            resolution
+          }),
           '-pix_fmt', 'yuv420p',
           '-color_range', 'tv',
           '-colorspace', 'bt709',
@@ -2110,7 +2355,7 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       for (let i = 0; i < absoluteImagePaths.length; i++) {
         ffmpegArgs.push(
           '-loop', '1',
-          '-t', durationPerImage.toString(),
+          '-t', inputDurations[i].toString(),
           '-i', absoluteImagePaths[i]
         );
       }
@@ -2127,22 +2372,40 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       
       // Create filter complex with transitions for short video
       let filterComplex = '';
-      const [width, height] = resolution.split('x').map(Number);
       
-      // Scale and crop each image to fill frame properly
+      // Frame each image as the theme does
       for (let i = 0; i < absoluteImagePaths.length; i++) {
-        filterComplex += `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1,fps=${fps},setpts=PTS-STARTPTS[v${i}];`;
+        const motionFilter = motionFilters[i] ? `,${motionFilters[i]}` : '';
+        filterComplex += `[${i}:v]${look.frameFilter(`v${i}`)},setsar=1:1,fps=${fps}${motionFilter},setpts=PTS-STARTPTS[v${i}];`;
       }
       
-      // Add simple concatenation for short video
+      // Add transitions between images for short video
       if (absoluteImagePaths.length > 1) {
-        // Simple concatenation without transitions
-        filterComplex += absoluteImagePaths.map((_, i) => `[v${i}]`).join('') + `concat=n=${absoluteImagePaths.length}:v=1:a=0[outv];`;
+        filterComplex += transitionFilter;
       } else {
         // Single image - no transitions needed
         filterComplex += '[v0]copy[outv];';
       }
       
+      // Draw the theme's lower third over the photos
+      let videoOutput = '[outv]';
+      if (look.lowerThirdFilter) {
+        filterComplex += `${videoOutput}${look.lowerThirdFilter}[themed_v];`;
+        videoOutput = '[themed_v]';
+      }
+
+      // Mark the short video with the brand logo, its input after the audio
+      if (watermarkConfig) {
+        ffmpegArgs.push('-i', watermarkConfig.imagePath);
+        filterComplex += createWatermarkFilter(watermarkConfig.watermark, {
+          inputIndex: absoluteImagePaths.length + (backgroundMusicPath ? 2 : 1),
+          input: videoOutput,
+          output: '[branded_v]',
+          resolution
+        });
+        videoOutput = '[branded_v]';
+      }
+
       if (backgroundMusicPath) {
         // Add background music filter to the complex filter
         const audioInputIndex = absoluteImagePaths.length; // Voiceover audio index
@@ -2159,7 +2422,7 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
         
         ffmpegArgs.push(
           '-filter_complex', filterComplex,
-          '-map', '[outv]',
+          '-map', videoOutput,
           '-map', '[audio_out]',
           '-pix_fmt', 'yuv420p',
           '-color_range', 'tv',
@@ -2187,7 +2450,7 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
         // Original audio mapping without background music
         ffmpegArgs.push(
           '-filter_complex', filterComplex,
-          '-map', '[outv]',
+          '-map', videoOutput,
           '-map', `${absoluteImagePaths.length}:a:0`,
           '-pix_fmt', 'yuv420p',
           '-color_range', 'tv',
@@ -2267,6 +2530,9 @@ export async function createShortVideo(imagePaths, audioPath, outputPath, option
       clearTimeout(timeout);
     });
   });
+
+  await applyCaptions(videoPath, options.captions, resolution, introOutroConfig);
+  return videoPath;
 }
 
 /**
@@ -1,6 +1,10 @@
 import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
+import { synthesizeSpeech } from './tts/index.js';
+import { analyzeAudioFile, stitchAudioChunks } from './utils/audio-utils.js';
+import { buildVoiceoverTimings, saveVoiceoverTimings } from './speech-alignment.js';
+import { createRandom, pickRandom } from './utils/random.js';
 
 /**
  * Recommended ElevenLabs Voices for Product Reviews
@@ -63,9 +67,10 @@ const getFemaleVoices = () => {
 /**
  * Randomly selects a voice from the available voices array
  * @param {string} gender - Optional gender preference ('male', 'female', or undefined for random)
+ * @param {Function} [random] - Random number generator, seeded for reproducible renders (default: Math.random)
  * @returns {string} - Voice ID for ElevenLabs API
  */
-const getRandomVoice = (gender = null) => {
+const getRandomVoice = (gender = null, random = Math.random) => {
   let availableVoices;
   
   if (gender === 'male') {
@@ -80,8 +85,7 @@ const getRandomVoice = (gender = null) => {
   }
   
   const voiceNames = Object.keys(availableVoices);
-  const randomIndex = Math.floor(Math.random() * voiceNames.length);
-  const selectedVoiceName = voiceNames[randomIndex];
+  const selectedVoiceName = pickRandom(voiceNames, random);
   const selectedVoiceId = availableVoices[selectedVoiceName];
   
   console.log(`🎤 Selected voice: ${selectedVoiceName} (${selectedVoiceId})`);
@@ -122,26 +126,30 @@ const CONVERSATIONAL_VOICE_SETTINGS = {
 /**
  * Enhances text for more natural speech by adding pauses and emphasis
  * @param {string} text - Text to enhance
+ * @param {string} language - Language code of the text (default: en)
  * @returns {string} - Enhanced text with natural speech patterns
  */
-const enhanceTextForSpeech = text => {
+const enhanceTextForSpeech = (text, language = 'en') => {
   if (!text || typeof text !== 'string') {
     return '';
   }
 
   let enhanced = text;
 
-  // Add natural pauses after introductory phrases
-  enhanced = enhanced.replace(/(Hey everyone|Hi there|What's up|Welcome back)[!.]?\s*/gi, '$1! ');
-  
-  // Add emphasis to important phrases
-  enhanced = enhanced.replace(/\b(amazing|incredible|fantastic|excellent|outstanding)\b/gi, '*$1*');
-  
-  // Add pauses before conclusions
-  enhanced = enhanced.replace(/\b(Overall|In conclusion|To sum up|Bottom line)\b/gi, '... $1');
+  // The phrase cues are English
+  if (language === 'en') {
+    // Add natural pauses after introductory phrases
+    enhanced = enhanced.replace(/(Hey everyone|Hi there|What's up|Welcome back)[!.]?\s*/gi, '$1! ');
+
+    // Add emphasis to important phrases
+    enhanced = enhanced.replace(/\b(amazing|incredible|fantastic|excellent|outstanding)\b/gi, '*$1*');
+
+    // Add pauses before conclusions
+    enhanced = enhanced.replace(/\b(Overall|In conclusion|To sum up|Bottom line)\b/gi, '... $1');
+  }
   
   // Add natural breathing pauses after long sentences
-  enhanced = enhanced.replace(/([.!?])\s+([A-Z])/g, '$1 ... $2');
+  enhanced = enhanced.replace(/([.!?])\s+(\p{Lu})/gu, '$1 ... $2');
   
   // Emphasize price mentions
   enhanced = enhanced.replace(/(\$\d+(?:\.\d{2})?)/g, '*$1*');
@@ -154,10 +162,13 @@ const enhanceTextForSpeech = text => {
 
 /**
  * Preprocesses text for voiceover generation
+ * English text is kept to ASCII so the English-only voice model doesn't switch
+ * languages; other languages keep their letters and accents.
  * @param {string} text - Raw text to preprocess
+ * @param {string} language - Language code of the text (default: en)
  * @returns {string} - Cleaned and processed text
  */
-const preprocessText = text => {
+const preprocessText = (text, language = 'en') => {
   if (!text || typeof text !== 'string') {
     return '';
   }
@@ -168,6 +179,10 @@ const preprocessText = text => {
     .replace(/\n+/g, ' ') // Replace newlines with spaces
     .trim();
 
+  if (language !== 'en') {
+    return cleanText.replace(/[^\p{L}\p{M}\p{N}\s.,!?;:()\-'"¿¡«»]/gu, '').replace(/\s+/g, ' ').trim();
+  }
+
   // Remove special characters that might cause issues or trigger language detection
   cleanText = cleanText.replace(/[^\w\s.,!?;:()\-'"]/g, '');
 
@@ -190,113 +205,132 @@ const preprocessText = text => {
   // Clean up any double spaces created by removals
   cleanText = cleanText.replace(/\s+/g, ' ').trim();
 
-  // Truncate if too long (Eleven Labs has character limits)
-  const maxLength = 4500;
-  if (cleanText.length > maxLength) {
-    // Try to truncate at sentence boundary
-    const truncated = cleanText.substring(0, maxLength);
-    const lastSentence = truncated.lastIndexOf('.');
-    
-    if (lastSentence > maxLength * 0.8) {
-      cleanText = truncated.substring(0, lastSentence + 1);
+  return cleanText;
+};
+
+/**
+ * Longest text sent to a provider in one request
+ * Below every provider's limit, so a fallback provider gets the same chunks.
+ */
+const MAX_CHUNK_LENGTH = 4000;
+
+/**
+ * Joins pieces of text into as few chunks as fit the length limit, in order
+ * @param {string[]} pieces - Text pieces
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+const packPieces = (pieces, maxLength) => {
+  return pieces.reduce((chunks, piece) => {
+    const last = chunks[chunks.length - 1];
+    if (last !== undefined && last.length + 1 + piece.length <= maxLength) {
+      chunks[chunks.length - 1] = `${last} ${piece}`;
     } else {
-      cleanText = truncated + '...';
+      chunks.push(piece);
     }
-  }
-
-  return cleanText;
+    return chunks;
+  }, []);
 };
 
 /**
- * Validates environment variables for Eleven Labs API
- * @throws {Error} When required environment variables are missing
+ * Splits text that is too long at the first boundary type that makes it fit
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum chunk length
+ * @param {RegExp[]} boundaries - Boundaries to try, coarsest first
+ * @returns {string[]} Pieces within the limit
  */
-const validateEnvironment = () => {
-  const { ELEVENLABS_API_KEY } = process.env;
+const splitToFit = (text, maxLength, boundaries) => {
+  if (text.length <= maxLength) {
+    return [text];
+  }
 
-  if (!ELEVENLABS_API_KEY) {
-    throw new Error('ELEVENLABS_API_KEY is required in environment variables');
+  const [boundary, ...finerBoundaries] = boundaries;
+  if (!boundary) {
+    // A single "word" longer than the limit can only be cut
+    return text.match(new RegExp(`.{1,${maxLength}}`, 'g'));
   }
 
-  return { ELEVENLABS_API_KEY };
+  const pieces = text.split(boundary).filter(Boolean);
+  return packPieces(pieces.flatMap(piece => splitToFit(piece, maxLength, finerBoundaries)), maxLength);
 };
 
 /**
- * Makes API request to Eleven Labs with retry logic
- * @param {string} text - Text to convert to speech
- * @param {string} apiKey - Eleven Labs API key
- * @param {string} voiceId - Voice ID to use
- * @param {Object} voiceSettings - Voice configuration settings
- * @param {number} retries - Number of retry attempts
- * @returns {Promise<ArrayBuffer>} - Audio data
+ * Splits a script into speech-ready chunks at paragraph and sentence boundaries
+ * Each paragraph is enhanced and preprocessed on its own, so no text is dropped
+ * however long the script is.
+ * @param {string} text - Script text
+ * @param {number} maxLength - Maximum chunk length (default: 4000)
+ * @param {string} language - Language code of the script (default: en)
+ * @returns {string[]} Chunks in reading order
  */
-const makeApiRequest = async (text, apiKey, voiceId, voiceSettings, retries = 3) => {
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
-  
-  const requestBody = {
-    text,
-    voice_settings: voiceSettings,
-    model_id: 'eleven_monolingual_v1',  // English-only model (inherently English, no language_code needed)
-    output_format: 'mp3_44100_128'      // Fixed format for consistent audio
-  };
+export const splitTextIntoChunks = (text, maxLength = MAX_CHUNK_LENGTH, language = 'en') => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
 
-  const requestOptions = {
-    method: 'POST',
-    headers: {
-      'Accept': 'audio/mpeg',
-      'xi-api-key': apiKey,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(requestBody)
-  };
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => preprocessText(enhanceTextForSpeech(paragraph, language), language))
+    .filter(Boolean);
 
-  for (let attempt = 0; attempt < retries; attempt++) {
-    try {
-      const response = await fetch(url, requestOptions);
+  const pieces = paragraphs.flatMap(paragraph =>
+    splitToFit(paragraph, maxLength, [/(?<=[.!?])\s+/, /\s+/])
+  );
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => 'Unknown error');
-        throw new Error(
-          `Eleven Labs API error: ${response.status} ${response.statusText} - ${errorText}`
-        );
-      }
+  return packPieces(pieces, maxLength);
+};
 
-      return await response.arrayBuffer();
-    } catch (error) {
-      console.warn(`API request attempt ${attempt + 1} failed: ${error.message}`);
-      
-      if (attempt === retries - 1) {
-        throw error;
-      }
-      
-      // Wait before retry (exponential backoff)
-      await new Promise(resolve => 
-        setTimeout(resolve, Math.pow(2, attempt) * 1000)
-      );
-    }
+/**
+ * Validates environment variables for Eleven Labs API
+ * @throws {Error} When required environment variables are missing
+ */
+const validateEnvironment = () => {
+  const { ELEVENLABS_API_KEY } = process.env;
+
+  if (!ELEVENLABS_API_KEY) {
+    throw new Error('ELEVENLABS_API_KEY is required in environment variables');
   }
+
+  return { ELEVENLABS_API_KEY };
 };
 
 /**
- * Generates voiceover from text using Eleven Labs API
+ * Generates a voiceover track with the configured text-to-speech provider
  *
  * This function automatically selects a random voice from the predefined VOICES array
  * to provide variety across different voiceover generations. No longer requires
- * ELEVENLABS_VOICE_ID environment variable.
+ * ELEVENLABS_VOICE_ID environment variable. Providers other than ElevenLabs pick
+ * their own voice of the same gender, and every provider writes the same MP3 format.
+ *
+ * Long scripts are synthesized in chunks with the same voice, settings and
+ * provider, then stitched into one track with consistent loudness and short
+ * crossfades (needs FFmpeg).
  *
  * @param {string} text - Text to convert to speech
  * @param {string} outputPath - Path where to save the audio file
  * @param {Object} voiceSettings - Custom voice settings (optional)
  * @param {string} gender - Voice gender preference ('male', 'female', or null for random)
- * @returns {Promise<string>} - Path to the generated audio file
+ * @param {string} specificVoiceId - ElevenLabs voice ID to reuse (optional)
+ * @param {Object} options - Provider options (optional)
+ * @param {string} [options.provider] - TTS provider: elevenlabs, openai, local (default: TTS_PROVIDER env or elevenlabs)
+ * @param {string[]|string} [options.fallbacks] - Providers to try when it fails (default: TTS_FALLBACK env)
+ * @param {number} [options.maxChunkLength] - Maximum characters per request (default: 4000)
+ * @param {string} [options.language] - Language code of the text (default: en); other languages
+ *   keep their accents and use the provider's multilingual voice
+ * @param {boolean} [options.timings] - Also time every word and sentence and save the timings
+ *   as <name>.timings.json next to the audio (provider timestamps where available, else estimated)
+ * @param {string} [options.seed] - Session seed; picks the voice without specificVoiceId reproducibly
+ * @returns {Promise<Object>} { path, provider, chunks } where chunks are { index, text, start, end } in seconds,
+ *   plus { words, sentences, timingsPath } when timings are requested
  * @throws {Error} When generation fails
  */
-export const generateVoiceover = async (
+export const generateVoiceoverTrack = async (
   text,
   outputPath = 'temp/voiceover.mp3',
   voiceSettings = CONVERSATIONAL_VOICE_SETTINGS,
   gender = null,
-  specificVoiceId = null
+  specificVoiceId = null,
+  options = {}
 ) => {
   // Validate input
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
@@ -308,39 +342,63 @@ export const generateVoiceover = async (
     throw new Error('Gender must be "male", "female", or null');
   }
 
-  // Validate environment and get voice based on gender preference or specific voice ID
-  const { ELEVENLABS_API_KEY } = validateEnvironment();
-  const ELEVENLABS_VOICE_ID = specificVoiceId || getRandomVoice(gender);
+  // Get voice based on gender preference or specific voice ID
+  const voiceId = specificVoiceId || getRandomVoice(gender, createRandom(options.seed, 'voice'));
   
   if (specificVoiceId) {
     console.log(`🎤 Using specified voice ID: ${specificVoiceId}`);
   }
 
-  // Enhance text for natural speech, then preprocess
-  const enhancedText = enhanceTextForSpeech(text);
-  const processedText = preprocessText(enhancedText);
+  // Enhance text for natural speech, preprocess and split it into requests
+  const textChunks = splitTextIntoChunks(text, options.maxChunkLength, options.language);
   
-  if (processedText.length === 0) {
+  if (textChunks.length === 0) {
     throw new Error('Text becomes empty after preprocessing');
   }
 
-  console.log(`Generating voiceover for ${processedText.length} characters of text`);
+  const characterCount = textChunks.reduce((total, chunk) => total + chunk.length, 0);
+  console.log(`Generating voiceover for ${characterCount} characters of text${textChunks.length > 1 ? ` in ${textChunks.length} chunks` : ''}`);
+
+  const extension = path.extname(outputPath);
+  const chunkPaths = textChunks.length === 1
+    ? [outputPath]
+    : textChunks.map((_, index) =>
+      path.join(path.dirname(outputPath), `${path.basename(outputPath, extension)}.chunk-${index + 1}${extension}`));
 
   try {
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath);
     await fs.mkdir(outputDir, { recursive: true });
 
-    // Make API request
-    const audioBuffer = await makeApiRequest(
-      processedText,
-      ELEVENLABS_API_KEY,
-      ELEVENLABS_VOICE_ID,
-      voiceSettings
-    );
+    // Synthesize with the configured provider, falling back when it fails
+    let provider = options.provider;
+    let fallbacks = options.fallbacks;
+    const alignments = [];
+
+    for (let index = 0; index < textChunks.length; index++) {
+      const result = await synthesizeSpeech(textChunks[index], {
+        provider,
+        fallbacks,
+        voice: voiceId,
+        gender,
+        voiceSettings,
+        language: options.language,
+        withTimestamps: Boolean(options.timings)
+      });
+      alignments.push(result.alignment);
+
+      // Later chunks must sound like the first one, so they stay with its provider
+      provider = result.provider;
+      fallbacks = [];
+
+      // Save audio file
+      await fs.writeFile(chunkPaths[index], result.audio);
+    }
 
-    // Save audio file
-    await fs.writeFile(outputPath, Buffer.from(audioBuffer));
+    let timeline;
+    if (textChunks.length > 1) {
+      ({ timeline } = await stitchAudioChunks(chunkPaths, outputPath));
+    }
 
     // Verify file was created and has content
     const stats = await fs.stat(outputPath);
@@ -348,9 +406,35 @@ export const generateVoiceover = async (
       throw new Error('Generated voiceover file is empty');
     }
 
-    console.log(`Voiceover generated successfully: ${outputPath} (${stats.size} bytes)`);
-    
-    return outputPath;
+    if (!timeline) {
+      const duration = await analyzeAudioFile(outputPath)
+        .then(analysis => analysis.duration)
+        .catch(() => estimateAudioDuration(textChunks[0]));
+      timeline = [{ start: 0, end: duration }];
+    }
+
+    console.log(`Voiceover generated successfully with ${provider}: ${outputPath} (${stats.size} bytes)`);
+
+    const chunks = textChunks.map((chunkText, index) => ({ index, text: chunkText, ...timeline[index] }));
+
+    if (!options.timings) {
+      return { path: outputPath, provider, chunks };
+    }
+
+    const { source, words, sentences } = await buildVoiceoverTimings(
+      outputPath,
+      chunks.map((chunk, index) => ({ ...chunk, alignment: alignments[index] }))
+    );
+    const timingsPath = await saveVoiceoverTimings(outputPath, {
+      provider,
+      source,
+      duration: chunks[chunks.length - 1].end,
+      words,
+      sentences
+    });
+    console.log(`⏱️ Timed ${words.length} words and ${sentences.length} sentences (${source}): ${timingsPath}`);
+
+    return { path: outputPath, provider, chunks, words, sentences, timingsPath };
   } catch (error) {
     // Clean up partial file if it exists
     try {
@@ -366,9 +450,25 @@ export const generateVoiceover = async (
     } else {
       throw new Error(`Failed to generate voiceover: ${error.message}`);
     }
+  } finally {
+    if (textChunks.length > 1) {
+      await Promise.all(chunkPaths.map(chunkPath => fs.unlink(chunkPath).catch(() => {})));
+    }
   }
 };
 
+/**
+ * Generates voiceover from text and returns the audio path
+ * Same as generateVoiceoverTrack, for callers that don't need the chunk map.
+ * @param {...*} args - generateVoiceoverTrack arguments
+ * @returns {Promise<string>} - Path to the generated audio file
+ * @throws {Error} When generation fails
+ */
+export const generateVoiceover = async (...args) => {
+  const track = await generateVoiceoverTrack(...args);
+  return track.path;
+};
+
 /**
  * Gets available voices from Eleven Labs API
  * @returns {Promise<Array>} - Array of available voices
@@ -428,9 +528,10 @@ export const estimateAudioDuration = text => {
 /**
  * Generates a product review script from Amazon product data
  * @param {Object} productData - Product information from Amazon scraper
+ * @param {Function} [random] - Random number generator for the intro and conclusion (default: Math.random)
  * @returns {string} - Engaging review script
  */
-export const generateProductReviewScript = (productData) => {
+export const generateProductReviewScript = (productData, random = Math.random) => {
   if (!productData || typeof productData !== 'object') {
     throw new Error('Product data is required and must be an object');
   }
@@ -454,7 +555,7 @@ export const generateProductReviewScript = (productData) => {
   ];
 
   // Create price commentary
-  const priceCommentary = typeof price === 'string' && price.includes('$')
+  const priceCommentary = typeof price === 'string' && /[$£€¥₹]/.test(price)
     ? `At ${price}, this offers solid value for money.`
     : `The pricing is competitive and reasonable for what you get.`;
 
@@ -497,13 +598,13 @@ export const generateProductReviewScript = (productData) => {
 
   // Assemble the script
   const script = [
-    intros[Math.floor(Math.random() * intros.length)],
+    pickRandom(intros, random),
     ratingText,
     priceCommentary,
     featuresText,
     descriptionText,
     imageCommentary,
-    conclusions[Math.floor(Math.random() * conclusions.length)],
+    pickRandom(conclusions, random),
     `Thanks for watching, and don't forget to like and subscribe for more product reviews!`
   ].filter(Boolean).join(' ');
 
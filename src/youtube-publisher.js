@@ -1,6 +1,9 @@
 import { google } from 'googleapis';
 import fs from 'fs/promises';
 import path from 'path';
+import { getAffiliateTagForUrl } from './utils/marketplaces.js';
+import { enforceCompliance, reportCompliance } from './compliance.js';
+import { LANGUAGES, getLanguage } from './utils/languages.js';
 
 /**
  * YouTube video size limits (in bytes)
@@ -20,6 +23,11 @@ const SUPPORTED_FORMATS = ['.mp4', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mk
 const SUPPORTED_THUMBNAIL_FORMATS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp'];
 const MAX_THUMBNAIL_SIZE = 2 * 1024 * 1024; // 2MB
 
+/**
+ * Caption formats uploaded as caption tracks, in order of preference
+ */
+const SUPPORTED_CAPTION_FORMATS = ['.srt', '.vtt'];
+
 /**
  * Default video metadata
  */
@@ -226,22 +234,33 @@ const generateAffiliateUrl = (productUrl, affiliateTag) => {
   }
 };
 
+/**
+ * Resolves the affiliate tag for an upload
+ * An explicit options.affiliateTag wins; otherwise the tag of the product URL's marketplace is used.
+ * @param {string} productUrl - Amazon product URL
+ * @param {Object} options - Upload options
+ * @returns {string|null} - Affiliate tag
+ */
+const resolveAffiliateTag = (productUrl, options = {}) => {
+  if (options.affiliateTag) {
+    return options.affiliateTag;
+  }
+  return productUrl ? getAffiliateTagForUrl(productUrl) : null;
+};
+
 /**
  * Checks if description already contains affiliate content
+ * The affiliate lines of every video language count.
  * @param {string} description - Description text to check
  * @returns {boolean} - True if affiliate content is already present
  */
 const hasAffiliateContent = (description) => {
   if (!description) return false;
-  
-  // Check for affiliate link indicator
-  const hasAffiliateLink = description.includes('🛒 Get this product here:');
-  
-  // Check for Amazon Associate disclaimer
-  const hasAssociateDisclaimer = description.includes('As an Amazon Associate');
-  
-  // Consider it has affiliate content if either indicator is present
-  return hasAffiliateLink || hasAssociateDisclaimer;
+
+  return Object.values(LANGUAGES).some(({ strings }) =>
+    // Affiliate link indicator or Amazon Associate disclaimer (without its emoji)
+    description.includes(strings.getProduct) || description.includes(strings.disclosure.replace(/^\S+\s/, ''))
+  );
 };
 
 /**
@@ -250,10 +269,12 @@ const hasAffiliateContent = (description) => {
  * @param {string} productUrl - Amazon product URL
  * @param {string} affiliateTag - Amazon affiliate tag
  * @param {boolean} isShorts - Whether this is for YouTube Shorts
+ * @param {string} language - Language code of the affiliate lines (default: en)
  * @returns {string} - Complete description with affiliate link
  */
-const buildDescription = (baseDescription, productUrl, affiliateTag, isShorts = false) => {
+const buildDescription = (baseDescription, productUrl, affiliateTag, isShorts = false, language = 'en') => {
   let description = baseDescription || '';
+  const { strings } = getLanguage(language);
 
   // For Shorts, keep description concise and add Shorts-specific hashtags
   if (isShorts) {
@@ -279,18 +300,85 @@ const buildDescription = (baseDescription, productUrl, affiliateTag, isShorts =
     if (isShorts) {
       // Shorter affiliate content for Shorts
       description += `🛒 ${affiliateUrl}\n`;
-      description += '⚠️ As an Amazon Associate, I earn from qualifying purchases.';
+      description += strings.disclosure;
     } else {
       // Full affiliate content for regular videos
-      description += `🛒 Get this product here: ${affiliateUrl}\n\n`;
-      description += '⚠️ As an Amazon Associate, I earn from qualifying purchases.\n';
-      description += 'This helps support the channel at no extra cost to you!';
+      description += `${strings.getProduct} ${affiliateUrl}\n\n`;
+      description += `${strings.disclosure}\n`;
+      description += strings.support;
     }
   }
 
   return description;
 };
 
+/**
+ * Optimizes a title for YouTube Shorts
+ * @param {string} title - Video title
+ * @returns {string} Title of at most 50 characters plus the #Shorts hashtag
+ */
+const optimizeShortsTitle = (title) => {
+  if (title.includes('#Shorts')) {
+    return title;
+  }
+
+  // Keep title concise for Shorts (under 60 characters is ideal)
+  const shortTitle = title.length > 50 ? title.substring(0, 47) + '...' : title;
+  return `${shortTitle} #Shorts`;
+};
+
+/**
+ * Runs a video's title and description through the compliance linter
+ * Fixable violations (a missing or buried disclosure, an undated price) are
+ * fixed; the rest are logged and returned.
+ * @param {string} title - Video title
+ * @param {string} description - Complete video description
+ * @param {string} label - Video kind for the log (video or Shorts)
+ * @param {string} language - Language code of the copy (default: en)
+ * @returns {Object} { title, description, violations }
+ */
+const checkVideoCompliance = (title, description, label, language = 'en') => {
+  const titleResult = enforceCompliance(title, { type: 'title', platform: 'youtube', maxLength: 100, language });
+  const descriptionResult = enforceCompliance(description, { type: 'description', platform: 'youtube', maxLength: 5000, language });
+
+  return {
+    title: titleResult.text,
+    description: descriptionResult.text,
+    violations: [
+      ...reportCompliance(titleResult, `${label} title`),
+      ...reportCompliance(descriptionResult, `${label} description`)
+    ]
+  };
+};
+
+/**
+ * Prepares the translated titles and descriptions of a video
+ * Each translation gets the affiliate lines and compliance fixes in its own language.
+ * @param {Object} localizations - { title, description } by language code
+ * @param {string} productUrl - Amazon product URL
+ * @param {string} affiliateTag - Amazon affiliate tag
+ * @param {boolean} isShorts - Whether this is for YouTube Shorts
+ * @returns {Object} { localizations, violations } with the YouTube localizations and the
+ *   compliance violations left
+ */
+const buildLocalizations = (localizations = {}, productUrl, affiliateTag, isShorts = false) => {
+  const label = isShorts ? 'Shorts' : 'video';
+  const entries = Object.entries(localizations).map(([language, localization]) => {
+    const compliance = checkVideoCompliance(
+      isShorts ? optimizeShortsTitle(localization.title.trim()) : localization.title.trim(),
+      buildDescription(localization.description, productUrl, affiliateTag, isShorts, language),
+      `${getLanguage(language).name} ${label}`,
+      language
+    );
+    return [language, compliance];
+  });
+
+  return {
+    localizations: Object.fromEntries(entries.map(([language, { title, description }]) => [language, { title, description }])),
+    violations: entries.flatMap(([, compliance]) => compliance.violations)
+  };
+};
+
 /**
  * Uploads video to YouTube with retry logic
  * @param {Object} youtube - YouTube API client
@@ -312,7 +400,7 @@ const uploadWithRetry = async (youtube, requestBody, videoPath, options = {}, re
       const fileSize = stats.size;
       
       const uploadRequest = {
-        part: 'snippet,status',
+        part: requestBody.localizations ? 'snippet,status,localizations' : 'snippet,status',
         requestBody,
         media: {
           body: fileStream
@@ -410,6 +498,104 @@ const uploadThumbnail = async (youtube, videoId, thumbnailPath) => {
   }
 };
 
+/**
+ * Finds caption files next to a video
+ * `video.srt` is in the default language; translated tracks carry a language
+ * code before the extension (`video.es.srt`, `video.pt-BR.vtt`). When a
+ * language has both formats, the SRT file is used.
+ * @param {string} videoPath - Path to video file
+ * @param {string} defaultLanguage - Language of tracks without a language code
+ * @returns {Promise<Object[]>} - Caption tracks as { path, language }
+ */
+export const findCaptionTracks = async (videoPath, defaultLanguage = DEFAULT_METADATA.defaultLanguage) => {
+  const videoDir = path.dirname(videoPath);
+  const videoBaseName = path.basename(videoPath, path.extname(videoPath));
+
+  let files;
+  try {
+    files = await fs.readdir(videoDir);
+  } catch (error) {
+    return [];
+  }
+
+  const tracks = new Map();
+  for (const format of SUPPORTED_CAPTION_FORMATS) {
+    for (const file of files) {
+      if (!file.startsWith(videoBaseName) || path.extname(file).toLowerCase() !== format) {
+        continue;
+      }
+
+      const suffix = file.slice(videoBaseName.length, -format.length);
+      const languageMatch = suffix.match(/^\.([a-z]{2,3}(?:-[A-Za-z0-9]+)?)$/);
+      if (suffix !== '' && !languageMatch) {
+        continue;
+      }
+
+      const language = languageMatch ? languageMatch[1] : defaultLanguage;
+      if (!tracks.has(language)) {
+        tracks.set(language, { path: path.join(videoDir, file), language });
+      }
+    }
+  }
+
+  return [...tracks.values()];
+};
+
+/**
+ * Uploads caption tracks to YouTube video
+ * Requires the youtube.force-ssl OAuth scope.
+ * @param {Object} youtube - YouTube API client
+ * @param {string} videoId - YouTube video ID
+ * @param {Object[]} captions - Caption tracks as { path, language, name }
+ * @param {string} defaultLanguage - Language of tracks without one
+ * @returns {Promise<string[]>} - Languages of the uploaded tracks
+ */
+const uploadCaptions = async (youtube, videoId, captions, defaultLanguage) => {
+  const uploaded = [];
+  const { createReadStream } = await import('fs');
+
+  for (const track of captions) {
+    const language = track.language || defaultLanguage;
+
+    try {
+      const extension = path.extname(track.path).toLowerCase();
+      if (!SUPPORTED_CAPTION_FORMATS.includes(extension)) {
+        throw new Error(`Unsupported caption format: ${extension}. Supported formats: ${SUPPORTED_CAPTION_FORMATS.join(', ')}`);
+      }
+
+      console.log(`💬 Uploading ${language} captions...`);
+
+      await youtube.captions.insert({
+        part: 'snippet',
+        requestBody: {
+          snippet: {
+            videoId,
+            language,
+            name: track.name || '',
+            isDraft: false
+          }
+        },
+        media: {
+          mimeType: extension === '.vtt' ? 'text/vtt' : 'application/x-subrip',
+          body: createReadStream(track.path)
+        }
+      });
+
+      uploaded.push(language);
+      console.log(`✅ ${language} captions uploaded`);
+    } catch (error) {
+      console.warn(`⚠️ Failed to upload ${language} captions:`, error.message);
+
+      if (error.code === 403) {
+        console.warn('💡 Note: Caption uploads need the youtube.force-ssl scope');
+        console.warn('   Run: node youtube-auth.js to authorize it');
+      }
+    }
+  }
+
+  return uploaded;
+};
+
 /**
  * Uploads video to YouTube
  * @param {string} videoPath - Path to video file
@@ -419,6 +605,9 @@ const uploadThumbnail = async (youtube, videoId, thumbnailPath) => {
  * @param {Object} options - Upload options
  * @param {string} options.thumbnailPath - Path to custom thumbnail (optional)
  * @param {boolean} options.isShorts - Whether this is a YouTube Shorts video (optional)
+ * @param {Object[]} options.captions - Caption tracks as { path, language, name } (optional)
+ * @param {string} options.defaultLanguage - Language code of the title, description and audio (default: en)
+ * @param {Object} options.localizations - Translated { title, description } by language code (optional)
  * @returns {Promise<Object>} - Upload result with video ID and URL
  * @throws {Error} When upload fails
  */
@@ -449,30 +638,38 @@ export const uploadToYouTube = async (
       auth
     });
     
+    // Merge options with defaults
+    const metadata = { ...DEFAULT_METADATA, ...options };
+    const affiliateTag = resolveAffiliateTag(productUrl, options);
+
     // Build complete description with affiliate link
     const completeDescription = buildDescription(
       description,
       productUrl,
-      credentials.AFFILIATE_TAG,
-      options.isShorts
+      affiliateTag,
+      options.isShorts,
+      metadata.defaultLanguage
     );
-    
-    // Merge options with defaults
-    const metadata = { ...DEFAULT_METADATA, ...options };
+
+    // Fix or report FTC and Amazon Associates compliance issues before publishing
+    const compliance = checkVideoCompliance(title.trim(), completeDescription, options.isShorts ? 'Shorts' : 'video', metadata.defaultLanguage);
+    const localized = buildLocalizations(options.localizations, productUrl, affiliateTag, options.isShorts);
     
     // Prepare request body
     const requestBody = {
       snippet: {
-        title: title.trim(),
-        description: completeDescription,
+        title: compliance.title,
+        description: compliance.description,
         tags: metadata.tags,
         categoryId: metadata.categoryId,
-        defaultLanguage: metadata.defaultLanguage
+        defaultLanguage: metadata.defaultLanguage,
+        defaultAudioLanguage: metadata.defaultLanguage
       },
       status: {
         privacyStatus: metadata.privacyStatus,
         selfDeclaredMadeForKids: false
-      }
+      },
+      ...(Object.keys(localized.localizations).length > 0 && { localizations: localized.localizations })
     };
     
     // Upload video
@@ -494,6 +691,12 @@ export const uploadToYouTube = async (
     if (options.thumbnailPath) {
       thumbnailUploaded = await uploadThumbnail(youtube, videoId, options.thumbnailPath);
     }
+
+    // Attach caption tracks if provided
+    let captionsUploaded = [];
+    if (options.captions?.length) {
+      captionsUploaded = await uploadCaptions(youtube, videoId, options.captions, metadata.defaultLanguage);
+    }
     
     return {
       videoId,
@@ -502,7 +705,10 @@ export const uploadToYouTube = async (
       description: videoData.snippet.description,
       status: videoData.status.uploadStatus,
       privacyStatus: videoData.status.privacyStatus,
-      thumbnailUploaded
+      thumbnailUploaded,
+      captionsUploaded,
+      localizations: Object.keys(localized.localizations),
+      complianceViolations: [...compliance.violations, ...localized.violations]
     };
     
   } catch (error) {
@@ -573,24 +779,6 @@ export const uploadToYouTubeShorts = async (
       auth
     });
     
-    // Optimize title for Shorts
-    let shortsTitle = title;
-    if (!shortsTitle.includes('#Shorts')) {
-      // Keep title concise for Shorts (under 60 characters is ideal)
-      if (shortsTitle.length > 50) {
-        shortsTitle = shortsTitle.substring(0, 47) + '...';
-      }
-      shortsTitle += ' #Shorts';
-    }
-    
-    // Build complete description with affiliate link for Shorts
-    const completeDescription = buildDescription(
-      description,
-      productUrl,
-      credentials.AFFILIATE_TAG,
-      true // isShorts = true
-    );
-    
     // Optimize options for YouTube Shorts
     const shortsOptions = {
       ...options,
@@ -600,22 +788,38 @@ export const uploadToYouTubeShorts = async (
     
     // Merge options with defaults
     const metadata = { ...DEFAULT_METADATA, ...shortsOptions };
+    const affiliateTag = resolveAffiliateTag(productUrl, options);
+
+    // Build complete description with affiliate link for Shorts
+    const completeDescription = buildDescription(
+      description,
+      productUrl,
+      affiliateTag,
+      true, // isShorts = true
+      metadata.defaultLanguage
+    );
+
+    // Fix or report FTC and Amazon Associates compliance issues before publishing
+    const compliance = checkVideoCompliance(optimizeShortsTitle(title).trim(), completeDescription, 'Shorts', metadata.defaultLanguage);
+    const localized = buildLocalizations(options.localizations, productUrl, affiliateTag, true);
     
     // Prepare request body with Shorts-specific optimizations
     const requestBody = {
       snippet: {
-        title: shortsTitle.trim(),
-        description: completeDescription,
+        title: compliance.title,
+        description: compliance.description,
         tags: metadata.tags,
         categoryId: metadata.categoryId,
-        defaultLanguage: metadata.defaultLanguage
+        defaultLanguage: metadata.defaultLanguage,
+        defaultAudioLanguage: metadata.defaultLanguage
       },
       status: {
         privacyStatus: metadata.privacyStatus,
         selfDeclaredMadeForKids: false,
         // Add Shorts-specific metadata
         madeForKids: false
-      }
+      },
+      ...(Object.keys(localized.localizations).length > 0 && { localizations: localized.localizations })
     };
     
     // Upload video with Shorts optimization
@@ -640,6 +844,12 @@ export const uploadToYouTubeShorts = async (
     if (options.thumbnailPath) {
       thumbnailUploaded = await uploadThumbnail(youtube, videoId, options.thumbnailPath);
     }
+
+    // Attach caption tracks if provided
+    let captionsUploaded = [];
+    if (options.captions?.length) {
+      captionsUploaded = await uploadCaptions(youtube, videoId, options.captions, metadata.defaultLanguage);
+    }
     
     return {
       videoId,
@@ -650,6 +860,9 @@ export const uploadToYouTubeShorts = async (
       status: videoData.status.uploadStatus,
       privacyStatus: videoData.status.privacyStatus,
       thumbnailUploaded,
+      captionsUploaded,
+      localizations: Object.keys(localized.localizations),
+      complianceViolations: [...compliance.violations, ...localized.violations],
       isShorts: true
     };
     
@@ -668,6 +881,10 @@ export const uploadToYouTubeShorts = async (
  * @param {Object} options - Upload options
  * @param {string} options.thumbnailPath - Path to custom thumbnail for long video (optional)
  * @param {string} options.shortThumbnailPath - Path to custom thumbnail for short video (optional)
+ * @param {Object[]} options.captions - Caption tracks for long video (optional)
+ * @param {Object[]} options.shortCaptions - Caption tracks for short video (optional)
+ * @param {Object} options.localizations - Translated { title, description } of the long video by language code (optional)
+ * @param {Object} options.shortLocalizations - Translated { title, description } of the short video by language code (optional)
  * @param {boolean} options.publishBoth - Whether to publish both videos (default: true)
  * @returns {Promise<Object>} - Upload results for both videos
  * @throws {Error} When upload fails
@@ -730,6 +947,8 @@ export const uploadBothVideosToYouTube = async (
       const shortVideoOptions = {
         ...options,
         thumbnailPath: options.shortThumbnailPath,
+        captions: options.shortCaptions,
+        localizations: options.shortLocalizations,
         onProgress: (progress) => {
           if (options.onProgress) {
             options.onProgress({
@@ -778,28 +997,63 @@ export const uploadBothVideosToYouTube = async (
   }
 };
 
+/**
+ * Creates an authenticated YouTube OAuth2 client from the environment
+ * @returns {Object} - OAuth2 client for googleapis
+ * @throws {Error} When required environment variables are missing
+ */
+export const createYouTubeAuth = () => createOAuth2Client(validateEnvironment());
+
 /**
  * Updates video metadata after upload
+ * Snippet fields (title, description, tags, ...) are merged into the video's
+ * current snippet, since YouTube replaces the whole snippet on update.
+ * `thumbnailPath` sets a new custom thumbnail.
  * @param {string} videoId - YouTube video ID
- * @param {Object} updates - Metadata updates
- * @returns {Promise<Object>} - Updated video data
+ * @param {Object} updates - Snippet fields to change, plus an optional thumbnailPath
+ * @returns {Promise<Object>} - Updated video data, with thumbnailUploaded when a thumbnail was given
  */
 export const updateVideoMetadata = async (videoId, updates) => {
-  const credentials = validateEnvironment();
-  const auth = createOAuth2Client(credentials);
-  const youtube = google.youtube({ version: 'v3', auth });
+  const { thumbnailPath, ...snippetUpdates } = updates;
+  const youtube = google.youtube({ version: 'v3', auth: createYouTubeAuth() });
   
   try {
-    const response = await youtube.videos.update({
-      part: 'snippet',
-      requestBody: {
-        id: videoId,
-        snippet: updates
+    let data = { id: videoId };
+
+    if (Object.keys(snippetUpdates).length > 0) {
+      const current = await youtube.videos.list({ part: 'snippet', id: videoId });
+      const snippet = current.data.items?.[0]?.snippet;
+      if (!snippet) {
+        throw new Error(`Video ${videoId} not found`);
       }
-    });
+
+      if (snippetUpdates.title && snippetUpdates.title.length > MAX_TITLE_LENGTH) {
+        throw new Error(`Title exceeds ${MAX_TITLE_LENGTH} characters`);
+      }
+
+      const response = await youtube.videos.update({
+        part: 'snippet',
+        requestBody: {
+          id: videoId,
+          snippet: {
+            title: snippet.title,
+            description: snippet.description,
+            tags: snippet.tags,
+            categoryId: snippet.categoryId,
+            defaultLanguage: snippet.defaultLanguage,
+            ...snippetUpdates
+          }
+        }
+      });
+      data = response.data;
+    }
+
+    if (thumbnailPath) {
+      data.thumbnailUploaded = await uploadThumbnail(youtube, videoId, thumbnailPath);
+    }
     
-    return response.data;
+    return data;
   } catch (error) {
     throw new Error(`Failed to update video metadata: ${error.message}`);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,153 @@
+import { expect } from 'chai';
+import http from 'http';
+import {
+  isAmazonShortLink,
+  parseAmazonUrl,
+  resolveAmazonUrl,
+  fetchRedirect
+} from '../src/amazon-url-resolver.js';
+import { extractAsinFromUrl } from '../src/amazon-scraper.js';
+
+describe('Amazon URL Resolver', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.AMAZON_MARKETPLACE;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseAmazonUrl', () => {
+    const cases = [
+      ['https://www.amazon.com/Some-Product/dp/B0CPZKLJX1/ref=sr_1_1?keywords=test', 'B0CPZKLJX1', 'US'],
+      ['https://www.amazon.co.uk/gp/product/B0CPZKLJX1', 'B0CPZKLJX1', 'UK'],
+      ['https://www.amazon.de/gp/aw/d/B0CPZKLJX1/?th=1', 'B0CPZKLJX1', 'DE'],
+      ['https://www.amazon.com/exec/obidos/ASIN/B0CPZKLJX1/mytag-20', 'B0CPZKLJX1', 'US'],
+      ['https://www.amazon.co.jp/product-reviews/B0CPZKLJX1/ref=cm_cr_dp', 'B0CPZKLJX1', 'JP'],
+      ['https://m.amazon.ca/dp/b0cpzkljx1', 'B0CPZKLJX1', 'CA']
+    ];
+
+    cases.forEach(([url, asin, marketplace]) => {
+      it(`should parse ${new URL(url).pathname}`, () => {
+        expect(parseAmazonUrl(url)).to.deep.equal({ asin, marketplace });
+      });
+    });
+
+    it('should reject non-product and non-Amazon URLs', () => {
+      expect(() => parseAmazonUrl('https://www.amazon.com/s?k=scale')).to.throw('ASIN not found');
+      expect(() => parseAmazonUrl('https://example.com/dp/B0CPZKLJX1')).to.throw('Not an Amazon URL');
+    });
+
+    it('should be used by extractAsinFromUrl', () => {
+      expect(extractAsinFromUrl('https://www.amazon.com/gp/aw/d/B0CPZKLJX1')).to.equal('B0CPZKLJX1');
+      expect(() => extractAsinFromUrl('https://amzn.to/3xYzAbC')).to.throw('Invalid Amazon URL or ASIN not found');
+    });
+  });
+
+  describe('isAmazonShortLink', () => {
+    it('should recognize shortener hosts', () => {
+      expect(isAmazonShortLink('https://amzn.to/3xYzAbC')).to.be.true;
+      expect(isAmazonShortLink('https://a.co/d/abc123')).to.be.true;
+      expect(isAmazonShortLink('https://www.amazon.com/dp/B0CPZKLJX1')).to.be.false;
+      expect(isAmazonShortLink('B0CPZKLJX1')).to.be.false;
+    });
+  });
+
+  describe('resolveAmazonUrl', () => {
+    let server;
+    let stubOrigin;
+    let requests;
+
+    // Stands in for the shorteners: amzn.to redirects to a.co, which redirects to Amazon
+    const REDIRECTS = {
+      '/3xYzAbC': 'https://a.co/d/abc123',
+      '/d/abc123': 'https://www.amazon.co.uk/gp/aw/d/B0CPZKLJX1/ref=sspa?tag=sitestripe-21',
+      '/relative': '/d/abc123',
+      '/loop': 'https://amzn.to/loop',
+      '/gone': null
+    };
+
+    // Sends short link requests to the local stub instead of the real shorteners
+    const stubClient = (url) => {
+      const { pathname } = new URL(url);
+      return fetchRedirect(`${stubOrigin}${pathname}`);
+    };
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const location = REDIRECTS[req.url];
+        if (location) {
+          res.writeHead(301, { Location: location });
+        } else {
+          res.writeHead(404);
+        }
+        res.end();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      stubOrigin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    it('should follow short link redirects to the product', async () => {
+      const result = await resolveAmazonUrl('https://amzn.to/3xYzAbC', { httpClient: stubClient });
+
+      expect(result).to.deep.equal({
+        asin: 'B0CPZKLJX1',
+        marketplace: 'UK',
+        url: 'https://www.amazon.co.uk/dp/B0CPZKLJX1'
+      });
+      expect(requests).to.deep.equal(['/3xYzAbC', '/d/abc123']);
+    });
+
+    it('should resolve relative redirect locations', async () => {
+      const result = await resolveAmazonUrl('https://a.co/relative', { httpClient: stubClient });
+      expect(result.asin).to.equal('B0CPZKLJX1');
+    });
+
+    it('should stop after the redirect limit', async () => {
+      try {
+        await resolveAmazonUrl('https://amzn.to/loop', { httpClient: stubClient, maxRedirects: 3 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Too many redirects resolving https://amzn.to/loop');
+        expect(requests).to.have.lengthOf(3);
+      }
+    });
+
+    it('should fail when a short link does not redirect', async () => {
+      try {
+        await resolveAmazonUrl('https://amzn.to/gone', { httpClient: stubClient });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('returned 404');
+      }
+    });
+
+    it('should not make requests for product URLs and ASINs', async () => {
+      const httpClient = () => expect.fail('Should not request');
+
+      expect(await resolveAmazonUrl('https://www.amazon.de/exec/obidos/ASIN/B0CPZKLJX1', { httpClient }))
+        .to.deep.equal({ asin: 'B0CPZKLJX1', marketplace: 'DE', url: 'https://www.amazon.de/dp/B0CPZKLJX1' });
+
+      process.env.AMAZON_MARKETPLACE = 'FR';
+      expect((await resolveAmazonUrl('B0CPZKLJX1', { httpClient })).url).to.equal('https://www.amazon.fr/dp/B0CPZKLJX1');
+    });
+
+    it('should let an explicit marketplace override the URL domain', async () => {
+      const result = await resolveAmazonUrl('https://www.amazon.com/dp/B0CPZKLJX1', { marketplace: 'UK' });
+      expect(result.marketplace).to.equal('UK');
+      expect(result.url).to.equal('https://www.amazon.co.uk/dp/B0CPZKLJX1');
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseBatchRows,
+  readBatchFile,
+  buildRowOptions,
+  getDefaultReportPath,
+  runBatch
+} from '../src/batch-runner.js';
+
+describe('Batch Runner', () => {
+  let tempDir;
+  let reportPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-test-'));
+    reportPath = path.join(tempDir, 'products.report.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseBatchRows', () => {
+    it('should parse CSV rows with per-row overrides', () => {
+      const csv = [
+        'asin,quality,voice,short,privacy,max_images',
+        'B0CPZKLJX1,high,Female,yes,unlisted,3',
+        'B08N5WRWNW,,,no,,'
+      ].join('\n');
+
+      const rows = parseBatchRows(csv, 'csv');
+
+      expect(rows).to.deep.equal([
+        { product: 'B0CPZKLJX1', quality: 'high', voice: 'female', short: true, privacy: 'unlisted', maxImages: 3 },
+        { product: 'B08N5WRWNW', short: false }
+      ]);
+    });
+
+    it('should parse headerless CSV files and quoted URLs', () => {
+      const rows = parseBatchRows('B0CPZKLJX1\n"https://www.amazon.com/dp/B08N5WRWNW?th=1,2"\n', 'csv');
+
+      expect(rows.map(row => row.product)).to.deep.equal([
+        'B0CPZKLJX1',
+        'https://www.amazon.com/dp/B08N5WRWNW?th=1,2'
+      ]);
+    });
+
+    it('should parse JSON arrays of strings and objects', () => {
+      const json = JSON.stringify({
+        products: ['B0CPZKLJX1', { url: 'https://amazon.com/dp/B08N5WRWNW', short: false }]
+      });
+
+      const rows = parseBatchRows(json, 'json');
+
+      expect(rows).to.deep.equal([
+        { product: 'B0CPZKLJX1' },
+        { product: 'https://amazon.com/dp/B08N5WRWNW', short: false }
+      ]);
+    });
+
+    it('should reject invalid override values with the row number', () => {
+      expect(() => parseBatchRows('asin,privacy\nB0CPZKLJX1,secret', 'csv'))
+        .to.throw('Row 1: invalid privacy "secret"');
+    });
+
+    it('should normalize and validate marketplace codes', () => {
+      expect(parseBatchRows('asin,marketplace\nB0CPZKLJX1,gb', 'csv'))
+        .to.deep.equal([{ product: 'B0CPZKLJX1', marketplace: 'UK' }]);
+      expect(() => parseBatchRows('asin,marketplace\nB0CPZKLJX1,XX', 'csv'))
+        .to.throw('Row 1: Unknown marketplace: XX');
+    });
+
+    it('should validate the transition set of a row', () => {
+      expect(parseBatchRows('asin,transitions\nB0CPZKLJX1,Energetic', 'csv'))
+        .to.deep.equal([{ product: 'B0CPZKLJX1', transitions: 'energetic' }]);
+      expect(() => parseBatchRows('asin,transitions\nB0CPZKLJX1,random', 'csv'))
+        .to.throw('Row 1: invalid transitions "random"');
+    });
+
+    it('should take the theme of a row', () => {
+      expect(parseBatchRows('asin,theme\nB0CPZKLJX1, cinematic ', 'csv'))
+        .to.deep.equal([{ product: 'B0CPZKLJX1', theme: 'cinematic' }]);
+      expect(buildRowOptions({ product: 'B0CPZKLJX1', theme: 'bold' }, { theme: 'default' }).theme).to.equal('bold');
+    });
+
+    it('should reject rows without a product', () => {
+      expect(() => parseBatchRows('[{"quality":"high"}]', 'json'))
+        .to.throw('Row 1: missing ASIN or URL');
+    });
+
+    it('should read the format from the file extension', async () => {
+      const filePath = path.join(tempDir, 'products.json');
+      await fs.writeFile(filePath, '["B0CPZKLJX1"]');
+
+      const rows = await readBatchFile(filePath);
+      expect(rows).to.deep.equal([{ product: 'B0CPZKLJX1' }]);
+    });
+  });
+
+  describe('buildRowOptions', () => {
+    it('should apply row overrides on top of the base options', () => {
+      const options = buildRowOptions(
+        { product: 'B0CPZKLJX1', quality: 'ultra', voice: 'male', short: false, privacy: 'private', marketplace: 'DE' },
+        { videoQuality: 'medium', privacyStatus: 'public', createShortVideo: true, maxImages: 5 }
+      );
+
+      expect(options).to.include({
+        videoQuality: 'ultra',
+        voiceGender: 'male',
+        createShortVideo: false,
+        privacyStatus: 'private',
+        maxImages: 5,
+        marketplace: 'DE'
+      });
+      expect(options).to.not.have.property('amazonUrl');
+    });
+  });
+
+  describe('getDefaultReportPath', () => {
+    it('should place the report next to the batch file', () => {
+      expect(getDefaultReportPath('/data/products.csv')).to.equal('/data/products.report.json');
+    });
+  });
+
+  describe('runBatch', () => {
+    const rows = [{ product: 'ASIN1' }, { product: 'ASIN2' }, { product: 'ASIN3' }];
+
+    const createFakeVideo = (failing = []) => {
+      const calls = [];
+      const createVideo = async (product, options) => {
+        calls.push({ product, options });
+        if (failing.includes(product)) {
+          return { success: false, error: 'Scraping failed', sessionId: `session-${product}` };
+        }
+        return {
+          success: true,
+          sessionId: `session-${product}`,
+          videoTitle: `${product} Review`,
+          dualUpload: true,
+          longVideo: { videoId: `${product}-long`, url: `https://youtube.com/watch?v=${product}-long` },
+          shortVideo: { videoId: `${product}-short`, url: `https://youtube.com/shorts/${product}-short` },
+          files: { video: `./output/${product}.mp4`, shortVideo: `./output/${product}-short.mp4` }
+        };
+      };
+      return { createVideo, calls };
+    };
+
+    it('should keep going when a row fails and record the report', async () => {
+      const { createVideo } = createFakeVideo(['ASIN2']);
+
+      const report = await runBatch(rows, { createVideo, reportPath });
+
+      expect(report.summary).to.deep.equal({ total: 3, completed: 2, failed: 1, pending: 0 });
+      expect(report.rows.ASIN1.youtube).to.deep.equal({
+        videoId: 'ASIN1-long',
+        url: 'https://youtube.com/watch?v=ASIN1-long',
+        shortVideoId: 'ASIN1-short',
+        shortUrl: 'https://youtube.com/shorts/ASIN1-short'
+      });
+      expect(report.rows.ASIN1.outputs.video).to.equal('./output/ASIN1.mp4');
+      expect(report.rows.ASIN2.error).to.equal('Scraping failed');
+
+      const saved = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+      expect(saved.summary.completed).to.equal(2);
+    });
+
+    it('should treat thrown errors as failed rows', async () => {
+      const createVideo = async () => {
+        throw new Error('boom');
+      };
+
+      const report = await runBatch([{ product: 'ASIN1' }], { createVideo, reportPath });
+
+      expect(report.rows.ASIN1.status).to.equal('failed');
+      expect(report.rows.ASIN1.error).to.equal('boom');
+    });
+
+    it('should skip completed rows and resume failed sessions on re-run', async () => {
+      await runBatch(rows, { createVideo: createFakeVideo(['ASIN2']).createVideo, reportPath });
+
+      const { createVideo, calls } = createFakeVideo();
+      const report = await runBatch(rows, { createVideo, reportPath });
+
+      expect(calls.map(call => call.product)).to.deep.equal(['ASIN2']);
+      expect(calls[0].options.resumeSessionId).to.equal('session-ASIN2');
+      expect(report.summary.completed).to.equal(3);
+    });
+
+    it('should keep the failed session when a resumed row throws before returning one', async () => {
+      await runBatch(rows, { createVideo: createFakeVideo(['ASIN2']).createVideo, reportPath });
+
+      const running = [];
+      const createVideo = async () => {
+        running.push(JSON.parse(await fs.readFile(reportPath, 'utf-8')).rows.ASIN2.sessionId);
+        throw new Error('quota exceeded');
+      };
+      const report = await runBatch(rows, { createVideo, reportPath });
+
+      expect(running).to.deep.equal(['session-ASIN2']);
+      expect(report.rows.ASIN2).to.include({ status: 'failed', sessionId: 'session-ASIN2', error: 'quota exceeded' });
+    });
+
+    it('should start a new session when a failed row changed', async () => {
+      await runBatch(rows, { createVideo: createFakeVideo(['ASIN2']).createVideo, reportPath });
+
+      const { createVideo, calls } = createFakeVideo();
+      const changedRows = [{ product: 'ASIN1' }, { product: 'ASIN2', quality: 'high', short: false }, { product: 'ASIN3' }];
+      const report = await runBatch(changedRows, { createVideo, reportPath });
+
+      expect(calls.map(call => call.product)).to.deep.equal(['ASIN2']);
+      expect(calls[0].options).to.not.have.property('resumeSessionId');
+      expect(calls[0].options).to.include({ videoQuality: 'high', createShortVideo: false });
+      expect(report.rows.ASIN2.overrides).to.deep.equal({ quality: 'high', short: false });
+    });
+
+    it('should resume the session of a row interrupted while running', async () => {
+      await fs.writeFile(reportPath, JSON.stringify({
+        rows: { ASIN1: { product: 'ASIN1', status: 'running', sessionId: 'session-ASIN1' } }
+      }));
+
+      const { createVideo, calls } = createFakeVideo();
+      await runBatch([{ product: 'ASIN1' }], { createVideo, reportPath });
+
+      expect(calls[0].options.resumeSessionId).to.equal('session-ASIN1');
+    });
+
+    it('should respect the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const createVideo = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+        return { success: true };
+      };
+
+      const manyRows = ['A', 'B', 'C', 'D', 'E'].map(product => ({ product }));
+      const report = await runBatch(manyRows, { createVideo, reportPath, concurrency: 2 });
+
+      expect(maxActive).to.equal(2);
+      expect(report.summary.completed).to.equal(5);
+    });
+
+    it('should pass the base options with row overrides', async () => {
+      const { createVideo, calls } = createFakeVideo();
+
+      await runBatch([{ product: 'ASIN1', privacy: 'unlisted' }], {
+        createVideo,
+        reportPath,
+        baseOptions: { interactive: false, privacyStatus: 'public' }
+      });
+
+      expect(calls[0].options).to.include({ interactive: false, privacyStatus: 'unlisted' });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_BRAND_DIR,
+  createWatermarkFilter,
+  getBrandCaptionStyle,
+  getBrandIntroOutroOptions,
+  getBrandThumbnailStyle,
+  loadBrandKit
+} from '../src/brand-kit.js';
+import { getLanguage } from '../src/utils/languages.js';
+import { createIntroOutroFilter, createSingleImageArgs } from '../src/video-creator.js';
+
+describe('Brand Kits', () => {
+  let originalEnv;
+  let tempDir;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    delete process.env.BRAND_DIR;
+    delete process.env.BRAND_KIT;
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'brands-test-'));
+    await fs.copyFile(path.join(DEFAULT_BRAND_DIR, 'default.json'), path.join(tempDir, 'default.json'));
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadBrandKit', () => {
+    it('should load the default kit', async () => {
+      const kit = await loadBrandKit();
+
+      expect(kit.id).to.equal('default');
+      expect(kit.name).to.equal('The Professional Prompt');
+      expect(kit.outro.layout).to.equal('qr');
+      expect(kit.intro.image).to.equal(path.resolve(DEFAULT_BRAND_DIR, '../src/media/banner.jpg'));
+    });
+
+    it('should merge a named kit over the default kit section by section', async () => {
+      await fs.mkdir(path.join(tempDir, 'assets'));
+      await fs.writeFile(path.join(tempDir, 'gadgets.json'), JSON.stringify({
+        name: 'Gadget Lab',
+        logo: 'assets/logo.png',
+        palette: { accent: '#00AAFF' },
+        outro: { layout: 'card', headline: 'Link below' }
+      }));
+
+      const kit = await loadBrandKit('gadgets', { dir: tempDir });
+
+      expect(kit.id).to.equal('gadgets');
+      expect(kit.logo).to.equal(path.join(tempDir, 'assets/logo.png'));
+      expect(kit.palette).to.deep.equal({ text: '#FFFFFF', outline: '#000000', accent: '#00AAFF', background: '#000000' });
+      expect(kit.outro).to.include({ layout: 'card', headline: 'Link below', qrSize: 0.5, duration: 10 });
+      expect(kit.watermark.position).to.equal('top-right');
+    });
+
+    it('should take the kit from BRAND_DIR and BRAND_KIT', async () => {
+      await fs.writeFile(path.join(tempDir, 'kitchen.json'), JSON.stringify({ name: 'Kitchen Picks' }));
+      process.env.BRAND_DIR = tempDir;
+      process.env.BRAND_KIT = 'kitchen';
+
+      const kit = await loadBrandKit();
+
+      expect(kit.id).to.equal('kitchen');
+      expect(kit.name).to.equal('Kitchen Picks');
+    });
+
+    it('should reject invalid colors and layouts', async () => {
+      try {
+        await loadBrandKit({ palette: { text: 'white' } }, { dir: tempDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid brand kit custom: palette.text');
+      }
+
+      try {
+        await loadBrandKit({ outro: { layout: 'carousel' } }, { dir: tempDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('unknown outro layout carousel');
+      }
+    });
+
+    it('should report a missing kit', async () => {
+      try {
+        await loadBrandKit('missing', { dir: tempDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to load brand kit missing');
+      }
+    });
+  });
+
+  describe('getBrandIntroOutroOptions', () => {
+    it('should name the channel in the language intro', async () => {
+      const kit = await loadBrandKit({ name: 'Gadget Lab' }, { dir: tempDir });
+      const options = getBrandIntroOutroOptions(kit, getLanguage('es'));
+
+      expect(options.introVoiceoverText).to.equal('Bienvenidos a Gadget Lab, donde reseñamos tus productos favoritos');
+      expect(options.outroVoiceoverText).to.equal(getLanguage('es').strings.outro);
+      expect(options.outroLayout).to.include({ layout: 'qr', background: '#000000', font: 'Poppins-ExtraBold' });
+    });
+
+    it('should use the kit voice line of the language when it has one', async () => {
+      const kit = await loadBrandKit({
+        name: 'Gadget Lab',
+        intro: { voiceLine: { de: 'Hallo von {channel}' } }
+      }, { dir: tempDir });
+
+      expect(getBrandIntroOutroOptions(kit, getLanguage('de')).introVoiceoverText).to.equal('Hallo von Gadget Lab');
+      expect(getBrandIntroOutroOptions(kit, getLanguage('en')).introVoiceoverText)
+        .to.equal('Welcome to Gadget Lab where we review your favorite products');
+    });
+  });
+
+  describe('styles', () => {
+    it('should map the palette and fonts to thumbnails and captions', async () => {
+      const kit = await loadBrandKit({
+        logo: '/tmp/logo.png',
+        watermark: { enabled: false },
+        palette: { text: '#FFEE00' },
+        fonts: { body: 'Roboto' }
+      }, { dir: tempDir });
+
+      expect(getBrandThumbnailStyle(kit)).to.include({ textColor: '#FFEE00', strokeColor: '#000000', logoPath: null });
+      expect(getBrandCaptionStyle(kit)).to.deep.equal({
+        fontName: 'Roboto',
+        primaryColor: '#FFEE00',
+        highlightColor: '#FFD400',
+        outlineColor: '#000000'
+      });
+    });
+  });
+
+  describe('createWatermarkFilter', () => {
+    it('should place the logo in its corner for the given time', () => {
+      const watermark = { position: 'bottom-left', opacity: 0.5, size: 0.1, margin: 0.02 };
+
+      expect(createWatermarkFilter(watermark, {
+        inputIndex: 4,
+        input: '[concat_v]',
+        output: '[final_v]',
+        resolution: '1080x1920',
+        start: 5,
+        end: 65
+      })).to.equal(
+        '[4:v]scale=108:-1,format=rgba,colorchannelmixer=aa=0.5[brand_logo];' +
+        '[concat_v][brand_logo]overlay=22:H-h-22:enable=\'between(t,5,65)\'[final_v];'
+      );
+
+      expect(createWatermarkFilter({ ...watermark, position: 'top-right' }, {
+        inputIndex: 2,
+        input: '[v]',
+        output: '[branded_v]',
+        resolution: '1920x1080'
+      })).to.include('overlay=W-w-22:22:enable=\'gte(t,0)\'[branded_v]');
+    });
+
+    it('should mark only the main content between the intro and the outro', () => {
+      const filter = createIntroOutroFilter({
+        introConfig: { enabled: true, duration: 5, volume: 0.4 },
+        outroConfig: { enabled: true, duration: 10, volume: 0.4 },
+        mainContentConfig: { imageCount: 1, fps: 25, duration: 30, backgroundVolume: 0.15, transitionConfig: { filterComplex: '' } },
+        backgroundMusicPath: './media/background.wav',
+        totalDuration: 45,
+        resolution: '1920x1080',
+        mainVoiceoverIndex: 2,
+        backgroundColor: '0x112233',
+        watermarkConfig: {
+          imagePath: 'logo.png',
+          watermark: { position: 'top-right', opacity: 0.7, size: 0.12, margin: 0.03 }
+        }
+      });
+
+      expect(filter).to.include('pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=0x112233');
+      expect(filter).to.include('[4:v]scale=130:-1');
+      expect(filter).to.include('[concat_v][brand_logo]overlay=W-w-32:32:enable=\'between(t,5,35)\'[final_v];');
+      expect(filter).to.include('[5:a]aloop');
+    });
+
+    it('should mark a single image render', () => {
+      const inputs = ['-loop', '1', '-t', '30', '-i', 'photo.jpg', '-i', 'voice.mp3', '-i', 'music.wav'];
+      const watermarkConfig = {
+        imagePath: 'logo.png',
+        watermark: { position: 'top-right', opacity: 0.7, size: 0.12, margin: 0.03 }
+      };
+
+      expect(createSingleImageArgs({
+        inputs,
+        videoFilter: 'scale=1920:1080',
+        audioFilter: '[2:a]volume=0.2[bg];[1:a][bg]amix=inputs=2[audio_out]',
+        watermarkConfig,
+        resolution: '1920x1080'
+      })).to.deep.equal([
+        ...inputs,
+        '-i', 'logo.png',
+        '-filter_complex',
+        '[0:v]scale=1920:1080[framed_v];' +
+          '[3:v]scale=130:-1,format=rgba,colorchannelmixer=aa=0.7[brand_logo];' +
+          '[framed_v][brand_logo]overlay=W-w-32:32:enable=\'gte(t,0)\'[branded_v];' +
+          '[2:a]volume=0.2[bg];[1:a][bg]amix=inputs=2[audio_out]',
+        '-map', '[branded_v]',
+        '-map', '[audio_out]'
+      ]);
+
+      const args = createSingleImageArgs({ inputs: inputs.slice(0, -2), videoFilter: 'scale=1080:1920', watermarkConfig, resolution: '1080x1920' });
+      expect(args).to.include.members(['logo.png', '[branded_v]', '1:a:0']);
+      expect(args[args.indexOf('-filter_complex') + 1]).to.include('[2:v]scale=130:-1');
+      expect(args).to.not.include('-vf');
+    });
+  });
+});
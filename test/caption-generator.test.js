@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  CAPTION_STYLES,
+  resolveCaptionStyle,
+  loadCaptionStyles,
+  buildCaptionCues,
+  createSrt,
+  createVtt,
+  createAss,
+  writeCaptionFiles
+} from '../src/caption-generator.js';
+
+const WORDS = [
+  { word: 'This', start: 0, end: 0.3 },
+  { word: 'blender', start: 0.35, end: 0.8 },
+  { word: 'is', start: 0.85, end: 1 },
+  { word: 'great.', start: 1.05, end: 1.5 },
+  { word: 'Buy', start: 2, end: 2.3 },
+  { word: 'it', start: 2.35, end: 2.5 },
+  { word: 'today', start: 3.6, end: 4 }
+];
+
+describe('Caption Generator', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('resolveCaptionStyle', () => {
+    it('should merge overrides into the format defaults', () => {
+      const style = resolveCaptionStyle('short', { fontSize: 90, position: 'top' });
+
+      expect(style).to.deep.equal({ ...CAPTION_STYLES.short, fontSize: 90, position: 'top' });
+      expect(CAPTION_STYLES.short.fontSize).to.not.equal(90);
+    });
+
+    it('should reject unknown formats, settings and positions', () => {
+      expect(() => resolveCaptionStyle('square')).to.throw('Unknown caption format: square');
+      expect(() => resolveCaptionStyle('long', { color: 'red' })).to.throw('Unknown caption style option(s) for long: color');
+      expect(() => resolveCaptionStyle('long', { position: 'left' })).to.throw('Invalid caption position: left');
+    });
+  });
+
+  describe('loadCaptionStyles', () => {
+    it('should load per-format overrides from a JSON file', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'captions-'));
+
+      try {
+        const stylePath = path.join(dir, 'styles.json');
+        await fs.writeFile(stylePath, JSON.stringify({ short: { maxWordsPerLine: 2 } }));
+
+        const styles = await loadCaptionStyles(stylePath);
+
+        expect(styles.short.maxWordsPerLine).to.equal(2);
+        expect(styles.long).to.deep.equal(CAPTION_STYLES.long);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should report a missing style file', async () => {
+      try {
+        await loadCaptionStyles('/nonexistent/styles.json');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to load caption styles from /nonexistent/styles.json');
+      }
+    });
+  });
+
+  describe('buildCaptionCues', () => {
+    it('should break cues at the word limit, sentence ends and long pauses', () => {
+      const cues = buildCaptionCues(WORDS, { maxWordsPerLine: 3, offset: 2 });
+
+      expect(cues.map(cue => cue.words.map(word => word.word).join(' '))).to.deep.equal([
+        'This blender is',
+        'great.',
+        'Buy it',
+        'today'
+      ]);
+      expect(cues[0]).to.include({ start: 2, end: 3 });
+      expect(cues[3]).to.include({ start: 5.6, end: 6 });
+    });
+  });
+
+  describe('subtitle files', () => {
+    const cues = buildCaptionCues(WORDS.slice(0, 4), { maxWordsPerLine: 7, offset: 3661 });
+
+    it('should create SRT captions', () => {
+      expect(createSrt(cues)).to.equal('1\n01:01:01,000 --> 01:01:02,500\nThis blender is great.\n');
+    });
+
+    it('should create WebVTT captions', () => {
+      expect(createVtt(cues)).to.equal('WEBVTT\n\n01:01:01.000 --> 01:01:02.500\nThis blender is great.\n');
+    });
+
+    it('should write SRT and VTT files next to the video', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'captions-'));
+
+      try {
+        const { srtPath, vttPath } = await writeCaptionFiles(cues, path.join(dir, 'video-abc.mp4'));
+
+        expect(srtPath).to.equal(path.join(dir, 'video-abc.srt'));
+        expect(vttPath).to.equal(path.join(dir, 'video-abc.vtt'));
+        expect(await fs.readFile(vttPath, 'utf8')).to.equal(createVtt(cues));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('createAss', () => {
+    it('should highlight each word while it is spoken', () => {
+      const style = resolveCaptionStyle('short');
+      const cues = buildCaptionCues(WORDS.slice(4, 6), { maxWordsPerLine: 3 });
+      const ass = createAss(cues, style, { width: 1080, height: 1920 });
+      const dialogues = ass.split('\n').filter(line => line.startsWith('Dialogue:'));
+
+      expect(ass).to.include('PlayResX: 1080\nPlayResY: 1920');
+      // Bold Arial, white text, yellow highlight, bottom aligned above the safe area
+      expect(ass).to.include('Style: Caption,Arial,78,&H00FFFFFF,&H0000D4FF,&H00000000,&H80000000,-1,');
+      expect(ass).to.include(',2,80,80,538,1');
+      expect(dialogues).to.deep.equal([
+        'Dialogue: 0,0:00:02.00,0:00:02.35,Caption,,0,0,0,,{\\c&H0000D4FF&\\fscx112\\fscy112}Buy{\\r} it',
+        'Dialogue: 0,0:00:02.35,0:00:02.50,Caption,,0,0,0,,Buy {\\c&H0000D4FF&\\fscx112\\fscy112}it{\\r}'
+      ]);
+    });
+
+    it('should keep override braces in the text from being read as tags', () => {
+      const cues = buildCaptionCues([{ word: '{wow}', start: 0, end: 1 }]);
+      const ass = createAss(cues, resolveCaptionStyle('long'), { width: 1920, height: 1080 });
+
+      expect(ass).to.include('{\\c&H0000D4FF&}(wow){\\r}');
+    });
+  });
+});
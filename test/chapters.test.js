@@ -0,0 +1,156 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  timeScriptSections,
+  buildChapters,
+  formatChapterTime,
+  insertChapters
+} from '../src/chapters.js';
+import {
+  parseScriptSections,
+  generateAIReviewScriptSections,
+  generateAIVideoDescription
+} from '../src/openai-script-generator.js';
+
+/**
+ * Builds voiceover words for text, one word every `step` seconds
+ * @param {string} text - Spoken text
+ * @param {number} step - Seconds per word
+ * @returns {Object[]} Words as { word, start, end }
+ */
+const timeWords = (text, step) => text.split(' ').map((word, index) => ({
+  word,
+  start: index * step,
+  end: index * step + step * 0.8
+}));
+
+const SECTIONS = [
+  { title: 'The Hook', text: 'one two three four five' },
+  { title: 'Key Features', text: 'six seven eight nine ten' },
+  { title: 'Price and Value', text: 'eleven twelve thirteen fourteen fifteen' },
+  { title: 'Verdict', text: 'sixteen seventeen eighteen nineteen twenty' }
+];
+const WORDS = timeWords(SECTIONS.map(section => section.text).join(' '), 3);
+
+describe('Chapters', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    sinon.restore();
+  });
+
+  const respondWith = (text) => {
+    globalThis.fetch = async () => ({ ok: true, json: async () => ({ content: [{ type: 'text', text }] }) });
+  };
+
+  describe('parseScriptSections', () => {
+    it('should split a script at its chapter markers', () => {
+      const sections = parseScriptSections('Hey there!\n[[Key Features]]\nIt blends.\n\n## Price & Value\nFifty dollars.\n[[Verdict]] Buy it.');
+
+      expect(sections).to.deep.equal([
+        { title: 'Introduction', text: 'Hey there!' },
+        { title: 'Key Features', text: 'It blends.' },
+        { title: 'Price & Value', text: 'Fifty dollars.' },
+        { title: 'Verdict', text: 'Buy it.' }
+      ]);
+    });
+
+    it('should treat a script without markers as one section', () => {
+      expect(parseScriptSections('Just talking.')).to.deep.equal([{ title: 'Introduction', text: 'Just talking.' }]);
+    });
+  });
+
+  describe('generateAIReviewScriptSections', () => {
+    it('should remove the markers from the narration', async () => {
+      respondWith('[[The Hook]]\nMeet the blender. It is great.\n[[Verdict]]\nBuy it.');
+
+      const { script, sections } = await generateAIReviewScriptSections({ title: 'Blender' }, { provider: 'anthropic' });
+
+      expect(sections.map(section => section.title)).to.deep.equal(['The Hook', 'Verdict']);
+      expect(script).to.equal('Meet the blender. ... It is great. ... Buy it.');
+    });
+  });
+
+  describe('timeScriptSections', () => {
+    it('should time each section by its words', () => {
+      const timed = timeScriptSections(SECTIONS, WORDS);
+
+      expect(timed.map(section => section.start)).to.deep.equal([0, 15, 30, 45]);
+      expect(timed[3].end).to.be.closeTo(59.4, 0.001);
+    });
+  });
+
+  describe('buildChapters', () => {
+    it('should start at 0:00 and shift later chapters by the intro', () => {
+      expect(buildChapters(SECTIONS, WORDS, { offset: 5 })).to.deep.equal([
+        { title: 'The Hook', start: 0 },
+        { title: 'Key Features', start: 20 },
+        { title: 'Price and Value', start: 35 },
+        { title: 'Verdict', start: 50 }
+      ]);
+    });
+
+    it('should merge chapters shorter than ten seconds into the one before', () => {
+      const sections = [
+        ...SECTIONS.slice(0, 2),
+        { title: 'Quick Note', text: 'by the way' },
+        ...SECTIONS.slice(2),
+        { title: 'Outro', text: 'bye now' }
+      ];
+      const words = timeWords(sections.map(section => section.text).join(' '), 3);
+
+      expect(buildChapters(sections, words).map(chapter => chapter.title)).to.deep.equal([
+        'The Hook',
+        'Key Features',
+        'Price and Value',
+        'Verdict'
+      ]);
+    });
+
+    it('should leave chapters out when YouTube would not show them', () => {
+      expect(buildChapters(SECTIONS.slice(0, 2), WORDS)).to.deep.equal([]);
+      expect(buildChapters(SECTIONS, timeWords('a b c d', 10))).to.have.lengthOf(3);
+      expect(buildChapters(SECTIONS, timeWords('a b c d', 1))).to.deep.equal([]);
+    });
+  });
+
+  describe('formatChapterTime', () => {
+    it('should format minutes and hours', () => {
+      expect(formatChapterTime(0)).to.equal('0:00');
+      expect(formatChapterTime(75.9)).to.equal('1:15');
+      expect(formatChapterTime(3725)).to.equal('1:02:05');
+    });
+  });
+
+  describe('descriptions', () => {
+    const chapters = [{ title: 'Intro', start: 0 }, { title: 'Features', start: 20 }, { title: 'Verdict', start: 45 }];
+
+    it('should put chapters before the closing hashtags', () => {
+      expect(insertChapters('Great blender.\n\n#Review #Amazon', chapters))
+        .to.equal('Great blender.\n\n⏰ Chapters:\n0:00 Intro\n0:20 Features\n0:45 Verdict\n\n#Review #Amazon');
+      expect(insertChapters('Great blender.', [])).to.equal('Great blender.');
+    });
+
+    it('should only add the chapters of the rendered video', async () => {
+      respondWith('A blender worth a look. Like and subscribe!');
+
+      const withChapters = await generateAIVideoDescription({ title: 'Blender' }, 'Blender Review', { provider: 'anthropic', chapters });
+      const withoutChapters = await generateAIVideoDescription({ title: 'Blender' }, 'Blender Review', { provider: 'anthropic' });
+
+      expect(withChapters).to.include('⏰ Chapters:\n0:00 Intro\n0:20 Features\n0:45 Verdict\n\n#ProductReview');
+      expect(withoutChapters).to.not.match(/\d:\d\d/);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for the video options shared by the create and batch commands
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { parseCommandArgs } from '../../src/commands/utils.js';
+import {
+  VIDEO_FLAG_DEFINITIONS,
+  validateVideoOptions,
+  convertToVideoOptions
+} from '../../src/commands/video-options.js';
+
+describe('Video Options', () => {
+  const parse = args => parseCommandArgs(args, VIDEO_FLAG_DEFINITIONS).options;
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('convertToVideoOptions', () => {
+    it('should map the flags to createAffiliateVideo options', () => {
+      const options = parse(['--female', '--no-short-video', '--languages', 'en,es', '--language-voices', 'es=VOICE', '--seed', 'abc']);
+      validateVideoOptions(options);
+
+      expect(convertToVideoOptions(options)).to.include({
+        voiceGender: 'female',
+        createShortVideo: false,
+        publishBothVideos: true,
+        privacyStatus: 'public',
+        seed: 'abc',
+        shortDuration: null,
+        motion: null
+      });
+      expect(convertToVideoOptions(options).languageVoices).to.deep.equal({ es: 'VOICE' });
+    });
+  });
+
+  describe('validateVideoOptions', () => {
+    it('should exit on invalid values', () => {
+      const exit = sinon.stub(process, 'exit');
+      sinon.stub(console, 'error');
+
+      validateVideoOptions(parse(['--privacy', 'secret']));
+      validateVideoOptions(parse(['--short-duration', '50']));
+      validateVideoOptions(parse(['--languages', 'en,xx']));
+
+      expect(exit.callCount).to.equal(3);
+      expect(console.error.args.map(([message]) => message)).to.deep.equal([
+        '❌ Invalid privacy: secret. Valid options: public, unlisted, private',
+        '❌ short-duration must be one of: 30, 45, 60',
+        '❌ Unknown language: xx. Available languages: en, es, de, fr, it, pt'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  AFFILIATE_DISCLOSURE,
+  lintCopy,
+  enforceCompliance,
+  reportCompliance
+} from '../src/compliance.js';
+
+const DATE = '2026-10-19';
+const rules = violations => violations.map(violation => violation.rule);
+
+describe('Compliance', () => {
+  describe('lintCopy', () => {
+    it('should accept a disclosed description with a dated price', () => {
+      const description = `${AFFILIATE_DISCLOSURE}\n\nThis blender costs $89.99 as of ${DATE}.`;
+
+      expect(lintCopy(description, { type: 'description' })).to.deep.equal([]);
+    });
+
+    it('should flag a missing disclosure, undated prices and price guarantees', () => {
+      const violations = lintCopy('Only $89.99 - the lowest price anywhere!', { type: 'description' });
+
+      expect(violations).to.deep.equal([
+        { rule: 'affiliate-disclosure', message: 'No affiliate disclosure' },
+        { rule: 'dated-price', message: 'Price "$89.99" has no date' },
+        { rule: 'price-guarantee', message: 'Price guarantee: "the lowest price anywhere"' }
+      ]);
+    });
+
+    it('should flag a disclosure below the fold', () => {
+      const description = `${'A great blender. '.repeat(12)}\n\n${AFFILIATE_DISCLOSURE}`;
+
+      expect(rules(lintCopy(description, { type: 'description' }))).to.deep.equal(['disclosure-above-fold']);
+    });
+
+    it('should ask hashtag platforms for #ad instead of a disclosure sentence', () => {
+      expect(rules(lintCopy('New blender review!', { type: 'post', platform: 'twitter' }))).to.deep.equal(['ad-hashtag']);
+      expect(rules(lintCopy('New blender review! #ad', { type: 'post', platform: 'X' }))).to.deep.equal([]);
+      expect(rules(lintCopy('New blender review!', { type: 'post', platform: 'reddit' }))).to.deep.equal(['affiliate-disclosure']);
+    });
+
+    it('should check thread replies for prices but not for a disclosure', () => {
+      expect(rules(lintCopy('Only $89.99 - the lowest price anywhere!', { type: 'reply', platform: 'twitter' }))).to.deep.equal(['dated-price', 'price-guarantee']);
+      expect(rules(lintCopy('It blends ice in seconds.', { type: 'reply', platform: 'reddit' }))).to.deep.equal([]);
+    });
+
+    it('should reject unknown copy types', () => {
+      expect(() => lintCopy('Hello', { type: 'email' })).to.throw('Unknown copy type: email');
+    });
+  });
+
+  describe('enforceCompliance', () => {
+    it('should fix a description', () => {
+      const result = enforceCompliance('Get the best price on this blender: $89.99.', { type: 'description', date: DATE });
+
+      expect(result.text).to.equal(`${AFFILIATE_DISCLOSURE}\n\nGet a great price on this blender: $89.99.\n\nPrice as of ${DATE} and subject to change.`);
+      expect(result.fixed).to.deep.equal(['affiliate-disclosure', 'dated-price', 'price-guarantee']);
+      expect(result.violations).to.deep.equal([]);
+    });
+
+    it('should move a buried disclosure to the top', () => {
+      const intro = 'A great blender. '.repeat(12).trim();
+      const result = enforceCompliance(`${intro}\n\n🛒 Link: https://amzn.to/x\n\n${AFFILIATE_DISCLOSURE}\nThanks!`, { type: 'description' });
+
+      expect(result.text).to.equal(`${AFFILIATE_DISCLOSURE}\n\n${intro}\n\n🛒 Link: https://amzn.to/x\n\nThanks!`);
+      expect(result.fixed).to.deep.equal(['disclosure-above-fold']);
+    });
+
+    it('should keep fixed posts within the length limit', () => {
+      const post = `Blender deal at $89.99 ${'so good '.repeat(40)}`;
+      const result = enforceCompliance(post, { type: 'post', platform: 'twitter', maxLength: 280, date: DATE });
+
+      expect(result.text.startsWith('#ad Blender deal at $89.99')).to.equal(true);
+      expect(result.text.endsWith(`Price as of ${DATE} and subject to change.`)).to.equal(true);
+      expect(result.text.length).to.be.at.most(280);
+      expect(result.violations).to.deep.equal([]);
+    });
+
+    it('should fix copy in its own language and accept localized disclosures', () => {
+      const result = enforceCompliance('Dieser Mixer kostet 89,99 €.', { type: 'description', date: DATE, language: 'de' });
+
+      expect(result.text).to.equal(`⚠️ Als Amazon-Partner verdiene ich an qualifizierten Verkäufen.\n\nDieser Mixer kostet 89,99 €.\n\nPreis vom ${DATE}, Änderungen vorbehalten.`);
+      expect(lintCopy(result.text, { type: 'description' })).to.deep.equal([]);
+    });
+
+    it('should drop prices from titles', () => {
+      const result = enforceCompliance('Ninja Blender Review - $89.99', { type: 'title' });
+
+      expect(result.text).to.equal('Ninja Blender Review');
+    });
+  });
+
+  describe('reportCompliance', () => {
+    it('should log fixes and the violations left', () => {
+      const logger = { info: sinon.spy(), warn: sinon.spy() };
+      const result = { text: 'Blender', fixed: ['price-guarantee'], violations: [{ rule: 'dated-price', message: 'Price "$5" has no date' }] };
+
+      const violations = reportCompliance(result, 'video title', logger);
+
+      expect(violations).to.have.lengthOf(1);
+      expect(logger.info.calledWithMatch('Compliance fixes for the video title: price-guarantee')).to.equal(true);
+      expect(logger.warn.calledWithMatch('(dated-price): Price "$5" has no date')).to.equal(true);
+    });
+  });
+});
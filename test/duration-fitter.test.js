@@ -0,0 +1,201 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  MAX_SHORT_DURATION,
+  countWords,
+  fitScriptToDuration,
+  resizeReviewScript
+} from '../src/duration-fitter.js';
+import { getIntroOutroDuration } from '../src/video-creator.js';
+
+// Synthesizes a script of repeated words at two words per second
+const words = count => Array.from({ length: count }, () => 'word').join(' ');
+const createVoice = () => {
+  const synthesize = sinon.spy(async (script, attempt) => ({ path: `voiceover-${attempt}.mp3`, seconds: countWords(script) / 2 }));
+  const measure = async track => track.seconds;
+  return { synthesize, measure };
+};
+
+describe('Duration Fitter', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('countWords', () => {
+    it('should not count pauses and emphasis marks as words', () => {
+      expect(countWords('Wow... this *$89* blender .. is fast! ...')).to.equal(6);
+      expect(countWords('')).to.equal(0);
+    });
+  });
+
+  describe('fitScriptToDuration', () => {
+    it('should keep a script that already fits', async () => {
+      const { synthesize, measure } = createVoice();
+      const revise = sinon.stub();
+
+      const fit = await fitScriptToDuration({ script: words(150), synthesize, measure, revise, targetDuration: 90, fixedDuration: 15 });
+
+      expect(fit).to.deep.include({ duration: 90, speechDuration: 75, attempts: 1, fitted: true });
+      expect(revise.called).to.equal(false);
+    });
+
+    it('should tighten the script to the measured speaking rate, counting the intro and outro', async () => {
+      const { synthesize, measure } = createVoice();
+      const revise = sinon.spy(async (script, targetWords) => words(targetWords));
+
+      // 200 words take 100s, plus 15s of intro and outro
+      const fit = await fitScriptToDuration({ script: words(200), synthesize, measure, revise, targetDuration: 90, fixedDuration: 15 });
+
+      expect(revise.calledOnceWith(sinon.match.string, 150)).to.equal(true);
+      expect(fit).to.deep.include({ duration: 90, attempts: 2, fitted: true });
+      expect(fit.track.path).to.equal('voiceover-2.mp3');
+    });
+
+    it('should extend a script that is too short', async () => {
+      const { synthesize, measure } = createVoice();
+      const revise = sinon.spy(async (script, targetWords) => words(targetWords));
+
+      const fit = await fitScriptToDuration({ script: words(40), synthesize, measure, revise, targetDuration: 45, fixedDuration: 15 });
+
+      expect(revise.firstCall.args[1]).to.equal(60);
+      expect(fit.duration).to.equal(45);
+    });
+
+    it('should aim under the hard limit when the target is the limit', async () => {
+      const { synthesize, measure } = createVoice();
+      const revise = sinon.spy(async (script, targetWords) => words(targetWords));
+
+      const fit = await fitScriptToDuration({
+        script: words(120),
+        synthesize,
+        measure,
+        revise,
+        targetDuration: 60,
+        fixedDuration: 15,
+        tolerance: 2,
+        maxDuration: MAX_SHORT_DURATION
+      });
+
+      expect(revise.firstCall.args[1]).to.equal(88);
+      expect(fit.duration).to.equal(59);
+      expect(fit.duration).to.be.at.most(MAX_SHORT_DURATION);
+    });
+
+    it('should fall back to the closest attempt and voice it again when it was replaced', async () => {
+      const { synthesize, measure } = createVoice();
+      // The rewrite overshoots every time
+      const revise = sinon.spy(async (script, targetWords) => words(targetWords * 2));
+
+      const fit = await fitScriptToDuration({ script: words(200), synthesize, measure, revise, targetDuration: 90, maxAttempts: 2 });
+
+      expect(fit).to.deep.include({ duration: 100, attempts: 1, fitted: false });
+      expect(synthesize.callCount).to.equal(3);
+      expect(fit.track.path).to.equal('voiceover-3.mp3');
+    });
+
+    it('should fail when no attempt is under the hard limit', async () => {
+      const { synthesize, measure } = createVoice();
+      const revise = async script => script;
+
+      try {
+        await fitScriptToDuration({ script: words(150), synthesize, measure, revise, targetDuration: 60, maxDuration: 60, maxAttempts: 2, label: 'short video' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('The short video is still 75.0s after 2 attempts, over the 60s limit');
+      }
+    });
+
+    it('should fail when the intro and outro take the whole target', async () => {
+      try {
+        await fitScriptToDuration({ script: 'hi', synthesize: sinon.stub(), revise: sinon.stub(), targetDuration: 15, fixedDuration: 15 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('leaves no time for narration');
+      }
+    });
+  });
+
+  describe('resizeReviewScript', () => {
+    let originalEnv;
+    let originalFetch;
+
+    beforeEach(() => {
+      originalEnv = { ...process.env };
+      originalFetch = globalThis.fetch;
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      globalThis.fetch = originalFetch;
+    });
+
+    const respondWith = (texts) => {
+      const requests = [];
+      globalThis.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return { ok: true, json: async () => ({ content: [{ type: 'text', text: JSON.stringify(texts) }] }) };
+      };
+      return requests;
+    };
+
+    it('should share the word count between sections in proportion and keep their titles', async () => {
+      const requests = respondWith(['Short intro.', 'Short verdict.']);
+      const reviewScript = {
+        script: 'unused',
+        sections: [{ title: 'Introduction', text: words(60) }, { title: 'Verdict', text: words(20) }]
+      };
+
+      const resized = await resizeReviewScript(reviewScript, 40, { provider: 'anthropic' });
+
+      expect(resized.sections).to.deep.equal([{ title: 'Introduction', text: 'Short intro.' }, { title: 'Verdict', text: 'Short verdict.' }]);
+      expect(resized.script).to.equal('Short intro. ... Short verdict.');
+      expect(requests[0].messages[0].content).to.include('"words": 30');
+      expect(requests[0].messages[0].content).to.include('"words": 10');
+    });
+
+    it('should rebuild the sections from resized scenes', async () => {
+      respondWith(['It blends ice.', 'Worth it.']);
+      const reviewScript = {
+        script: 'unused',
+        sections: [],
+        scenes: [
+          { narration: 'It crushes ice in seconds, every time.', feature: 'Power', image: 1 },
+          { narration: 'I would buy it again for sure.', feature: 'Verdict', image: 2 }
+        ]
+      };
+
+      const resized = await resizeReviewScript(reviewScript, 6, { provider: 'anthropic' });
+
+      expect(resized.scenes.map(scene => scene.narration)).to.deep.equal(['It blends ice.', 'Worth it.']);
+      expect(resized.scenes[0].image).to.equal(1);
+      expect(resized.sections.map(section => section.title)).to.deep.equal(['Power', 'Verdict']);
+    });
+
+    it('should fail when the rewrite returns the wrong number of texts', async () => {
+      respondWith(['Only one']);
+
+      try {
+        await resizeReviewScript({ script: '', sections: [{ title: 'A', text: 'a b' }, { title: 'B', text: 'c d' }] }, 4, { provider: 'anthropic' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Script length rewrite failed: expected 2 rewritten text(s)');
+      }
+    });
+  });
+
+  describe('getIntroOutroDuration', () => {
+    it('should add the intro when its image exists and the QR outro when there is a URL', async () => {
+      const amazonUrl = 'https://www.amazon.com/dp/B0CPZKLJX1';
+
+      expect(await getIntroOutroDuration({ amazonUrl, introOutroOptions: { outroDuration: 8 } })).to.equal(13);
+      expect(await getIntroOutroDuration({ introOutroOptions: { introImagePath: './missing.jpg' } })).to.equal(0);
+      expect(await getIntroOutroDuration({ enableIntroOutro: false, amazonUrl })).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  extractNumbers,
+  extractClaims,
+  checkClaims,
+  factCheckScript,
+  guardScript,
+  guardReviewScript
+} from '../src/fact-checker.js';
+
+const PRODUCT = {
+  title: 'Ninja BL610 Professional Blender',
+  price: '$89.99',
+  rating: 4.7,
+  reviewCount: '12345',
+  features: ['1000 watts of professional power', '72 oz total crushing pitcher'],
+  description: 'Crushes ice in seconds.'
+};
+
+describe('Fact Checker', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    sinon.restore();
+  });
+
+  const respondWith = (text) => {
+    globalThis.fetch = async () => ({ ok: true, json: async () => ({ content: [{ type: 'text', text }] }) });
+  };
+
+  describe('extractNumbers', () => {
+    it('should read digits and spelled-out numbers', () => {
+      const values = text => extractNumbers(text).map(number => number.value);
+
+      expect(values('It costs eighty-nine ninety-nine dollars.')).to.deep.equal([89, 99]);
+      expect(values('two hundred and fifty watts, four point five stars')).to.deep.equal([250, 4.5]);
+      expect(values('over 12,345 reviews and twelve thousand fans')).to.deep.equal([12345, 12000]);
+    });
+  });
+
+  describe('extractClaims', () => {
+    it('should find numbers with units, experience and comparisons', () => {
+      const claims = extractClaims('One thing I like is the 1000 watt motor. ... I\'ve been using it for three months. ... It is quieter than the Vitamix 5200.');
+
+      expect(claims.map(claim => [claim.type, claim.text])).to.deep.equal([
+        ['number', '1000 watt'],
+        ['number', 'three months'],
+        ['experience', 'I\'ve been using'],
+        ['number', '5200'],
+        ['comparison', 'quieter than the Vitamix 5200']
+      ]);
+    });
+  });
+
+  describe('checkClaims', () => {
+    it('should accept figures from the product data, spoken or approximate', () => {
+      const { unsupported } = factCheckScript(
+        'At eighty-nine ninety-nine dollars, about ninety dollars, it packs 1000 watts and a seventy-two oz pitcher. ... It has four point seven stars from over twelve thousand reviews. ... It is faster than my old blender.',
+        PRODUCT
+      );
+
+      expect(unsupported).to.deep.equal([]);
+    });
+
+    it('should flag invented specs, hands-on use and unknown rivals', () => {
+      const claims = checkClaims(extractClaims('It has 1500 watts. ... After weeks of use it still works. ... It beats the Vitamix.'), PRODUCT);
+
+      expect(claims.map(claim => claim.reason)).to.deep.equal([
+        '1500 is not in the product data',
+        'claims hands-on use the channel cannot back up',
+        'compares with Vitamix, which the product data doesn\'t mention'
+      ]);
+    });
+  });
+
+  describe('guardScript', () => {
+    const SCRIPT = 'Meet the Ninja. ... It has 1500 watts of power. ... Click the link below.';
+
+    it('should only warn by default', async () => {
+      const result = await guardScript(SCRIPT, PRODUCT);
+
+      expect(result.script).to.equal(SCRIPT);
+      expect(result.unsupported).to.have.lengthOf(1);
+      expect(console.warn.calledWithMatch('Unsupported number claim in the script: "1500 watts"')).to.equal(true);
+    });
+
+    it('should rewrite sentences with unsupported claims', async () => {
+      respondWith('["It has 1000 watts of power."]');
+
+      const result = await guardScript(SCRIPT, PRODUCT, { provider: 'anthropic', strictness: 'rewrite' });
+
+      expect(result.script).to.equal('Meet the Ninja. ... It has 1000 watts of power. ... Click the link below.');
+      expect(result.unsupported).to.deep.equal([]);
+    });
+
+    it('should drop the sentences when the rewrite fails', async () => {
+      respondWith('Sorry, I cannot help with that.');
+
+      const result = await guardScript(SCRIPT, PRODUCT, { provider: 'anthropic', strictness: 'rewrite' });
+
+      expect(result.script).to.equal('Meet the Ninja. ... Click the link below.');
+    });
+
+    it('should fail a strict check when unsupported claims remain', async () => {
+      respondWith('["It has 1400 watts of power."]');
+
+      try {
+        await guardScript(SCRIPT, PRODUCT, { provider: 'anthropic', strictness: 'strict' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Fact check failed: 1 unsupported claim(s) in the script: "1400 watts"');
+      }
+    });
+
+    it('should reject unknown levels', async () => {
+      try {
+        await guardScript(SCRIPT, PRODUCT, { strictness: 'paranoid' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Unknown fact check level: paranoid');
+      }
+    });
+  });
+
+  describe('guardReviewScript', () => {
+    it('should apply rewrites to the script and its sections', async () => {
+      respondWith('["It has 1000 watts."]');
+      const reviewScript = {
+        script: 'Meet the Ninja. ... It has 1500 watts.',
+        sections: [{ title: 'Hook', text: 'Meet the Ninja.' }, { title: 'Power', text: 'It has 1500 watts.' }]
+      };
+
+      const checked = await guardReviewScript(reviewScript, PRODUCT, { provider: 'anthropic', strictness: 'rewrite' });
+
+      expect(checked.script).to.equal('Meet the Ninja. ... It has 1000 watts.');
+      expect(checked.sections[1].text).to.equal('It has 1000 watts.');
+    });
+  });
+});
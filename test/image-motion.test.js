@@ -0,0 +1,169 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  resolveMotion,
+  findSubjectBox,
+  mapToFrame,
+  estimateFocalPoint,
+  createMotionFilter,
+  createMotionFilters
+} from '../src/image-motion.js';
+import { createIntroOutroFilter } from '../src/video-creator.js';
+
+// A white RGB image with a black rectangle at the given pixel bounds
+const createPixels = (width, height, rect) => {
+  const pixels = Buffer.alloc(width * height * 3, 255);
+  for (let y = rect.top; y < rect.bottom; y++) {
+    for (let x = rect.left; x < rect.right; x++) {
+      pixels.fill(0, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return pixels;
+};
+
+describe('Image Motion', () => {
+  describe('resolveMotion', () => {
+    it('should resolve style names and objects', () => {
+      expect(resolveMotion()).to.deep.equal({ zoom: 1.08, direction: 'alternate' });
+      expect(resolveMotion('Zoom-In')).to.deep.equal({ zoom: 1.12, direction: 'in' });
+      expect(resolveMotion({ zoom: 1.3 })).to.deep.equal({ zoom: 1.3, direction: 'alternate' });
+      expect(resolveMotion('none')).to.equal(null);
+      expect(resolveMotion(false)).to.equal(null);
+    });
+
+    it('should reject unknown and invalid styles', () => {
+      expect(() => resolveMotion('spin')).to.throw('Unknown motion style: spin');
+      expect(() => resolveMotion({ zoom: 0.5 })).to.throw('Invalid motion style');
+    });
+  });
+
+  describe('findSubjectBox', () => {
+    it('should find the region that differs from the background', () => {
+      const pixels = createPixels(20, 10, { left: 10, top: 2, right: 18, bottom: 6 });
+
+      expect(findSubjectBox(pixels, 20, 10, 3)).to.deep.equal({ left: 0.5, top: 0.2, right: 0.9, bottom: 0.6 });
+    });
+
+    it('should return null for a plain image', () => {
+      expect(findSubjectBox(Buffer.alloc(10 * 10 * 3, 200), 10, 10, 3)).to.equal(null);
+    });
+  });
+
+  describe('mapToFrame', () => {
+    it('should place a point of a square photo in the pillarboxed landscape frame', () => {
+      expect(mapToFrame({ x: 1, y: 0.5 }, { width: 500, height: 500 }, { width: 1920, height: 1080 }))
+        .to.deep.equal({ x: 1500 / 1920, y: 0.5 });
+    });
+
+    it('should place a point of a landscape photo in the letterboxed portrait frame', () => {
+      expect(mapToFrame({ x: 0.5, y: 0 }, { width: 1600, height: 900 }, { width: 1080, height: 1920 }))
+        .to.deep.equal({ x: 0.5, y: (1920 - 607.5) / 2 / 1920 });
+    });
+
+    it('should place a point of a photo cropped to fill the frame', () => {
+      const crop = { mode: 'crop' };
+
+      // 500x500 scaled to 1920x1920, 420 pixels cropped off the top and bottom
+      expect(mapToFrame({ x: 0.75, y: 0.5 }, { width: 500, height: 500 }, { width: 1920, height: 1080 }, crop))
+        .to.deep.equal({ x: 0.75, y: 0.5 });
+      expect(mapToFrame({ x: 0.5, y: 0.25 }, { width: 500, height: 500 }, { width: 1920, height: 1080 }, crop))
+        .to.deep.equal({ x: 0.5, y: (480 - 420) / 1080 });
+      expect(mapToFrame({ x: 0.5, y: 0.1 }, { width: 500, height: 500 }, { width: 1920, height: 1080 }, crop))
+        .to.deep.equal({ x: 0.5, y: 0 });
+    });
+
+    it('should map blur-filled photos like padded ones', () => {
+      expect(mapToFrame({ x: 1, y: 0.5 }, { width: 500, height: 500 }, { width: 1920, height: 1080 }, { mode: 'blur-fill' }))
+        .to.deep.equal({ x: 1500 / 1920, y: 0.5 });
+    });
+  });
+
+  describe('estimateFocalPoint', () => {
+    let imagePath;
+
+    before(async () => {
+      imagePath = path.join(os.tmpdir(), `motion-${process.pid}.png`);
+      const product = await sharp({ create: { width: 100, height: 100, channels: 3, background: 'red' } }).png().toBuffer();
+      await sharp({ create: { width: 400, height: 400, channels: 3, background: 'white' } })
+        .composite([{ input: product, left: 250, top: 50 }])
+        .png()
+        .toFile(imagePath);
+    });
+
+    after(async () => {
+      await fs.rm(imagePath, { force: true });
+    });
+
+    it('should center on the product in frame coordinates', async () => {
+      const point = await estimateFocalPoint(imagePath, '1080x1920');
+
+      expect(point.x).to.be.closeTo(0.75, 0.02);
+      expect(point.y).to.be.closeTo((420 + 0.25 * 1080) / 1920, 0.02);
+    });
+
+    it('should follow crop framing', async () => {
+      const point = await estimateFocalPoint(imagePath, '1080x1920', { mode: 'crop' });
+
+      // 400x400 scaled to 1920x1920, 420 pixels cropped off each side
+      expect(point.x).to.be.closeTo((0.75 * 1920 - 420) / 1080, 0.02);
+      expect(point.y).to.be.closeTo(0.25, 0.02);
+    });
+
+    it('should fall back to the center when the image can\'t be read', async () => {
+      sinon.stub(console, 'warn');
+      try {
+        expect(await estimateFocalPoint('./missing.jpg', '1920x1080')).to.deep.equal({ x: 0.5, y: 0.5 });
+      } finally {
+        sinon.restore();
+      }
+    });
+  });
+
+  describe('createMotionFilter', () => {
+    const options = { width: 1920, height: 1080, fps: 30, duration: 4, motion: { zoom: 1.1, direction: 'alternate' }, focus: { x: 0.75, y: 0.5 } };
+
+    it('should zoom a supersampled frame toward the focal point at the output size', () => {
+      const filter = createMotionFilter(options);
+
+      expect(filter).to.match(/^scale=3840:2160,zoompan=/);
+      expect(filter).to.include("z='1+0.1000*min(on/119,1)'");
+      expect(filter).to.include("x='max(0,min(iw-iw/zoom,iw*0.7500-iw/zoom/2))'");
+      expect(filter).to.include(':d=1:s=1920x1080:fps=30,setsar=1:1');
+    });
+
+    it('should alternate zooming in and out', () => {
+      expect(createMotionFilter({ ...options, index: 1 })).to.include("z='1.1-0.1000*min(on/119,1)'");
+      expect(createMotionFilter({ ...options, index: 1, motion: { zoom: 1.1, direction: 'in' } })).to.include("z='1+0.1000");
+    });
+
+    it('should create no filters without motion', async () => {
+      expect(await createMotionFilters(['a.jpg', 'b.jpg'], [3, 3], { motion: 'none', resolution: '1920x1080', fps: 30 })).to.deep.equal([null, null]);
+    });
+  });
+
+  describe('createIntroOutroFilter', () => {
+    it('should add the motion of each photo before its callout', () => {
+      const filter = createIntroOutroFilter({
+        introConfig: { enabled: false },
+        outroConfig: { enabled: false },
+        mainContentConfig: {
+          imageCount: 1,
+          motionFilters: ['zoompan=z=1'],
+          imageFilters: ['drawtext=text=Hi'],
+          fps: 25,
+          duration: 10,
+          transitionConfig: { filterComplex: '' }
+        },
+        totalDuration: 10,
+        resolution: '1920x1080',
+        mainVoiceoverIndex: 1
+      });
+
+      expect(filter).to.include('setsar=1:1,fps=25,zoompan=z=1,drawtext=text=Hi,setpts=PTS-STARTPTS[v0]');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { expect } from 'chai';
+import {
+  getLanguage,
+  parseLanguages,
+  parseLanguageVoices,
+  formatPriceDate
+} from '../src/utils/languages.js';
+
+describe('Languages', () => {
+  describe('getLanguage', () => {
+    it('should look up codes case-insensitively and ignore region suffixes', () => {
+      expect(getLanguage('ES').name).to.equal('Spanish');
+      expect(getLanguage('pt-BR').code).to.equal('pt');
+      expect(getLanguage('de_DE').espeakVoice).to.equal('de');
+    });
+
+    it('should reject unknown codes', () => {
+      expect(() => getLanguage('xx')).to.throw('Unknown language: xx');
+    });
+  });
+
+  describe('parseLanguages', () => {
+    it('should parse a comma-separated list in order without duplicates', () => {
+      expect(parseLanguages('en, es,DE,es')).to.deep.equal(['en', 'es', 'de']);
+      expect(parseLanguages(['fr', 'it'])).to.deep.equal(['fr', 'it']);
+    });
+
+    it('should require at least one known language', () => {
+      expect(() => parseLanguages(' , ')).to.throw('At least one language is required');
+      expect(() => parseLanguages('en,klingon')).to.throw('Unknown language: klingon');
+    });
+  });
+
+  describe('parseLanguageVoices', () => {
+    it('should map languages to voice IDs', () => {
+      expect(parseLanguageVoices('es=abc123, DE = def456')).to.deep.equal({ es: 'abc123', de: 'def456' });
+    });
+
+    it('should reject malformed pairs', () => {
+      expect(() => parseLanguageVoices('es')).to.throw('Invalid language voice: es');
+    });
+  });
+
+  describe('formatPriceDate', () => {
+    it('should fill in the date in the language', () => {
+      expect(formatPriceDate('en', '2026-10-19')).to.equal('Price as of 2026-10-19 and subject to change.');
+      expect(formatPriceDate('de', '2026-10-19')).to.equal('Preis vom 2026-10-19, Änderungen vorbehalten.');
+    });
+  });
+});
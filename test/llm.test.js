@@ -0,0 +1,197 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import http from 'http';
+import {
+  getLLMProvider,
+  resolveLLMConfig,
+  isRetryableError,
+  generateText
+} from '../src/llm/index.js';
+import { getAvailableModels } from '../src/openai-script-generator.js';
+
+describe('LLM Providers', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    for (const key of Object.keys(process.env).filter(name => name.startsWith('LLM_'))) {
+      delete process.env[key];
+    }
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    sinon.restore();
+  });
+
+  describe('resolveLLMConfig', () => {
+    it('should default to OpenAI and its default model', () => {
+      const { provider, model } = resolveLLMConfig('script');
+      expect(provider.name).to.equal('openai');
+      expect(model).to.equal('gpt-4o-mini');
+    });
+
+    it('should prefer options, then task overrides, then LLM_PROVIDER', () => {
+      process.env.LLM_PROVIDER = 'anthropic';
+      process.env.LLM_TITLE_PROVIDER = 'openai-compatible';
+      process.env.LLM_TITLE_MODEL = 'qwen2.5';
+
+      expect(resolveLLMConfig('script').provider.name).to.equal('anthropic');
+      expect(resolveLLMConfig('title')).to.include({ model: 'qwen2.5' });
+      expect(resolveLLMConfig('title').provider.name).to.equal('openai-compatible');
+      expect(resolveLLMConfig('title', { provider: 'openai', model: 'gpt-4o' }).model).to.equal('gpt-4o');
+    });
+
+    it('should not carry a model over to a provider chosen at a higher level', () => {
+      process.env.LLM_MODEL = 'llama3.1';
+
+      expect(resolveLLMConfig('script', { provider: 'anthropic' }).model).to.equal('claude-3-5-haiku-latest');
+      expect(resolveLLMConfig('script').model).to.equal('llama3.1');
+    });
+
+    it('should reject unknown providers and tasks', () => {
+      expect(() => getLLMProvider('palm')).to.throw('Unknown LLM provider: palm');
+      expect(() => resolveLLMConfig('poem')).to.throw('Unknown LLM task: poem');
+    });
+
+    it('should list the models of the configured provider', () => {
+      expect(getAvailableModels()).to.include('gpt-4o');
+      process.env.LLM_SCRIPT_PROVIDER = 'anthropic';
+      expect(getAvailableModels()).to.include('claude-3-5-haiku-latest');
+      expect(getAvailableModels('openai-compatible')).to.include('llama3.1');
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry rate limits, server errors and network failures only', () => {
+      expect(isRetryableError(Object.assign(new Error('rate'), { status: 429 }))).to.be.true;
+      expect(isRetryableError(Object.assign(new Error('server'), { status: 503 }))).to.be.true;
+      expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).to.be.true;
+      expect(isRetryableError(Object.assign(new Error('bad'), { status: 400 }))).to.be.false;
+      expect(isRetryableError(new Error('ANTHROPIC_API_KEY is required in environment variables'))).to.be.false;
+    });
+  });
+
+  describe('generateText', () => {
+    const request = { system: 'You write titles.', prompt: 'Title please', maxTokens: 50, temperature: 0.5 };
+
+    it('should retry rate limited Anthropic requests', async () => {
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+
+      const bodies = [];
+      globalThis.fetch = async (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        if (bodies.length === 1) {
+          return { ok: false, status: 429, statusText: 'Too Many Requests', json: async () => ({ error: { message: 'Slow down' } }) };
+        }
+        return { ok: true, json: async () => ({ content: [{ type: 'text', text: '  A Great Title  ' }] }) };
+      };
+
+      const text = await generateText('title', request, { provider: 'anthropic', retryDelayMs: 1 });
+
+      expect(text).to.equal('A Great Title');
+      expect(bodies).to.have.lengthOf(2);
+      expect(bodies[0]).to.deep.include({
+        model: 'claude-3-5-haiku-latest',
+        max_tokens: 50,
+        system: 'You write titles.',
+        messages: [{ role: 'user', content: 'Title please' }]
+      });
+    });
+
+    it('should not retry client errors', async () => {
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+
+      let calls = 0;
+      globalThis.fetch = async () => {
+        calls++;
+        return { ok: false, status: 400, statusText: 'Bad Request', json: async () => ({ error: { message: 'Invalid model' } }) };
+      };
+
+      try {
+        await generateText('title', request, { provider: 'anthropic', retryDelayMs: 1 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Anthropic API error: 400 Invalid model');
+        expect(calls).to.equal(1);
+      }
+    });
+
+    it('should give up after the configured attempts', async () => {
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+
+      let calls = 0;
+      globalThis.fetch = async () => {
+        calls++;
+        return { ok: false, status: 529, statusText: 'Overloaded', json: async () => ({}) };
+      };
+
+      try {
+        await generateText('title', request, { provider: 'anthropic', retries: 2, retryDelayMs: 1 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('529');
+        expect(calls).to.equal(2);
+      }
+    });
+
+    describe('openai-compatible', () => {
+      let server;
+      let received;
+
+      before(async () => {
+        server = http.createServer((req, res) => {
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', () => {
+            received = { url: req.url, body: JSON.parse(body) };
+            const content = received.body.model === 'empty' ? '' : 'Local draft';
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              id: 'chatcmpl-1',
+              object: 'chat.completion',
+              choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+            }));
+          });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      });
+
+      after(async () => {
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      beforeEach(() => {
+        process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+      });
+
+      it('should call the chat completions endpoint of a local server', async () => {
+        process.env.LLM_PROVIDER = 'openai-compatible';
+
+        const text = await generateText('script', request);
+
+        expect(text).to.equal('Local draft');
+        expect(received.url).to.equal('/v1/chat/completions');
+        expect(received.body.model).to.equal('llama3.1');
+        expect(received.body.messages).to.deep.equal([
+          { role: 'system', content: 'You write titles.' },
+          { role: 'user', content: 'Title please' }
+        ]);
+      });
+
+      it('should reject empty responses', async () => {
+        try {
+          await generateText('script', request, { provider: 'openai-compatible', model: 'empty' });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.equal('openai-compatible returned an empty response');
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  getMarketplace,
+  detectMarketplaceFromUrl,
+  resolveMarketplace,
+  getAffiliateTag,
+  getAffiliateTagForUrl,
+  getCurrencyName,
+  buildProductUrl
+} from '../src/utils/marketplaces.js';
+
+describe('Marketplaces', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.AMAZON_MARKETPLACE;
+    delete process.env.AFFILIATE_TAG;
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    sinon.restore();
+  });
+
+  describe('getMarketplace', () => {
+    it('should look up codes case-insensitively and accept GB for UK', () => {
+      expect(getMarketplace('de').domain).to.equal('amazon.de');
+      expect(getMarketplace('GB').code).to.equal('UK');
+    });
+
+    it('should reject unknown codes', () => {
+      expect(() => getMarketplace('XX')).to.throw('Unknown marketplace: XX');
+    });
+  });
+
+  describe('detectMarketplaceFromUrl', () => {
+    it('should detect the marketplace from the domain', () => {
+      expect(detectMarketplaceFromUrl('https://www.amazon.co.uk/dp/B0CPZKLJX1')).to.equal('UK');
+      expect(detectMarketplaceFromUrl('https://amazon.co.jp/dp/B0CPZKLJX1')).to.equal('JP');
+      expect(detectMarketplaceFromUrl('https://smile.amazon.com/dp/B0CPZKLJX1')).to.equal('US');
+      expect(detectMarketplaceFromUrl('https://www.amazon.com.mx/dp/B0CPZKLJX1')).to.equal('MX');
+    });
+
+    it('should return null for ASINs and other sites', () => {
+      expect(detectMarketplaceFromUrl('B0CPZKLJX1')).to.be.null;
+      expect(detectMarketplaceFromUrl('https://example.com/dp/B0CPZKLJX1')).to.be.null;
+    });
+  });
+
+  describe('resolveMarketplace', () => {
+    it('should prefer the explicit code, then the URL, then AMAZON_MARKETPLACE', () => {
+      process.env.AMAZON_MARKETPLACE = 'FR';
+      const url = 'https://www.amazon.de/dp/B0CPZKLJX1';
+
+      expect(resolveMarketplace({ marketplace: 'UK', url }).code).to.equal('UK');
+      expect(resolveMarketplace({ url }).code).to.equal('DE');
+      expect(resolveMarketplace({ url: 'B0CPZKLJX1' }).code).to.equal('FR');
+    });
+
+    it('should default to US', () => {
+      expect(resolveMarketplace().code).to.equal('US');
+    });
+  });
+
+  describe('getAffiliateTag', () => {
+    it('should read the per-marketplace tag', () => {
+      process.env.AFFILIATE_TAG_UK = 'mytag-21';
+      expect(getAffiliateTag('UK')).to.equal('mytag-21');
+      expect(getAffiliateTagForUrl('https://www.amazon.co.uk/dp/B0CPZKLJX1')).to.equal('mytag-21');
+    });
+
+    it('should fall back to AFFILIATE_TAG for the default marketplace only', () => {
+      process.env.AFFILIATE_TAG = 'mytag-20';
+      delete process.env.AFFILIATE_TAG_US;
+      delete process.env.AFFILIATE_TAG_DE;
+
+      expect(getAffiliateTag('US')).to.equal('mytag-20');
+      expect(getAffiliateTag('DE')).to.be.null;
+      expect(console.warn.calledWithMatch('AFFILIATE_TAG_DE')).to.be.true;
+    });
+  });
+
+  describe('getCurrencyName and buildProductUrl', () => {
+    it('should use the marketplace currency and domain', () => {
+      expect(getCurrencyName('UK')).to.equal('pounds');
+      expect(getCurrencyName()).to.equal('dollars');
+      expect(buildProductUrl('B0CPZKLJX1', 'JP')).to.equal('https://www.amazon.co.jp/dp/B0CPZKLJX1');
+    });
+  });
+});
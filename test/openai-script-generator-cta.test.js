@@ -26,7 +26,7 @@ describe('OpenAI Script Generator - Call-to-Action Requirements', () => {
         expect(script).to.include(requiredCTA);
       } catch (error) {
         // If OpenAI API fails, we should still test that fallback includes CTA
-        if (error.message.includes('OpenAI script generation failed')) {
+        if (error.message.includes('AI script generation failed')) {
           console.log('OpenAI API unavailable, testing fallback behavior');
           // The error should be thrown, but we can test the fallback separately
           this.skip();
@@ -46,7 +46,7 @@ describe('OpenAI Script Generator - Call-to-Action Requirements', () => {
           const script = await generateAIReviewScript(mockProductData, { reviewStyle: style });
           expect(script).to.include(requiredCTA);
         } catch (error) {
-          if (error.message.includes('OpenAI script generation failed')) {
+          if (error.message.includes('AI script generation failed')) {
             console.log(`OpenAI API unavailable for ${style} style, skipping`);
             continue;
           } else {
@@ -68,7 +68,7 @@ describe('OpenAI Script Generator - Call-to-Action Requirements', () => {
         expect(script.length).to.be.greaterThan(0);
         expect(script).to.include(requiredCTA);
       } catch (error) {
-        if (error.message.includes('OpenAI short video script generation failed')) {
+        if (error.message.includes('AI short video script generation failed')) {
           console.log('OpenAI API unavailable for short video, skipping');
           this.skip();
         } else {
@@ -87,7 +87,7 @@ describe('OpenAI Script Generator - Call-to-Action Requirements', () => {
           const script = await generateAIShortVideoScript(mockProductData, { targetDuration: duration });
           expect(script).to.include(requiredCTA);
         } catch (error) {
-          if (error.message.includes('OpenAI short video script generation failed')) {
+          if (error.message.includes('AI short video script generation failed')) {
             console.log(`OpenAI API unavailable for ${duration}s duration, skipping`);
             continue;
           } else {
@@ -0,0 +1,376 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  getProductSource,
+  resolveProductSourceName,
+  fetchProductFromSource
+} from '../src/product-sources/index.js';
+import { signPaapiRequest, transformPaapiItem, fetchProduct as fetchPaapiProduct } from '../src/product-sources/paapi.js';
+import { parseProductPage } from '../src/product-sources/fixture.js';
+import { scrapeAmazonProduct } from '../src/amazon-scraper.js';
+
+const PRODUCT_PAGE = `
+<html><body>
+  <span id="productTitle">  Stainless Steel Kitchen Scale  </span>
+  <div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">$24.99</span></span></div>
+  <span id="acrPopover" title="4.6 out of 5 stars"></span>
+  <span id="acrCustomerReviewText">12,345 ratings</span>
+  <div id="feature-bullets"><ul>
+    <li><span class="a-list-item"> Accurate to 1 gram </span></li>
+    <li><span class="a-list-item">Tare function</span></li>
+  </ul></div>
+  <div id="productDescription"><p>A precise digital scale.</p></div>
+  <img id="landingImage" data-old-hires="https://m.media-amazon.com/images/I/main.jpg" />
+  <script>var data = {"hiRes":"https://m.media-amazon.com/images/I/gallery1.jpg"};</script>
+</body></html>`;
+
+describe('Product Sources', () => {
+  let tempDir;
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'product-sources-test-'));
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    delete process.env.AMAZON_MARKETPLACE;
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('registry', () => {
+    it('should prefer the explicit option over PRODUCT_SOURCE', () => {
+      process.env.PRODUCT_SOURCE = 'paapi';
+      expect(resolveProductSourceName({ productSource: 'fixture' })).to.equal('fixture');
+      expect(resolveProductSourceName()).to.equal('paapi');
+    });
+
+    it('should default to rainforest', () => {
+      delete process.env.PRODUCT_SOURCE;
+      expect(resolveProductSourceName()).to.equal('rainforest');
+    });
+
+    it('should reject unknown sources', () => {
+      expect(() => getProductSource('scraper')).to.throw('Unknown product source: scraper');
+    });
+  });
+
+  describe('fixture source', () => {
+    it('should load normalized JSON fixtures and resolve local images', async () => {
+      await fs.writeFile(path.join(tempDir, 'B0CPZKLJX1.json'), JSON.stringify({
+        title: 'Fixture Product',
+        price: '$19.99',
+        rating: 4.2,
+        reviewCount: 87,
+        features: ['One', 'Two'],
+        description: 'Saved   offline',
+        images: ['images/one.jpg', 'https://example.com/two.jpg']
+      }));
+
+      const product = await fetchProductFromSource('B0CPZKLJX1', { productSource: 'fixture', fixtureDir: tempDir });
+
+      expect(product).to.deep.equal({
+        title: 'Fixture Product',
+        price: '$19.99',
+        rating: 4.2,
+        reviewCount: '87',
+        features: ['One', 'Two'],
+        description: 'Saved offline',
+        images: [
+          pathToFileURL(path.join(tempDir, 'images/one.jpg')).href,
+          'https://example.com/two.jpg'
+        ],
+        marketplace: 'US'
+      });
+    });
+
+    it('should load saved Rainforest responses', async () => {
+      await fs.writeFile(path.join(tempDir, 'B0CPZKLJX1.json'), JSON.stringify({
+        product: {
+          title: 'Rainforest Product',
+          rating: 4.5,
+          ratings_total: 1234,
+          buybox_winner: { price: { symbol: '$', value: 29.99 } },
+          feature_bullets: ['Feature 1'],
+          main_image: { link: 'https://example.com/main.jpg' }
+        }
+      }));
+
+      const product = await fetchProductFromSource('B0CPZKLJX1', { productSource: 'fixture', fixtureDir: tempDir });
+
+      expect(product.title).to.equal('Rainforest Product');
+      expect(product.price).to.equal('$29.99');
+      expect(product.reviewCount).to.equal('1234');
+      expect(product.images).to.deep.equal(['https://example.com/main.jpg']);
+    });
+
+    it('should parse saved product pages with cheerio', async () => {
+      await fs.writeFile(path.join(tempDir, 'B0CPZKLJX1.html'), PRODUCT_PAGE);
+
+      process.env.PRODUCT_SOURCE = 'fixture';
+      process.env.PRODUCT_FIXTURE_DIR = tempDir;
+      const product = await scrapeAmazonProduct('https://www.amazon.com/dp/B0CPZKLJX1');
+
+      expect(product.title).to.equal('Stainless Steel Kitchen Scale');
+      expect(product.price).to.equal('$24.99');
+      expect(product.rating).to.equal(4.6);
+      expect(product.reviewCount).to.equal('12345');
+      expect(product.features).to.deep.equal(['Accurate to 1 gram', 'Tare function']);
+      expect(product.description).to.equal('A precise digital scale.');
+      expect(product.images).to.have.lengthOf(2);
+      expect(product.images[0]).to.include('gallery1');
+    });
+
+    it('should fail clearly when no fixture exists', async () => {
+      try {
+        await fetchProductFromSource('B000000000', { productSource: 'fixture', fixtureDir: tempDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('No fixture found for ASIN B000000000');
+      }
+    });
+
+    it('should summarize review and question fixtures', async () => {
+      await fs.writeFile(path.join(tempDir, 'B0CPZKLJX1.json'), JSON.stringify({ title: 'Kettle', images: [] }));
+      await fs.writeFile(path.join(tempDir, 'B0CPZKLJX1.reviews.json'), JSON.stringify({
+        reviews: [
+          { rating: 5, title: 'Fast', body: 'Boils water quickly.' },
+          { rating: 4, title: 'Quick', body: 'Boils water in two minutes.' },
+          { rating: 2, title: 'Loud', body: 'The lid hinge broke.' },
+          { rating: 1, title: 'Broken', body: 'Lid hinge snapped in a month.' }
+        ]
+      }));
+      await fs.writeFile(path.join(tempDir, 'B0CPZKLJX1.questions.json'), JSON.stringify([
+        { question: 'Is it BPA free?', answer: 'Yes', votes: 3 }
+      ]));
+
+      const product = await fetchProductFromSource('B0CPZKLJX1', { productSource: 'fixture', fixtureDir: tempDir });
+
+      expect(product.reviewInsights.reviewsAnalyzed).to.equal(4);
+      expect(product.reviewInsights.pros[0]).to.include({ topic: 'boils water', mentions: 2 });
+      expect(product.reviewInsights.cons[0]).to.include({ topic: 'lid hinge', mentions: 2 });
+      expect(product.reviewInsights.questions).to.deep.equal([{ question: 'Is it BPA free?', answer: 'Yes' }]);
+
+      const withoutReviews = await fetchProductFromSource('B0CPZKLJX1', {
+        productSource: 'fixture',
+        fixtureDir: tempDir,
+        includeReviews: false
+      });
+      expect(withoutReviews).to.not.have.property('reviewInsights');
+    });
+
+    it('should return an empty feature list for pages without bullets', () => {
+      const product = parseProductPage('<span id="productTitle">Bare</span>');
+      expect(product.features).to.deep.equal([]);
+      expect(product.price).to.be.null;
+    });
+  });
+
+  describe('marketplaces', () => {
+    it('should query the Rainforest domain and language of the marketplace', async () => {
+      delete process.env.PRODUCT_SOURCE;
+      process.env.RAINFOREST_API_KEY = 'test-key';
+
+      let requestUrl;
+      globalThis.fetch = async (url) => {
+        requestUrl = new URL(url);
+        return {
+          ok: true,
+          json: async () => ({ product: { title: 'UK Product', price: { raw: 12.5 } } })
+        };
+      };
+
+      const product = await scrapeAmazonProduct('https://www.amazon.co.uk/dp/B0CPZKLJX1');
+
+      expect(requestUrl.searchParams.get('amazon_domain')).to.equal('amazon.co.uk');
+      expect(requestUrl.searchParams.get('language')).to.equal('en_GB');
+      expect(product.price).to.equal('£12.5');
+      expect(product.marketplace).to.equal('UK');
+    });
+
+    it('should use the host, region and tag of the marketplace for PA-API', async () => {
+      process.env.PAAPI_ACCESS_KEY = 'AKIDEXAMPLE';
+      process.env.PAAPI_SECRET_KEY = 'secret';
+      process.env.AFFILIATE_TAG = 'mytag-20';
+      process.env.AFFILIATE_TAG_DE = 'mytag-21';
+
+      let request;
+      globalThis.fetch = async (url, init) => {
+        request = { url, init };
+        return {
+          ok: true,
+          json: async () => ({ ItemsResult: { Items: [{ ItemInfo: { Title: { DisplayValue: 'DE Product' } } }] } })
+        };
+      };
+
+      await fetchProductFromSource('B0CPZKLJX1', { productSource: 'paapi', marketplace: 'DE' });
+
+      expect(request.url).to.equal('https://webservices.amazon.de/paapi5/getitems');
+      expect(request.init.headers.Authorization).to.include('/eu-west-1/ProductAdvertisingAPI/');
+      expect(JSON.parse(request.init.body)).to.include({ PartnerTag: 'mytag-21', Marketplace: 'www.amazon.de' });
+    });
+  });
+
+  describe('customer feedback', () => {
+    it('should fetch positive and critical reviews and questions from Rainforest', async () => {
+      delete process.env.PRODUCT_SOURCE;
+      process.env.RAINFOREST_API_KEY = 'test-key';
+
+      const requests = [];
+      globalThis.fetch = async (url) => {
+        const params = new URL(url).searchParams;
+        requests.push(`${params.get('type')}:${params.get('review_stars') || ''}`);
+        const responses = {
+          product: { product: { title: 'Kettle' } },
+          reviews: {
+            reviews: params.get('review_stars') === 'all_positive'
+              ? [{ rating: 5, title: 'Fast', body: 'Boils water quickly.' }]
+              : [{ rating: 1, title: 'Broken', body: 'Lid hinge snapped.' }]
+          },
+          questions: { questions: [{ question: 'Is it BPA free?', answers: [{ answer: 'Yes' }], votes: 2 }] }
+        };
+        return { ok: true, json: async () => responses[params.get('type')] };
+      };
+
+      const product = await scrapeAmazonProduct('B0CPZKLJX1');
+
+      expect(requests).to.have.members(['product:', 'reviews:all_positive', 'reviews:all_critical', 'questions:']);
+      expect(product.reviewInsights.reviewsAnalyzed).to.equal(2);
+      expect(product.reviewInsights.questions).to.deep.equal([{ question: 'Is it BPA free?', answer: 'Yes' }]);
+    });
+
+    it('should keep the product when reviews cannot be fetched', async () => {
+      delete process.env.PRODUCT_SOURCE;
+      process.env.RAINFOREST_API_KEY = 'test-key';
+
+      globalThis.fetch = async (url) => {
+        if (new URL(url).searchParams.get('type') !== 'product') {
+          return { ok: false, status: 503, statusText: 'Service Unavailable' };
+        }
+        return { ok: true, json: async () => ({ product: { title: 'Kettle' } }) };
+      };
+
+      const product = await scrapeAmazonProduct('B0CPZKLJX1');
+
+      expect(product.title).to.equal('Kettle');
+      expect(product).to.not.have.property('reviewInsights');
+    });
+  });
+
+  describe('PA-API source', () => {
+    const signingParams = {
+      accessKey: 'AKIDEXAMPLE',
+      secretKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+      host: 'webservices.amazon.com',
+      region: 'us-east-1',
+      path: '/paapi5/getitems',
+      target: 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.GetItems',
+      payload: '{"ItemIds":["B0CPZKLJX1"]}',
+      date: new Date('2024-01-15T12:30:45.123Z')
+    };
+
+    it('should sign requests with AWS Signature Version 4', () => {
+      const headers = signPaapiRequest(signingParams);
+
+      expect(headers['x-amz-date']).to.equal('20240115T123045Z');
+      expect(headers.Authorization).to.match(
+        /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/20240115\/us-east-1\/ProductAdvertisingAPI\/aws4_request, SignedHeaders=content-encoding;content-type;host;x-amz-date;x-amz-target, Signature=[0-9a-f]{64}$/
+      );
+    });
+
+    it('should produce a different signature when the payload changes', () => {
+      const first = signPaapiRequest(signingParams).Authorization;
+      const second = signPaapiRequest({ ...signingParams, payload: '{"ItemIds":["B08N5WRWNW"]}' }).Authorization;
+      expect(first).to.not.equal(second);
+      expect(signPaapiRequest(signingParams).Authorization).to.equal(first);
+    });
+
+    it('should transform GetItems items to product data', () => {
+      const product = transformPaapiItem({
+        ItemInfo: {
+          Title: { DisplayValue: 'PA-API Product' },
+          Features: { DisplayValues: ['Fast', 'Quiet'] }
+        },
+        Offers: { Listings: [{ Price: { DisplayAmount: '$49.99' } }] },
+        Images: {
+          Primary: { Large: { URL: 'https://m.media-amazon.com/images/I/a.jpg' } },
+          Variants: [{ Large: { URL: 'https://m.media-amazon.com/images/I/b.jpg' } }]
+        },
+        CustomerReviews: { Count: 321, StarRating: { Value: 4.4 } }
+      });
+
+      expect(product).to.deep.equal({
+        title: 'PA-API Product',
+        price: '$49.99',
+        rating: 4.4,
+        reviewCount: '321',
+        features: ['Fast', 'Quiet'],
+        description: 'Fast Quiet',
+        images: ['https://m.media-amazon.com/images/I/a.jpg', 'https://m.media-amazon.com/images/I/b.jpg']
+      });
+    });
+
+    it('should send a signed GetItems request', async () => {
+      process.env.PAAPI_ACCESS_KEY = 'AKIDEXAMPLE';
+      process.env.PAAPI_SECRET_KEY = 'secret';
+      process.env.AFFILIATE_TAG = 'mytag-20';
+
+      let request;
+      globalThis.fetch = async (url, init) => {
+        request = { url, init };
+        return {
+          ok: true,
+          json: async () => ({ ItemsResult: { Items: [{ ItemInfo: { Title: { DisplayValue: 'Signed' } } }] } })
+        };
+      };
+
+      const product = await fetchPaapiProduct('B0CPZKLJX1');
+      const body = JSON.parse(request.init.body);
+
+      expect(product.title).to.equal('Signed');
+      expect(request.url).to.equal('https://webservices.amazon.com/paapi5/getitems');
+      expect(request.init.headers.Authorization).to.include('Credential=AKIDEXAMPLE/');
+      expect(body).to.include({ PartnerTag: 'mytag-20', PartnerType: 'Associates', Marketplace: 'www.amazon.com' });
+      expect(body.ItemIds).to.deep.equal(['B0CPZKLJX1']);
+    });
+
+    it('should surface PA-API error messages', async () => {
+      process.env.PAAPI_ACCESS_KEY = 'AKIDEXAMPLE';
+      process.env.PAAPI_SECRET_KEY = 'secret';
+      process.env.AFFILIATE_TAG = 'mytag-20';
+
+      globalThis.fetch = async () => ({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: async () => ({ Errors: [{ Code: 'InvalidSignature', Message: 'The request signature is invalid.' }] })
+      });
+
+      try {
+        await fetchProductFromSource('B0CPZKLJX1', { productSource: 'paapi' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to fetch Amazon product data: PA-API request failed: The request signature is invalid.');
+      }
+    });
+
+    it('should require credentials', async () => {
+      delete process.env.PAAPI_ACCESS_KEY;
+      delete process.env.PAAPI_SECRET_KEY;
+
+      try {
+        await fetchPaapiProduct('B0CPZKLJX1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('PAAPI_ACCESS_KEY and PAAPI_SECRET_KEY');
+      }
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_PROMPT_DIR,
+  loadPersona,
+  loadPromptTemplates,
+  renderTemplate,
+  renderPrompt
+} from '../src/prompt-templates.js';
+
+const PRODUCT = {
+  title: 'Ninja Blender',
+  price: '$89.99',
+  rating: 4.7,
+  reviewCount: 12345,
+  features: '1000 watts; 72 oz pitcher',
+  description: 'Crushes ice in seconds.'
+};
+
+describe('Prompt Templates', () => {
+  let originalEnv;
+  let tempDir;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    delete process.env.PROMPT_DIR;
+    delete process.env.PROMPT_PERSONA;
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-test-'));
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill in dotted variables and quote lists', () => {
+      const text = renderTemplate('Review {{product.title}} for {{persona.name}}: {{phrases}}', {
+        product: { title: 'Blender' },
+        persona: { name: 'Gadget Lab' },
+        phrases: ['Let\'s dig in', 'Worth it?']
+      });
+
+      expect(text).to.equal('Review Blender for Gadget Lab: "Let\'s dig in", "Worth it?"');
+    });
+
+    it('should keep blocks only when their value is set, dropping standalone tag lines', () => {
+      const template = 'Intro\n{{#cta}}\n- End with "{{cta}}"\n{{/cta}}\n{{#tone}}\n- Tone: {{tone}}\n{{/tone}}\nDone{{#tone}} ({{tone}}){{/tone}}';
+
+      expect(renderTemplate(template, { cta: 'Subscribe!', tone: '' })).to.equal('Intro\n- End with "Subscribe!"\nDone');
+      expect(renderTemplate(template, { cta: '', tone: 'dry' })).to.equal('Intro\n- Tone: dry\nDone (dry)');
+    });
+
+    it('should reject undefined variables', () => {
+      expect(() => renderTemplate('Hi {{product.nmae}}', { product: {} })).to.throw('Unknown prompt variable: {{product.nmae}}');
+    });
+  });
+
+  describe('loadPromptTemplates', () => {
+    it('should load the bundled templates with the default persona and a version ID', async () => {
+      const prompts = await loadPromptTemplates();
+
+      expect(prompts.dir).to.equal(DEFAULT_PROMPT_DIR);
+      expect(prompts.version).to.match(/^3-[0-9a-f]{8}$/);
+      expect(prompts.persona.id).to.equal('default');
+      expect(Object.keys(prompts.templates)).to.deep.equal(['review', 'title', 'titleVariants', 'description', 'shortScript']);
+      expect(Object.keys(prompts.styles)).to.deep.equal(['conversational', 'enthusiastic', 'professional']);
+    });
+
+    it('should change the version ID with the persona', async () => {
+      const personaPath = path.join(tempDir, 'gadget-lab.json');
+      await fs.writeFile(personaPath, JSON.stringify({ channelName: 'Gadget Lab', tone: 'dry and witty' }));
+
+      const defaults = await loadPromptTemplates();
+      const custom = await loadPromptTemplates({ persona: personaPath });
+
+      expect(custom.persona.id).to.equal('gadget-lab');
+      expect(custom.persona.channelName).to.equal('Gadget Lab');
+      expect(custom.persona.cta).to.equal(defaults.persona.cta);
+      expect(custom.version).to.not.equal(defaults.version);
+    });
+
+    it('should fail on a missing persona or templates directory', async () => {
+      try {
+        await loadPersona(DEFAULT_PROMPT_DIR, 'no-such-channel');
+        expect.fail('Expected loading to fail');
+      } catch (error) {
+        expect(error.message).to.include('Failed to load persona no-such-channel');
+      }
+
+      try {
+        await loadPromptTemplates({ dir: tempDir });
+        expect.fail('Expected loading to fail');
+      } catch (error) {
+        expect(error.message).to.include('Failed to load the default persona');
+      }
+    });
+  });
+
+  describe('renderPrompt', () => {
+    it('should render the review prompts with the persona call-to-action', async () => {
+      const prompts = await loadPromptTemplates();
+      const { system, prompt } = renderPrompt(prompts, 'review', {
+        product: PRODUCT,
+        photoCount: 4,
+        currencyName: 'pounds',
+        targetDuration: 90,
+        targetWords: 230,
+        styleRules: prompts.styles.professional,
+        structureRule: '- Use chapter markers',
+        structure: 'CHAPTER MARKERS: ...',
+        customerFeedback: ''
+      });
+
+      expect(system).to.include('"The Professional Prompt" channel');
+      expect(system).to.include('"fifty pounds"');
+      expect(system).to.include('Aim for 90 seconds of speaking time (approximately 230 words)');
+      expect(system).to.include('- Maintain a professional but approachable tone');
+      expect(system).to.not.include('{{');
+      expect(prompt).to.include('- Product Name: Ninja Blender');
+      expect(prompt).to.include('MANDATORY: Must end with the exact phrase "Don\'t forget to like and share and click the link in the description to purchase"');
+    });
+
+    it('should leave out the call-to-action requirement when the persona has none', async () => {
+      const prompts = await loadPromptTemplates({ persona: { id: 'quiet', cta: '', tone: 'calm' } });
+      const { prompt } = renderPrompt(prompts, 'shortScript', {
+        product: PRODUCT,
+        targetDuration: 30,
+        targetWords: 78,
+        currencyName: 'dollars',
+        customerFeedback: ''
+      });
+
+      expect(prompt).to.not.include('MANDATORY');
+      expect(prompt).to.include('Voice of the channel: calm');
+    });
+
+    it('should reject unknown templates', async () => {
+      const prompts = await loadPromptTemplates();
+      expect(() => renderPrompt(prompts, 'tweet')).to.throw('Unknown prompt template: tweet');
+    });
+  });
+});
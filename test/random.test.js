@@ -0,0 +1,45 @@
+import { expect } from 'chai';
+import { createRandom, generateSeed, pickRandom, randomInt } from '../src/utils/random.js';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+describe('Seeded Random', () => {
+  describe('createRandom', () => {
+    it('should repeat the same numbers for the same seed and stream', () => {
+      const numbers = draw(createRandom('9f3a61c2', 'music'));
+
+      expect(draw(createRandom('9f3a61c2', 'music'))).to.deep.equal(numbers);
+      numbers.forEach(number => expect(number).to.be.within(0, 1).and.not.equal(1));
+    });
+
+    it('should give every seed and stream its own numbers', () => {
+      const numbers = draw(createRandom('9f3a61c2', 'music'));
+
+      expect(draw(createRandom('9f3a61c2', 'voice'))).to.not.deep.equal(numbers);
+      expect(draw(createRandom('0b7d44e1', 'music'))).to.not.deep.equal(numbers);
+    });
+
+    it('should use Math.random without a seed', () => {
+      expect(createRandom(null, 'music')).to.equal(Math.random);
+      expect(createRandom(undefined)).to.equal(Math.random);
+    });
+  });
+
+  describe('pickRandom and randomInt', () => {
+    it('should pick from the whole range', () => {
+      const random = createRandom('spread');
+      const picks = new Set(Array.from({ length: 200 }, () => pickRandom(['a', 'b', 'c'], random)));
+      const ints = Array.from({ length: 200 }, () => randomInt(3, 5, random));
+
+      expect([...picks].sort()).to.deep.equal(['a', 'b', 'c']);
+      expect(Math.min(...ints)).to.equal(3);
+      expect(Math.max(...ints)).to.equal(5);
+    });
+  });
+
+  describe('generateSeed', () => {
+    it('should generate 8 hex characters', () => {
+      expect(generateSeed()).to.match(/^[0-9a-f]{8}$/);
+    });
+  });
+});
@@ -57,6 +57,13 @@ describe('RedditPromoter', () => {
       expect(postTitle).to.include('Review');
     });
 
+    it('should pick the same prefix for the same seed', () => {
+      const videoTitle = 'Amazing Kitchen Gadget - Honest Review';
+      const seeded = seed => new RedditPromoter({ headless: true, seed }).generatePostTitle(videoTitle);
+
+      expect(seeded('9f3a61c2')).to.equal(seeded('9f3a61c2'));
+    });
+
     it('should handle long video titles', () => {
       const longTitle = 'This is a very long product title that goes on and on and should be truncated properly - Honest Review';
       const postTitle = redditPromoter.generatePostTitle(longTitle);
@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { summarizeReviews, hasReviewInsights, formatReviewInsights } from '../src/review-summarizer.js';
+
+describe('Review Summarizer', () => {
+  const reviews = [
+    { rating: 5, title: 'Fantastic', body: 'The battery life is amazing. Setup took two minutes.' },
+    { rating: 4, title: 'Solid headphones', body: 'Battery life lasts all week. The sound is crisp.' },
+    { rating: 5, title: 'Happy', body: 'Crisp sound and long battery life for the price.' },
+    { rating: 2, title: 'Uncomfortable', body: 'The ear cushions hurt after an hour. Bluetooth keeps dropping.' },
+    { rating: 1, title: 'Returned', body: 'Bluetooth connection drops constantly. Ear cushions are stiff.' },
+    { rating: 3, title: 'Okay', body: 'Sound is fine but the ear cushions get hot.' }
+  ];
+
+  const questions = [
+    { question: 'Does it work with iPhone?', answer: 'Yes, it pairs over Bluetooth.', votes: 4 },
+    { question: 'Is there a microphone?', answer: 'Yes.', votes: 12 },
+    { question: '', answer: 'Orphan answer', votes: 50 }
+  ];
+
+  it('should extract recurring pros and cons with customer quotes', () => {
+    const insights = summarizeReviews({ reviews, questions }, { productTitle: 'Wireless Headphones' });
+
+    expect(insights.reviewsAnalyzed).to.equal(6);
+    expect(insights.pros[0]).to.deep.equal({
+      topic: 'battery life',
+      mentions: 3,
+      quote: 'The battery life is amazing.'
+    });
+    expect(insights.pros.map(pro => pro.topic)).to.include('crisp');
+    expect(insights.cons[0]).to.include({ topic: 'ear cushions', mentions: 3 });
+    expect(insights.cons.map(con => con.topic)).to.include('bluetooth');
+  });
+
+  it('should not report single words already covered by a phrase', () => {
+    const insights = summarizeReviews({ reviews });
+    const topics = insights.pros.map(pro => pro.topic);
+
+    expect(topics).to.include('battery life');
+    expect(topics).to.not.include('battery');
+    expect(topics).to.not.include('life');
+  });
+
+  it('should ignore words of the product title', () => {
+    const insights = summarizeReviews({ reviews }, { productTitle: 'Bluetooth Ear Cushions' });
+    expect(insights.cons.map(con => con.topic)).to.not.include('bluetooth');
+  });
+
+  it('should order questions by votes and skip empty ones', () => {
+    const insights = summarizeReviews({ questions });
+
+    expect(insights.questions).to.deep.equal([
+      { question: 'Is there a microphone?', answer: 'Yes.' },
+      { question: 'Does it work with iPhone?', answer: 'Yes, it pairs over Bluetooth.' }
+    ]);
+  });
+
+  it('should respect maxItems', () => {
+    const insights = summarizeReviews({ reviews, questions }, { maxItems: 1 });
+
+    expect(insights.pros).to.have.lengthOf(1);
+    expect(insights.cons).to.have.lengthOf(1);
+    expect(insights.questions).to.have.lengthOf(1);
+  });
+
+  it('should return empty lists without feedback', () => {
+    const insights = summarizeReviews();
+
+    expect(insights).to.deep.equal({ pros: [], cons: [], questions: [], reviewsAnalyzed: 0 });
+    expect(hasReviewInsights(insights)).to.be.false;
+    expect(formatReviewInsights(insights)).to.equal('');
+  });
+
+  it('should format insights as a prompt section', () => {
+    const text = formatReviewInsights(summarizeReviews({ reviews, questions }, { productTitle: 'Wireless Headphones' }));
+
+    expect(text).to.include('REAL CUSTOMER FEEDBACK (from 6 reviews):');
+    expect(text).to.include('- battery life (3 reviews): "The battery life is amazing."');
+    expect(text).to.include('Recurring cons:\n- ear cushions (3 reviews)');
+    expect(text).to.include('- Q: Is there a microphone? A: Yes.');
+  });
+});
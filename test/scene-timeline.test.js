@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  assignSceneImages,
+  buildSceneTimeline,
+  getSceneDurations,
+  createCalloutFilter
+} from '../src/scene-timeline.js';
+import { parseScriptScenes, generateAIReviewScenes } from '../src/openai-script-generator.js';
+
+const SCENES = [
+  { narration: 'one two three four', feature: 'The Hook', image: 0, imageType: 'hero', callout: 'Meet the blender' },
+  { narration: 'five six', feature: 'Motor', image: null, imageType: 'detail', callout: '1200 watts' },
+  { narration: 'seven eight nine ten eleven twelve', feature: 'Verdict', image: null, imageType: 'hero', callout: '' }
+];
+const WORDS = 'one two three four five six seven eight nine ten eleven twelve'.split(' ').map((word, index) => ({
+  word,
+  start: index * 2 + 0.5,
+  end: index * 2 + 2
+}));
+
+describe('Scene Timeline', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    sinon.restore();
+  });
+
+  describe('parseScriptScenes', () => {
+    it('should read the scenes out of a fenced JSON response', () => {
+      const response = '```json\n{"scenes": [{"narration": " Meet it. ", "feature": "Hook:", "image": 2, "imageType": "hero", "callout": "New!"}, {"narration": "", "feature": "Empty"}, {"narration": "It blends.", "image": 0, "imageType": "closeup"}]}\n```';
+
+      expect(parseScriptScenes(response)).to.deep.equal([
+        { narration: 'Meet it.', feature: 'Hook', image: 1, imageType: 'hero', callout: 'New!' },
+        { narration: 'It blends.', feature: 'Overview', image: null, imageType: null, callout: '' }
+      ]);
+    });
+
+    it('should reject responses without scenes', () => {
+      expect(() => parseScriptScenes('Sure! Here is your script.')).to.throw('Scene script is not JSON');
+      expect(() => parseScriptScenes('{"scenes": [}')).to.throw('Scene script is not valid JSON');
+      expect(() => parseScriptScenes('{"scenes": []}')).to.throw('Scene script has no scenes with narration');
+    });
+  });
+
+  describe('generateAIReviewScenes', () => {
+    it('should return the narration, chapters and scenes', async () => {
+      globalThis.fetch = async () => ({
+        ok: true,
+        json: async () => ({
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              scenes: [
+                { narration: 'Meet the blender. It is great.', feature: 'The Hook', image: 1, imageType: 'hero', callout: 'Meet it' },
+                { narration: 'The motor is strong.', feature: 'Motor', image: 3, imageType: 'detail', callout: '' },
+                { narration: 'So is the jar.', feature: 'Motor', image: null, imageType: 'detail', callout: '' }
+              ]
+            })
+          }]
+        })
+      });
+
+      const { script, sections, scenes } = await generateAIReviewScenes({ title: 'Blender' }, { provider: 'anthropic', imageCount: 3 });
+
+      expect(script).to.equal('Meet the blender. ... It is great. ... The motor is strong. ... So is the jar.');
+      expect(sections).to.deep.equal([
+        { title: 'The Hook', text: 'Meet the blender. ... It is great.' },
+        { title: 'Motor', text: 'The motor is strong. ... So is the jar.' }
+      ]);
+      expect(scenes.map(scene => scene.image)).to.deep.equal([0, 2, null]);
+    });
+  });
+
+  describe('assignSceneImages', () => {
+    it('should keep chosen photos and fill in the rest by image type', () => {
+      const scenes = [
+        { image: 1, imageType: 'hero' },
+        { image: null, imageType: 'hero' },
+        { image: 7, imageType: 'detail' },
+        { image: null, imageType: 'lifestyle' },
+        { image: null, imageType: null },
+        { image: null, imageType: 'detail' }
+      ];
+
+      expect(assignSceneImages(scenes, 4)).to.deep.equal([1, 0, 2, 3, 1, 2]);
+      expect(assignSceneImages(scenes, 1)).to.deep.equal([0, 0, 0, 0, 0, 0]);
+    });
+  });
+
+  describe('buildSceneTimeline', () => {
+    it('should show each photo from the moment its scene is spoken', () => {
+      const timeline = buildSceneTimeline(SCENES, WORDS, 3);
+
+      expect(timeline).to.deep.equal([
+        { image: 0, start: 0, callout: 'Meet the blender' },
+        { image: 1, start: 8.5, callout: '1200 watts' },
+        { image: 0, start: 12.5, callout: '' }
+      ]);
+      expect(getSceneDurations(timeline, 25)).to.deep.equal([8.5, 4, 12.5]);
+    });
+
+    it('should build no timeline without word timings', () => {
+      expect(buildSceneTimeline(SCENES, [], 3)).to.deep.equal([]);
+    });
+  });
+
+  describe('createCalloutFilter', () => {
+    it('should draw the callout text safely', () => {
+      expect(createCalloutFilter('It\'s 50% off: today', '1920x1080')).to.equal(
+        'drawtext=text=\'It’s 50% off\\: today\':expansion=none:fontsize=54:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=22:x=(w-text_w)/2:y=h*0.08'
+      );
+      expect(createCalloutFilter('  ', '1920x1080')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  PIPELINE_STEPS,
+  STEP_DEPENDENCIES,
+  getDependentSteps,
+  getManifestPath,
+  createSessionManifest,
+  loadSessionManifest,
+  saveSessionManifest,
+  isStepReusable,
+  runManifestStep
+} from '../src/utils/session-manifest.js';
+
+describe('Session Manifest', () => {
+  let tempDir;
+  let manifest;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'));
+    manifest = createSessionManifest({
+      sessionId: 'abc123-deadbeef',
+      tempDir,
+      productInput: 'B0CPZKLJX1',
+      options: { videoQuality: 'high' },
+      prompts: { version: '1-abcdef12', persona: 'default' }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('invalidation rules', () => {
+    it('should only reference earlier steps as dependencies', () => {
+      PIPELINE_STEPS.forEach((step, index) => {
+        STEP_DEPENDENCIES[step].forEach(dependency => {
+          expect(PIPELINE_STEPS.indexOf(dependency)).to.be.below(index);
+        });
+      });
+    });
+
+    it('should list transitive dependents of the script step', () => {
+      expect(getDependentSteps('script')).to.deep.equal(['voiceover', 'video', 'description', 'upload']);
+    });
+
+    it('should rerun everything downstream when scraping changes', () => {
+      const dependents = getDependentSteps('scrape');
+      expect(dependents).to.include.members(['images', 'script', 'voiceover', 'video', 'upload']);
+      expect(dependents).to.not.include('scrape');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should store the manifest in the session temp dir', async () => {
+      const manifestPath = await saveSessionManifest(manifest);
+      expect(manifestPath).to.equal(getManifestPath(tempDir, 'abc123-deadbeef'));
+      expect(manifestPath).to.include('session-abc123-deadbeef');
+    });
+
+    it('should load a saved manifest', async () => {
+      await saveSessionManifest(manifest);
+      const loaded = await loadSessionManifest(tempDir, 'abc123-deadbeef');
+      expect(loaded.productInput).to.equal('B0CPZKLJX1');
+      expect(loaded.options).to.deep.equal({ videoQuality: 'high' });
+      expect(loaded.prompts).to.deep.equal({ version: '1-abcdef12', persona: 'default' });
+    });
+
+    it('should throw a helpful error for unknown sessions', async () => {
+      try {
+        await loadSessionManifest(tempDir, 'missing-00000000');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('No session manifest found for session missing-00000000');
+      }
+    });
+  });
+
+  describe('runManifestStep', () => {
+    it('should reuse completed steps on resume', async () => {
+      let calls = 0;
+      const run = async () => {
+        calls++;
+        return { title: 'Product' };
+      };
+
+      await runManifestStep(manifest, 'scrape', run);
+      const resumed = await loadSessionManifest(tempDir, 'abc123-deadbeef');
+      const output = await runManifestStep(resumed, 'scrape', run);
+
+      expect(calls).to.equal(1);
+      expect(output).to.deep.equal({ title: 'Product' });
+    });
+
+    it('should rerun a step when its artifact is missing', async () => {
+      const artifact = path.join(tempDir, 'voiceover.mp3');
+      await fs.writeFile(artifact, 'audio');
+
+      await runManifestStep(manifest, 'script', async () => 'script');
+      await runManifestStep(manifest, 'voiceover', async () => artifact, filePath => [filePath]);
+      expect(await isStepReusable(manifest, 'voiceover')).to.be.true;
+
+      await fs.unlink(artifact);
+      expect(await isStepReusable(manifest, 'voiceover')).to.be.false;
+    });
+
+    it('should invalidate dependents when an earlier artifact changes', async () => {
+      const artifact = path.join(tempDir, 'voiceover.mp3');
+
+      await runManifestStep(manifest, 'script', async () => 'first script');
+      await fs.writeFile(artifact, 'first audio');
+      await runManifestStep(manifest, 'voiceover', async () => artifact, filePath => [filePath]);
+      expect(await isStepReusable(manifest, 'voiceover')).to.be.true;
+
+      // Regenerate the script with different output
+      manifest.steps.script.status = 'failed';
+      await runManifestStep(manifest, 'script', async () => 'second script');
+
+      expect(await isStepReusable(manifest, 'voiceover')).to.be.false;
+    });
+
+    it('should rerun later steps when an artifact is edited', async () => {
+      const artifact = path.join(tempDir, 'script.txt');
+      await fs.writeFile(artifact, 'first script');
+      const calls = { script: 0, voiceover: 0 };
+      const steps = {
+        script: async () => {
+          calls.script++;
+          return artifact;
+        },
+        voiceover: async () => {
+          calls.voiceover++;
+          return 'voice';
+        }
+      };
+
+      await runManifestStep(manifest, 'script', steps.script, filePath => [filePath]);
+      await runManifestStep(manifest, 'voiceover', steps.voiceover);
+
+      await fs.writeFile(artifact, 'edited script');
+      const resumed = await loadSessionManifest(tempDir, 'abc123-deadbeef');
+      await runManifestStep(resumed, 'script', steps.script, filePath => [filePath]);
+      await runManifestStep(resumed, 'voiceover', steps.voiceover);
+
+      expect(calls).to.deep.equal({ script: 1, voiceover: 2 });
+      expect(await fs.readFile(artifact, 'utf-8')).to.equal('edited script');
+    });
+
+    it('should keep dependents when a rerun produces identical output', async () => {
+      const imagePath = path.join(tempDir, 'image-1.jpg');
+      await fs.writeFile(imagePath, 'same bytes');
+
+      await runManifestStep(manifest, 'scrape', async () => ({ title: 'Product' }));
+      await runManifestStep(manifest, 'images', async () => [imagePath], paths => paths);
+      await runManifestStep(manifest, 'title', async () => ({ videoTitle: 'T' }));
+      await runManifestStep(manifest, 'script', async () => 'script');
+      await runManifestStep(manifest, 'voiceover', async () => 'voice');
+      await runManifestStep(manifest, 'video', async () => 'video');
+
+      // Re-download produces the same bytes
+      manifest.steps.images.status = 'failed';
+      await runManifestStep(manifest, 'images', async () => [imagePath], paths => paths);
+
+      expect(await isStepReusable(manifest, 'video')).to.be.true;
+    });
+
+    it('should record failures and rethrow', async () => {
+      try {
+        await runManifestStep(manifest, 'upload', async () => {
+          throw new Error('quota exceeded');
+        });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('quota exceeded');
+      }
+
+      expect(manifest.steps.upload.status).to.equal('failed');
+      expect(manifest.steps.upload.error).to.equal('quota exceeded');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  alignmentToWords,
+  estimateWordTimings,
+  groupWordsIntoSentences,
+  buildVoiceoverTimings,
+  saveVoiceoverTimings,
+  alignSlidesToSentences
+} from '../src/speech-alignment.js';
+
+/**
+ * Builds character timings where every character takes 0.1s
+ * @param {string} text - Spoken text
+ * @returns {Object} { characters, starts, ends }
+ */
+const timeCharacters = (text) => {
+  const characters = [...text];
+  return {
+    characters,
+    starts: characters.map((_, index) => index / 10),
+    ends: characters.map((_, index) => (index + 1) / 10)
+  };
+};
+
+describe('Speech Alignment', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('alignmentToWords', () => {
+    it('should turn character timings into words, skipping pause markers', () => {
+      const words = alignmentToWords(timeCharacters('It is *amazing*. ... Buy'), 10);
+
+      expect(words).to.deep.equal([
+        { word: 'It', start: 10, end: 10.2 },
+        { word: 'is', start: 10.3, end: 10.5 },
+        { word: 'amazing.', start: 10.6, end: 11.6 },
+        { word: 'Buy', start: 12.1, end: 12.4 }
+      ]);
+    });
+
+    it('should return no words without an alignment', () => {
+      expect(alignmentToWords(null)).to.deep.equal([]);
+    });
+  });
+
+  describe('estimateWordTimings', () => {
+    it('should spread words over the duration in order', () => {
+      const words = estimateWordTimings('First sentence here. ... Second one, with a pause.', 6);
+
+      expect(words.map(word => word.word)).to.deep.equal(['First', 'sentence', 'here.', 'Second', 'one,', 'with', 'a', 'pause.']);
+      expect(words[0].start).to.equal(0);
+      expect(words[words.length - 1].end).to.be.at.most(6);
+      words.slice(1).forEach((word, index) => {
+        expect(word.start).to.be.at.least(words[index].end);
+      });
+    });
+
+    it('should snap sentence boundaries to detected pauses', () => {
+      const words = estimateWordTimings('Short one. A second sentence that is much longer than the first.', 10, {
+        offset: 5,
+        silences: [{ start: 1.5, end: 2 }]
+      });
+
+      const firstSentenceEnd = words.find(word => word.word === 'one.').end;
+      const secondSentenceStart = words.find(word => word.word === 'A').start;
+      expect(firstSentenceEnd).to.equal(6.5);
+      expect(secondSentenceStart).to.equal(7);
+    });
+
+    it('should return no words for empty text or no duration', () => {
+      expect(estimateWordTimings('', 5)).to.deep.equal([]);
+      expect(estimateWordTimings('Hello.', 0)).to.deep.equal([]);
+    });
+  });
+
+  describe('groupWordsIntoSentences', () => {
+    it('should group words at sentence punctuation', () => {
+      const sentences = groupWordsIntoSentences([
+        { word: 'Great', start: 0, end: 0.4 },
+        { word: 'sound!', start: 0.5, end: 1 },
+        { word: 'Worth', start: 1.5, end: 1.8 },
+        { word: 'it', start: 1.9, end: 2 }
+      ]);
+
+      expect(sentences).to.deep.equal([
+        { text: 'Great sound!', start: 0, end: 1 },
+        { text: 'Worth it', start: 1.5, end: 2 }
+      ]);
+    });
+  });
+
+  describe('buildVoiceoverTimings', () => {
+    it('should use provider timings without analyzing the audio', async () => {
+      const timings = await buildVoiceoverTimings('/nonexistent/voiceover.mp3', [
+        { text: 'Hello there.', start: 0, end: 1.2, alignment: timeCharacters('Hello there.') },
+        { text: 'Bye now.', start: 1.15, end: 2, alignment: timeCharacters('Bye now.') }
+      ]);
+
+      expect(timings.source).to.equal('provider');
+      expect(timings.words.map(word => word.word)).to.deep.equal(['Hello', 'there.', 'Bye', 'now.']);
+      expect(timings.words[2].start).to.equal(1.15);
+      expect(timings.sentences).to.have.lengthOf(2);
+    });
+
+    it('should estimate timings when the provider has none', async () => {
+      const timings = await buildVoiceoverTimings('/nonexistent/voiceover.mp3', [
+        { text: 'Estimated speech here.', start: 0, end: 3, alignment: null }
+      ]);
+
+      expect(timings.source).to.equal('estimated');
+      expect(timings.words).to.have.lengthOf(3);
+      expect(timings.sentences[0]).to.include({ text: 'Estimated speech here.', start: 0 });
+    });
+  });
+
+  describe('saveVoiceoverTimings', () => {
+    it('should save the timings next to the audio', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'timings-'));
+
+      try {
+        const timingsPath = await saveVoiceoverTimings(path.join(dir, 'voiceover-abc.mp3'), { source: 'provider', words: [] });
+
+        expect(timingsPath).to.equal(path.join(dir, 'voiceover-abc.timings.json'));
+        expect(JSON.parse(await fs.readFile(timingsPath, 'utf8'))).to.deep.equal({
+          audio: 'voiceover-abc.mp3',
+          source: 'provider',
+          words: []
+        });
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('alignSlidesToSentences', () => {
+    it('should change slides at the sentence ends nearest the even split', () => {
+      const sentences = [
+        { start: 0, end: 2.6 },
+        { start: 2.8, end: 5.4 },
+        { start: 5.6, end: 9 }
+      ];
+
+      expect(alignSlidesToSentences(9, 3, sentences)).to.deep.equal([2.6, 2.8, 3.6]);
+    });
+
+    it('should split evenly without usable sentence ends', () => {
+      expect(alignSlidesToSentences(9, 3, [])).to.deep.equal([3, 3, 3]);
+      expect(alignSlidesToSentences(9, 3, [{ start: 0, end: 0.5 }])).to.deep.equal([3, 3, 3]);
+    });
+
+    it('should keep every slide on screen for the minimum duration', () => {
+      const durations = alignSlidesToSentences(6, 3, [{ start: 0, end: 1.6 }, { start: 1.7, end: 2.2 }]);
+
+      durations.forEach(duration => expect(duration).to.be.at.least(1.5));
+      expect(durations.reduce((total, duration) => total + duration, 0)).to.be.closeTo(6, 0.001);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  BUNDLED_THEMES,
+  DEFAULT_THEME_DIR,
+  compileTheme,
+  createDrawtextFilter,
+  createFramingFilter,
+  fillLowerThird,
+  getQRBadgeConfig,
+  getThemeOutroLayout,
+  loadTheme
+} from '../src/themes.js';
+import { createIntroOutroFilter } from '../src/video-creator.js';
+
+describe('Themes', () => {
+  let originalEnv;
+  let tempDir;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    delete process.env.THEME_DIR;
+    delete process.env.THEME;
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themes-test-'));
+    await fs.copyFile(path.join(DEFAULT_THEME_DIR, 'default.json'), path.join(tempDir, 'default.json'));
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadTheme', () => {
+    it('should load the default theme', async () => {
+      const theme = await loadTheme();
+
+      expect(theme.id).to.equal('default');
+      expect(theme.framing.mode).to.equal('pad');
+      expect(theme.transitions).to.equal('clean');
+      expect(theme.motion).to.equal('subtle');
+      expect(theme.lowerThird.enabled).to.equal(false);
+    });
+
+    it('should load every bundled theme', async () => {
+      const files = (await fs.readdir(DEFAULT_THEME_DIR)).map(file => path.basename(file, '.json'));
+      expect(files).to.have.members(BUNDLED_THEMES);
+
+      for (const name of BUNDLED_THEMES) {
+        expect((await loadTheme(name)).id).to.equal(name);
+      }
+    });
+
+    it('should merge a named theme over the default theme section by section', async () => {
+      await fs.writeFile(path.join(tempDir, 'neon.json'), JSON.stringify({
+        name: 'Neon',
+        framing: { mode: 'blur-fill' },
+        text: { lowerThird: { color: 'accent' } },
+        lowerThird: { enabled: true, text: '{title} · {rating}' }
+      }));
+
+      const theme = await loadTheme('neon', { dir: tempDir });
+
+      expect(theme.id).to.equal('neon');
+      expect(theme.framing).to.include({ mode: 'blur-fill', blur: 24, dim: 0.2 });
+      expect(theme.text.lowerThird).to.include({ color: 'accent', box: 'background', align: 'left' });
+      expect(theme.text.callout.color).to.equal('text');
+      expect(theme.lowerThird).to.include({ enabled: true, maxLength: 48, start: 1 });
+    });
+
+    it('should take the theme from THEME_DIR and THEME, or a JSON file path', async () => {
+      await fs.writeFile(path.join(tempDir, 'plain.json'), JSON.stringify({ name: 'Plain', motion: 'none' }));
+      process.env.THEME_DIR = tempDir;
+      process.env.THEME = 'plain';
+
+      expect((await loadTheme()).motion).to.equal('none');
+      expect((await loadTheme(path.join(tempDir, 'plain.json'))).name).to.equal('Plain');
+    });
+
+    it('should reject invalid framing, colors and lower third fields', async () => {
+      const invalid = [
+        [{ framing: { mode: 'stretch' } }, 'Invalid theme custom: unknown framing mode stretch'],
+        [{ text: { callout: { color: 'pink' } } }, 'text.callout color and box'],
+        [{ lowerThird: { text: '{title} for {price}' } }, 'unknown lower third field(s) price'],
+        [{ transitions: 'wild' }, 'Invalid theme custom'],
+        [{ qrBadge: { position: 'center' } }, 'unknown qrBadge position center']
+      ];
+
+      for (const [overrides, message] of invalid) {
+        try {
+          await loadTheme(overrides, { dir: tempDir });
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.include(message);
+        }
+      }
+    });
+
+    it('should report a missing theme', async () => {
+      try {
+        await loadTheme('missing', { dir: tempDir });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to load theme missing');
+      }
+    });
+  });
+
+  describe('createFramingFilter', () => {
+    const options = { resolution: '1920x1080', background: '0x112233', label: 'v0' };
+
+    it('should pad, crop or blur-fill a photo', () => {
+      expect(createFramingFilter({ mode: 'pad' }, options)).to.equal(
+        'scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=0x112233'
+      );
+      expect(createFramingFilter({ mode: 'crop' }, options)).to.equal(
+        'scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080'
+      );
+      expect(createFramingFilter({ mode: 'blur-fill', blur: 30, dim: 0.3 }, options)).to.equal(
+        'split=2[v0_bg][v0_fg];' +
+        '[v0_bg]scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,boxblur=30:2,eq=brightness=-0.3[v0_blur];' +
+        '[v0_fg]scale=1920:1080:force_original_aspect_ratio=decrease[v0_photo];' +
+        '[v0_blur][v0_photo]overlay=(W-w)/2:(H-h)/2'
+      );
+    });
+
+    it('should pad smart framed photos, as their background is laid on before rendering', () => {
+      expect(createFramingFilter({ mode: 'smart' }, options)).to.include('pad=1920:1080');
+    });
+  });
+
+  describe('createDrawtextFilter', () => {
+    const style = { font: null, color: '0xFFFFFF', size: 0.05, box: '0x000000', boxOpacity: 0.6, align: 'left', y: 0.8 };
+
+    it('should escape the text and time it', () => {
+      const filter = createDrawtextFilter('It\'s 4:30', style, { resolution: '1920x1080', start: 1, end: 7 });
+
+      expect(filter).to.equal(
+        'drawtext=text=\'It’s 4\\:30\':expansion=none:fontsize=54:fontcolor=0xFFFFFF:box=1:' +
+        'boxcolor=0x000000@0.6:boxborderw=22:x=96:y=h*0.8:enable=\'between(t,1,7)\''
+      );
+    });
+
+    it('should shrink text too wide for the frame', () => {
+      const filter = createDrawtextFilter('x'.repeat(100), { ...style, font: 'Roboto' }, { resolution: '1080x1920' });
+
+      expect(filter).to.include(':font=\'Roboto\':fontsize=17:');
+      expect(filter).to.not.include('enable=');
+      expect(createDrawtextFilter('  ', style, { resolution: '1080x1920' })).to.equal(null);
+    });
+  });
+
+  describe('fillLowerThird', () => {
+    it('should fill the product fields and shorten the title at a word boundary', () => {
+      const lowerThird = { text: '{title} ({rating})', maxLength: 20 };
+
+      expect(fillLowerThird(lowerThird, { title: 'Wireless Noise Cancelling Headphones', rating: 4.6 }))
+        .to.equal('Wireless Noise… (4.6)');
+      expect(fillLowerThird(lowerThird, { title: 'Desk Lamp' })).to.equal(null);
+    });
+  });
+
+  describe('getQRBadgeConfig', () => {
+    it('should size and place the badge from the shorter side', () => {
+      const qrBadge = { enabled: true, position: 'bottom-left', size: 0.074, margin: 0.0185, opacity: 0.8 };
+
+      expect(getQRBadgeConfig(qrBadge, '1920x1080')).to.deep.equal({ size: 80, x: 20, y: 'H-h-20', opacity: 0.8 });
+      expect(getQRBadgeConfig({ ...qrBadge, position: 'top-right' }, '1080x1920'))
+        .to.include({ x: 'W-w-20', y: 20 });
+      expect(getQRBadgeConfig({ ...qrBadge, enabled: false }, '1920x1080')).to.equal(null);
+    });
+  });
+
+  describe('getThemeOutroLayout', () => {
+    it('should override only the outro settings the theme sets', async () => {
+      const theme = await loadTheme('bold');
+      const layout = getThemeOutroLayout(theme, { layout: 'qr', headline: 'Link below', qrSize: 0.5 });
+
+      expect(layout).to.deep.equal({ layout: 'split', headline: 'Link below', qrSize: 0.5 });
+    });
+  });
+
+  describe('compileTheme', () => {
+    it('should resolve palette colors and draw the lower third', async () => {
+      const theme = await loadTheme('cinematic');
+      const look = compileTheme(theme, {
+        resolution: '1920x1080',
+        palette: { text: '#FFEE00', outline: '#000000', accent: '#00AAFF', background: '#101010' },
+        product: { title: 'Desk Lamp' }
+      });
+
+      expect(look.backgroundColor).to.equal('0x101010');
+      expect(look.calloutStyle.color).to.equal('0xFFEE00');
+      expect(look.frameFilter('v1')).to.include('split=2[v1_bg][v1_fg]');
+      expect(look.lowerThirdFilter).to.include('drawtext=text=\'Desk Lamp\'');
+      expect(look.musicMood).to.equal('calm');
+    });
+
+    it('should leave out a lower third the product can\'t fill', async () => {
+      const theme = await loadTheme('bold');
+
+      expect(compileTheme(theme, { resolution: '1920x1080', product: { title: 'Desk Lamp' } }).lowerThirdFilter)
+        .to.equal(null);
+    });
+  });
+
+  describe('createIntroOutroFilter', () => {
+    it('should frame the photos and draw the lower third over the main content', () => {
+      const filter = createIntroOutroFilter({
+        introConfig: { enabled: true, duration: 5, volume: 0.4 },
+        outroConfig: { enabled: true, duration: 10, volume: 0.4 },
+        mainContentConfig: {
+          imageCount: 1,
+          fps: 25,
+          duration: 30,
+          backgroundVolume: 0.15,
+          transitionConfig: { filterComplex: '' },
+          overlayFilter: 'drawtext=text=\'Desk Lamp\''
+        },
+        backgroundMusicPath: './media/background.wav',
+        totalDuration: 45,
+        resolution: '1920x1080',
+        mainVoiceoverIndex: 2,
+        backgroundColor: '0x112233',
+        framing: { mode: 'blur-fill', blur: 24, dim: 0.2 }
+      });
+
+      expect(filter).to.include('split=2[v0_bg][v0_fg]');
+      expect(filter).to.include('drawtext=text=\'Desk Lamp\'');
+    });
+  });
+});
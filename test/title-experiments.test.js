@@ -0,0 +1,272 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  getShortProductName,
+  scoreTitle,
+  rankTitleVariants,
+  createTitleExperiment,
+  getScheduledVariant,
+  rotateTitleExperiment,
+  collectVariantStats,
+  pickWinner,
+  finishTitleExperiment,
+  saveTitleExperiment,
+  loadTitleExperiment,
+  listTitleExperiments
+} from '../src/title-experiments.js';
+import { parseTitleVariants, generateAIVideoTitleVariants } from '../src/openai-script-generator.js';
+import { sumStatsInWindow } from '../src/analytics-sources/stats.js';
+import { getAnalyticsSource, resolveAnalyticsSourceName } from '../src/analytics-sources/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-10-19T00:00:00Z');
+const at = hours => new Date(START.getTime() + hours * HOUR);
+
+const VARIANTS = [
+  { title: 'Ninja Blender Review - Worth It?', thumbnailPath: 'a.jpg', score: 90 },
+  { title: 'Is the Ninja Blender Worth $89?', thumbnailPath: 'b.jpg', score: 80 }
+];
+
+describe('Title Experiments', () => {
+  describe('scoreTitle', () => {
+    it('should score length, keywords and the visible product name', () => {
+      const result = scoreTitle('Ninja Professional Blender Review - Worth It?', {
+        productName: 'Ninja Professional Blender',
+        keywords: ['review', 'worth it']
+      });
+
+      expect(result.checks).to.deep.equal({ length: 1, keywords: 1, productName: 1 });
+      expect(result.score).to.equal(100);
+    });
+
+    it('should penalize a product name cut off by truncation and missing keywords', () => {
+      const title = 'You Will Not Believe What Happened When I Finally Tried This New Ninja Blender';
+      const result = scoreTitle(title, { productName: 'Ninja Blender', keywords: ['review'] });
+
+      expect(result.checks.productName).to.equal(0);
+      expect(result.checks.keywords).to.equal(0);
+      expect(result.score).to.be.below(30);
+    });
+
+    it('should score titles over the YouTube limit as too long', () => {
+      expect(scoreTitle('x'.repeat(101)).checks.length).to.equal(0);
+      expect(scoreTitle('x'.repeat(20)).checks.length).to.equal(0.5);
+    });
+  });
+
+  describe('rankTitleVariants', () => {
+    it('should drop duplicates and sort best first, keeping extra fields', () => {
+      const ranked = rankTitleVariants([
+        { title: 'Blender', thumbnailText: 'Wow' },
+        { title: 'Ninja Blender Review - Is It Worth the Money?', thumbnailText: 'Worth it?' },
+        { title: 'ninja blender review - is it worth the money?' }
+      ], { productName: getShortProductName('Ninja Blender, 1000W, Black') });
+
+      expect(ranked.map(variant => variant.thumbnailText)).to.deep.equal(['Worth it?', 'Wow']);
+      expect(ranked[0].score).to.be.above(ranked[1].score);
+    });
+  });
+
+  describe('rotation', () => {
+    it('should rotate variants on schedule and record when each was live', async () => {
+      const experiment = createTitleExperiment({ videoId: 'vid1', variants: VARIANTS, rotationHours: 24, now: START });
+      const updateMetadata = sinon.stub().resolves({});
+
+      expect((await rotateTitleExperiment(experiment, { updateMetadata, now: at(23) })).changed).to.equal(false);
+      expect(updateMetadata.called).to.equal(false);
+
+      const rotated = await rotateTitleExperiment(experiment, { updateMetadata, now: at(25) });
+      expect(rotated).to.deep.include({ changed: true });
+      expect(rotated.variant.id).to.equal('B');
+      expect(updateMetadata.calledOnceWithExactly('vid1', { title: VARIANTS[1].title, thumbnailPath: 'b.jpg' })).to.equal(true);
+
+      expect(getScheduledVariant(experiment, at(49)).id).to.equal('A');
+      await rotateTitleExperiment(experiment, { updateMetadata, now: at(49) });
+
+      expect(experiment.history).to.deep.equal([
+        { variant: 'A', start: START.toISOString(), end: at(25).toISOString() },
+        { variant: 'B', start: at(25).toISOString(), end: at(49).toISOString() },
+        { variant: 'A', start: at(49).toISOString(), end: null }
+      ]);
+    });
+
+    it('should need at least two variants', () => {
+      expect(() => createTitleExperiment({ videoId: 'vid1', variants: VARIANTS.slice(0, 1) }))
+        .to.throw('A title experiment needs at least two variants');
+    });
+  });
+
+  describe('winner selection', () => {
+    // A source reporting hourly rows with the given clicks per hour on each day
+    const createSource = (firstDayClicks, secondDayClicks) => {
+      const rows = Array.from({ length: 48 }, (_, hour) => ({
+        start: at(hour).toISOString(),
+        end: at(hour + 1).toISOString(),
+        impressions: 100,
+        clicks: hour < 24 ? firstDayClicks : secondDayClicks,
+        views: hour < 24 ? firstDayClicks : secondDayClicks
+      }));
+      return { name: 'test', fetchVideoStats: async (videoId, { start, end }) => sumStatsInWindow(rows, start, end) };
+    };
+    const source = createSource(2, 4);
+
+    const runningExperiment = () => ({
+      ...createTitleExperiment({ videoId: 'vid1', variants: VARIANTS, now: START }),
+      history: [
+        { variant: 'A', start: START.toISOString(), end: at(24).toISOString() },
+        { variant: 'B', start: at(24).toISOString(), end: null }
+      ]
+    });
+
+    it('should sum each variant\'s stats over its live windows', async () => {
+      const stats = await collectVariantStats(runningExperiment(), source, { now: at(48) });
+
+      expect(stats.map(entry => [entry.variant, entry.hours, entry.impressions, entry.clicks])).to.deep.equal([
+        ['A', 24, 2400, 48],
+        ['B', 24, 2400, 96]
+      ]);
+      expect(stats[1].ctr).to.equal(0.04);
+    });
+
+    it('should pick by CTR when impressions are reported and by views per hour otherwise', () => {
+      const stats = [
+        { variant: 'A', hours: 24, ctr: 0.05, viewsPerHour: 3 },
+        { variant: 'B', hours: 24, ctr: 0.04, viewsPerHour: 5 }
+      ];
+
+      expect(pickWinner(stats)).to.deep.equal({ variant: 'A', metric: 'ctr', value: 0.05 });
+      expect(pickWinner(stats.map(entry => ({ ...entry, ctr: null })))).to.deep.equal({ variant: 'B', metric: 'viewsPerHour', value: 5 });
+      expect(pickWinner([{ variant: 'A', hours: 0 }])).to.equal(null);
+    });
+
+    it('should keep the winner live and end the experiment', async () => {
+      const experiment = runningExperiment();
+      const updateMetadata = sinon.stub().resolves({});
+
+      // Variant A, live on the first day, did better than the live variant B
+      const { winner } = await finishTitleExperiment(experiment, createSource(4, 2), { updateMetadata, now: at(48) });
+
+      expect(winner.variant).to.equal('A');
+      expect(updateMetadata.calledOnceWith('vid1', sinon.match({ title: VARIANTS[0].title, thumbnailPath: 'a.jpg' }))).to.equal(true);
+      expect(experiment.status).to.equal('finished');
+      expect(experiment.history[experiment.history.length - 1]).to.deep.equal({ variant: 'A', start: at(48).toISOString(), end: at(48).toISOString() });
+    });
+  });
+
+  describe('storage', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'experiments-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should save, load and list experiments', async () => {
+      const experiment = createTitleExperiment({ videoId: 'vid1', variants: VARIANTS, now: START });
+      await saveTitleExperiment(experiment, dir);
+
+      expect(await loadTitleExperiment('vid1', dir)).to.deep.equal(experiment);
+      expect(await loadTitleExperiment('missing', dir)).to.equal(null);
+      expect((await listTitleExperiments(dir)).map(entry => entry.videoId)).to.deep.equal(['vid1']);
+      expect(await listTitleExperiments(path.join(dir, 'missing'))).to.deep.equal([]);
+    });
+  });
+
+  describe('analytics sources', () => {
+    it('should split daily rows between the windows they overlap', () => {
+      const rows = [{ date: '2026-10-19', views: 24, impressions: 240 }];
+
+      expect(sumStatsInWindow(rows, at(6), at(12))).to.deep.equal({ views: 6, watchMinutes: null, impressions: 60, clicks: null });
+    });
+
+    it('should read stats from a JSON file', async () => {
+      const file = path.join(os.tmpdir(), `analytics-${process.pid}.json`);
+      await fs.writeFile(file, JSON.stringify({ vid1: [{ date: '2026-10-19', views: 10, clicks: 5, impressions: 100 }] }));
+
+      try {
+        const stats = await getAnalyticsSource('file').fetchVideoStats('vid1', { start: START, end: at(48), analyticsFile: file });
+        expect(stats).to.deep.equal({ views: 10, watchMinutes: null, impressions: 100, clicks: 5 });
+      } finally {
+        await fs.rm(file, { force: true });
+      }
+    });
+
+    it('should resolve the source from the option, then ANALYTICS_SOURCE', () => {
+      const original = process.env.ANALYTICS_SOURCE;
+      process.env.ANALYTICS_SOURCE = 'file';
+      try {
+        expect(resolveAnalyticsSourceName()).to.equal('file');
+        expect(resolveAnalyticsSourceName({ analyticsSource: 'YouTube' })).to.equal('youtube');
+      } finally {
+        if (original === undefined) {
+          delete process.env.ANALYTICS_SOURCE;
+        } else {
+          process.env.ANALYTICS_SOURCE = original;
+        }
+      }
+      expect(() => getAnalyticsSource('ga4')).to.throw('Unknown analytics source: ga4');
+    });
+  });
+
+  describe('title variant generation', () => {
+    let originalEnv;
+    let originalFetch;
+
+    beforeEach(() => {
+      originalEnv = { ...process.env };
+      originalFetch = globalThis.fetch;
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+      sinon.stub(console, 'log');
+      sinon.stub(console, 'error');
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      globalThis.fetch = originalFetch;
+      sinon.restore();
+    });
+
+    it('should parse JSON variants and ignore text around them', () => {
+      const variants = parseTitleVariants('Sure!\n```json\n{"variants": [{"title": "\\"Blender Review\\"", "thumbnail": "So fast!"}, {"title": ""}]}\n```');
+
+      expect(variants).to.deep.equal([{ title: 'Blender Review', thumbnailText: 'So fast!' }]);
+      expect(() => parseTitleVariants('No titles today')).to.throw('Title variants are not JSON');
+    });
+
+    it('should generate scored candidates with thumbnail text, best first', async () => {
+      const response = JSON.stringify({
+        variants: [
+          { title: 'This Changed My Mornings Forever', thumbnail: 'Game changer' },
+          { title: 'Ninja Blender Review - Worth It in 2026?', thumbnail: 'Worth it?' }
+        ]
+      });
+      let request;
+      globalThis.fetch = async (url, init) => {
+        request = JSON.parse(init.body);
+        return { ok: true, json: async () => ({ content: [{ type: 'text', text: response }] }) };
+      };
+
+      const variants = await generateAIVideoTitleVariants({ title: 'Ninja Blender, 1000W' }, { provider: 'anthropic', count: 2 });
+
+      expect(variants.map(variant => variant.thumbnailText)).to.deep.equal(['Worth it?', 'Game changer']);
+      expect(variants[0].score).to.be.above(variants[1].score);
+      expect(request.messages[0].content).to.include('Create 2 different YouTube video titles');
+      expect(request.messages[0].content).to.include('Put "Ninja Blender" within the first 60 characters');
+    });
+
+    it('should fall back to template titles when the LLM fails', async () => {
+      globalThis.fetch = async () => ({ ok: false, status: 400, text: async () => 'bad request', json: async () => ({}) });
+
+      const variants = await generateAIVideoTitleVariants({ title: 'Ninja Blender', price: '$89' }, { provider: 'anthropic', count: 3 });
+
+      expect(variants).to.have.length(3);
+      variants.forEach(variant => expect(variant.title).to.include('Ninja Blender'));
+    });
+  });
+});
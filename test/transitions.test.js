@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  resolveTransitions,
+  loadTransitions,
+  planTransitions,
+  layoutTransitions,
+  createTransitionFilter
+} from '../src/transitions.js';
+
+describe('Transitions', () => {
+  describe('resolveTransitions', () => {
+    it('should resolve set names and storyboards', () => {
+      expect(resolveTransitions()).to.deep.equal({ set: 'clean', effects: ['fade', 'smoothleft', 'fade', 'smoothright'], duration: 0.5, cuts: {} });
+      expect(resolveTransitions('Minimal')).to.deep.include({ set: 'minimal', duration: 0.4 });
+      expect(resolveTransitions({ set: 'energetic', duration: 0.3, cuts: [null, 'FadeBlack', 'cut'] }))
+        .to.deep.include({ set: 'energetic', duration: 0.3, cuts: { 2: 'fadeblack', 3: 'cut' } });
+    });
+
+    it('should reject unknown sets, effects and cuts', () => {
+      expect(() => resolveTransitions('random')).to.throw('Unknown transition set: random');
+      expect(() => resolveTransitions({ cuts: { 1: 'pixelize' } })).to.throw('Unknown transition effect "pixelize" for cut 1');
+      expect(() => resolveTransitions({ cuts: { 0: 'fade' } })).to.throw('Invalid transition cut: 0');
+      expect(() => resolveTransitions({ duration: 5 })).to.throw('Invalid transition duration: 5');
+    });
+  });
+
+  describe('loadTransitions', () => {
+    let storyboardPath;
+
+    beforeEach(async () => {
+      storyboardPath = path.join(os.tmpdir(), `storyboard-${process.pid}.json`);
+    });
+
+    afterEach(async () => {
+      await fs.rm(storyboardPath, { force: true });
+    });
+
+    it('should read a storyboard file', async () => {
+      await fs.writeFile(storyboardPath, JSON.stringify({ set: 'minimal', cuts: { 2: 'cut' } }));
+
+      expect(await loadTransitions(storyboardPath)).to.deep.include({ set: 'minimal', cuts: { 2: 'cut' } });
+      expect(await loadTransitions('none')).to.deep.include({ set: 'none', effects: [] });
+    });
+
+    it('should name the storyboard it can\'t read', async () => {
+      try {
+        await loadTransitions(storyboardPath);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include(`Failed to read transition storyboard ${storyboardPath}`);
+      }
+    });
+  });
+
+  describe('planTransitions', () => {
+    it('should cycle through the set in order, the same way every time', () => {
+      const plan = planTransitions(6, 'clean');
+
+      expect(plan.map(transition => transition.effect)).to.deep.equal(['fade', 'smoothleft', 'fade', 'smoothright', 'fade']);
+      expect(plan[0]).to.deep.equal({ cut: 1, effect: 'fade', duration: 0.5 });
+      expect(planTransitions(6, 'clean')).to.deep.equal(plan);
+    });
+
+    it('should apply storyboard cuts and hard cuts', () => {
+      const plan = planTransitions(4, { set: 'minimal', cuts: { 1: 'fadeblack', 3: 'cut' } });
+
+      expect(plan).to.deep.equal([
+        { cut: 1, effect: 'fadeblack', duration: 0.4 },
+        { cut: 2, effect: 'fade', duration: 0.4 },
+        { cut: 3, effect: 'cut', duration: 0 }
+      ]);
+      expect(planTransitions(3, 'none').map(transition => transition.effect)).to.deep.equal(['cut', 'cut']);
+    });
+
+    it('should warn about storyboard cuts the slideshow doesn\'t have', () => {
+      const warn = sinon.stub(console, 'warn');
+      try {
+        expect(planTransitions(2, { cuts: { 5: 'fade' } })).to.have.length(1);
+        expect(warn.firstCall.args[0]).to.include('cut(s) 5');
+      } finally {
+        sinon.restore();
+      }
+    });
+  });
+
+  describe('layoutTransitions', () => {
+    it('should center each transition on its cut and extend the photos around it', () => {
+      const plan = [{ cut: 1, effect: 'fade', duration: 0.5 }, { cut: 2, effect: 'cut', duration: 0 }];
+      const { inputDurations, transitions } = layoutTransitions([4, 3, 5], plan);
+
+      expect(transitions).to.deep.equal([
+        { cut: 1, effect: 'fade', duration: 0.5, offset: 3.75 },
+        { cut: 2, effect: 'cut', duration: 0, offset: 7 }
+      ]);
+      expect(inputDurations).to.deep.equal([4.25, 3.25, 5]);
+      // The overlaps cancel the extensions, so the slideshow keeps its length
+      expect(inputDurations.reduce((total, duration) => total + duration, 0) - 0.5).to.equal(12);
+    });
+
+    it('should shorten transitions next to short photos', () => {
+      const { transitions } = layoutTransitions([0.6, 4], [{ cut: 1, effect: 'fade', duration: 0.5 }]);
+
+      expect(transitions[0]).to.include({ duration: 0.3, offset: 0.45 });
+    });
+  });
+
+  describe('createTransitionFilter', () => {
+    it('should chain xfades and concatenate hard cuts into [outv]', () => {
+      const filter = createTransitionFilter([
+        { cut: 1, effect: 'smoothleft', duration: 0.5, offset: 3.75 },
+        { cut: 2, effect: 'cut', duration: 0, offset: 7 }
+      ]);
+
+      expect(filter).to.equal(
+        '[v0][v1]xfade=transition=smoothleft:duration=0.5:offset=3.75[t0];' +
+        '[t0][v2]concat=n=2:v=1:a=0[outv];'
+      );
+      expect(createTransitionFilter([])).to.equal('');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { translateTexts, translateText, translateReviewScript } from '../src/translator.js';
+
+describe('Translator', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    requests = [];
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    sinon.restore();
+  });
+
+  // Answers every request by tagging each text with the language
+  const translateWith = (prefix) => {
+    globalThis.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push(body);
+      const prompt = body.messages[0].content;
+      const texts = JSON.parse(prompt.slice(prompt.indexOf('['), prompt.lastIndexOf(']') + 1));
+      const text = JSON.stringify(texts.map(item => `${prefix} ${item}`));
+      return { ok: true, json: async () => ({ content: [{ type: 'text', text: `Here you go:\n${text}` }] }) };
+    };
+  };
+
+  const respondWith = (text) => {
+    globalThis.fetch = async () => ({ ok: true, json: async () => ({ content: [{ type: 'text', text }] }) });
+  };
+
+  describe('translateTexts', () => {
+    it('should translate every text in one request', async () => {
+      translateWith('ES');
+
+      const translated = await translateTexts(['Great blender', 'Buy it'], 'es', { provider: 'anthropic' });
+
+      expect(translated).to.deep.equal(['ES Great blender', 'ES Buy it']);
+      expect(requests).to.have.length(1);
+      expect(requests[0].messages[0].content).to.include('into Spanish');
+    });
+
+    it('should fail when the response has the wrong number of texts', async () => {
+      respondWith('["Solo uno"]');
+
+      try {
+        await translateTexts(['One', 'Two'], 'es', { provider: 'anthropic' });
+        expect.fail('Expected translation to fail');
+      } catch (error) {
+        expect(error.message).to.equal('Translation to Spanish failed: expected 2 translated text(s)');
+      }
+    });
+
+    it('should reject unknown languages without a request', async () => {
+      translateWith('XX');
+
+      try {
+        await translateText('Hello', 'xx', { provider: 'anthropic' });
+        expect.fail('Expected translation to fail');
+      } catch (error) {
+        expect(error.message).to.include('Unknown language: xx');
+      }
+      expect(requests).to.have.length(0);
+    });
+  });
+
+  describe('translateReviewScript', () => {
+    it('should translate section titles and texts and rebuild the script', async () => {
+      translateWith('DE');
+
+      const translated = await translateReviewScript({
+        script: 'Hi ... Loud',
+        sections: [{ title: 'Intro', text: 'Hi' }, { title: 'Noise', text: 'Loud' }]
+      }, 'de', { provider: 'anthropic' });
+
+      expect(translated.sections).to.deep.equal([{ title: 'DE Intro', text: 'DE Hi' }, { title: 'DE Noise', text: 'DE Loud' }]);
+      expect(translated.script).to.equal('DE Hi ... DE Loud');
+    });
+
+    it('should translate scenes and keep consecutive scenes of a feature in one section', async () => {
+      translateWith('FR');
+
+      const translated = await translateReviewScript({
+        script: 'A ... B ... C',
+        sections: [],
+        scenes: [
+          { narration: 'A', feature: 'Power', photo: 1, callout: '1000 W' },
+          { narration: 'B', feature: 'Power', photo: 2, callout: '' },
+          { narration: 'C', feature: 'Verdict', photo: 3, callout: 'Buy it' }
+        ]
+      }, 'fr', { provider: 'anthropic' });
+
+      expect(translated.scenes.map(scene => [scene.narration, scene.feature, scene.photo, scene.callout])).to.deep.equal([
+        ['FR A', 'FR Power', 1, 'FR 1000 W'],
+        ['FR B', 'FR Power', 2, ''],
+        ['FR C', 'FR Verdict', 3, 'FR Buy it']
+      ]);
+      expect(translated.sections).to.deep.equal([
+        { title: 'FR Power', text: 'FR A ... FR B' },
+        { title: 'FR Verdict', text: 'FR C' }
+      ]);
+      expect(translated.script).to.equal('FR A ... FR B ... FR C');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  getTTSProvider,
+  resolveTTSProviders,
+  synthesizeSpeech
+} from '../src/tts/index.js';
+import { resolveVoice } from '../src/tts/openai.js';
+import { getLocalEngine, synthesize as synthesizeLocally } from '../src/tts/local.js';
+
+describe('TTS Providers', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = globalThis.fetch;
+    for (const key of ['TTS_PROVIDER', 'TTS_FALLBACK', 'LOCAL_TTS_ENGINE', 'PIPER_MODEL', 'PIPER_BIN', 'OPENAI_TTS_MODEL']) {
+      delete process.env[key];
+    }
+    process.env.ELEVENLABS_API_KEY = 'test-elevenlabs-key';
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    globalThis.fetch = originalFetch;
+    sinon.restore();
+  });
+
+  const audioResponse = (bytes = 1024) => ({ ok: true, arrayBuffer: async () => new ArrayBuffer(bytes) });
+
+  describe('resolveTTSProviders', () => {
+    it('should default to ElevenLabs without fallbacks', () => {
+      expect(resolveTTSProviders().map(provider => provider.name)).to.deep.equal(['elevenlabs']);
+    });
+
+    it('should read the provider and fallbacks from the environment', () => {
+      process.env.TTS_PROVIDER = 'openai';
+      process.env.TTS_FALLBACK = 'elevenlabs, local,openai';
+
+      expect(resolveTTSProviders().map(provider => provider.name)).to.deep.equal(['openai', 'elevenlabs', 'local']);
+    });
+
+    it('should let options override the environment', () => {
+      process.env.TTS_PROVIDER = 'openai';
+      process.env.TTS_FALLBACK = 'local';
+
+      expect(resolveTTSProviders({ provider: 'local', fallbacks: [] }).map(provider => provider.name)).to.deep.equal(['local']);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => getTTSProvider('polly')).to.throw('Unknown TTS provider: polly');
+      expect(() => resolveTTSProviders({ fallbacks: 'openai,polly' })).to.throw('Unknown TTS provider: polly');
+    });
+  });
+
+  describe('synthesizeSpeech', () => {
+    it('should fall back to OpenAI when the ElevenLabs quota runs out', async () => {
+      const requests = [];
+      globalThis.fetch = async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        if (url.includes('elevenlabs')) {
+          return {
+            ok: false,
+            status: 401,
+            statusText: 'Unauthorized',
+            text: async () => '{"detail":{"status":"quota_exceeded"}}'
+          };
+        }
+        return audioResponse(2048);
+      };
+
+      const result = await synthesizeSpeech('Hello there.', {
+        fallbacks: ['openai'],
+        voice: 'pNInz6obpgDQGcFmaJgB',
+        gender: 'male'
+      });
+
+      expect(result.provider).to.equal('openai');
+      expect(result.audio).to.have.lengthOf(2048);
+      // Quota errors are not retried
+      expect(requests).to.have.lengthOf(2);
+      expect(requests[1].url).to.equal('https://api.openai.com/v1/audio/speech');
+      expect(requests[1].body).to.deep.equal({ model: 'tts-1', input: 'Hello there.', voice: 'onyx', response_format: 'mp3' });
+    });
+
+    it('should throw the primary provider error when every provider fails', async () => {
+      delete process.env.ELEVENLABS_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        await synthesizeSpeech('Hello there.', { fallbacks: 'openai' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('ELEVENLABS_API_KEY is required in environment variables');
+      }
+    });
+
+    it('should request character timestamps from ElevenLabs when asked', async () => {
+      let requestedUrl;
+      globalThis.fetch = async (url) => {
+        requestedUrl = url;
+        return {
+          ok: true,
+          json: async () => ({
+            audio_base64: Buffer.from('mp3-data').toString('base64'),
+            alignment: {
+              characters: ['H', 'i'],
+              character_start_times_seconds: [0, 0.1],
+              character_end_times_seconds: [0.1, 0.2]
+            }
+          })
+        };
+      };
+
+      const result = await synthesizeSpeech('Hi', { voice: 'voice-id', withTimestamps: true });
+
+      expect(requestedUrl).to.equal('https://api.elevenlabs.io/v1/text-to-speech/voice-id/with-timestamps');
+      expect(result.audio.toString()).to.equal('mp3-data');
+      expect(result.alignment).to.deep.equal({ characters: ['H', 'i'], starts: [0, 0.1], ends: [0.1, 0.2] });
+    });
+
+    it('should report no timestamps for providers without them', async () => {
+      globalThis.fetch = async () => audioResponse();
+
+      const result = await synthesizeSpeech('Hi', { provider: 'openai', withTimestamps: true });
+      expect(result.alignment).to.be.null;
+    });
+
+    it('should reject empty audio', async () => {
+      globalThis.fetch = async () => audioResponse(0);
+
+      try {
+        await synthesizeSpeech('Hello there.', { provider: 'openai' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('openai returned empty audio');
+      }
+    });
+
+    it('should keep text within the provider limit', async () => {
+      let input;
+      globalThis.fetch = async (url, init) => {
+        input = JSON.parse(init.body).input;
+        return audioResponse();
+      };
+
+      await synthesizeSpeech('This sentence is long enough. '.repeat(200), { provider: 'openai' });
+
+      expect(input.length).to.be.at.most(4096);
+      expect(input.endsWith('.')).to.be.true;
+    });
+  });
+
+  describe('openai voices', () => {
+    it('should map other providers\' voices by gender', () => {
+      expect(resolveVoice('21m00Tcm4TlvDq8ikWAM', 'female')).to.equal('nova');
+      expect(resolveVoice('21m00Tcm4TlvDq8ikWAM', 'male')).to.equal('onyx');
+      expect(resolveVoice('shimmer', 'male')).to.equal('shimmer');
+    });
+  });
+
+  describe('local engine', () => {
+    it('should use Piper only when a voice model is configured', () => {
+      expect(getLocalEngine()).to.equal('espeak-ng');
+      process.env.PIPER_MODEL = '/voices/en_US-lessac-medium.onnx';
+      expect(getLocalEngine()).to.equal('piper');
+      process.env.LOCAL_TTS_ENGINE = 'espeak-ng';
+      expect(getLocalEngine()).to.equal('espeak-ng');
+    });
+
+    it('should report a missing engine binary', async () => {
+      process.env.PIPER_MODEL = '/voices/en_US-lessac-medium.onnx';
+      process.env.PIPER_BIN = '/nonexistent/piper';
+
+      try {
+        await synthesizeLocally({ text: 'Hello there.' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('/nonexistent/piper is not installed or not in PATH');
+      }
+    });
+  });
+});
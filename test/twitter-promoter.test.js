@@ -215,5 +215,29 @@ describe('TwitterPromoter', () => {
       expect(result.success).to.be.true;
       expect(result.type).to.equal('thread');
     });
+
+    it('should run every tweet of a thread through the compliance linter', async () => {
+      let posted;
+      twitterPromoter.init = async () => {};
+      twitterPromoter.navigateTo = async () => {};
+      twitterPromoter.verifyLogin = async () => true;
+      twitterPromoter.cleanup = async () => {};
+      twitterPromoter.postThread = async (thread) => {
+        posted = thread;
+        return { success: true, threadUrl: 'https://twitter.com/test/status/123' };
+      };
+      twitterPromoter.generateThread = () => ['New blender review! #ad', 'Only $89.99 - the lowest price anywhere!'];
+
+      await twitterPromoter.promote({
+        title: 'Test Product Review',
+        url: 'https://youtube.com/watch?v=test123',
+        description: 'Very long description '.repeat(20),
+        tags: ['kitchen', 'gadget']
+      });
+
+      expect(posted[0]).to.equal('New blender review! #ad');
+      expect(posted[1]).to.match(/^Only \$89\.99 - a great price!\n\nPrice as of \d{4}-\d{2}-\d{2} and subject to change\.$/);
+      expect(twitterPromoter.complianceViolations).to.deep.equal([]);
+    });
   });
 });
\ No newline at end of file
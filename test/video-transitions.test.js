@@ -1,5 +1,6 @@
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
+import { TRANSITION_SETS, XFADE_EFFECTS } from '../src/transitions.js';
 
 /**
  * Test suite for video transition functionality
@@ -24,16 +25,13 @@ describe('Video Transitions', () => {
       expect(expectedTransitions).to.include('dissolve');
     });
 
-    it('should generate random transitions for variety', () => {
-      // Test that we have enough variety in transitions
-      const transitionTypes = [
-        'fade', 'slideLeft', 'slideRight', 'slideUp', 'slideDown'
-      ];
-      
-      expect(transitionTypes).to.have.length(5);
-      expect(transitionTypes).to.include('fade');
-      expect(transitionTypes).to.include('slideLeft');
-      expect(transitionTypes).to.include('slideRight');
+    it('should offer curated transition sets instead of random picks', () => {
+      expect(Object.keys(TRANSITION_SETS)).to.include.members(['clean', 'energetic', 'minimal', 'none']);
+      Object.values(TRANSITION_SETS).forEach(set => {
+        set.effects.forEach(effect => expect(XFADE_EFFECTS).to.include(effect));
+      });
+      expect(XFADE_EFFECTS).to.not.include('pixelize');
+      expect(XFADE_EFFECTS).to.not.include('circlecrop');
     });
   });
 
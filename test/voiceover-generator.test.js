@@ -1,7 +1,18 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
 import fs from 'fs/promises';
-import { generateVoiceover, getRandomVoice, getMaleVoices, getFemaleVoices, VOICES } from '../src/voiceover-generator.js';
+import path from 'path';
+import {
+  generateVoiceover,
+  generateVoiceoverTrack,
+  getRandomVoice,
+  getMaleVoices,
+  getFemaleVoices,
+  splitTextIntoChunks,
+  VOICES
+} from '../src/voiceover-generator.js';
+import { createChunkStitchFilter, buildChunkTimeline } from '../src/utils/audio-utils.js';
+import { createRandom } from '../src/utils/random.js';
 
 describe('Voiceover Generator', () => {
   describe('generateVoiceover', () => {
@@ -113,6 +124,34 @@ describe('Voiceover Generator', () => {
       }
     });
 
+    it('should time words with ElevenLabs timestamps and save them next to the audio', async () => {
+      const text = 'Hi there.';
+      fetchStub.resolves({
+        ok: true,
+        json: sinon.stub().resolves({
+          audio_base64: Buffer.alloc(2048).toString('base64'),
+          alignment: {
+            characters: [...text],
+            character_start_times_seconds: [...text].map((_, i) => i / 10),
+            character_end_times_seconds: [...text].map((_, i) => (i + 1) / 10)
+          }
+        })
+      });
+
+      const track = await generateVoiceoverTrack(text, 'temp/voiceover.mp3', undefined, null, null, { timings: true });
+
+      expect(fetchStub.getCall(0).args[0]).to.match(/\/with-timestamps$/);
+      expect(track.words).to.deep.equal([
+        { word: 'Hi', start: 0, end: 0.2 },
+        { word: 'there.', start: 0.3, end: 0.9 }
+      ]);
+      expect(track.sentences).to.deep.equal([{ text: 'Hi there.', start: 0, end: 0.9 }]);
+      expect(track.timingsPath).to.equal(path.join('temp', 'voiceover.timings.json'));
+
+      const saved = JSON.parse(fsStub.writeFile.getCall(1).args[1]);
+      expect(saved).to.include({ audio: 'voiceover.mp3', provider: 'elevenlabs', source: 'provider' });
+    });
+
     it('should preprocess text by removing excessive whitespace', async () => {
       const messyText = '  This   is    a   test   with   lots   of   spaces.  \n\n  ';
       const expectedCleanText = 'This is a test with lots of spaces.';
@@ -124,14 +163,17 @@ describe('Voiceover Generator', () => {
       expect(requestBody.text).to.equal(expectedCleanText);
     });
 
-    it('should truncate text if it exceeds maximum length', async () => {
+    it('should split text that exceeds the request limit instead of truncating it', async () => {
       const longText = 'A'.repeat(6000); // Exceeds typical API limits
       
-      await generateVoiceover(longText);
-
-      const apiCall = fetchStub.getCall(0);
-      const requestBody = JSON.parse(apiCall.args[1].body);
-      expect(requestBody.text.length).to.be.lessThan(5000);
+      // Stitching needs the real chunk files, which the fs stubs don't write
+      await generateVoiceover(longText).catch(() => {});
+
+      const requests = fetchStub.getCalls().map(call => ({ url: call.args[0], text: JSON.parse(call.args[1].body).text }));
+      expect(requests).to.have.lengthOf(2);
+      requests.forEach(request => expect(request.text.length).to.be.lessThan(5000));
+      expect(requests.map(request => request.text).join('')).to.equal(longText);
+      expect(requests[1].url).to.equal(requests[0].url);
     });
 
     it('should use correct API endpoint and headers with random voice', async () => {
@@ -248,6 +290,12 @@ describe('Voiceover Generator', () => {
       expect(results.size).to.be.greaterThan(1);
     });
 
+    it('should pick the same voice for the same seed', () => {
+      const voices = ['a', 'b', 'c'].map(seed => getRandomVoice('female', createRandom(seed, 'voice')));
+
+      expect(['a', 'b', 'c'].map(seed => getRandomVoice('female', createRandom(seed, 'voice')))).to.deep.equal(voices);
+    });
+
     it('should always return a voice ID that exists in the VOICES object', () => {
       const voiceIds = Object.values(VOICES);
       
@@ -439,4 +487,56 @@ describe('Voiceover Generator', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('splitTextIntoChunks', () => {
+    it('should keep short scripts in one chunk', () => {
+      expect(splitTextIntoChunks('Short script.\n\nSecond paragraph.')).to.deep.equal(['Short script. Second paragraph.']);
+    });
+
+    it('should split at paragraph boundaries before sentence boundaries', () => {
+      const first = 'First paragraph sentence one. First paragraph sentence two.';
+      const second = 'Second paragraph.';
+
+      expect(splitTextIntoChunks(`${first}\n\n${second}`, 70)).to.deep.equal([
+        'First paragraph sentence one. ... First paragraph sentence two.',
+        second
+      ]);
+    });
+
+    it('should split long paragraphs at sentences and never drop text', () => {
+      const sentences = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} talks about the product`);
+      const chunks = splitTextIntoChunks(`${sentences.join('. ')}.`, 200);
+
+      expect(chunks.length).to.be.greaterThan(1);
+      chunks.forEach(chunk => {
+        expect(chunk.length).to.be.at.most(200);
+        expect(chunk).to.match(/\.$/);
+      });
+      expect(chunks.join(' ')).to.include('Sentence number 39 talks about the product.');
+    });
+
+    it('should return no chunks for empty text', () => {
+      expect(splitTextIntoChunks('   \n\n  ')).to.deep.equal([]);
+    });
+  });
+
+  describe('chunk stitching', () => {
+    it('should level every chunk and chain crossfades', () => {
+      expect(createChunkStitchFilter(3, { crossfade: 0.05 })).to.equal([
+        '[0:a]loudnorm=I=-16:TP=-1.5:LRA=11,aresample=44100[a0]',
+        '[1:a]loudnorm=I=-16:TP=-1.5:LRA=11,aresample=44100[a1]',
+        '[2:a]loudnorm=I=-16:TP=-1.5:LRA=11,aresample=44100[a2]',
+        '[a0][a1]acrossfade=d=0.05:c1=tri:c2=tri[x1]',
+        '[x1][a2]acrossfade=d=0.05:c1=tri:c2=tri[out]'
+      ].join(';'));
+    });
+
+    it('should place chunks on the stitched timeline', () => {
+      expect(buildChunkTimeline([10, 5, 8], 0.5)).to.deep.equal([
+        { start: 0, end: 10 },
+        { start: 9.5, end: 14.5 },
+        { start: 14, end: 22 }
+      ]);
+    });
+  });
+});
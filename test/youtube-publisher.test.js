@@ -1,7 +1,9 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
 import fs from 'fs/promises';
-import { uploadToYouTube, uploadToYouTubeShorts } from '../src/youtube-publisher.js';
+import os from 'os';
+import path from 'path';
+import { uploadToYouTube, uploadToYouTubeShorts, findCaptionTracks } from '../src/youtube-publisher.js';
 
 // Mock the google module
 const mockGoogle = {
@@ -577,3 +579,41 @@ This helps support the channel at no extra cost to you!
       expect(uploadCall.args[0].requestBody.snippet.categoryId).to.equal('24');
     });
   });
+
+  describe('findCaptionTracks', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'captions-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should find caption tracks next to the video, one per language', async () => {
+      const files = [
+        'review-123.mp4',
+        'review-123.srt',
+        'review-123.vtt',
+        'review-123.es.vtt',
+        'review-123.pt-BR.srt',
+        'review-123-short.srt',
+        'review-123.timings.json'
+      ];
+      await Promise.all(files.map(file => fs.writeFile(path.join(dir, file), '')));
+
+      const tracks = await findCaptionTracks(path.join(dir, 'review-123.mp4'));
+
+      expect(tracks).to.have.deep.members([
+        { path: path.join(dir, 'review-123.srt'), language: 'en' },
+        { path: path.join(dir, 'review-123.pt-BR.srt'), language: 'pt-BR' },
+        { path: path.join(dir, 'review-123.es.vtt'), language: 'es' }
+      ]);
+    });
+
+    it('should return no tracks when the video has no captions', async () => {
+      expect(await findCaptionTracks(path.join(dir, 'video.mp4'))).to.deep.equal([]);
+      expect(await findCaptionTracks('/nonexistent/dir/video.mp4')).to.deep.equal([]);
+    });
+  });
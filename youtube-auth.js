@@ -21,7 +21,9 @@ const execAsync = promisify(exec);
 // OAuth2 configuration
 const SCOPES = [
   'https://www.googleapis.com/auth/youtube.upload',
-  'https://www.googleapis.com/auth/youtube'
+  'https://www.googleapis.com/auth/youtube',
+  'https://www.googleapis.com/auth/youtube.force-ssl', // Caption uploads
+  'https://www.googleapis.com/auth/yt-analytics.readonly' // Title experiment stats
 ];
 
 const REDIRECT_URI = 'http://localhost:8080/oauth2callback';